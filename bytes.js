@@ -0,0 +1,108 @@
+// Byte array helpers for plain `Uint8Array`s, so that neither decoding nor encoding depends on Node's `Buffer`.
+// A `Buffer` is a `Uint8Array` so is accepted anywhere these are used.
+
+const hexChars = '0123456789abcdef'
+const byteToHex = []
+for (let i = 0; i < 256; i++) {
+  byteToHex.push(hexChars[i >> 4] + hexChars[i & 0xf])
+}
+
+function toHex (bytes) {
+  let hex = ''
+  for (let i = 0; i < bytes.length; i++) {
+    hex += byteToHex[bytes[i]]
+  }
+  return hex
+}
+
+function fromHex (hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    throw new TypeError('Expected an even-length hex string')
+  }
+  const bytes = new Uint8Array(hex.length / 2)
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16)
+  }
+  return bytes
+}
+
+// the bytes of an ASCII string, such as a BLAKE2b personalization
+function fromAscii (str) {
+  const bytes = new Uint8Array(str.length)
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i)
+  }
+  return bytes
+}
+
+function alloc (size, fill = 0) {
+  return new Uint8Array(size).fill(fill)
+}
+
+function concat (chunks) {
+  const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes
+}
+
+function equals (a, b) {
+  if (a.length !== b.length) {
+    return false
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false
+    }
+  }
+  return true
+}
+
+// a reversed copy, for converting between the internal and display byte order of hashes
+function reverse (bytes) {
+  return Uint8Array.from(bytes).reverse()
+}
+
+// a plain Uint8Array view of the same memory, so a `Buffer` (or other typed array) input doesn't leak its
+// prototype into decoded properties
+function asUint8Array (bytes) {
+  if (bytes instanceof Uint8Array && bytes.constructor === Uint8Array) {
+    return bytes
+  }
+  if (ArrayBuffer.isView(bytes)) {
+    return new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  }
+  throw new TypeError('Expected a Uint8Array')
+}
+
+function dataView (bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+}
+
+// write little-endian integers to a new byte array, for the many fixed-size fields in hash preimages
+function uint32LE (i) {
+  const bytes = new Uint8Array(4)
+  dataView(bytes).setUint32(0, i, true)
+  return bytes
+}
+
+function int32LE (i) {
+  const bytes = new Uint8Array(4)
+  dataView(bytes).setInt32(0, i, true)
+  return bytes
+}
+
+module.exports.toHex = toHex
+module.exports.fromHex = fromHex
+module.exports.fromAscii = fromAscii
+module.exports.alloc = alloc
+module.exports.concat = concat
+module.exports.equals = equals
+module.exports.reverse = reverse
+module.exports.asUint8Array = asUint8Array
+module.exports.dataView = dataView
+module.exports.uint32LE = uint32LE
+module.exports.int32LE = int32LE
@@ -0,0 +1,132 @@
+/* global BigInt */
+
+// ChaCha20-Poly1305 authenticated encryption in plain JavaScript operating on Uint8Arrays, as used for Sapling
+// note encryption
+// https://www.rfc-editor.org/rfc/rfc8439
+
+const { concat, alloc } = require('./bytes')
+
+function rotl (x, n) {
+  return (x << n) | (x >>> (32 - n))
+}
+
+function quarterRound (s, a, b, c, d) {
+  s[a] = (s[a] + s[b]) | 0
+  s[d] = rotl(s[d] ^ s[a], 16)
+  s[c] = (s[c] + s[d]) | 0
+  s[b] = rotl(s[b] ^ s[c], 12)
+  s[a] = (s[a] + s[b]) | 0
+  s[d] = rotl(s[d] ^ s[a], 8)
+  s[c] = (s[c] + s[d]) | 0
+  s[b] = rotl(s[b] ^ s[c], 7)
+}
+
+// the 64-byte keystream block for a 32-byte key, block counter and 12-byte nonce
+function chachaBlock (key, counter, nonce) {
+  const keyView = new DataView(key.buffer, key.byteOffset, 32)
+  const nonceView = new DataView(nonce.buffer, nonce.byteOffset, 12)
+  const state = new Int32Array(16)
+  state.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574])
+  for (let i = 0; i < 8; i++) {
+    state[4 + i] = keyView.getInt32(i * 4, true)
+  }
+  state[12] = counter
+  for (let i = 0; i < 3; i++) {
+    state[13 + i] = nonceView.getInt32(i * 4, true)
+  }
+  const working = Int32Array.from(state)
+  for (let i = 0; i < 10; i++) {
+    quarterRound(working, 0, 4, 8, 12)
+    quarterRound(working, 1, 5, 9, 13)
+    quarterRound(working, 2, 6, 10, 14)
+    quarterRound(working, 3, 7, 11, 15)
+    quarterRound(working, 0, 5, 10, 15)
+    quarterRound(working, 1, 6, 11, 12)
+    quarterRound(working, 2, 7, 8, 13)
+    quarterRound(working, 3, 4, 9, 14)
+  }
+  const block = new Uint8Array(64)
+  const out = new DataView(block.buffer)
+  for (let i = 0; i < 16; i++) {
+    out.setInt32(i * 4, (working[i] + state[i]) | 0, true)
+  }
+  return block
+}
+
+// encryption and decryption are the same XOR with the keystream, starting at block `counter`
+function chacha20 (key, counter, nonce, bytes) {
+  const out = new Uint8Array(bytes.length)
+  for (let offset = 0; offset < bytes.length; offset += 64, counter++) {
+    const block = chachaBlock(key, counter, nonce)
+    for (let i = 0; i < 64 && offset + i < bytes.length; i++) {
+      out[offset + i] = bytes[offset + i] ^ block[i]
+    }
+  }
+  return out
+}
+
+function leToInt (bytes) {
+  let i = BigInt(0)
+  for (let j = bytes.length - 1; j >= 0; j--) {
+    i = (i << BigInt(8)) | BigInt(bytes[j])
+  }
+  return i
+}
+
+// Poly1305 over 16-byte blocks, each with a 0x01 byte appended, modulo 2^130 - 5
+const P1305 = (BigInt(1) << BigInt(130)) - BigInt(5)
+const R_CLAMP = BigInt('0x0ffffffc0ffffffc0ffffffc0fffffff')
+function poly1305 (key, message) {
+  const r = leToInt(key.subarray(0, 16)) & R_CLAMP
+  const s = leToInt(key.subarray(16, 32))
+  let acc = BigInt(0)
+  for (let offset = 0; offset < message.length; offset += 16) {
+    const block = message.subarray(offset, offset + 16)
+    acc = (acc + leToInt(block) + (BigInt(1) << BigInt(8 * block.length))) * r % P1305
+  }
+  acc = (acc + s) & ((BigInt(1) << BigInt(128)) - BigInt(1))
+  const tag = new Uint8Array(16)
+  for (let i = 0; i < 16; i++) {
+    tag[i] = Number(acc & BigInt(0xff))
+    acc >>= BigInt(8)
+  }
+  return tag
+}
+
+function pad16 (bytes) {
+  return alloc((16 - bytes.length % 16) % 16)
+}
+
+function u64LE (i) {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setUint32(0, i, true)
+  return bytes
+}
+
+function tag (key, nonce, ciphertext, aad) {
+  const polyKey = chachaBlock(key, 0, nonce).subarray(0, 32)
+  return poly1305(polyKey, concat([aad, pad16(aad), ciphertext, pad16(ciphertext), u64LE(aad.length), u64LE(ciphertext.length)]))
+}
+
+// AEAD_CHACHA20_POLY1305 encryption, the ciphertext with the 16-byte tag appended
+function encrypt (key, nonce, plaintext, aad = alloc(0)) {
+  const ciphertext = chacha20(key, 1, nonce, plaintext)
+  return concat([ciphertext, tag(key, nonce, ciphertext, aad)])
+}
+
+// AEAD_CHACHA20_POLY1305 decryption, null where the tag doesn't authenticate the ciphertext
+function decrypt (key, nonce, sealed, aad = alloc(0)) {
+  if (sealed.length < 16) {
+    return null
+  }
+  const ciphertext = sealed.subarray(0, sealed.length - 16)
+  const expected = tag(key, nonce, ciphertext, aad)
+  let diff = 0
+  for (let i = 0; i < 16; i++) {
+    diff |= expected[i] ^ sealed[ciphertext.length + i]
+  }
+  return diff === 0 ? chacha20(key, 1, nonce, ciphertext) : null
+}
+
+module.exports.encrypt = encrypt
+module.exports.decrypt = decrypt
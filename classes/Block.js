@@ -1,7 +1,20 @@
-const multihashing = require('multihashing')
-const { decodeProperties, toHashHex } = require('./class-utils')
+/* global BigInt */
 
-const GENESIS_BITS = 0x1f07ffff
+const { decodeProperties, toHashHex, fromHashHex } = require('./class-utils')
+const { toHex, concat, equals } = require('../bytes')
+const { sha256d } = require('../hashes')
+const encode = require('../encode')
+const zip244 = require('../zip244')
+const merkle = require('../merkle')
+const equihash = require('../equihash')
+const pow = require('../pow')
+const networks = require('../networks')
+const consensus = require('../consensus')
+const ZcashSaplingMerkleTree = require('./SaplingMerkleTree')
+const ZcashSproutMerkleTree = require('./SproutMerkleTree')
+const sprout = require('../sprout')
+const fees = require('../fees')
+const ZcashMerkleBlock = require('./MerkleBlock')
 
 /**
  * A class representation of a Zcash Block, parent for all of the data included in the raw block data
@@ -11,16 +24,23 @@ const GENESIS_BITS = 0x1f07ffff
  * Exported as the main object, available as `require('zcash-block')`.
  *
  * @property {number} version - positive integer
- * @property {Uint8Array|Buffer} previousblockhash - 256-bit hash
- * @property {Uint8Array|Buffer} merkleroot - 256-bit hash
- * @property {Uint8Array|Buffer} finalsaplingroot - 256-bit hash
+ * @property {Uint8Array} previousblockhash - 256-bit hash
+ * @property {Uint8Array} merkleroot - 256-bit hash
+ * @property {Uint8Array} finalsaplingroot - 256-bit hash
  * @property {number} time - seconds since epoch
  * @property {number} bits
- * @property {Uint8Array|Buffer} nonce - 256-bit hash
- * @property {Uint8Array|Buffer} solution
- * @property {Uint8Array|Buffer} hash - 256-bit hash, a double SHA2-256 hash of all bytes making up this block (calculated)
+ * @property {Uint8Array} nonce - 256-bit hash
+ * @property {Uint8Array} solution
+ * @property {Uint8Array} hash - 256-bit hash, a double SHA2-256 hash of all bytes making up this block (calculated)
  * @property {Array.<ZcashTransaction>} transactions
- * @property {number} difficulty - the difficulty for this block (calculated)
+ * @property {number} difficulty - the difficulty for this block, relative to the `powLimit` of its `network` (calculated)
+ * @property {BigInt} target - the 256-bit proof of work target decoded from `bits`, the block's `hash` must not
+ * exceed this; throws a `RangeError` if `bits` doesn't encode a valid target (calculated)
+ * @property {BigInt} work - the expected number of hashes required to meet the `target`, the amount this block
+ * adds to the chain's cumulative `chainwork` (calculated)
+ * @property {object} network - the parameters of the network this block belongs to (see {@link networks.main}), as
+ * given when decoding, e.g. `ZcashBlock.decode(bytes, { network: 'test' })`; defaults to mainnet. May be set to a
+ * network name or parameters object. This property isn't enumerable so doesn't appear in serialized forms.
  * @class
  */
 
@@ -31,14 +51,14 @@ class ZcashBlock {
    * See the class properties for expanded information on these parameters.
    *
    * @param {number} version
-   * @param {Uint8Array|Buffer} previousblockhash
-   * @param {Uint8Array|Buffer} merkleroot
-   * @param {Uint8Array|Buffer} finalsaplingroot
+   * @param {Uint8Array} previousblockhash
+   * @param {Uint8Array} merkleroot
+   * @param {Uint8Array} finalsaplingroot
    * @param {number} time
    * @param {number} bits
-   * @param {Uint8Array|Buffer} nonce
-   * @param {Uint8Array|Buffer} solution
-   * @param {Uint8Array|Buffer} hash
+   * @param {Uint8Array} nonce
+   * @param {Uint8Array} solution
+   * @param {Uint8Array} hash
    * @param {Array.<ZcashTransaction>} transactions
    * @constructs ZcashBlock
    */
@@ -60,7 +80,7 @@ class ZcashBlock {
       enumerable: true,
       get: function () {
         if (difficulty === null) {
-          const genesisTargetDifficulty = targetDifficulty(GENESIS_BITS)
+          const genesisTargetDifficulty = targetDifficulty(pow.bitsFromTarget(this.network.powLimit))
           const currentTargetDifficulty = targetDifficulty(this.bits)
           difficulty = genesisTargetDifficulty / currentTargetDifficulty
         }
@@ -69,6 +89,29 @@ class ZcashBlock {
     })
   }
 
+  get network () {
+    return networks.networkOf(this)
+  }
+
+  set network (network) {
+    networks.setNetwork(this, network)
+  }
+
+  get target () {
+    const { target, negative, overflow } = pow.targetFromBits(this.bits)
+    if (negative) {
+      throw new RangeError('Block bits encode a negative target')
+    }
+    if (overflow) {
+      throw new RangeError('Block bits encode a target larger than 256 bits')
+    }
+    return target
+  }
+
+  get work () {
+    return pow.workFromBits(this.bits)
+  }
+
   toJSON () {
     const obj = {
       hash: toHashHex(this.hash),
@@ -77,13 +120,13 @@ class ZcashBlock {
       finalsaplingroot: toHashHex(this.finalsaplingroot),
       time: this.time,
       nonce: toHashHex(this.nonce),
-      solution: this.solution.toString('hex'),
+      solution: toHex(this.solution),
       bits: Number(this.bits).toString(16),
       difficulty: this.difficulty
     }
 
     if (this.transactions) {
-      obj.tx = this.transactions.map((tx) => { return toHashHex(tx.hash) })
+      obj.tx = transactionHashes(this).map((hash) => { return toHashHex(hash) })
     }
     if (this.size != null) {
       obj.size = this.size
@@ -104,6 +147,424 @@ class ZcashBlock {
   toSerializable () {
     return this.toJSON()
   }
+
+  /**
+   * Convert to the form returned by the Zcash API's `getblock` with `verbosity=2`, where the `tx` array holds
+   * the full verbose form of each transaction (see {@link ZcashTransaction#toVerboseJSON}) rather than just
+   * its hash. Requires a block decoded with its transactions.
+   *
+   * @param {string|object} [network] - the network determining the transparent address prefixes, see
+   * {@link networks.getNetwork()}; defaults to the block's `network`
+   * @returns {object}
+   */
+  toVerboseJSON (network = this.network) {
+    const obj = this.toJSON()
+    obj.tx = transactions(this).map((tx) => tx.toVerboseJSON(network))
+    return obj
+  }
+
+  /**
+   * Find the network upgrade active for this block, given its height, on the block's `network`. See
+   * {@link networks.networkUpgradeAt()} for the form of the returned upgrade, which includes its consensus
+   * branch ID.
+   *
+   * @param {number} height - the height of this block
+   * @returns {object}
+   */
+  networkUpgrade (height) {
+    return networks.networkUpgradeAt(height, this.network)
+  }
+
+  /**
+   * Check that the format of each transaction in this block is allowed by the network upgrade active at its
+   * height, see {@link ZcashTransaction#checkNetworkUpgrade}. Returns a list of violations, each of the form
+   * `{ index, reason, message }` where `index` is the position of the offending transaction in the block. An
+   * empty list means all transaction formats are allowed. Requires a block decoded with its transactions.
+   *
+   * @param {number} height - the height of this block
+   * @returns {Array.<object>}
+   */
+  checkNetworkUpgrade (height) {
+    const violations = []
+    transactions(this).forEach((tx, index) => {
+      for (const violation of tx.checkNetworkUpgrade(height, this.network)) {
+        violations.push(Object.assign({ index }, violation))
+      }
+    })
+    return violations
+  }
+
+  /**
+   * Analyze the coinbase transaction of this block on the block's `network`, see
+   * {@link ZcashTransaction#coinbaseInfo}. The genesis block is recognised by its null `previousblockhash` and
+   * given a height of 0. Requires a block decoded with its transactions.
+   *
+   * @returns {object}
+   */
+  coinbaseInfo () {
+    const genesis = this.previousblockhash.every((b) => b === 0)
+    return transactions(this)[0].coinbaseInfo(genesis ? 0 : undefined, this.network)
+  }
+
+  /**
+   * Calculate the total fees paid by the transactions in this block, see {@link ZcashTransaction#computeFee}.
+   * Outputs spent by a later transaction in the same block are found in the block, only outputs of earlier blocks
+   * are passed to `prevoutLookup`. Requires a block decoded with its transactions.
+   *
+   * The coinbase transaction is also checked to claim no more than the block subsidy (at the height it pushes,
+   * see {@link ZcashBlock#coinbaseInfo}) plus the fees, less any part of the subsidy deferred to the lockbox. An
+   * error with zcashd's `bad-cb-amount` reject reason is thrown if it claims more.
+   *
+   * @param {function} prevoutLookup - `(outPoint) => ZcashTransactionOut|Promise.<ZcashTransactionOut>`
+   * @returns {Promise.<BigInt>} the total fees in zatoshis
+   */
+  async totalFees (prevoutLookup) {
+    transactions(this)
+    return fees.blockFees(this, prevoutLookup)
+  }
+
+  /**
+   * Calculate the change this block makes to the value held in each of the chain's value pools, in zatoshis, of
+   * the form `{ transparent, sprout, sapling, orchard, lockbox }`. The Sprout change comes from JoinSplit
+   * `vpubOld` and `vpubNew`, the Sapling and Orchard changes from the negated value balances and the lockbox
+   * change from the deferred funding streams (see {@link ZcashBlock#coinbaseInfo}). Requires a block decoded
+   * with its transactions.
+   *
+   * The transparent change is the value of every transparent output less the value of the outputs spent, so it
+   * is `null` unless a `prevoutLookup` is provided to find the outputs spent, see {@link ZcashBlock#totalFees}.
+   *
+   * @param {function} [prevoutLookup] - `(outPoint) => ZcashTransactionOut|Promise.<ZcashTransactionOut>`
+   * @returns {Promise.<object>}
+   */
+  async valuePoolDeltas (prevoutLookup) {
+    transactions(this)
+    return fees.valuePoolDeltas(this, prevoutLookup)
+  }
+
+  /**
+   * Fold this block's value pool changes (see {@link ZcashBlock#valuePoolDeltas}) into the chain's value pool
+   * totals after the previous block, giving the `valuePools` of this block as zcashd's `getblock` presents them:
+   * `[{ id, monitored, chainValue, chainValueZat, valueDelta, valueDeltaZat }]`.
+   *
+   * `previous` is the `valuePools` of the previous block, from zcashd or from this method, and the same pools are
+   * returned in the same order. A pool that isn't `monitored` has no chain value, and the transparent pool has
+   * neither a chain value nor a change without a `prevoutLookup`. Without `previous`, the chain starts empty with
+   * every pool monitored, as for the genesis block.
+   *
+   * @param {Array.<object>} [previous]
+   * @param {function} [prevoutLookup] - `(outPoint) => ZcashTransactionOut|Promise.<ZcashTransactionOut>`
+   * @returns {Promise.<Array.<object>>}
+   */
+  async valuePools (previous, prevoutLookup) {
+    transactions(this)
+    return fees.valuePools(this, previous, prevoutLookup)
+  }
+
+  /**
+   * Check this block against the consensus rules that don't depend on the chain it is part of, as zcashd's
+   * `CheckBlock()` does: the header's version, Equihash solution and proof of work, the Merkle root (including
+   * duplicate transactions that leave it unchanged), the block size limit, a single coinbase as the first
+   * transaction, the legacy signature operation limit, and each transaction's own checks (see
+   * {@link ZcashTransaction#validate}). Requires a block decoded with its transactions.
+   *
+   * Returns a list of violations, each of the form `{ reason, message }` where `reason` is the reject reason
+   * zcashd gives for it, e.g. `'bad-cb-missing'`; violations of a transaction also have the `index` of the
+   * transaction in the block. An empty list means the block passes.
+   *
+   * @returns {Array.<object>}
+   */
+  validate () {
+    transactions(this)
+    return consensus.checkBlock(this)
+  }
+
+  /**
+   * Calculate the root of the Merkle tree of transaction hashes (txids) in this block, for comparison with
+   * `merkleroot`. Requires a block decoded with its transactions.
+   *
+   * @returns {Uint8Array} a 256-bit hash
+   */
+  computeMerkleRoot () {
+    return merkle.merkleRoot(transactionHashes(this)).root
+  }
+
+  /**
+   * Check that the `merkleroot` in the header matches the root calculated from the transactions in this
+   * block. A block whose transaction list has been mutated by duplicating transactions such that it produces
+   * the same root (CVE-2012-2459) will also fail this check.
+   *
+   * @returns {boolean}
+   */
+  verifyMerkleRoot () {
+    const { root, mutated } = merkle.merkleRoot(transactionHashes(this))
+    return !mutated && equals(root, this.merkleroot)
+  }
+
+  /**
+   * Generate a Merkle inclusion proof for a transaction in this block that can be checked against the
+   * block's `merkleroot` with {@link ZcashBlock.verifyMerkleProof()}.
+   *
+   * @param {Uint8Array|string} txid - the hash of the transaction, either in its internal byte form or as
+   * a hex string in the standard (reversed) display form
+   * @returns {object} the proof, an object of the form `{ index, hashes }` where `index` is the position of the
+   * transaction in the block and `hashes` are the sibling hashes from the transaction up to the root
+   */
+  merkleProof (txid) {
+    const hashes = transactionHashes(this)
+    const index = transactionIndex(hashes, txid)
+    return { index, hashes: merkle.merkleProof(hashes, index) }
+  }
+
+  /**
+   * Create a {@link ZcashMerkleBlock} proving the inclusion of one or more transactions in this block, the
+   * same form as is returned by the Zcash API's `gettxoutproof`.
+   *
+   * @param {Array.<Uint8Array|string>} txids - the hashes of the transactions, either in their internal
+   * byte form or as hex strings in the standard (reversed) display form
+   * @returns {ZcashMerkleBlock}
+   */
+  merkleBlock (txids) {
+    const hashes = transactionHashes(this)
+    const matches = hashes.map(() => false)
+    for (const txid of txids) {
+      matches[transactionIndex(hashes, txid)] = true
+    }
+    const tree = merkle.buildPartialTree(hashes, matches)
+    const header = new ZcashBlockHeaderOnly(this.version, this.previousblockhash, this.merkleroot,
+      this.finalsaplingroot, this.time, this.bits, this.nonce, this.solution, this.hash)
+    return new ZcashMerkleBlock(header, hashes.length, tree.hashes, tree.flags)
+  }
+
+  /**
+   * Check that the block's `hash` meets the proof of work target encoded in `bits` and that the target is valid
+   * and no easier than the network's limit. This does not check the Equihash solution, see
+   * {@link ZcashBlock#verifySolution}.
+   *
+   * @param {BigInt} [powLimit] - the maximum (easiest) target allowed by the network, defaults to that of the
+   * block's `network`
+   * @returns {boolean}
+   */
+  checkProofOfWork (powLimit = this.network.powLimit) {
+    const { target, negative, overflow } = pow.targetFromBits(this.bits)
+    if (negative || overflow || target === BigInt(0) || target > powLimit) {
+      return false
+    }
+    return pow.hashToBigInt(this.hash) <= target
+  }
+
+  /**
+   * Calculate the cumulative `chainwork` of the chain up to and including this block, given the `chainwork`
+   * of the previous block.
+   *
+   * @param {BigInt|string} [previousChainwork] - the `chainwork` of the previous block, as a `BigInt` or a hex
+   * string as provided by the Zcash API; omit for the genesis block
+   * @returns {BigInt}
+   */
+  computeChainwork (previousChainwork = BigInt(0)) {
+    if (typeof previousChainwork === 'string') {
+      previousChainwork = BigInt(`0x${previousChainwork}`)
+    }
+    return previousChainwork + this.work
+  }
+
+  /**
+   * Verify the Equihash proof of work `solution` of this block's header. The solution commits to the header
+   * fields up to and including the `nonce`. Note that this doesn't check that the block hash meets the target
+   * difficulty described by `bits`, only that the solution is valid.
+   *
+   * The Equihash parameters are those of the block's `network` if not supplied: (200,9) for mainnet and testnet
+   * and (48,5) for regtest.
+   *
+   * @param {number} [n] - the Equihash `n` parameter
+   * @param {number} [k] - the Equihash `k` parameter
+   * @returns {boolean}
+   */
+  verifySolution (n, k) {
+    if (n === undefined && k === undefined) {
+      ({ n, k } = this.network.equihash)
+    }
+    const input = concat([
+      encode.encodeType('int32_t', this.version),
+      encode.encodeType('uint256', this.previousblockhash),
+      encode.encodeType('uint256', this.merkleroot),
+      encode.encodeType('uint256', this.finalsaplingroot),
+      encode.encodeType('uint32_t', this.time),
+      encode.encodeType('uint32_t', this.bits),
+      encode.encodeType('uint256', this.nonce)
+    ])
+    return equihash.verify(n, k, input, this.solution)
+  }
+
+  /**
+   * Calculate the root of the Merkle tree of ZIP 244 authorizing data commitments for the transactions in
+   * this block (see {@link ZcashTransaction#authDigest}). Requires a block decoded with its transactions.
+   *
+   * @returns {Uint8Array} a 256-bit digest
+   */
+  computeAuthDataRoot () {
+    return zip244.authDataRoot(transactions(this))
+  }
+
+  /**
+   * Calculate the `hashBlockCommitments` value for this block as defined by ZIP 244. From NU5 onward this
+   * is the value found in the header field that was previously used for the `finalsaplingroot`.
+   *
+   * The chain history root (ZIP 221) can't be derived from an isolated block so must be supplied.
+   *
+   * @param {Uint8Array} chainHistoryRoot - the 256-bit `hashChainHistoryRoot` for this block
+   * @returns {Uint8Array} a 256-bit digest
+   */
+  computeBlockCommitments (chainHistoryRoot) {
+    return zip244.blockCommitments(chainHistoryRoot, this.computeAuthDataRoot())
+  }
+
+  /**
+   * Check that the header's `hashBlockCommitments` (`finalsaplingroot`) matches the value calculated
+   * from the transactions in this block and the supplied chain history root. Only valid for NU5 blocks.
+   *
+   * @param {Uint8Array} chainHistoryRoot - the 256-bit `hashChainHistoryRoot` for this block
+   * @returns {boolean}
+   */
+  verifyBlockCommitments (chainHistoryRoot) {
+    return equals(this.computeBlockCommitments(chainHistoryRoot), this.finalsaplingroot)
+  }
+
+  /**
+   * Append the note commitments of the Sapling outputs of this block's transactions, in order, to the Sapling
+   * note commitment tree as it was after the previous block. `previous` isn't modified. Requires a block decoded
+   * with its transactions.
+   *
+   * @param {ZcashSaplingMerkleTree} [previous] - the tree after the previous block, such as one decoded with
+   * {@link ZcashBlock.decodeSaplingTree()}, an empty tree where not supplied
+   * @returns {ZcashSaplingMerkleTree} the tree after this block
+   */
+  computeSaplingTree (previous = new ZcashSaplingMerkleTree()) {
+    const tree = previous.clone()
+    for (const tx of transactions(this)) {
+      for (const output of tx.shieldedOutput || []) {
+        tree.append(output.cm)
+      }
+    }
+    return tree
+  }
+
+  /**
+   * Check that the header's `finalsaplingroot` is the root of the Sapling note commitment tree after this
+   * block's outputs are appended to the tree as it was after the previous block, see
+   * {@link ZcashBlock#computeSaplingTree}. Only valid for blocks from Sapling activation until Heartwood, after
+   * which the header field holds other commitments. Requires a block decoded with its transactions.
+   *
+   * @param {ZcashSaplingMerkleTree} [previous] - the tree after the previous block, an empty tree where not
+   * supplied
+   * @returns {boolean}
+   */
+  verifySaplingRoot (previous) {
+    return equals(this.computeSaplingTree(previous).root(), this.finalsaplingroot)
+  }
+
+  /**
+   * Append the note commitments of the JoinSplits of this block's transactions, in order, to the Sprout note
+   * commitment tree as it was after the previous block. `previous` isn't modified. Requires a block decoded with
+   * its transactions.
+   *
+   * @param {ZcashSproutMerkleTree} [previous] - the tree after the previous block, such as one decoded with
+   * {@link ZcashBlock.decodeSproutTree()}, an empty tree where not supplied
+   * @returns {ZcashSproutMerkleTree} the tree after this block
+   */
+  computeSproutTree (previous = new ZcashSproutMerkleTree()) {
+    const tree = previous.clone()
+    for (const tx of transactions(this)) {
+      for (const joinSplit of tx.joinSplits || []) {
+        joinSplit.commitments.forEach((commitment) => tree.append(commitment))
+      }
+    }
+    return tree
+  }
+
+  /**
+   * Check that the `anchor` of each JoinSplit in this block is a known root of the Sprout note commitment tree,
+   * as zcashd does when connecting a block. An anchor is known if it is the root of `previous`, the tree after
+   * the previous block, or a root that `anchorLookup` finds the tree of, such as that after an older block. A
+   * JoinSplit may also be anchored to the root after an earlier JoinSplit of the same transaction has appended
+   * its commitments to the tree at its own anchor. Requires a block decoded with its transactions.
+   *
+   * Returns a list of violations, each of the form `{ index, reason, message }` where `index` is the position of
+   * the transaction in the block and `reason` is zcashd's `bad-txns-joinsplit-requirements-not-met`. Only the
+   * first JoinSplit of a transaction with an unknown anchor is reported. An empty list means every anchor is
+   * known.
+   *
+   * @param {ZcashSproutMerkleTree} previous - the tree after the previous block
+   * @param {function} [anchorLookup] - `(anchor) => ZcashSproutMerkleTree|Promise.<ZcashSproutMerkleTree>`, the
+   * tree whose root is `anchor`, or `null` where it isn't a known root
+   * @returns {Promise.<Array.<object>>}
+   */
+  async checkSproutAnchors (previous, anchorLookup) {
+    transactions(this)
+    return sprout.checkAnchors(this, previous, anchorLookup)
+  }
+
+  /**
+   * Trial decrypt every Sapling output of this block's transactions with each of the incoming viewing keys
+   * `ivks`, see {@link ZcashOutputDescription#tryDecrypt}. The lead byte of each note is checked against the
+   * height pushed by the coinbase (see {@link ZcashBlock#coinbaseInfo}) on the block's `network`. Requires a block
+   * decoded with its transactions.
+   *
+   * Returns a list of the notes found, each of the form `{ index, output, ivk, note }` where `index` is the
+   * position of the transaction in the block, `output` the position of the output in its `shieldedOutput` and
+   * `ivk` the position of the key in `ivks`.
+   *
+   * @param {Array.<Uint8Array>} ivks - 32-byte incoming viewing keys
+   * @returns {Array.<object>}
+   */
+  scanSapling (ivks) {
+    const found = []
+    const { height } = this.coinbaseInfo()
+    for (const [index, tx] of transactions(this).entries()) {
+      for (const [output, description] of (tx.shieldedOutput || []).entries()) {
+        for (const [ivk, key] of ivks.entries()) {
+          const note = description.tryDecrypt(key, height, this.network)
+          if (note) {
+            found.push({ index, output, ivk, note })
+          }
+        }
+      }
+    }
+    return found
+  }
+
+  /**
+   * Encode this block into its raw binary form, the inverse of {@link ZcashBlock.decode()}. If this block
+   * has no `transactions` (such as when decoded with {@link ZcashBlock.decodeBlockHeaderOnly()}), only the
+   * header is encoded.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
+}
+
+function transactions (block) {
+  if (!block.transactions) {
+    throw new TypeError('Block has no transactions')
+  }
+  return block.transactions
+}
+
+function transactionHashes (block) {
+  if (block.transactionIndex) { // lazily decoded, avoid decoding the transactions just for their hashes
+    return block.transactionIndex.map((entry) => entry.hash)
+  }
+  return transactions(block).map((tx) => tx.hash)
+}
+
+function transactionIndex (hashes, txid) {
+  const hash = fromHashHex(txid)
+  const index = hashes.findIndex((h) => equals(hash, h))
+  if (index === -1) {
+    throw new Error(`Transaction ${toHashHex(hash)} is not in this block`)
+  }
+  return index
 }
 
 function targetDifficulty (bits) {
@@ -116,7 +577,7 @@ function targetDifficulty (bits) {
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashBlock._nativeName = 'CBlockHeader'
 // https://github.com/zcash/zcash/blob/fa1b656482a38d3a6c97950b35521a9c45da1e9c/src/primitives/block.h#L26
@@ -135,6 +596,18 @@ std::vector<CTransaction> transactions;
 _customDecodeSize
 `)
 
+ZcashBlock._encodePropertiesDescriptor = decodeProperties(`
+int32_t version;
+uint256 previousblockhash;
+uint256 merkleroot;
+uint256 finalsaplingroot;
+uint32_t time;
+uint32_t bits;
+uint256 nonce;
+std::vector<unsigned char> solution;
+_customEncodeTransactions
+`)
+
 ZcashBlock._customDecoderMarkStart = function (decoder, properties, state) {
   state.blockStartPos = decoder.currentPosition()
 }
@@ -144,9 +617,7 @@ ZcashBlock._customDecodeHash = function (decoder, properties, state) {
   const end = decoder.currentPosition()
   const hashBytes = decoder.absoluteSlice(start, end - start)
   // double hash
-  let digest = multihashing.digest(hashBytes, 'sha2-256')
-  digest = multihashing.digest(digest, 'sha2-256')
-  properties.push(digest)
+  properties.push(sha256d(hashBytes))
 }
 
 ZcashBlock._customDecodeSize = function (decoder, properties, state) {
@@ -156,6 +627,12 @@ ZcashBlock._customDecodeSize = function (decoder, properties, state) {
   properties.push(size)
 }
 
+ZcashBlock._customEncodeTransactions = function (encoder, obj, state) {
+  if (obj.transactions) {
+    encoder.writeType('std::vector<CTransaction>', obj.transactions)
+  }
+}
+
 class ZcashBlockHeaderOnly extends ZcashBlock {}
 ZcashBlockHeaderOnly._nativeName = 'CBlockHeader__Only'
 // properties is the same, minus the last two for transactions & size
@@ -171,8 +648,80 @@ uint256 nNonce;
 std::vector<unsigned char> nSolution;
 _customDecodeHash
 `)
+ZcashBlockHeaderOnly._encodePropertiesDescriptor = ZcashBlock._encodePropertiesDescriptor
 ZcashBlockHeaderOnly._customDecoderMarkStart = ZcashBlock._customDecoderMarkStart
 ZcashBlockHeaderOnly._customDecodeHash = ZcashBlock._customDecodeHash
+ZcashBlockHeaderOnly._customEncodeTransactions = ZcashBlock._customEncodeTransactions
+
+// a block decoded by ZcashBlock.decodeLazy(), with an index of its transactions in place of decoded transactions
+class ZcashBlockLazy extends ZcashBlock {
+  constructor (version, previousblockhash, merkleroot, finalsaplingroot, time, bits, nonce, solution, hash, transactions, size, transactionIndex) {
+    super(version, previousblockhash, merkleroot, finalsaplingroot, time, bits, nonce, solution, hash, transactions, size)
+    this.transactionIndex = transactionIndex
+  }
+}
+ZcashBlockLazy._nativeName = 'CBlockHeader__Lazy'
+ZcashBlockLazy._propertiesDescriptor = decodeProperties(`
+_customDecoderMarkStart
+int32_t nVersion;
+uint256 hashPrevBlock;
+uint256 hashMerkleRoot;
+uint256 hashFinalSaplingRoot;
+uint32_t nTime;
+uint32_t nBits;
+uint256 nNonce;
+std::vector<unsigned char> nSolution;
+_customDecodeHash
+_customDecodeLazyTransactions
+_customDecodeSize
+_customDecodeTransactionIndex
+`)
+ZcashBlockLazy._encodePropertiesDescriptor = ZcashBlock._encodePropertiesDescriptor
+ZcashBlockLazy._customDecoderMarkStart = ZcashBlock._customDecoderMarkStart
+ZcashBlockLazy._customDecodeHash = ZcashBlock._customDecodeHash
+ZcashBlockLazy._customDecodeSize = ZcashBlock._customDecodeSize
+ZcashBlockLazy._customEncodeTransactions = ZcashBlock._customEncodeTransactions
+
+// skip over each transaction to record its position and hash, the transactions themselves are decoded from
+// their recorded position on first access
+ZcashBlockLazy._customDecodeLazyTransactions = function (decoder, properties, state) {
+  const count = decoder.readCompactInt()
+  const index = []
+  const transactions = []
+  for (let i = 0; i < count; i++) {
+    const offset = decoder.currentPosition()
+    decoder.skipType('CTransaction')
+    const size = decoder.currentPosition() - offset
+    if (state.fOverwintered && state.nVersion === 5) {
+      // a v5 (ZIP 244) txid is a digest of the decoded fields, so this one can't be left until later
+      transactions[i] = decoder.decodeSection(offset, size, 'CTransaction')
+      index.push({ offset, size, hash: transactions[i].hash })
+    } else {
+      index.push({ offset, size, hash: sha256d(decoder.absoluteSlice(offset, size)) })
+      defineLazyTransaction(transactions, i, () => decoder.decodeSection(offset, size, 'CTransaction'))
+    }
+  }
+  state.transactionIndex = index
+  properties.push(transactions)
+}
+
+ZcashBlockLazy._customDecodeTransactionIndex = function (decoder, properties, state) {
+  properties.push(state.transactionIndex)
+}
+
+// replaces itself with the decoded transaction on first access
+function defineLazyTransaction (transactions, i, decode) {
+  Object.defineProperty(transactions, i, {
+    enumerable: true,
+    configurable: true,
+    get () {
+      const tx = decode()
+      Object.defineProperty(transactions, i, { value: tx, enumerable: true, configurable: true, writable: true })
+      return tx
+    }
+  })
+}
 
 module.exports = ZcashBlock
 module.exports.ZcashBlockHeaderOnly = ZcashBlockHeaderOnly
+module.exports.ZcashBlockLazy = ZcashBlockLazy
@@ -1,4 +1,5 @@
 const { decodeProperties } = require('./class-utils')
+const encode = require('../encode')
 
 /**
  * A class representation of a property of a Zcash transaction joinsplit proof.
@@ -23,16 +24,50 @@ class ZcashCompressedG1 {
     this.yLsb = yLsb
     this.x = x
   }
+
+  /**
+   * Encode this `ZcashCompressedG1` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashCompressedG1._nativeName = 'CompressedG1'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Proof.hpp#L79
 ZcashCompressedG1._propertiesDescriptor = decodeProperties(`
-bool y_lsb;
+_customDecodeYLsb
+Fq x;
+`)
+ZcashCompressedG1._encodePropertiesDescriptor = decodeProperties(`
+_customEncodeYLsb
 Fq x;
 `)
 
+// the flag is serialized as the low bit of a leading byte that also carries a fixed prefix
+const G1_PREFIX_MASK = 0x02
+
+ZcashCompressedG1._customDecodeYLsb = function (decoder, properties, state) {
+  const leadingByte = decoder.readUInt8()
+  if ((leadingByte & ~1) !== G1_PREFIX_MASK) {
+    throw new Error('lead byte of G1 point not recognized')
+  }
+  properties.push(Boolean(leadingByte & 1))
+}
+
+// the skipping form of the decoder, for ZcashBlock.decodeLazy()
+ZcashCompressedG1._skip = function (decoder, state) {
+  decoder.skip(1)
+  decoder.skipType('Fq')
+}
+
+ZcashCompressedG1._customEncodeYLsb = function (encoder, obj, state) {
+  encoder.writeUInt8(G1_PREFIX_MASK | (obj.yLsb ? 1 : 0))
+}
+
 module.exports = ZcashCompressedG1
@@ -1,4 +1,5 @@
 const { decodeProperties } = require('./class-utils')
+const encode = require('../encode')
 
 /**
  * A class representation of a property of a Zcash transaction joinsplit proof.
@@ -23,16 +24,50 @@ class ZcashCompressedG2 {
     this.yGt = yGt
     this.x = x
   }
+
+  /**
+   * Encode this `ZcashCompressedG2` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashCompressedG2._nativeName = 'CompressedG2'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Proof.hpp#L129
 ZcashCompressedG2._propertiesDescriptor = decodeProperties(`
-bool y_gt;
+_customDecodeYGt
+Fq2 x;
+`)
+ZcashCompressedG2._encodePropertiesDescriptor = decodeProperties(`
+_customEncodeYGt
 Fq2 x;
 `)
 
+// the flag is serialized as the low bit of a leading byte that also carries a fixed prefix
+const G2_PREFIX_MASK = 0x0a
+
+ZcashCompressedG2._customDecodeYGt = function (decoder, properties, state) {
+  const leadingByte = decoder.readUInt8()
+  if ((leadingByte & ~1) !== G2_PREFIX_MASK) {
+    throw new Error('lead byte of G2 point not recognized')
+  }
+  properties.push(Boolean(leadingByte & 1))
+}
+
+// the skipping form of the decoder, for ZcashBlock.decodeLazy()
+ZcashCompressedG2._skip = function (decoder, state) {
+  decoder.skip(1)
+  decoder.skipType('Fq2')
+}
+
+ZcashCompressedG2._customEncodeYGt = function (encoder, obj, state) {
+  encoder.writeUInt8(G2_PREFIX_MASK | (obj.yGt ? 1 : 0))
+}
+
 module.exports = ZcashCompressedG2
@@ -1,11 +1,12 @@
 const { decodeProperties } = require('./class-utils')
+const encode = require('../encode')
 
 /**
  * A class representation of a property of a Zcash transaction joinsplit proof. Used by {@link ZcashCompressedG1}.
  *
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/Fq')`.
  *
- * @property {Uint8Array|Buffer} data - a 256-bit block of data
+ * @property {Uint8Array} data - a 256-bit block of data
  * @class
  */
 class ZcashFq {
@@ -14,21 +15,33 @@ class ZcashFq {
    *
    * See the class properties for expanded information on these parameters.
    *
-   * @param {Uint8Array|Buffer} data
+   * @param {Uint8Array} data
    * @constructs ZcashFq
    */
   constructor (data) {
     this.data = data
   }
+
+  /**
+   * Encode this `ZcashFq` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashFq._nativeName = 'Fq'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Proof.hpp#L13
 ZcashFq._propertiesDescriptor = decodeProperties(`
 base_blob<256> data;
 `)
+ZcashFq._encodePropertiesDescriptor = decodeProperties(`
+base_blob<256> data;
+`)
 
 module.exports = ZcashFq
@@ -0,0 +1,144 @@
+const { toHashHex } = require('./class-utils')
+const encode = require('../encode')
+
+/**
+ * The frontier of a fixed depth Merkle tree of note commitments that is only ever appended to, as zcashd's
+ * `IncrementalMerkleTree`: the leftmost two leaves that aren't yet part of a complete subtree (`left` and
+ * `right`) and, for each level above, the root of the complete subtree to the left of the next leaf where
+ * there is one (`parents`). This is enough to append further leaves and to calculate the root of the tree,
+ * where leaves not yet appended are empty.
+ *
+ * This is the common form of {@link ZcashSproutMerkleTree} and {@link ZcashSaplingMerkleTree}, which supply the
+ * depth and the hash used to combine nodes. The binary form is that of zcashd, as found in the `finalState` of
+ * the Zcash API's `z_gettreestate`.
+ *
+ * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/IncrementalMerkleTree')`.
+ *
+ * @property {Uint8Array|null} left - a 256-bit leaf
+ * @property {Uint8Array|null} right - a 256-bit leaf
+ * @property {Array.<Uint8Array|null>} parents - 256-bit roots of complete subtrees, from the lowest level
+ * @class
+ */
+class ZcashIncrementalMerkleTree {
+  /**
+   * Instantiate a new `ZcashIncrementalMerkleTree`, an empty tree where no parameters are supplied.
+   *
+   * See the class properties for expanded information on these parameters.
+   *
+   * @param {Uint8Array|null} [left]
+   * @param {Uint8Array|null} [right]
+   * @param {Array.<Uint8Array|null>} [parents]
+   * @constructs ZcashIncrementalMerkleTree
+   */
+  constructor (left = null, right = null, parents = []) {
+    this.left = left
+    this.right = right
+    this.parents = parents
+  }
+
+  /**
+   * The number of leaves that have been appended to the tree.
+   *
+   * @returns {number}
+   */
+  size () {
+    return (this.left ? 1 : 0) + (this.right ? 1 : 0) +
+      this.parents.reduce((size, parent, i) => size + (parent ? 2 ** (i + 1) : 0), 0)
+  }
+
+  /**
+   * Append a leaf to the tree, modifying this tree. An `Error` is thrown if the tree is full.
+   *
+   * @param {Uint8Array} leaf - a 256-bit note commitment
+   */
+  append (leaf) {
+    const { depth } = this.constructor
+    if (this.size() === 2 ** depth) {
+      throw new Error('Tree is full')
+    }
+    if (!this.left) {
+      this.left = leaf
+    } else if (!this.right) {
+      this.right = leaf
+    } else {
+      // the leaves complete a subtree that carries up through the parents like a binary counter
+      let combined = this.constructor.combine(this.left, this.right, 0)
+      this.left = leaf
+      this.right = null
+      for (let i = 0; i < this.parents.length; i++) {
+        if (!this.parents[i]) {
+          this.parents[i] = combined
+          return
+        }
+        combined = this.constructor.combine(this.parents[i], combined, i + 1)
+        this.parents[i] = null
+      }
+      this.parents.push(combined)
+    }
+  }
+
+  /**
+   * Calculate the root of the tree, where the leaves that have not been appended are empty.
+   *
+   * @returns {Uint8Array} a 256-bit root
+   */
+  root () {
+    const { depth, combine } = this.constructor
+    const empty = (level) => this.constructor.emptyRoot(level)
+    let root = combine(this.left || empty(0), this.right || empty(0), 0)
+    let level = 1
+    for (const parent of this.parents) {
+      root = parent ? combine(parent, root, level) : combine(root, empty(level), level)
+      level++
+    }
+    for (; level < depth; level++) {
+      root = combine(root, empty(level), level)
+    }
+    return root
+  }
+
+  /**
+   * Create a copy of this tree, which can be appended to without modifying this tree.
+   *
+   * @returns {ZcashIncrementalMerkleTree}
+   */
+  clone () {
+    return new this.constructor(this.left, this.right, this.parents.slice())
+  }
+
+  /**
+   * Convert to a serializable form that has nice stringified hashes and other simplified forms. May be
+   * useful for simplified inspection.
+   */
+  toJSON () {
+    const hex = (node) => node ? toHashHex(node) : null
+    return {
+      size: this.size(),
+      left: hex(this.left),
+      right: hex(this.right),
+      parents: this.parents.map(hex)
+    }
+  }
+
+  /**
+   * Encode this tree into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
+
+  // The root of an empty subtree at `level`, cached per tree type. Level 0 is an empty leaf.
+  static emptyRoot (level) {
+    if (!Object.prototype.hasOwnProperty.call(this, '_emptyRoots')) {
+      this._emptyRoots = [this.emptyLeaf]
+    }
+    for (let i = this._emptyRoots.length; i <= level; i++) {
+      this._emptyRoots.push(this.combine(this._emptyRoots[i - 1], this._emptyRoots[i - 1], i - 1))
+    }
+    return this._emptyRoots[level]
+  }
+}
+
+module.exports = ZcashIncrementalMerkleTree
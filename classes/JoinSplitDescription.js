@@ -1,4 +1,6 @@
-const { decodeProperties } = require('./class-utils')
+const { decodeProperties, toHashHex, amountToCoins } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
 
 const SAPLING_TX_VERSION = 4
 
@@ -7,16 +9,16 @@ const SAPLING_TX_VERSION = 4
  *
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/JoinSplitDescription')`.
  *
- * @property {BigInt} vpubOld - a representation of an amount / value
- * @property {BigInt} vpubNew - a representation of an amount / value
- * @property {Uint8Array|Buffer} anchor - a 256-bit hash anchoring the joinsplit's position in the commitment tree
- * @property {Array.<Uint8Array>|Array.<Buffer>} nullifiers - two 256-bit blocks derived from secrets in the note
- * @property {Array.<Uint8Array>|Array.<Buffer>} commitments - two 256-bit blocks representing the spend commitments
- * @property {Uint8Array|Buffer} ephemeralKey - a 256-bit hash
- * @property {Uint8Array|Buffer} randomSeed - - a 256-bit block
- * @property {Array.<Uint8Array>|Array.<Buffer>} macs - two 256-bit hashes required to verify this joinsplit
- * @property {Uint8Array|Buffer|PHGRProof} sproutProof - either a GrothProof encoded directly as 192 bytes of binary data or a decoded {@link PHGRProof}, depending on the block version.
- * @property {Uint8Array|Buffer} ciphertexts - two ciphertexts of 601 bytes each which encode trapdoors, values and other information that the recipient needs, including a memo field.
+ * @property {BigInt} vpubOld - the amount, in zatoshis, entering the JoinSplit from the transparent value pool
+ * @property {BigInt} vpubNew - the amount, in zatoshis, leaving the JoinSplit to the transparent value pool
+ * @property {Uint8Array} anchor - a 256-bit hash anchoring the joinsplit's position in the commitment tree
+ * @property {Array.<Uint8Array>} nullifiers - two 256-bit blocks derived from secrets in the note
+ * @property {Array.<Uint8Array>} commitments - two 256-bit blocks representing the spend commitments
+ * @property {Uint8Array} ephemeralKey - a 256-bit hash
+ * @property {Uint8Array} randomSeed - - a 256-bit block
+ * @property {Array.<Uint8Array>} macs - two 256-bit hashes required to verify this joinsplit
+ * @property {Uint8Array|PHGRProof} sproutProof - either a GrothProof encoded directly as 192 bytes of binary data or a decoded {@link PHGRProof}, depending on the block version.
+ * @property {Uint8Array} ciphertexts - two ciphertexts of 601 bytes each which encode trapdoors, values and other information that the recipient needs, including a memo field.
  * @class
  */
 class ZcashJoinSplitDescription {
@@ -27,14 +29,14 @@ class ZcashJoinSplitDescription {
    *
    * @param {BigInt} vpubOld
    * @param {BigInt} vpubNew
-   * @param {Uint8Array|Buffer} anchor
-   * @param {Array.<Uint8Array>|Array.<Buffer>} nullifiers
-   * @param {Array.<Uint8Array>|Array.<Buffer>} commitments
-   * @param {Uint8Array|Buffer} ephemeralKey
-   * @param {Uint8Array|Buffer} randomSeed
-   * @param {Array.<Uint8Array>|Array.<Buffer>} macs
-   * @param {Uint8Array|Buffer|PHGRProof} sproutProof
-   * @param {Uint8Array|Buffer} ciphertexts
+   * @param {Uint8Array} anchor
+   * @param {Array.<Uint8Array>} nullifiers
+   * @param {Array.<Uint8Array>} commitments
+   * @param {Uint8Array} ephemeralKey
+   * @param {Uint8Array} randomSeed
+   * @param {Array.<Uint8Array>} macs
+   * @param {Uint8Array|PHGRProof} sproutProof
+   * @param {Uint8Array} ciphertexts
    * @constructs ZcashJoinSplitDescription
    */
   constructor (vpubOld, vpubNew, anchor, nullifiers, commitments, ephemeralKey, randomSeed, macs, sproutProof, ciphertexts) {
@@ -60,10 +62,41 @@ class ZcashJoinSplitDescription {
       vpubNew: Number(this.vpubNew)
     })
   }
+
+  /**
+   * Convert to the verbose form of a `vjoinsplit` entry in the Zcash API's `getrawtransaction` (with
+   * `verbose=1`) and `getblock` (with `verbosity=2`) output.
+   */
+  toVerboseJSON () {
+    const proof = this.sproutProof instanceof Uint8Array ? this.sproutProof : this.sproutProof.encode()
+    return {
+      vpub_old: amountToCoins(this.vpubOld),
+      vpub_oldZat: Number(this.vpubOld),
+      vpub_new: amountToCoins(this.vpubNew),
+      vpub_newZat: Number(this.vpubNew),
+      anchor: toHashHex(this.anchor),
+      nullifiers: this.nullifiers.map(toHashHex),
+      commitments: this.commitments.map(toHashHex),
+      onetimePubKey: toHashHex(this.ephemeralKey),
+      randomSeed: toHashHex(this.randomSeed),
+      macs: this.macs.map(toHashHex),
+      proof: toHex(proof),
+      ciphertexts: this.ciphertexts.map((ciphertext) => toHex(ciphertext))
+    }
+  }
+
+  /**
+   * Encode this `ZcashJoinSplitDescription` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashJoinSplitDescription._nativeName = 'JSDescription'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L179
@@ -112,18 +145,46 @@ _customDecodeSproutProof
 // is encrypted using the scheme implemented in crypto/NoteEncryption.cpp
 std::array<ZCNoteEncryption::Ciphertext, 2> ciphertexts
 `)
+ZcashJoinSplitDescription._encodePropertiesDescriptor = decodeProperties(`
+CAmount vpubOld;
+CAmount vpubNew;
+uint256 anchor;
+std::array<uint256, 2> nullifiers;
+std::array<uint256, 2> commitments;
+uint256 ephemeralKey;
+uint256 randomSeed;
+std::array<uint256, 2> macs;
+_customEncodeSproutProof
+std::array<ZCNoteEncryption::Ciphertext, 2> ciphertexts;
+`)
 
 // libzcash::SproutProof is a boost::variant<PHGRProof, GrothProof> (boost::varint is a union container)
 // custom serialization occurs @ https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L276-L286
 // and https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L166-L177
 // typedef std::array<unsigned char, GROTH_PROOF_SIZE> GrothProof;
 ZcashJoinSplitDescription._customDecodeSproutProof = function (decoder, properties, state) {
+  properties.push(decoder.readType(sproutProofType(state)))
+}
+
+// if useGroth, unserialize as libzcash::GrothProof, otherwise as libzcash::PHGRProof
+function sproutProofType (state) {
   const useGroth = state.fOverwintered && state.nVersion >= SAPLING_TX_VERSION
-  // if useGroth, unserialize as libzcash::GrothProof, otherwise as libzcash::PHGRProof
-  if (useGroth) {
-    properties.push(decoder.readType('libzcash::GrothProof'))
+  return useGroth ? 'libzcash::GrothProof' : 'PHGRProof'
+}
+
+// the skipping form of the decoder, for ZcashBlock.decodeLazy()
+ZcashJoinSplitDescription._skip = function (decoder, state) {
+  for (const { type } of ZcashJoinSplitDescription._propertiesDescriptor) {
+    decoder.skipType(type === '_customDecodeSproutProof' ? sproutProofType(state) : type)
+  }
+}
+
+// a decoded GrothProof is a plain byte array while a PHGRProof is decoded into its own class
+ZcashJoinSplitDescription._customEncodeSproutProof = function (encoder, obj, state) {
+  if (obj.sproutProof instanceof Uint8Array) {
+    encoder.writeType('libzcash::GrothProof', obj.sproutProof)
   } else {
-    properties.push(decoder.readType('PHGRProof'))
+    encoder.writeType('PHGRProof', obj.sproutProof)
   }
 }
 
@@ -0,0 +1,107 @@
+const { decodeProperties, toHashHex } = require('./class-utils')
+const { toHex, equals } = require('../bytes')
+const encode = require('../encode')
+const merkle = require('../merkle')
+
+/**
+ * A class representation of a Zcash `CMerkleBlock`, a block header with a partial Merkle tree proving the
+ * inclusion of one or more transactions in the block. This is the form returned by the Zcash API's
+ * `gettxoutproof` and can be decoded with {@link ZcashBlock.decodeMerkleBlock()} or created from a full block
+ * with {@link ZcashBlock#merkleBlock}.
+ *
+ * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/MerkleBlock')`.
+ *
+ * @property {ZcashBlock} header - the block header, without transactions
+ * @property {number} transactionCount - the total number of transactions in the block
+ * @property {Array.<Uint8Array>} hashes - the hashes of the partial Merkle tree, in depth-first order
+ * @property {Uint8Array} flags - the packed flag bits describing the shape of the partial Merkle tree
+ * @class
+ */
+class ZcashMerkleBlock {
+  /**
+   * Instantiate a new `ZcashMerkleBlock`.
+   *
+   * See the class properties for expanded information on these parameters.
+   *
+   * @param {ZcashBlock} header
+   * @param {number} transactionCount
+   * @param {Array.<Uint8Array>} hashes
+   * @param {Uint8Array} flags
+   * @constructs ZcashMerkleBlock
+   */
+  constructor (header, transactionCount, hashes, flags) {
+    this.header = header
+    this.transactionCount = transactionCount
+    this.hashes = hashes
+    this.flags = flags
+  }
+
+  /**
+   * Walk the partial Merkle tree to find the transactions it proves inclusion of. The Merkle root calculated
+   * from the tree is checked against the `merkleroot` in the header; an `Error` is thrown if they don't match
+   * or the tree is malformed.
+   *
+   * @returns {Array.<object>} an array of `{ hash, index }` objects for each matched transaction, where `hash` is
+   * the transaction hash (txid) and `index` is its position in the block
+   */
+  extractMatches () {
+    const { root, matches } = merkle.extractPartialTree(this.transactionCount, this.hashes, this.flags)
+    if (!equals(root, this.header.merkleroot)) {
+      throw new Error('Partial Merkle tree root does not match the block header')
+    }
+    return matches
+  }
+
+  /**
+   * Convert to a serializable form that has nice stringified hashes and other simplified forms. May be
+   * useful for simplified inspection.
+   */
+  toJSON () {
+    return {
+      header: this.header.toJSON(),
+      transactionCount: this.transactionCount,
+      hashes: this.hashes.map(toHashHex),
+      flags: toHex(this.flags)
+    }
+  }
+
+  /**
+   * Convert to a serializable form that has nice stringified hashes and other simplified forms. May be
+   * useful for simplified inspection.
+   */
+  toSerializable () {
+    return this.toJSON()
+  }
+
+  /**
+   * Encode this `ZcashMerkleBlock` into its raw binary form, the inverse of
+   * {@link ZcashBlock.decodeMerkleBlock()}.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
+}
+
+// -------------------------------------------------------------------------------------------------------
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
+
+ZcashMerkleBlock._nativeName = 'CMerkleBlock'
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/merkleblock.h#L127
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/merkleblock.h#L84
+// CPartialMerkleTree is flattened into this class, with its vBits packed into vBytes
+ZcashMerkleBlock._propertiesDescriptor = decodeProperties(`
+CBlockHeader__Only header;
+uint32_t nTransactions;
+std::vector<uint256> vHash;
+std::vector<unsigned char> vBytes;
+`)
+ZcashMerkleBlock._encodePropertiesDescriptor = decodeProperties(`
+CBlockHeader__Only header;
+uint32_t transactionCount;
+std::vector<uint256> hashes;
+std::vector<unsigned char> flags;
+`)
+
+module.exports = ZcashMerkleBlock
@@ -0,0 +1,102 @@
+const { decodeProperties, toHashHex } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
+
+/**
+ * A class representation of a Zcash Orchard action description, multiple of which may be contained within the
+ * {@link ZcashOrchardBundle} of a v5 (NU5) transaction. Each action both spends an input note and creates an
+ * output note.
+ *
+ * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/OrchardAction')`.
+ *
+ * @property {Uint8Array} cv - a 256-bit value commitment to the net value of the input note minus the output note
+ * @property {Uint8Array} nullifier - a 256-bit nullifier of the input note
+ * @property {Uint8Array} rk - a 256-bit randomized validating key for spendAuthSig
+ * @property {Uint8Array} cmx - a 256-bit x-coordinate of the note commitment for the output note
+ * @property {Uint8Array} ephemeralKey - a 256-bit encoding of an ephemeral Pallas public key
+ * @property {Uint8Array} encCiphertext - a 580 byte ciphertext component for the encrypted output note
+ * @property {Uint8Array} outCiphertext - a 80 byte ciphertext component for the encrypted output note
+ * @property {Uint8Array} spendAuthSig - a 512-bit signature authorizing the spend of the input note,
+ * serialized separately to the action as part of the {@link ZcashOrchardBundle}
+ * @class
+ */
+class ZcashOrchardAction {
+  /**
+   * Instantiate a new `ZcashOrchardAction`.
+   *
+   * See the class properties for expanded information on these parameters.
+   *
+   * @param {Uint8Array} cv
+   * @param {Uint8Array} nullifier
+   * @param {Uint8Array} rk
+   * @param {Uint8Array} cmx
+   * @param {Uint8Array} ephemeralKey
+   * @param {Uint8Array} encCiphertext
+   * @param {Uint8Array} outCiphertext
+   * @param {Uint8Array} spendAuthSig
+   * @constructs ZcashOrchardAction
+   */
+  constructor (cv, nullifier, rk, cmx, ephemeralKey, encCiphertext, outCiphertext, spendAuthSig) {
+    this.cv = cv
+    this.nullifier = nullifier
+    this.rk = rk
+    this.cmx = cmx
+    this.ephemeralKey = ephemeralKey
+    this.encCiphertext = encCiphertext
+    this.outCiphertext = outCiphertext
+    this.spendAuthSig = spendAuthSig
+  }
+
+  /**
+   * Convert to a serializable form that has nice stringified hashes and other simplified forms. May be
+   * useful for simplified inspection.
+   */
+  toJSON () {
+    return {
+      cv: toHashHex(this.cv),
+      nullifier: toHashHex(this.nullifier),
+      rk: toHashHex(this.rk),
+      cmx: toHashHex(this.cmx),
+      ephemeralKey: toHashHex(this.ephemeralKey),
+      encCiphertext: toHex(this.encCiphertext),
+      outCiphertext: toHex(this.outCiphertext),
+      spendAuthSig: this.spendAuthSig ? toHex(this.spendAuthSig) : undefined
+    }
+  }
+
+  /**
+   * Encode this `ZcashOrchardAction` into its raw binary form, the inverse of decoding. The `spendAuthSig` is
+   * not included as it is encoded as part of the {@link ZcashOrchardBundle}.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
+}
+
+// -------------------------------------------------------------------------------------------------------
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
+
+ZcashOrchardAction._nativeName = 'OrchardAction'
+// https://zips.z.cash/zip-0225#orchard-action-description-orchardaction
+ZcashOrchardAction._propertiesDescriptor = decodeProperties(`
+uint256 cv;                     //!< A value commitment to the net value of the input note minus the output note.
+uint256 nullifier;              //!< The nullifier of the input note.
+uint256 rk;                     //!< The randomized validating key for spendAuthSig.
+uint256 cmx;                    //!< The x-coordinate of the note commitment for the output note.
+uint256 ephemeralKey;           //!< An encoding of an ephemeral Pallas public key.
+libzcash::SaplingEncCiphertext encCiphertext; //!< A ciphertext component for the encrypted output note.
+libzcash::SaplingOutCiphertext outCiphertext; //!< A ciphertext component for the encrypted output note.
+`)
+ZcashOrchardAction._encodePropertiesDescriptor = decodeProperties(`
+uint256 cv;
+uint256 nullifier;
+uint256 rk;
+uint256 cmx;
+uint256 ephemeralKey;
+libzcash::SaplingEncCiphertext encCiphertext;
+libzcash::SaplingOutCiphertext outCiphertext;
+`)
+
+module.exports = ZcashOrchardAction
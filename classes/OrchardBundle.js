@@ -0,0 +1,148 @@
+/* global BigInt */
+
+const { decodeProperties, toHashHex, amountToCoins } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
+
+const FLAG_ENABLE_SPENDS = 0x01
+const FLAG_ENABLE_OUTPUTS = 0x02
+
+/**
+ * A class representation of the Orchard bundle of a v5 (NU5) Zcash transaction. A bundle with no `actions`
+ * has no other fields present in its binary form; `flags` and `valueBalance` will be zero and the remaining
+ * properties will be `null`.
+ *
+ * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/OrchardBundle')`.
+ *
+ * @property {Array.<ZcashOrchardAction>} actions
+ * @property {number} flags - a bit field, see `enableSpends` and `enableOutputs`
+ * @property {boolean} enableSpends - whether spends are enabled for this bundle (calculated from `flags`)
+ * @property {boolean} enableOutputs - whether outputs are enabled for this bundle (calculated from `flags`)
+ * @property {BigInt} valueBalance - the net value of Orchard spends minus outputs, in zatoshis
+ * @property {Uint8Array|null} anchor - a 256-bit root of the Orchard note commitment tree at some block height in the past
+ * @property {Uint8Array|null} proof - an aggregated Halo2 zero-knowledge proof covering all of the actions
+ * @property {Uint8Array|null} bindingSig - a 512-bit Orchard binding signature
+ * @class
+ */
+class ZcashOrchardBundle {
+  /**
+   * Instantiate a new `ZcashOrchardBundle`.
+   *
+   * See the class properties for expanded information on these parameters.
+   *
+   * @param {Array.<ZcashOrchardAction>} actions
+   * @param {number} flags
+   * @param {BigInt} valueBalance
+   * @param {Uint8Array|null} anchor
+   * @param {Uint8Array|null} proof
+   * @param {Uint8Array|null} bindingSig
+   * @constructs ZcashOrchardBundle
+   */
+  constructor (actions, flags, valueBalance, anchor, proof, bindingSig) {
+    this.actions = actions
+    this.flags = flags
+    this.valueBalance = valueBalance
+    this.anchor = anchor
+    this.proof = proof
+    this.bindingSig = bindingSig
+  }
+
+  get enableSpends () {
+    return (this.flags & FLAG_ENABLE_SPENDS) !== 0
+  }
+
+  get enableOutputs () {
+    return (this.flags & FLAG_ENABLE_OUTPUTS) !== 0
+  }
+
+  /**
+   * Convert to a serializable form that has nice stringified hashes and other simplified forms. May be
+   * useful for simplified inspection.
+   *
+   * The serialized form matches the `orchard` property of the Zcash API's verbose transaction output.
+   */
+  toJSON () {
+    const obj = {
+      actions: this.actions.map((action) => action.toJSON()),
+      valueBalance: amountToCoins(this.valueBalance),
+      valueBalanceZat: Number(this.valueBalance)
+    }
+    if (this.actions.length) {
+      obj.flags = {
+        enableSpends: this.enableSpends,
+        enableOutputs: this.enableOutputs
+      }
+      obj.anchor = toHashHex(this.anchor)
+      obj.proof = toHex(this.proof)
+      obj.bindingSig = toHex(this.bindingSig)
+    }
+    return obj
+  }
+
+  /**
+   * Encode this `ZcashOrchardBundle` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
+}
+
+// -------------------------------------------------------------------------------------------------------
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
+
+ZcashOrchardBundle._nativeName = 'OrchardBundle'
+// https://zips.z.cash/zip-0225#transaction-format
+ZcashOrchardBundle._propertiesDescriptor = decodeProperties(`
+std::vector<OrchardAction> vActionsOrchard;
+_customDecodeBundleFields
+`)
+ZcashOrchardBundle._encodePropertiesDescriptor = decodeProperties(`
+std::vector<OrchardAction> actions;
+_customEncodeBundleFields
+`)
+
+// everything after the actions is only present if there is at least one action, the spendAuthSig for each
+// action is stored separately to the action itself
+ZcashOrchardBundle._customDecodeBundleFields = function (decoder, properties, state) {
+  const actions = properties[0]
+  let flags = 0
+  let valueBalance = BigInt(0)
+  let anchor = null
+  let proof = null
+  let bindingSig = null
+  if (actions.length > 0) {
+    flags = decoder.readUInt8()
+    if ((flags & ~(FLAG_ENABLE_SPENDS | FLAG_ENABLE_OUTPUTS)) !== 0) {
+      throw new Error('Unknown Orchard flags')
+    }
+    valueBalance = decoder.readType('CAmount')
+    anchor = decoder.readType('uint256')
+    proof = decoder.readType('std::vector<unsigned char>')
+    for (const action of actions) {
+      action.spendAuthSig = decoder.readType('spend_auth_sig_t')
+    }
+    bindingSig = decoder.readType('binding_sig_t')
+  }
+  properties.push(flags)
+  properties.push(valueBalance)
+  properties.push(anchor)
+  properties.push(proof)
+  properties.push(bindingSig)
+}
+
+ZcashOrchardBundle._customEncodeBundleFields = function (encoder, obj, state) {
+  if (obj.actions.length > 0) {
+    encoder.writeUInt8(obj.flags)
+    encoder.writeType('CAmount', obj.valueBalance)
+    encoder.writeType('uint256', obj.anchor)
+    encoder.writeType('std::vector<unsigned char>', obj.proof)
+    for (const action of obj.actions) {
+      encoder.writeType('spend_auth_sig_t', action.spendAuthSig)
+    }
+    encoder.writeType('binding_sig_t', obj.bindingSig)
+  }
+}
+
+module.exports = ZcashOrchardBundle
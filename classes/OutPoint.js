@@ -1,11 +1,12 @@
 const { decodeProperties, toHashHex } = require('./class-utils')
+const encode = require('../encode')
 
 /**
  * A class representation of a Zcash OutPoint for a {@link ZcashTransactionIn}.
  *
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/OutPoint')`.
  *
- * @property {Uint8Array|Buffer} hash
+ * @property {Uint8Array} hash
  * @property {number} n
  * @class
  */
@@ -15,7 +16,7 @@ class ZcashOutPoint {
    *
    * See the class properties for expanded information on these parameters.
    *
-   * @property {Uint8Array|Buffer} hash
+   * @property {Uint8Array} hash
    * @property {number} n
    * @constructs ZcashOutPoint
    */
@@ -33,10 +34,29 @@ class ZcashOutPoint {
       hash: toHashHex(this.hash)
     })
   }
+
+  /**
+   * Determine whether this is a null outpoint, referring to no previous output, as used by the single input
+   * of a coinbase transaction.
+   *
+   * @returns {boolean}
+   */
+  isNull () {
+    return this.n === 0xffffffff && this.hash.every((b) => b === 0)
+  }
+
+  /**
+   * Encode this `ZcashOutPoint` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashOutPoint._nativeName = 'COutPoint'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L312
@@ -44,5 +64,9 @@ ZcashOutPoint._propertiesDescriptor = decodeProperties(`
 uint256 hash;
 uint32_t n;
 `)
+ZcashOutPoint._encodePropertiesDescriptor = decodeProperties(`
+uint256 hash;
+uint32_t n;
+`)
 
 module.exports = ZcashOutPoint
@@ -1,16 +1,19 @@
 const { decodeProperties, toHashHex } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
+const noteEncryption = require('../note-encryption')
 
 /**
  * A class representation of a Zcash output description.
  *
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/OutputDescription')`.
  *
- * @property {Uint8Array|Buffer} cv - a 256-bit block representing the value commitment
- * @property {Uint8Array|Buffer} cm - a 256-bit block representing the note commitment for the output note
- * @property {Uint8Array|Buffer} ephemeralKey - a 256-bit Jubjub public key
- * @property {Uint8Array|Buffer} encCiphertext - a 580 byte ciphertext component for the encrypted output note
- * @property {Uint8Array|Buffer} outCiphertext - a 80 byte ciphertext component for the encrypted output note
- * @property {Uint8Array|Buffer} zkproof - a GrothProof encoded directly as 192 bytes of binary data
+ * @property {Uint8Array} cv - a 256-bit block representing the value commitment
+ * @property {Uint8Array} cm - a 256-bit block representing the note commitment for the output note
+ * @property {Uint8Array} ephemeralKey - a 256-bit Jubjub public key
+ * @property {Uint8Array} encCiphertext - a 580 byte ciphertext component for the encrypted output note
+ * @property {Uint8Array} outCiphertext - a 80 byte ciphertext component for the encrypted output note
+ * @property {Uint8Array} zkproof - a GrothProof encoded directly as 192 bytes of binary data
  * @class
  */
 class ZcashOutputDescription {
@@ -19,12 +22,12 @@ class ZcashOutputDescription {
    *
    * See the class properties for expanded information on these parameters.
    *
-   * @param {Uint8Array|Buffer} cv
-   * @param {Uint8Array|Buffer} cm
-   * @param {Uint8Array|Buffer} ephemeralKey
-   * @param {Uint8Array|Buffer} encCiphertext
-   * @param {Uint8Array|Buffer} outCiphertext
-   * @param {Uint8Array|Buffer} zkproof
+   * @param {Uint8Array} cv
+   * @param {Uint8Array} cm
+   * @param {Uint8Array} ephemeralKey
+   * @param {Uint8Array} encCiphertext
+   * @param {Uint8Array} outCiphertext
+   * @param {Uint8Array} zkproof
    * @constructs ZcashOutputDescription
    */
   constructor (cv, cm, ephemeralKey, encCiphertext, outCiphertext, zkproof) {
@@ -45,15 +48,81 @@ class ZcashOutputDescription {
       cv: toHashHex(this.cv),
       cm: toHashHex(this.cm),
       ephemeralKey: toHashHex(this.ephemeralKey),
-      encCiphertext: this.encCiphertext.toString('hex'),
-      outCiphertext: this.outCiphertext.toString('hex'),
-      zkproof: this.zkproof.toString('hex')
+      encCiphertext: toHex(this.encCiphertext),
+      outCiphertext: toHex(this.outCiphertext),
+      zkproof: toHex(this.zkproof)
     }
   }
+
+  /**
+   * Convert to the verbose form of a `vShieldedOutput` entry in the Zcash API's `getrawtransaction` (with
+   * `verbose=1`) and `getblock` (with `verbosity=2`) output.
+   */
+  toVerboseJSON () {
+    return {
+      cv: toHashHex(this.cv),
+      cmu: toHashHex(this.cm),
+      ephemeralKey: toHashHex(this.ephemeralKey),
+      encCiphertext: toHex(this.encCiphertext),
+      outCiphertext: toHex(this.outCiphertext),
+      proof: toHex(this.zkproof)
+    }
+  }
+
+  /**
+   * Trial decrypt this output's `encCiphertext` with a Sapling incoming viewing key, as a wallet does to find the
+   * notes sent to its addresses. The note plaintext is decrypted with ChaCha20-Poly1305 under a key agreed with
+   * `ephemeralKey`, then accepted only where the note commitment of the note and the address derived from `ivk`
+   * and the note's diversifier is `cm`.
+   *
+   * Returns `null` where the output isn't for this key, otherwise the note, of the form
+   * `{ leadByte, diversifier, value, rseed, rcm, memo, pkD }` where `value` is a BigInt in zatoshis and the rest
+   * are `Uint8Array`s, other than `leadByte`. `rseed` is `null` for a note from before ZIP 212 (lead byte `0x01`),
+   * which carries `rcm` directly. `diversifier` and `pkD` together form the receiving address.
+   *
+   * Where `height` is supplied, notes must use the lead byte ZIP 212 requires at that height on `network`, either
+   * lead byte is accepted otherwise.
+   *
+   * @param {Uint8Array} ivk - a 32-byte incoming viewing key, a little-endian scalar
+   * @param {number} [height] - the height of the block containing this output
+   * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+   * @returns {object|null}
+   */
+  tryDecrypt (ivk, height, network = 'main') {
+    return noteEncryption.tryDecrypt(this, ivk, height, network)
+  }
+
+  /**
+   * Recover the note of this output with the Sapling outgoing viewing key of its sender, as a wallet does to
+   * show what it sent. `outCiphertext` is decrypted with a key derived from `ovk`, `cv`, `cm` and `ephemeralKey`
+   * to give the recipient's `pkD` and the sender's ephemeral secret key, which agree the key for `encCiphertext`.
+   * The note is accepted only where `ephemeralKey` derives from the ephemeral secret key and the note commitment
+   * is `cm`.
+   *
+   * Returns `null` where the output wasn't sent with this key, otherwise the note in the same form as
+   * {@link ZcashOutputDescription#tryDecrypt}, which also describes `height` and `network`.
+   *
+   * @param {Uint8Array} ovk - a 32-byte outgoing viewing key
+   * @param {number} [height] - the height of the block containing this output
+   * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+   * @returns {object|null}
+   */
+  tryRecoverWithOvk (ovk, height, network = 'main') {
+    return noteEncryption.tryRecoverWithOvk(this, ovk, height, network)
+  }
+
+  /**
+   * Encode this `ZcashOutputDescription` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashOutputDescription._nativeName = 'OutputDescription'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L48
@@ -65,5 +134,13 @@ libzcash::SaplingEncCiphertext encCiphertext; //!< A ciphertext component for th
 libzcash::SaplingOutCiphertext outCiphertext; //!< A ciphertext component for the encrypted output note.
 libzcash::GrothProof zkproof;   //!< A zero-knowledge proof using the output circuit.
 `)
+ZcashOutputDescription._encodePropertiesDescriptor = decodeProperties(`
+uint256 cv;
+uint256 cm;
+uint256 ephemeralKey;
+libzcash::SaplingEncCiphertext encCiphertext;
+libzcash::SaplingOutCiphertext outCiphertext;
+libzcash::GrothProof zkproof;
+`)
 
 module.exports = ZcashOutputDescription
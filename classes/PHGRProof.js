@@ -1,4 +1,5 @@
 const { decodeProperties } = require('./class-utils')
+const encode = require('../encode')
 
 /**
  * A class representation of a Zcash transaction joinsplit proof.
@@ -33,18 +34,27 @@ class ZcashPHGRProof {
    */
   constructor (gA, gAprime, gB, gBprime, gC, gCprime, gK, gH) {
     this.gA = gA
-    this.gA = gAprime
+    this.gAprime = gAprime
     this.gB = gB
-    this.gB = gBprime
+    this.gBprime = gBprime
     this.gC = gC
-    this.gC = gCprime
+    this.gCprime = gCprime
     this.gK = gK
     this.gH = gH
   }
+
+  /**
+   * Encode this `ZcashPHGRProof` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashPHGRProof._nativeName = 'PHGRProof'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Proof.hpp#L181-L188
@@ -58,5 +68,15 @@ CompressedG1 g_C_prime;
 CompressedG1 g_K;
 CompressedG1 g_H;
 `)
+ZcashPHGRProof._encodePropertiesDescriptor = decodeProperties(`
+CompressedG1 gA;
+CompressedG1 gAprime;
+CompressedG2 gB;
+CompressedG1 gBprime;
+CompressedG1 gC;
+CompressedG1 gCprime;
+CompressedG1 gK;
+CompressedG1 gH;
+`)
 
 module.exports = ZcashPHGRProof
@@ -0,0 +1,45 @@
+const { decodeProperties } = require('./class-utils')
+const ZcashIncrementalMerkleTree = require('./IncrementalMerkleTree')
+const sapling = require('../sapling')
+
+/**
+ * The frontier of the Sapling note commitment tree, a {@link ZcashIncrementalMerkleTree} of depth 32 whose
+ * leaves are the `cm` (_cmu_) of each {@link ZcashOutputDescription} in the order they appear in the chain
+ * and whose nodes are combined with a Pedersen hash over the Jubjub curve. The root of the tree after the
+ * outputs of a block have been appended is the block's `finalsaplingroot`, see
+ * {@link ZcashBlock#computeSaplingTree}.
+ *
+ * Can be decoded from the `sapling.commitments.finalState` of the Zcash API's `z_gettreestate` with
+ * {@link ZcashBlock.decodeSaplingTree()}, and created empty with `new ZcashSaplingMerkleTree()`.
+ *
+ * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/SaplingMerkleTree')`.
+ *
+ * @property {Uint8Array|null} left - a 256-bit leaf
+ * @property {Uint8Array|null} right - a 256-bit leaf
+ * @property {Array.<Uint8Array|null>} parents - 256-bit roots of complete subtrees, from the lowest level
+ * @class
+ */
+class ZcashSaplingMerkleTree extends ZcashIncrementalMerkleTree {}
+
+// https://github.com/zcash/zcash/blob/v6.0.0/src/zcash/Zcash.h SAPLING_INCREMENTAL_MERKLE_TREE_DEPTH
+ZcashSaplingMerkleTree.depth = 32
+ZcashSaplingMerkleTree.emptyLeaf = sapling.UNCOMMITTED
+ZcashSaplingMerkleTree.combine = (left, right, level) => sapling.merkleHash(level, left, right)
+
+// -------------------------------------------------------------------------------------------------------
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
+
+ZcashSaplingMerkleTree._nativeName = 'SaplingMerkleTree'
+// https://github.com/zcash/zcash/blob/v6.0.0/src/zcash/IncrementalMerkleTree.hpp
+ZcashSaplingMerkleTree._propertiesDescriptor = decodeProperties(`
+std::optional<uint256> left;
+std::optional<uint256> right;
+std::vector<std::optional<uint256>> parents;
+`)
+ZcashSaplingMerkleTree._encodePropertiesDescriptor = decodeProperties(`
+std::optional<uint256> left;
+std::optional<uint256> right;
+std::vector<std::optional<uint256>> parents;
+`)
+
+module.exports = ZcashSaplingMerkleTree
@@ -1,16 +1,18 @@
 const { decodeProperties, toHashHex } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
 
 /**
  * A class representation of a Zcash spend description.
  *
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/SpendDescription')`.
  *
- * @property {Uint8Array|Buffer} cv - a 256-bit value commitment to the value of the input note
- * @property {Uint8Array|Buffer} anchor - a 256-bit Merkle root of the Sapling note commitment tree at some block height in the past
- * @property {Uint8Array|Buffer} nullifier - a 256-bit nullifier of the input note
- * @property {Uint8Array|Buffer} rk - a 256-bit randomized public key for spendAuthSig
- * @property {Uint8Array|Buffer} zkproof - a GrothProof encoded directly as 192 bytes of binary data
- * @property {Uint8Array|Buffer} spendAuthSig - a 512-bit signature authorizing this spend
+ * @property {Uint8Array} cv - a 256-bit value commitment to the value of the input note
+ * @property {Uint8Array} anchor - a 256-bit Merkle root of the Sapling note commitment tree at some block height in the past
+ * @property {Uint8Array} nullifier - a 256-bit nullifier of the input note
+ * @property {Uint8Array} rk - a 256-bit randomized public key for spendAuthSig
+ * @property {Uint8Array} zkproof - a GrothProof encoded directly as 192 bytes of binary data
+ * @property {Uint8Array} spendAuthSig - a 512-bit signature authorizing this spend
  * @class
  */
 class ZcashSpendDescription {
@@ -19,12 +21,12 @@ class ZcashSpendDescription {
    *
    * See the class properties for expanded information on these parameters.
    *
-   * @param {Uint8Array|Buffer} cv
-   * @param {Uint8Array|Buffer} anchor
-   * @param {Uint8Array|Buffer} nullifier
-   * @param {Uint8Array|Buffer} rk
-   * @param {Uint8Array|Buffer} zkproof
-   * @param {Uint8Array|Buffer} spendAuthSig
+   * @param {Uint8Array} cv
+   * @param {Uint8Array} anchor
+   * @param {Uint8Array} nullifier
+   * @param {Uint8Array} rk
+   * @param {Uint8Array} zkproof
+   * @param {Uint8Array} spendAuthSig
    * @constructs ZcashSpendDescription
    */
   constructor (cv, anchor, nullifier, rk, zkproof, spendAuthSig) {
@@ -46,14 +48,38 @@ class ZcashSpendDescription {
       anchor: toHashHex(this.anchor),
       nullifier: toHashHex(this.nullifier),
       rk: toHashHex(this.rk),
-      zkproof: this.zkproof.toString('hex'),
-      spendAuthSig: this.spendAuthSig.toString('hex')
+      zkproof: toHex(this.zkproof),
+      spendAuthSig: toHex(this.spendAuthSig)
     }
   }
+
+  /**
+   * Convert to the verbose form of a `vShieldedSpend` entry in the Zcash API's `getrawtransaction` (with
+   * `verbose=1`) and `getblock` (with `verbosity=2`) output.
+   */
+  toVerboseJSON () {
+    return {
+      cv: toHashHex(this.cv),
+      anchor: toHashHex(this.anchor),
+      nullifier: toHashHex(this.nullifier),
+      rk: toHashHex(this.rk),
+      proof: toHex(this.zkproof),
+      spendAuthSig: toHex(this.spendAuthSig)
+    }
+  }
+
+  /**
+   * Encode this `ZcashSpendDescription` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashSpendDescription._nativeName = 'SpendDescription'
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L48
@@ -65,5 +91,13 @@ uint256 rk;                    //!< The randomized public key for spendAuthSig.
 libzcash::GrothProof zkproof;  //!< A zero-knowledge proof using the spend circuit.
 spend_auth_sig_t spendAuthSig; //!< A signature authorizing this spend.
 `)
+ZcashSpendDescription._encodePropertiesDescriptor = decodeProperties(`
+uint256 cv;
+uint256 anchor;
+uint256 nullifier;
+uint256 rk;
+libzcash::GrothProof zkproof;
+spend_auth_sig_t spendAuthSig;
+`)
 
 module.exports = ZcashSpendDescription
@@ -0,0 +1,47 @@
+const { decodeProperties } = require('./class-utils')
+const ZcashIncrementalMerkleTree = require('./IncrementalMerkleTree')
+const { sha256Compress } = require('../hashes')
+const { alloc, concat } = require('../bytes')
+
+/**
+ * The frontier of the Sprout note commitment tree, a {@link ZcashIncrementalMerkleTree} of depth 29 whose
+ * leaves are the `commitments` of each {@link ZcashJoinSplitDescription} in the order they appear in the chain
+ * and whose nodes are combined with SHA256Compress. The `anchor` of each JoinSplit is the root of this tree at
+ * the end of an earlier block, or after an earlier JoinSplit of the same transaction, see
+ * {@link ZcashBlock#checkSproutAnchors}.
+ *
+ * Can be decoded from the `sprout.commitments.finalState` of the Zcash API's `z_gettreestate` with
+ * {@link ZcashBlock.decodeSproutTree()}, and created empty with `new ZcashSproutMerkleTree()`.
+ *
+ * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/SproutMerkleTree')`.
+ *
+ * @property {Uint8Array|null} left - a 256-bit leaf
+ * @property {Uint8Array|null} right - a 256-bit leaf
+ * @property {Array.<Uint8Array|null>} parents - 256-bit roots of complete subtrees, from the lowest level
+ * @class
+ */
+class ZcashSproutMerkleTree extends ZcashIncrementalMerkleTree {}
+
+// https://github.com/zcash/zcash/blob/v6.0.0/src/zcash/Zcash.h INCREMENTAL_MERKLE_TREE_DEPTH
+ZcashSproutMerkleTree.depth = 29
+// an empty leaf is all zeros
+ZcashSproutMerkleTree.emptyLeaf = alloc(32)
+ZcashSproutMerkleTree.combine = (left, right) => sha256Compress(concat([left, right]))
+
+// -------------------------------------------------------------------------------------------------------
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
+
+ZcashSproutMerkleTree._nativeName = 'SproutMerkleTree'
+// https://github.com/zcash/zcash/blob/v6.0.0/src/zcash/IncrementalMerkleTree.hpp
+ZcashSproutMerkleTree._propertiesDescriptor = decodeProperties(`
+std::optional<uint256> left;
+std::optional<uint256> right;
+std::vector<std::optional<uint256>> parents;
+`)
+ZcashSproutMerkleTree._encodePropertiesDescriptor = decodeProperties(`
+std::optional<uint256> left;
+std::optional<uint256> right;
+std::vector<std::optional<uint256>> parents;
+`)
+
+module.exports = ZcashSproutMerkleTree
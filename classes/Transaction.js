@@ -1,10 +1,24 @@
-const multihashing = require('multihashing')
-const { decodeProperties, toHashHex, COIN } = require('./class-utils')
+/* global BigInt */
+
+const { decodeProperties, toHashHex, amountToCoins, COIN } = require('./class-utils')
+const { toHex, equals } = require('../bytes')
+const { sha256d } = require('../hashes')
+const encode = require('../encode')
+const zip244 = require('../zip244')
+const sighash = require('../sighash')
+const networks = require('../networks')
+const consensus = require('../consensus')
+const coinbase = require('../coinbase')
+const fees = require('../fees')
+const ZcashSpendDescription = require('./SpendDescription')
+const ZcashOutputDescription = require('./OutputDescription')
 
 const OVERWINTER_TX_VERSION = 3
 const SAPLING_TX_VERSION = 4
+const NU5_TX_VERSION = 5
 const OVERWINTER_VERSION_GROUP_ID = 0x03C48270
 const SAPLING_VERSION_GROUP_ID = 0x892F2085
+const NU5_VERSION_GROUP_ID = 0x26A7270A
 
 /**
  * A class representation of a Zcash Transaction, multiple of which are contained within each {@link ZcashBlock}.
@@ -14,18 +28,25 @@ const SAPLING_VERSION_GROUP_ID = 0x892F2085
  * @property {boolean} overwintered
  * @property {number} version
  * @property {number} versionGroupId
+ * @property {number|null} consensusBranchId - only present in v5 (NU5) transactions
  * @property {Array.<ZcashTransactionIn>} vin
  * @property {Array.<ZcashTransactionIn>} vout
  * @property {number} lockTime
  * @property {number|null} expiryHeight - only present in certain block formats
- * @property {BigInt|null} valueBalance - only present in certain block formats
+ * @property {BigInt|null} valueBalance - the net value of Sapling spends minus outputs, in zatoshis - only present in certain block formats
  * @property {Array.<ZcashSpendDescription>|null} shieldedSpend - only present in certain block formats
  * @property {Array.<ZcashOutputDescription>|null} shieldedOutput - only present in certain block formats
- * @property {Uint8Array|Buffer|null} joinSplitPubKey - a 256-bit hash - only present in certain block formats
+ * @property {Uint8Array|null} joinSplitPubKey - a 256-bit hash - only present in certain block formats
  * @property {Array.<ZcashJoinSplitDescription>|null} joinSplits - only present in certain block formats
- * @property {Uint8Array|Buffer|null} joinSplitSig - a 512-bit signature - only present in certain block formats
- * @property {Uint8Array|Buffer|null} bindingSig - a 512-bit signature - only present in certain block formats
- * @property {Uint8Array|Buffer} hash - 256-bit hash, a double SHA2-256 hash of all bytes making up this block (calculated)
+ * @property {Uint8Array|null} joinSplitSig - a 512-bit signature - only present in certain block formats
+ * @property {Uint8Array|null} bindingSig - a 512-bit signature - only present in certain block formats
+ * @property {ZcashOrchardBundle|null} orchard - only present in v5 (NU5) transactions
+ * @property {Uint8Array} hash - 256-bit hash, a double SHA2-256 hash of all bytes making up this transaction or,
+ * for v5 (NU5) transactions, the ZIP 244 transaction identifier digest (calculated)
+ * @property {number} size - the size of this transaction in bytes when encoded (calculated)
+ * @property {object} network - the parameters of the network this transaction belongs to (see
+ * {@link networks.main}), as given when decoding; defaults to mainnet. May be set to a network name or parameters
+ * object. This property isn't enumerable so doesn't appear in serialized forms.
  * @class
  */
 class ZcashTransaction {
@@ -37,6 +58,7 @@ class ZcashTransaction {
    * @property {boolean} overwintered
    * @property {number} version
    * @property {number} versionGroupId
+   * @property {number|null} consensusBranchId
    * @property {Array.<ZcashTransactionIn>} vin
    * @property {Array.<ZcashTransactionIn>} vout
    * @property {number} lockTime
@@ -44,17 +66,20 @@ class ZcashTransaction {
    * @property {BigInt|null} valueBalance
    * @property {Array.<ZcashSpendDescription>|null} shieldedSpend
    * @property {Array.<ZcashOutputDescription>|null} shieldedOutput
-   * @property {Uint8Array|Buffer|null} joinSplitPubKey
+   * @property {Uint8Array|null} joinSplitPubKey
    * @property {Array.<ZcashJoinSplitDescription>|null} joinSplits
-   * @property {Uint8Array|Buffer|null} joinSplitSig
-   * @property {Uint8Array|Buffer|null} bindingSig
-   * @property {Uint8Array|Buffer} hash
+   * @property {Uint8Array|null} joinSplitSig
+   * @property {Uint8Array|null} bindingSig
+   * @property {ZcashOrchardBundle|null} orchard
+   * @property {Uint8Array} hash
+   * @property {number} size
    * @constructs ZcashTransaction
    */
-  constructor (overwintered, version, versionGroupId, vin, vout, lockTime, expiryHeight, valueBalance, shieldedSpend, shieldedOutput, joinSplits, joinSplitPubKey, joinSplitSig, bindingSig, hash) {
+  constructor (overwintered, version, versionGroupId, consensusBranchId, vin, vout, lockTime, expiryHeight, valueBalance, shieldedSpend, shieldedOutput, joinSplits, joinSplitPubKey, joinSplitSig, bindingSig, orchard, hash, size) {
     this.overwintered = overwintered
     this.version = version
     this.versionGroupId = versionGroupId
+    this.consensusBranchId = consensusBranchId
     this.vin = vin
     this.vout = vout
     this.lockTime = lockTime
@@ -66,7 +91,17 @@ class ZcashTransaction {
     this.joinSplits = joinSplits
     this.joinSplitSig = joinSplitSig
     this.bindingSig = bindingSig
+    this.orchard = orchard
     this.hash = hash
+    this.size = size
+  }
+
+  get network () {
+    return networks.networkOf(this)
+  }
+
+  set network (network) {
+    networks.setNetwork(this, network)
   }
 
   /**
@@ -76,7 +111,8 @@ class ZcashTransaction {
   toJSON () {
     return Object.assign({}, this, {
       versionGroupId: this.versionGroupId.toString(16),
-      valueBalance: Number(this.valueBalance) / COIN,
+      consensusBranchId: this.consensusBranchId != null ? this.consensusBranchId.toString(16) : this.consensusBranchId,
+      valueBalance: amountToCoins(this.valueBalance || 0),
       hash: toHashHex(this.hash)
     })
   }
@@ -88,25 +124,283 @@ class ZcashTransaction {
   toSerializable () {
     return this.toJSON()
   }
+
+  /**
+   * Convert to the verbose form found in the `tx` array of the Zcash API's `getblock` output (with
+   * `verbosity=2`), which is also the form returned by `getrawtransaction` (with `verbose=1`) minus its `hex`
+   * and block-related properties. Unlike {@link ZcashTransaction#toJSON}, inputs, outputs and shielded
+   * components are fully expanded, with transparent scripts disassembled and their addresses extracted.
+   *
+   * @param {string|object} [network] - the network determining the transparent address prefixes, see
+   * {@link networks.getNetwork()}; defaults to the transaction's `network`
+   * @returns {object}
+   */
+  toVerboseJSON (network = this.network) {
+    const coinbase = this.isCoinbase()
+    const joinSplits = this.joinSplits || []
+    const obj = {
+      txid: toHashHex(this.hash),
+      authdigest: toHashHex(this.authDigest()),
+      size: this.size,
+      overwintered: this.overwintered,
+      version: this.version
+    }
+    if (this.overwintered) {
+      obj.versiongroupid = this.versionGroupId.toString(16).padStart(8, '0')
+    }
+    obj.locktime = this.lockTime
+    if (this.overwintered) {
+      obj.expiryheight = this.expiryHeight
+    }
+    obj.vin = this.vin.map((input) => coinbase ? input.toJSON() : input.toVerboseJSON())
+    obj.vout = this.vout.map((output, n) => output.toVerboseJSON(n, network))
+    obj.vjoinsplit = joinSplits.map((joinSplit) => joinSplit.toVerboseJSON())
+    if (this.overwintered && this.version >= SAPLING_TX_VERSION) {
+      obj.valueBalance = amountToCoins(this.valueBalance)
+      obj.valueBalanceZat = Number(this.valueBalance)
+      obj.vShieldedSpend = this.shieldedSpend.map((spend) => spend.toVerboseJSON())
+      obj.vShieldedOutput = this.shieldedOutput.map((output) => output.toVerboseJSON())
+      if (this.shieldedSpend.length + this.shieldedOutput.length > 0) {
+        obj.bindingSig = toHex(this.bindingSig)
+      }
+    }
+    if (this.overwintered && this.version >= NU5_TX_VERSION) {
+      obj.orchard = this.orchard.toJSON()
+    }
+    if (joinSplits.length > 0) {
+      obj.joinSplitPubKey = toHashHex(this.joinSplitPubKey)
+      obj.joinSplitSig = toHex(this.joinSplitSig)
+    }
+    return obj
+  }
+
+  /**
+   * Determine whether this is a coinbase transaction, the first transaction in a block which creates new coins.
+   * A coinbase transaction has a single transparent input which spends a null outpoint.
+   *
+   * @returns {boolean}
+   */
+  isCoinbase () {
+    return this.vin.length === 1 && this.vin[0].prevout.isNull()
+  }
+
+  /**
+   * Calculate the fee paid by this transaction: the value of its transparent inputs, JoinSplit `vpubNew` and
+   * positive Sapling and Orchard value balances, less the value of its transparent outputs, JoinSplit `vpubOld`
+   * and negative value balances. The values of the transparent inputs come from the outputs they spend, which
+   * `prevoutLookup` must provide.
+   *
+   * `prevoutLookup` is called with the `prevout` ({@link ZcashOutPoint}) of each input in turn and must return
+   * the {@link ZcashTransactionOut} it refers to, or a `Promise` resolving to it. An error is thrown if an output
+   * can't be found. Coinbase transactions have no fee.
+   *
+   * @param {function} prevoutLookup - `(outPoint) => ZcashTransactionOut|Promise.<ZcashTransactionOut>`
+   * @returns {Promise.<BigInt>} the fee in zatoshis, negative for an invalid transaction that spends more than
+   * its inputs
+   */
+  async computeFee (prevoutLookup) {
+    return fees.transactionFee(this, prevoutLookup)
+  }
+
+  /**
+   * Analyze this coinbase transaction, returning an object with the following properties:
+   *
+   * * `height` - the block height pushed at the start of the coinbase `scriptSig` (BIP 34), or `null` if there
+   * isn't one
+   * * `minerTag` - any printable text in the rest of the `scriptSig`, such as the name of a mining pool, or `null`
+   * * `subsidy` - the block subsidy at `height`, see {@link coinbase.blockSubsidy()}
+   * * `minerSubsidy` - the part of the subsidy left to the miner after the founders' reward and funding streams
+   * * `foundersReward` - `null`, or prior to Canopy, `{ value, address, index, paid }`, see
+   * {@link coinbase.foundersReward()}
+   * * `fundingStreams` - from Canopy, an array of `{ recipient, specification, value, deferred, address, index,
+   * paid }`, see {@link coinbase.fundingStreams()}
+   * * `shielded` - whether the coinbase has shielded (Sapling or Orchard) outputs, as allowed from Heartwood by
+   * [ZIP 213](https://zips.z.cash/zip-0213)
+   *
+   * Amounts are `BigInt` zatoshis. `address` is the P2SH address that must be paid at this height and `index` is
+   * the output paying exactly the required value to it. `paid` is `false` where no output does, the recipient being
+   * missing or wrong, or `null` where it can't be checked, for a deferred funding stream or where the network
+   * doesn't list the recipient's addresses (see {@link networks.main}). The subsidy, founders' reward and funding
+   * streams are `null` or empty if the height is unknown.
+   *
+   * @param {number} [height] - the height of the block, overriding the height in the `scriptSig`; necessary for
+   * the genesis block, which doesn't include one
+   * @param {string|object} [network] - see {@link networks.getNetwork()}, defaults to the transaction's `network`
+   * @returns {object}
+   */
+  coinbaseInfo (height, network = this.network) {
+    if (!this.isCoinbase()) {
+      throw new TypeError('Not a coinbase transaction')
+    }
+    return coinbase.analyze(this, height, network)
+  }
+
+  /**
+   * Calculate the ZIP 244 authorizing data commitment for this transaction, which commits to the
+   * signatures and proofs that are excluded from the transaction identifier (`hash`) of a v5 transaction.
+   * Transactions prior to v5 have no such commitment so will return a digest of all `0xff` bytes.
+   *
+   * @returns {Uint8Array} a 256-bit digest
+   */
+  authDigest () {
+    return zip244.authDigest(this)
+  }
+
+  /**
+   * Calculate the signature hash (sighash) of this transaction that is signed for a transparent input.
+   * Transactions prior to Overwinter use the original Bitcoin-derived algorithm (with JoinSplits), v3
+   * (Overwinter) transactions use [ZIP 143](https://zips.z.cash/zip-0143) and v4 (Sapling) transactions use
+   * [ZIP 243](https://zips.z.cash/zip-0243). v5 transactions are not supported.
+   *
+   * The `SIGHASH_ALL`, `SIGHASH_NONE`, `SIGHASH_SINGLE` and `SIGHASH_ANYONECANPAY` `hashType` flags are
+   * available as static properties of `ZcashTransaction`. As with zcashd, a `RangeError` is thrown for
+   * `SIGHASH_SINGLE` without an output at the same index as the input, or with a `null` `inputIndex`, prior to
+   * Overwinter, rather than signing Bitcoin's hash of 1.
+   *
+   * @param {number|null} inputIndex the index of the transparent input being signed, or `null` to calculate the
+   * hash signed by the `joinSplitSig` and Sapling `bindingSig`
+   * @param {Uint8Array} scriptCode the script being satisfied, typically the `scriptPubKey` of the output being spent
+   * @param {BigInt|number} amount the value of the output being spent, in zatoshis; unused prior to Overwinter
+   * @param {number} hashType the sighash type, e.g. `ZcashTransaction.SIGHASH_ALL`
+   * @param {number} [consensusBranchId] the consensus branch ID of the network upgrade the transaction is
+   * valid for (e.g. `0x5ba81b19` for Overwinter, `0x76b809bb` for Sapling), see
+   * {@link networks.consensusBranchIdAt()}; required for Overwinter and later
+   * @returns {Uint8Array} a 256-bit digest
+   */
+  sighash (inputIndex, scriptCode, amount, hashType, consensusBranchId) {
+    return sighash(this, inputIndex, scriptCode, amount, hashType, consensusBranchId)
+  }
+
+  /**
+   * Check that the format of this transaction, its `overwintered` flag, `version` and `versionGroupId` (and
+   * `consensusBranchId` for v5), is allowed by the network upgrade active at the height of the block it is
+   * included in, as zcashd's `ContextualCheckTransaction()` does. For example, v4 transactions are only
+   * allowed from Sapling and v5 transactions only from NU5.
+   *
+   * Returns a list of violations, each of the form `{ reason, message }` where `reason` is the reject reason
+   * zcashd gives for it, e.g. `'tx-overwinter-not-active'`. An empty list means the format is allowed.
+   *
+   * @param {number} height - the height of the block containing the transaction
+   * @param {string|object} [network] - see {@link networks.getNetwork()}, defaults to the transaction's `network`
+   * @returns {Array.<object>}
+   */
+  checkNetworkUpgrade (height, network = this.network) {
+    return networkUpgradeViolations(this, height, network)
+  }
+
+  /**
+   * Check this transaction against the consensus rules that don't depend on the chain it is included in or
+   * the outputs it spends, as zcashd's `CheckTransaction()` does (without verifying proofs or signatures).
+   * These include having inputs and outputs (transparent or shielded), output values and value balances within
+   * `MAX_MONEY`, well-formed JoinSplit `vpub_old` and `vpub_new`, no duplicate inputs or nullifiers, the
+   * coinbase `scriptSig` length, the transaction size limit and the `expiryHeight` bound.
+   *
+   * Returns a list of violations, each of the form `{ reason, message }` where `reason` is the reject reason
+   * zcashd gives for it, e.g. `'bad-txns-inputs-duplicate'`. An empty list means the transaction passes.
+   *
+   * @returns {Array.<object>}
+   */
+  validate () {
+    return consensus.checkTransaction(this)
+  }
+
+  /**
+   * Encode this `ZcashTransaction` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
+}
+
+// https://github.com/zcash/zcash/blob/v6.0.0/src/main.cpp ContextualCheckTransaction()
+function networkUpgradeViolations (tx, height, network) {
+  const violations = []
+  const reject = (reason, message) => violations.push({ reason, message })
+  const upgrade = networks.networkUpgradeAt(height, network)
+
+  if (!networks.isUpgradeActive('Overwinter', height, network)) {
+    if (tx.overwintered) {
+      reject('tx-overwinter-not-active', 'Overwinter is not active yet')
+    }
+    return violations
+  }
+  if (!tx.overwintered) {
+    reject('tx-overwintered-flag-not-set', 'fOverwintered flag must be set when Overwinter is active')
+    return violations
+  }
+
+  if (!networks.isUpgradeActive('Sapling', height, network)) {
+    if (tx.versionGroupId !== OVERWINTER_VERSION_GROUP_ID) {
+      reject('bad-overwinter-tx-version-group-id', 'Invalid Overwinter transaction version group ID')
+    }
+    if (tx.version > OVERWINTER_TX_VERSION) {
+      reject('bad-tx-overwinter-version-too-high', 'Overwinter transaction version too high')
+    }
+  } else if (!networks.isUpgradeActive('NU5', height, network) || tx.versionGroupId === SAPLING_VERSION_GROUP_ID) {
+    if (tx.versionGroupId !== SAPLING_VERSION_GROUP_ID) {
+      reject('bad-sapling-tx-version-group-id', 'Invalid Sapling transaction version group ID')
+    }
+    if (tx.version < SAPLING_TX_VERSION) {
+      reject('bad-tx-sapling-version-too-low', 'Sapling transaction version too low')
+    }
+    if (tx.version > SAPLING_TX_VERSION) {
+      reject('bad-tx-sapling-version-too-high', 'Sapling transaction version too high')
+    }
+  } else if (tx.versionGroupId === NU5_VERSION_GROUP_ID) {
+    if (tx.version < NU5_TX_VERSION) {
+      reject('bad-tx-nu5-version-too-low', 'NU5 transaction version too low')
+    }
+    if (tx.version > NU5_TX_VERSION) {
+      reject('bad-tx-nu5-version-too-high', 'NU5 transaction version too high')
+    }
+    if (tx.consensusBranchId !== upgrade.branchId) {
+      reject('bad-tx-consensus-branch-id-mismatch',
+        `Transaction consensus branch ID ${hex32(tx.consensusBranchId)} does not match ${upgrade.name} (${hex32(upgrade.branchId)})`)
+    }
+  } else {
+    reject('bad-nu5-tx-version-group-id', 'Invalid NU5 transaction version group ID')
+  }
+  return violations
+}
+
+function hex32 (n) {
+  return (n >>> 0).toString(16).padStart(8, '0')
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashTransaction._nativeName = 'CTransaction'
 ZcashTransaction._propertiesDescriptor = decodeProperties(`
 _customDecodeVersionAndGroup
 const std::vector<CTxIn> vin;
 const std::vector<CTxOut> vout;
-const uint32_t nLockTime;
+_customDecodeLockTime
 _customDecodeExpiryHeight
 _customDecodeBalanceAndShielded
 _customDecodeJoinSplit
 _customDecodeBindingSig
+_customDecodeOrchard
 _customDecodeHash
+_customDecodeSize
+`)
+ZcashTransaction._encodePropertiesDescriptor = decodeProperties(`
+_customEncodeVersionAndGroup
+std::vector<CTxIn> vin;
+std::vector<CTxOut> vout;
+_customEncodeLockTime
+_customEncodeExpiryHeight
+_customEncodeBalanceAndShielded
+_customEncodeJoinSplit
+_customEncodeBindingSig
+_customEncodeOrchard
 `)
 
 // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L576-L600
+// v5 transactions move the consensus branch ID, lock time and expiry height up into the header:
+// https://zips.z.cash/zip-0225#transaction-format
 ZcashTransaction._customDecodeVersionAndGroup = function (decoder, properties, state) {
   state.transactionStartPos = decoder.currentPosition()
   const txheader = decoder.readUInt32LE()
@@ -119,9 +413,16 @@ ZcashTransaction._customDecodeVersionAndGroup = function (decoder, properties, s
     state.nVersionGroupId = decoder.readUInt32LE()
   }
   properties.push(state.nVersionGroupId)
-  if (state.fOverwintered && !(isOverwinterV3(state) || isSaplingV4(state))) {
+  if (state.fOverwintered && !(isOverwinterV3(state) || isSaplingV4(state) || isNU5V5(state))) {
     throw new Error('Unknown transaction format')
   }
+  let consensusBranchId = null
+  if (isNU5V5(state)) {
+    consensusBranchId = decoder.readUInt32LE()
+    state.nLockTime = decoder.readUInt32LE()
+    state.nExpiryHeight = decoder.readUInt32LE()
+  }
+  properties.push(consensusBranchId)
 }
 
 function isOverwinterV3 (state) {
@@ -136,10 +437,26 @@ function isSaplingV4 (state) {
     state.nVersion === SAPLING_TX_VERSION
 }
 
+function isNU5V5 (state) {
+  return state.fOverwintered &&
+    state.nVersionGroupId === NU5_VERSION_GROUP_ID &&
+    state.nVersion === NU5_TX_VERSION
+}
+
+ZcashTransaction._customDecodeLockTime = function (decoder, properties, state) {
+  if (isNU5V5(state)) {
+    properties.push(state.nLockTime)
+  } else {
+    properties.push(decoder.readUInt32LE())
+  }
+}
+
 ZcashTransaction._customDecodeExpiryHeight = function (decoder, properties, state) {
   let expiryHeight = 0
   if (isOverwinterV3(state) || isSaplingV4(state)) {
     expiryHeight = decoder.readUInt32LE()
+  } else if (isNU5V5(state)) {
+    expiryHeight = state.nExpiryHeight
   }
   properties.push(expiryHeight)
 }
@@ -149,9 +466,11 @@ ZcashTransaction._customDecodeBalanceAndShielded = function (decoder, properties
   let shieldedSpend = null
   let shieldedOutput = null
   if (isSaplingV4(state)) {
-    valueBalance = decoder.readBigInt64LE() // CAmount
+    valueBalance = decoder.readType('CAmount')
     shieldedSpend = decoder.readType('std::vector<SpendDescription>')
     shieldedOutput = decoder.readType('std::vector<OutputDescription>')
+  } else if (isNU5V5(state)) {
+    [valueBalance, shieldedSpend, shieldedOutput, state.bindingSig] = decodeSaplingV5(decoder)
   }
   properties.push(valueBalance)
   properties.push(shieldedSpend)
@@ -162,7 +481,7 @@ ZcashTransaction._customDecodeJoinSplit = function (decoder, properties, state)
   let joinSplits = []
   let joinSplitPubKey
   let joinSplitSig
-  if (state.nVersion >= 2) {
+  if (state.nVersion >= 2 && !isNU5V5(state)) {
     joinSplits = decoder.readType('std::vector<JSDescription>')
     if (joinSplits.length > 0) {
       joinSplitPubKey = decoder.readType('uint256')
@@ -175,24 +494,261 @@ ZcashTransaction._customDecodeJoinSplit = function (decoder, properties, state)
 }
 
 ZcashTransaction._customDecodeBindingSig = function (decoder, properties, state) {
-  const shieldedSpend = properties[8]
-  const shieldedOutput = properties[9]
+  const shieldedSpend = properties[9]
+  const shieldedOutput = properties[10]
   let bindingSig
   if (isSaplingV4(state) && !(shieldedSpend.length === 0 && shieldedOutput.length === 0)) {
     bindingSig = decoder.readType('binding_sig_t')
+  } else if (isNU5V5(state)) {
+    bindingSig = state.bindingSig // read as part of the v5 Sapling bundle
   }
   properties.push(bindingSig)
 }
 
+ZcashTransaction._customDecodeOrchard = function (decoder, properties, state) {
+  let orchard = null
+  if (isNU5V5(state)) {
+    orchard = decoder.readType('OrchardBundle')
+  }
+  properties.push(orchard)
+}
+
+// v5 Sapling spends and outputs are split up and their shared or fixed-size components are grouped
+// together, we reassemble them into standard spend and output descriptions
+// https://zips.z.cash/zip-0225#transaction-format
+function decodeSaplingV5 (decoder) {
+  const spends = []
+  const outputs = []
+  const nSpends = decoder.readCompactInt()
+  for (let i = 0; i < nSpends; i++) {
+    const cv = decoder.readType('uint256')
+    const nullifier = decoder.readType('uint256')
+    const rk = decoder.readType('uint256')
+    spends.push(new ZcashSpendDescription(cv, null, nullifier, rk))
+  }
+  const nOutputs = decoder.readCompactInt()
+  for (let i = 0; i < nOutputs; i++) {
+    const cv = decoder.readType('uint256')
+    const cmu = decoder.readType('uint256')
+    const ephemeralKey = decoder.readType('uint256')
+    const encCiphertext = decoder.readType('libzcash::SaplingEncCiphertext')
+    const outCiphertext = decoder.readType('libzcash::SaplingOutCiphertext')
+    outputs.push(new ZcashOutputDescription(cv, cmu, ephemeralKey, encCiphertext, outCiphertext))
+  }
+  let valueBalance = BigInt(0)
+  if (nSpends + nOutputs > 0) {
+    valueBalance = decoder.readType('CAmount')
+  }
+  if (nSpends > 0) {
+    const anchor = decoder.readType('uint256')
+    for (const spend of spends) {
+      spend.anchor = anchor
+    }
+  }
+  for (const spend of spends) {
+    spend.zkproof = decoder.readType('libzcash::GrothProof')
+  }
+  for (const spend of spends) {
+    spend.spendAuthSig = decoder.readType('spend_auth_sig_t')
+  }
+  for (const output of outputs) {
+    output.zkproof = decoder.readType('libzcash::GrothProof')
+  }
+  let bindingSig
+  if (nSpends + nOutputs > 0) {
+    bindingSig = decoder.readType('binding_sig_t')
+  }
+  return [valueBalance, spends, outputs, bindingSig]
+}
+
+// Advance past a transaction without decoding it, following the same layout as the custom decoders above. Used
+// to index the transactions of a lazily decoded block, values aren't checked until a transaction is decoded.
+ZcashTransaction._skip = function (decoder, state) {
+  ZcashTransaction._customDecodeVersionAndGroup(decoder, [], state)
+  decoder.skipType('std::vector<CTxIn>')
+  decoder.skipType('std::vector<CTxOut>')
+  if (isNU5V5(state)) {
+    skipSaplingV5(decoder)
+    decoder.skipType('OrchardBundle')
+    return
+  }
+  decoder.skipType('uint32_t') // nLockTime
+  if (isOverwinterV3(state) || isSaplingV4(state)) {
+    decoder.skipType('uint32_t') // nExpiryHeight
+  }
+  let nShielded = 0
+  if (isSaplingV4(state)) {
+    decoder.skipType('CAmount') // valueBalance
+    nShielded += skipVector(decoder, 'SpendDescription')
+    nShielded += skipVector(decoder, 'OutputDescription')
+  }
+  if (state.nVersion >= 2 && skipVector(decoder, 'JSDescription') > 0) {
+    decoder.skipType('uint256') // joinSplitPubKey
+    decoder.skipType('joinsplit_sig_t')
+  }
+  if (isSaplingV4(state) && nShielded > 0) {
+    decoder.skipType('binding_sig_t')
+  }
+}
+
+function skipVector (decoder, type) {
+  const size = decoder.readCompactInt()
+  for (let i = 0; i < size; i++) {
+    decoder.skipType(type)
+  }
+  return size
+}
+
+// the skipping form of decodeSaplingV5()
+function skipSaplingV5 (decoder) {
+  const nSpends = skipVector(decoder, 'std::array<uint256, 3>') // cv, nullifier, rk
+  const nOutputs = decoder.readCompactInt()
+  for (let i = 0; i < nOutputs; i++) {
+    decoder.skipType('std::array<uint256, 3>') // cv, cmu, ephemeralKey
+    decoder.skipType('libzcash::SaplingEncCiphertext')
+    decoder.skipType('libzcash::SaplingOutCiphertext')
+  }
+  if (nSpends + nOutputs > 0) {
+    decoder.skipType('CAmount') // valueBalance
+  }
+  if (nSpends > 0) {
+    decoder.skipType('uint256') // anchor
+  }
+  for (let i = 0; i < nSpends; i++) {
+    decoder.skipType('libzcash::GrothProof')
+    decoder.skipType('spend_auth_sig_t')
+  }
+  for (let i = 0; i < nOutputs; i++) {
+    decoder.skipType('libzcash::GrothProof')
+  }
+  if (nSpends + nOutputs > 0) {
+    decoder.skipType('binding_sig_t')
+  }
+}
+
 ZcashTransaction._customDecodeHash = function (decoder, properties, state) {
+  if (isNU5V5(state)) {
+    // the ZIP 244 txid is a tree of digests over the decoded fields rather than a hash of the raw bytes
+    const tx = new ZcashTransaction(...properties)
+    properties.push(zip244.txidDigest(tx))
+    return
+  }
   const start = state.transactionStartPos
   const end = decoder.currentPosition()
   const hashBytes = decoder.absoluteSlice(start, end - start)
   // double hash
-  let digest = multihashing.digest(hashBytes, 'sha2-256')
-  digest = multihashing.digest(digest, 'sha2-256')
-  properties.push(digest)
+  properties.push(sha256d(hashBytes))
+}
+
+ZcashTransaction._customDecodeSize = function (decoder, properties, state) {
+  properties.push(decoder.currentPosition() - state.transactionStartPos)
+}
+
+ZcashTransaction._customEncodeVersionAndGroup = function (encoder, obj, state) {
+  state.fOverwintered = obj.overwintered
+  state.nVersion = obj.version
+  state.nVersionGroupId = obj.versionGroupId
+  const txheader = ((state.fOverwintered ? 0x80000000 : 0) | state.nVersion) >>> 0
+  encoder.writeUInt32LE(txheader)
+  if (state.fOverwintered) {
+    encoder.writeUInt32LE(state.nVersionGroupId)
+  }
+  if (isNU5V5(state)) {
+    encoder.writeUInt32LE(obj.consensusBranchId)
+    encoder.writeUInt32LE(obj.lockTime)
+    encoder.writeUInt32LE(obj.expiryHeight)
+  }
+}
+
+ZcashTransaction._customEncodeLockTime = function (encoder, obj, state) {
+  if (!isNU5V5(state)) {
+    encoder.writeUInt32LE(obj.lockTime)
+  }
+}
+
+ZcashTransaction._customEncodeExpiryHeight = function (encoder, obj, state) {
+  if (isOverwinterV3(state) || isSaplingV4(state)) {
+    encoder.writeUInt32LE(obj.expiryHeight)
+  }
+}
+
+ZcashTransaction._customEncodeBalanceAndShielded = function (encoder, obj, state) {
+  if (isSaplingV4(state)) {
+    encoder.writeType('CAmount', obj.valueBalance)
+    encoder.writeType('std::vector<SpendDescription>', obj.shieldedSpend)
+    encoder.writeType('std::vector<OutputDescription>', obj.shieldedOutput)
+  } else if (isNU5V5(state)) {
+    encodeSaplingV5(encoder, obj)
+  }
+}
+
+ZcashTransaction._customEncodeJoinSplit = function (encoder, obj, state) {
+  if (state.nVersion >= 2 && !isNU5V5(state)) {
+    encoder.writeType('std::vector<JSDescription>', obj.joinSplits)
+    if (obj.joinSplits.length > 0) {
+      encoder.writeType('uint256', obj.joinSplitPubKey)
+      encoder.writeType('joinsplit_sig_t', obj.joinSplitSig)
+    }
+  }
+}
+
+ZcashTransaction._customEncodeBindingSig = function (encoder, obj, state) {
+  if (isSaplingV4(state) && !(obj.shieldedSpend.length === 0 && obj.shieldedOutput.length === 0)) {
+    encoder.writeType('binding_sig_t', obj.bindingSig)
+  }
+}
+
+ZcashTransaction._customEncodeOrchard = function (encoder, obj, state) {
+  if (isNU5V5(state)) {
+    encoder.writeType('OrchardBundle', obj.orchard)
+  }
+}
+
+// inverse of decodeSaplingV5()
+function encodeSaplingV5 (encoder, obj) {
+  const spends = obj.shieldedSpend
+  const outputs = obj.shieldedOutput
+  encoder.writeCompactInt(spends.length)
+  for (const spend of spends) {
+    encoder.writeType('uint256', spend.cv)
+    encoder.writeType('uint256', spend.nullifier)
+    encoder.writeType('uint256', spend.rk)
+  }
+  encoder.writeCompactInt(outputs.length)
+  for (const output of outputs) {
+    encoder.writeType('uint256', output.cv)
+    encoder.writeType('uint256', output.cm)
+    encoder.writeType('uint256', output.ephemeralKey)
+    encoder.writeType('libzcash::SaplingEncCiphertext', output.encCiphertext)
+    encoder.writeType('libzcash::SaplingOutCiphertext', output.outCiphertext)
+  }
+  if (spends.length + outputs.length > 0) {
+    encoder.writeType('CAmount', obj.valueBalance)
+  }
+  if (spends.length > 0) {
+    // v5 has a single anchor for all spends, differing anchors can't be represented
+    if (spends.some((spend) => !equals(spend.anchor, spends[0].anchor))) {
+      throw new Error('The Sapling spends of a v5 transaction must share an anchor')
+    }
+    encoder.writeType('uint256', spends[0].anchor)
+  }
+  for (const spend of spends) {
+    encoder.writeType('libzcash::GrothProof', spend.zkproof)
+  }
+  for (const spend of spends) {
+    encoder.writeType('spend_auth_sig_t', spend.spendAuthSig)
+  }
+  for (const output of outputs) {
+    encoder.writeType('libzcash::GrothProof', output.zkproof)
+  }
+  if (spends.length + outputs.length > 0) {
+    encoder.writeType('binding_sig_t', obj.bindingSig)
+  }
 }
 
 module.exports = ZcashTransaction
 module.exports.COIN = COIN
+module.exports.SIGHASH_ALL = sighash.SIGHASH_ALL
+module.exports.SIGHASH_NONE = sighash.SIGHASH_NONE
+module.exports.SIGHASH_SINGLE = sighash.SIGHASH_SINGLE
+module.exports.SIGHASH_ANYONECANPAY = sighash.SIGHASH_ANYONECANPAY
@@ -1,4 +1,7 @@
-const { decodeProperties } = require('./class-utils')
+const { decodeProperties, toHashHex } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
+const script = require('../script')
 
 /**
  * A class representation of a Zcash TransactionIn, multiple of which are contained within each {@link ZcashTransaction}.
@@ -6,7 +9,7 @@ const { decodeProperties } = require('./class-utils')
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/TransactionIn')`.
  *
  * @property {ZcashOutPoint} prevout
- * @property {Uint8Array|Buffer} scriptSig - an arbitrary length byte array
+ * @property {Uint8Array} scriptSig - an arbitrary length byte array
  * @property {number} sequence
  * @class
  */
@@ -17,7 +20,7 @@ class ZcashTransactionIn {
    * See the class properties for expanded information on these parameters.
    *
    * @param {ZcashOutPoint} prevout
-   * @param {Uint8Array|Buffer} scriptSig
+   * @param {Uint8Array} scriptSig
    * @param {number} sequence
    * @constructs ZcashTransactionIn
    */
@@ -35,14 +38,48 @@ class ZcashTransactionIn {
    */
   toJSON () {
     return {
-      coinbase: this.scriptSig.toString('hex'),
+      coinbase: toHex(this.scriptSig),
       sequence: this.sequence
     }
   }
+
+  /**
+   * Convert to the verbose form of a non-coinbase `vin` entry in the Zcash API's `getrawtransaction` (with
+   * `verbose=1`) and `getblock` (with `verbosity=2`) output: `{ txid, vout, scriptSig: { asm, hex }, sequence }`.
+   * Coinbase inputs use the {@link ZcashTransactionIn#toJSON} form in verbose output.
+   */
+  toVerboseJSON () {
+    return {
+      txid: toHashHex(this.prevout.hash),
+      vout: this.prevout.n,
+      scriptSig: this.decodeScriptSig(),
+      sequence: this.sequence
+    }
+  }
+
+  /**
+   * Disassemble the `scriptSig` of this input into the form used for a `vin` in the Zcash API's verbose transaction
+   * output, where signatures are shown with their sighash type, e.g. `[ALL]`. Not meaningful for a coinbase
+   * input, whose `scriptSig` is arbitrary data.
+   *
+   * @returns {object} an object of the form `{ asm, hex }`
+   */
+  decodeScriptSig () {
+    return { asm: script.toAsm(this.scriptSig, true), hex: toHex(this.scriptSig) }
+  }
+
+  /**
+   * Encode this `ZcashTransactionIn` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashTransactionIn._nativeName = 'CTxIn'
 ZcashTransactionIn._propertiesDescriptor = decodeProperties(`
@@ -50,5 +87,10 @@ COutPoint prevout;
 CScript scriptSig;
 uint32_t nSequence;
 `)
+ZcashTransactionIn._encodePropertiesDescriptor = decodeProperties(`
+COutPoint prevout;
+CScript scriptSig;
+uint32_t sequence;
+`)
 
 module.exports = ZcashTransactionIn
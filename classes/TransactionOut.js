@@ -1,13 +1,17 @@
-const { decodeProperties } = require('./class-utils')
-const { COIN } = require('./Transaction')
+/* global BigInt */
+
+const { decodeProperties, amountToCoins } = require('./class-utils')
+const { toHex } = require('../bytes')
+const encode = require('../encode')
+const script = require('../script')
 
 /**
  * A class representation of a Zcash TransactionOut, multiple of which are contained within each {@link ZcashTransaction}.
  *
  * This class isn't explicitly exported, access it for direct use with `require('zcash-block/classes/TransactionOut')`.
  *
- * @property {BigInt} value - an amount / value for this TransactionOut
- * @property {Uint8Array|Buffer} scriptPubKey - an arbitrary length byte array
+ * @property {BigInt} value - the amount of this TransactionOut, in zatoshis
+ * @property {Uint8Array} scriptPubKey - an arbitrary length byte array
  * @class
  */
 class ZcashTransactionOut {
@@ -17,11 +21,11 @@ class ZcashTransactionOut {
    * See the class properties for expanded information on these parameters.
    *
    * @param {BigInt} value
-   * @param {Uint8Array|Buffer} scriptPubKey
+   * @param {Uint8Array} scriptPubKey
    * @constructs ZcashTransactionOut
    */
   constructor (value, scriptPubKey) {
-    this.value = Number(value)
+    this.value = BigInt(value)
     this.scriptPubKey = scriptPubKey
   }
 
@@ -30,23 +34,69 @@ class ZcashTransactionOut {
    * useful for simplified inspection.
    *
    * The serialized version includes the raw `value` as `valueZat` while `value` is a proper Zcash coin value.
+   * Amounts are limited to 21,000,000 ZEC so `valueZat` is always an exact integer; use
+   * {@link ZcashBlock.formatAmount()} for an exact decimal form of `value`.
    */
   toJSON () {
     return {
-      value: this.value / COIN,
+      value: amountToCoins(this.value),
       valueZat: Number(this.value),
-      scriptPubKey: this.scriptPubKey.toString('hex')
+      scriptPubKey: toHex(this.scriptPubKey)
     }
   }
+
+  /**
+   * Convert to the verbose form of a `vout` entry in the Zcash API's `getrawtransaction` (with `verbose=1`) and
+   * `getblock` (with `verbosity=2`) output: `{ value, valueZat, n, scriptPubKey: { asm, hex, reqSigs, type,
+   * addresses } }`.
+   *
+   * @param {number} n - the index of this output in its transaction
+   * @param {string|object} [network='main'] - the network determining the address prefixes, see
+   * {@link networks.getNetwork()}
+   */
+  toVerboseJSON (n, network = 'main') {
+    return {
+      value: amountToCoins(this.value),
+      valueZat: Number(this.value),
+      n,
+      scriptPubKey: this.decodeScriptPubKey(network)
+    }
+  }
+
+  /**
+   * Disassemble and classify the `scriptPubKey` of this output, extracting its transparent addresses where it is
+   * a standard type. See {@link script.decodeScriptPubKey()} for details of the returned form, which matches the
+   * `scriptPubKey` of a `vout` in the Zcash API's verbose transaction output.
+   *
+   * @param {string|object} [network='main'] - the network determining the address prefixes, see
+   * {@link networks.getNetwork()}
+   * @returns {object} an object of the form `{ asm, hex, reqSigs, type, addresses }`
+   */
+  decodeScriptPubKey (network = 'main') {
+    return script.decodeScriptPubKey(this.scriptPubKey, network)
+  }
+
+  /**
+   * Encode this `ZcashTransactionOut` into its raw binary form, the inverse of decoding.
+   *
+   * @returns {Uint8Array}
+   */
+  encode () {
+    return encode(this)
+  }
 }
 
 // -------------------------------------------------------------------------------------------------------
-// Custom decoder descriptors and functions below here, used by ../decoder.js
+// Custom decoder and encoder descriptors and functions below here, used by ../decode.js and ../encode.js
 
 ZcashTransactionOut._nativeName = 'CTxOut'
 ZcashTransactionOut._propertiesDescriptor = decodeProperties(`
 CAmount nValue;
 CScript scriptPubKey;
 `)
+ZcashTransactionOut._encodePropertiesDescriptor = decodeProperties(`
+CAmount value;
+CScript scriptPubKey;
+`)
 
 module.exports = ZcashTransactionOut
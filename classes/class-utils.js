@@ -1,4 +1,11 @@
+/* global BigInt */
+
+const { blake2b, blake2sInit, blake2sUpdate, blake2sFinal } = require('blakejs')
+const { toHex, fromHex, fromAscii, reverse } = require('../bytes')
+
 const COIN = 100000000
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/amount.h#L29
+const MAX_MONEY = BigInt(21000000) * BigInt(COIN)
 
 function decodeProperties (propertiesDescriptor) {
   return propertiesDescriptor
@@ -14,13 +21,97 @@ function decodeProperties (propertiesDescriptor) {
 }
 
 function toHashHex (hash) {
-  const rev = Buffer.alloc(hash.length)
-  for (let i = 0; i < hash.length; i++) {
-    rev[hash.length - i - 1] = hash[i]
+  return toHex(reverse(hash))
+}
+
+// the inverse of toHashHex(), also accepting hashes that are already in their internal byte form
+function fromHashHex (hash) {
+  if (typeof hash !== 'string') {
+    return hash
   }
-  return rev.toString('hex')
+  return fromHex(hash).reverse()
+}
+
+// BLAKE2b with a 256-bit digest and a 16-byte personalization, as used throughout Zcash
+function blake2b256 (personalization, data) {
+  if (typeof personalization === 'string') {
+    personalization = fromAscii(personalization)
+  }
+  return blake2b(data, null, 32, null, personalization)
+}
+
+// BLAKE2b with a 512-bit digest and a 16-byte personalization, as used by Sapling's PRF^expand
+function blake2b512 (personalization, data) {
+  if (typeof personalization === 'string') {
+    personalization = fromAscii(personalization)
+  }
+  return blake2b(data, null, 64, null, personalization)
+}
+
+// BLAKE2s with a 256-bit digest and an 8-byte personalization, as used by Sapling. blakejs doesn't take a
+// personalization for BLAKE2s so it's mixed into the initial state directly, where the parameter block's
+// personalization words are XORed with the IV
+function blake2s256 (personalization, data) {
+  if (typeof personalization === 'string') {
+    personalization = fromAscii(personalization)
+  }
+  const ctx = blake2sInit(32)
+  const view = new DataView(personalization.buffer, personalization.byteOffset, 8)
+  ctx.h[6] ^= view.getUint32(0, true)
+  ctx.h[7] ^= view.getUint32(4, true)
+  blake2sUpdate(ctx, data)
+  return blake2sFinal(ctx)
+}
+
+// Check that a CAmount (zatoshis) is an integer within [-MAX_MONEY, MAX_MONEY], returning it as a BigInt.
+// Amounts outside of this range are never valid, even for signed balances, so can't appear in a valid block.
+function checkAmount (amount) {
+  if (typeof amount !== 'bigint') {
+    if (!Number.isSafeInteger(amount)) {
+      throw new RangeError(`Amount must be an integer number of zatoshis: ${amount}`)
+    }
+    amount = BigInt(amount)
+  }
+  if (amount > MAX_MONEY || amount < -MAX_MONEY) {
+    throw new RangeError(`Amount out of range: ${amount}`)
+  }
+  return amount
+}
+
+/**
+ * Format an amount of zatoshis as an exact decimal string of ZEC with 8 decimal places, as the Zcash API
+ * formats amounts in its JSON output (e.g. `'1.33201044'`). Unlike dividing by `COIN`, no floating point
+ * rounding is involved.
+ *
+ * Can be used directly as `require('zcash-block').formatAmount()`.
+ *
+ * @param {BigInt|number} amount - an amount in zatoshis, within the range of +/- 21,000,000 ZEC
+ * @returns {string}
+ * @name ZcashBlock.formatAmount()
+ */
+function formatAmount (amount) {
+  amount = checkAmount(amount)
+  const sign = amount < BigInt(0) ? '-' : ''
+  const abs = amount < BigInt(0) ? -amount : amount
+  const coin = BigInt(COIN)
+  return `${sign}${abs / coin}.${(abs % coin).toString().padStart(8, '0')}`
+}
+
+// The ZEC value of an amount of zatoshis as a Number for JSON output. The exact decimal is parsed so the
+// result is the closest Number to it, and as amounts are limited to MAX_MONEY, it will round-trip through
+// `Math.round(value * COIN)` back to the exact zatoshis.
+function amountToCoins (amount) {
+  return Number(formatAmount(amount))
 }
 
 module.exports.decodeProperties = decodeProperties
 module.exports.toHashHex = toHashHex
+module.exports.fromHashHex = fromHashHex
+module.exports.blake2b256 = blake2b256
+module.exports.blake2b512 = blake2b512
+module.exports.blake2s256 = blake2s256
 module.exports.COIN = COIN
+module.exports.MAX_MONEY = MAX_MONEY
+module.exports.checkAmount = checkAmount
+module.exports.formatAmount = formatAmount
+module.exports.amountToCoins = amountToCoins
@@ -1,14 +1,20 @@
 module.exports.ZcashBlock = require('./Block')
 module.exports.ZcashBlockHeaderOnly = require('./Block').ZcashBlockHeaderOnly
+module.exports.ZcashBlockLazy = require('./Block').ZcashBlockLazy
 module.exports.ZcashCompressedG1 = require('./CompressedG1')
 module.exports.ZcashCompressedG2 = require('./CompressedG2')
 module.exports.ZcashFq = require('./Fq')
 module.exports.ZcashFq2 = require('./Fq2')
 module.exports.JoinSplitDescription = require('./JoinSplitDescription')
+module.exports.ZcashMerkleBlock = require('./MerkleBlock')
+module.exports.ZcashOrchardAction = require('./OrchardAction')
+module.exports.ZcashOrchardBundle = require('./OrchardBundle')
 module.exports.ZcashOutPoint = require('./OutPoint')
 module.exports.ZcashOutputDescription = require('./OutputDescription')
 module.exports.ZcashPHGRProof = require('./PHGRProof')
+module.exports.ZcashSaplingMerkleTree = require('./SaplingMerkleTree')
 module.exports.ZcashSpendDescription = require('./SpendDescription')
+module.exports.ZcashSproutMerkleTree = require('./SproutMerkleTree')
 module.exports.ZcashTransaction = require('./Transaction')
 module.exports.ZcashTransactionIn = require('./TransactionIn')
 module.exports.ZcashTransactionOut = require('./TransactionOut')
@@ -0,0 +1,82 @@
+// Type handling shared by ./decode.js and ./encode.js
+
+// typedefs that resolve to fixed-size byte arrays
+// TODO: push some of this specific typedef stuff back into classes rather than hardwiring here
+const typedefs = {
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/JoinSplit.hpp#L18
+  'libzcash::GrothProof': `std::array<unsigned char, ${48 + 96 + 48}>`,
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L20
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Zcash.h#L27
+  'libzcash::SaplingEncCiphertext': 'std::array<unsigned char, 580>',
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L21
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Zcash.h#L28
+  'libzcash::SaplingOutCiphertext': 'std::array<unsigned char, 80>',
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L46
+  spend_auth_sig_t: 'std::array<unsigned char, 64>',
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L196
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L142
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Zcash.h#L22
+  // CLEN=MLEN+NOTEENCRYPTION_AUTH_BYTES
+  // MLEN=ZC_NOTEPLAINTEXT_SIZE (for ZCNoteEncryption)
+  // ZC_NOTEPLAINTEXT_SIZE=585
+  // NOTEENCRYPTION_AUTH_BYTES=16
+  // therefore CLEN=585+16
+  'ZCNoteEncryption::Ciphertext': `std::array<unsigned char, ${585 + 16}>`,
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L515
+  joinsplit_sig_t: 'std::array<unsigned char, 64>',
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L516
+  binding_sig_t: 'std::array<unsigned char, 64>',
+  'base_blob<256>': `std::array<unsigned char, ${256 / 8}>`,
+  'base_blob<512>': `std::array<unsigned char, ${512 / 8}>`
+}
+
+// Resolve a native type name to the basic form that the decoder and encoder know how to deal with:
+// fixed byte arrays, `compactSlice`, `std::vector<>`, `std::array<>`, `std::optional<>` or one of the primitive
+// types.
+function resolveType (type) {
+  if (typedefs[type]) {
+    type = typedefs[type]
+  }
+
+  // some rewrites of things that share forms
+
+  if (type === 'std::vector<unsigned char>' || type === 'CScript') {
+    // different forms of byte slices
+    type = 'compactSlice'
+  }
+  return type
+}
+
+// Returns the length of a resolved `std::array<unsigned char, N>` type or `-1` if it's not a fixed byte array.
+function byteArrayLength (type) {
+  if (type.startsWith('std::array<unsigned char,')) {
+    return parseInt(type.replace(/^std::array<unsigned char,\s*(\d+)>$/, '$1'), 10)
+  }
+  return -1
+}
+
+// Returns the element type of a resolved `std::vector<T>` type, or `null` if it's not a vector.
+function vectorType (type) {
+  const isVector = type.startsWith('std::vector<')
+  return (isVector && type.replace(/^std::vector<(.+)>$/, '$1')) || null
+}
+
+// Returns the value type of a resolved `std::optional<T>` type, or `null` if it's not optional. An optional
+// value is encoded as a `0x00` byte where it's absent or a `0x01` byte followed by the value.
+function optionalType (type) {
+  const isOptional = type.startsWith('std::optional<')
+  return (isOptional && type.replace(/^std::optional<(.+)>$/, '$1')) || null
+}
+
+// Returns `[elementType, size]` for a resolved `std::array<T, N>` type, or `null` if it's not an array.
+function arrayType (type) {
+  const isArray = type.startsWith('std::array<')
+  const arrayDesc = isArray && type.match(/std::array<([^,]+),\s*(\d+)>/)
+  return arrayDesc ? [arrayDesc[1], parseInt(arrayDesc[2], 10)] : null
+}
+
+module.exports.resolveType = resolveType
+module.exports.byteArrayLength = byteArrayLength
+module.exports.vectorType = vectorType
+module.exports.arrayType = arrayType
+module.exports.optionalType = optionalType
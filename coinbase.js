@@ -0,0 +1,232 @@
+/* global BigInt, TextDecoder */
+
+// Coinbase transaction analysis: the block height and miner tag in the coinbase scriptSig, and the block subsidy
+// with the founders' reward or funding streams that must be paid from it
+// https://zips.z.cash/zip-0207
+// https://zips.z.cash/zip-0208
+// https://github.com/zcash/zcash/blob/v6.0.0/src/main.cpp GetBlockSubsidy() and ContextualCheckBlock()
+// https://github.com/zcash/zcash/blob/v6.0.0/src/consensus/params.cpp
+
+const networks = require('./networks')
+const script = require('./script')
+
+const MAX_BLOCK_SUBSIDY = BigInt(1250000000) // 12.5 ZEC
+const BLOSSOM_POW_TARGET_SPACING_RATIO = 2
+const MIN_TAG_LENGTH = 5
+
+function checkHeight (height) {
+  if (!Number.isInteger(height) || height < 0) {
+    throw new RangeError(`Invalid block height: ${height}`)
+  }
+}
+
+function blossomActivationHeight (network) {
+  return network.upgrades.find(({ name }) => name === 'Blossom').activationHeight
+}
+
+// Params::Halving(), the number of halvings of the subsidy at a height; after Blossom, halvings are counted in
+// post-Blossom intervals, twice as many blocks for the same time
+function halving (height, network) {
+  const { slowStartInterval, preBlossomHalvingInterval, postBlossomHalvingInterval } = network.subsidy
+  const slowStartShift = slowStartInterval / 2
+  if (networks.isUpgradeActive('Blossom', height, network)) {
+    const blossom = blossomActivationHeight(network)
+    return Math.floor(((blossom - slowStartShift) * BLOSSOM_POW_TARGET_SPACING_RATIO + (height - blossom)) / postBlossomHalvingInterval)
+  }
+  return Math.floor((height - slowStartShift) / preBlossomHalvingInterval)
+}
+
+// Params::HeightForHalving(1), the height of the first halving counted in post-Blossom intervals
+function firstHalvingHeight (network) {
+  const { slowStartInterval, postBlossomHalvingInterval } = network.subsidy
+  const blossom = blossomActivationHeight(network)
+  return blossom + postBlossomHalvingInterval - (blossom - slowStartInterval / 2) * BLOSSOM_POW_TARGET_SPACING_RATIO
+}
+
+// Params::GetLastFoundersRewardBlockHeight(), the height before the first halving
+function lastFoundersRewardHeight (height, network) {
+  const { slowStartInterval, preBlossomHalvingInterval } = network.subsidy
+  if (networks.isUpgradeActive('Blossom', height, network)) {
+    return firstHalvingHeight(network) - 1
+  }
+  return preBlossomHalvingInterval + slowStartInterval / 2 - 1
+}
+
+// Params::GetFoundersRewardAddressAtHeight(), the addresses are paid in turn over the pre-Blossom founders' reward
+// period with post-Blossom heights scaled back to the pre-Blossom spacing, null where the network doesn't list them
+function foundersRewardAddress (height, network) {
+  const addresses = network.foundersRewardAddresses
+  if (!addresses) {
+    return null
+  }
+  if (networks.isUpgradeActive('Blossom', height, network)) {
+    const blossom = blossomActivationHeight(network)
+    height = blossom + Math.floor((height - blossom) / BLOSSOM_POW_TARGET_SPACING_RATIO)
+  }
+  const interval = Math.floor((lastFoundersRewardHeight(0, network) + addresses.length) / addresses.length)
+  return addresses[Math.floor(height / interval)]
+}
+
+// ZIP 207 AddressPeriod(), funding stream addresses change every 1/48 of a post-Blossom halving interval counted
+// from the first halving
+function addressPeriod (height, network) {
+  const { postBlossomHalvingInterval } = network.subsidy
+  return Math.floor((height + postBlossomHalvingInterval - firstHalvingHeight(network)) / (postBlossomHalvingInterval / 48))
+}
+
+/**
+ * Calculate the block subsidy, the amount of new coins that may be created by the coinbase transaction of a
+ * block at a given height, as per [ZIP 208](https://zips.z.cash/zip-0208). The subsidy of 12.5 ZEC ramps up
+ * linearly over the slow start interval, halves at each halving interval and was itself halved at Blossom when
+ * the block target spacing was halved. This includes any founders' reward or funding streams but not the
+ * transaction fees the coinbase may also claim.
+ *
+ * Available as `require('zcash-block/coinbase').blockSubsidy()`.
+ *
+ * @param {number} height - a block height
+ * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+ * @returns {BigInt} the subsidy in zatoshis
+ * @name coinbase.blockSubsidy()
+ */
+function blockSubsidy (height, network = 'main') {
+  network = networks.getNetwork(network)
+  checkHeight(height)
+  const { slowStartInterval } = network.subsidy
+  // the slow start skips the middle payout of half the subsidy to keep the curve consistent with no slow start
+  if (height < slowStartInterval / 2) {
+    return MAX_BLOCK_SUBSIDY / BigInt(slowStartInterval) * BigInt(height)
+  } else if (height < slowStartInterval) {
+    return MAX_BLOCK_SUBSIDY / BigInt(slowStartInterval) * BigInt(height + 1)
+  }
+  const halvings = halving(height, network)
+  if (halvings >= 64) {
+    return BigInt(0)
+  }
+  if (networks.isUpgradeActive('Blossom', height, network)) {
+    return (MAX_BLOCK_SUBSIDY / BigInt(BLOSSOM_POW_TARGET_SPACING_RATIO)) >> BigInt(halvings)
+  }
+  return MAX_BLOCK_SUBSIDY >> BigInt(halvings)
+}
+
+/**
+ * Calculate the founders' reward that a coinbase transaction at a given height must pay, a fifth of the block
+ * subsidy from height 1 until the first halving, which coincided with Canopy on mainnet and testnet. The reward
+ * is paid to one of a fixed list of P2SH addresses that rotates over time.
+ *
+ * Available as `require('zcash-block/coinbase').foundersReward()`.
+ *
+ * @param {number} height - a block height
+ * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+ * @returns {BigInt} the founders' reward in zatoshis, zero outside of the founders' reward period
+ * @name coinbase.foundersReward()
+ */
+function foundersReward (height, network = 'main') {
+  network = networks.getNetwork(network)
+  checkHeight(height)
+  if (height === 0 || height > lastFoundersRewardHeight(height, network) || networks.isUpgradeActive('Canopy', height, network)) {
+    return BigInt(0)
+  }
+  return blockSubsidy(height, network) / BigInt(5)
+}
+
+/**
+ * Calculate the funding streams that receive a share of the block subsidy at a given height, as per
+ * [ZIP 207](https://zips.z.cash/zip-0207): the ZIP 214 streams from Canopy and the ZIP 1015 streams from NU6.
+ * Each is of the form `{ recipient, specification, value, deferred, address }` where `value` is in zatoshis,
+ * `deferred` streams are paid into the lockbox rather than to an output of the coinbase transaction and
+ * `address` is the P2SH address the stream must be paid to at this height, `null` for a deferred stream or where
+ * the network doesn't list the stream's addresses (see {@link networks.main}).
+ *
+ * Available as `require('zcash-block/coinbase').fundingStreams()`.
+ *
+ * @param {number} height - a block height
+ * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+ * @returns {Array.<object>}
+ * @name coinbase.fundingStreams()
+ */
+function fundingStreams (height, network = 'main') {
+  network = networks.getNetwork(network)
+  checkHeight(height)
+  if (!networks.isUpgradeActive('Canopy', height, network)) {
+    return []
+  }
+  const subsidy = blockSubsidy(height, network)
+  return network.fundingStreams
+    .filter(({ startHeight, endHeight }) => height >= startHeight && height < endHeight)
+    .map(({ recipient, specification, numerator, denominator, startHeight, addresses, deferred }) => {
+      const value = subsidy * BigInt(numerator) / BigInt(denominator)
+      const address = addresses ? addresses[addressPeriod(height, network) - addressPeriod(startHeight, network)] : null
+      return { recipient, specification, value, deferred, address }
+    })
+}
+
+// Printable text in a coinbase scriptSig, decoded as UTF-8 and split at control characters and invalid bytes,
+// keeping runs long enough to be deliberate. Where the scriptSig is made up of pushes, only the pushed data is
+// decoded so push lengths aren't mistaken for text.
+function minerTag (bytes) {
+  const ops = script.parse(bytes)
+  const chunks = ops ? ops.filter(({ data }) => data).map(({ data }) => data) : [bytes]
+  const decoder = new TextDecoder()
+  const runs = []
+  for (const chunk of chunks) {
+    for (const run of decoder.decode(chunk).split(/[\u0000-\u001f\u007f-\u009f\ufffd]+/)) { // eslint-disable-line no-control-regex
+      if (Array.from(run.trim()).length >= MIN_TAG_LENGTH) {
+        runs.push(run.trim())
+      }
+    }
+  }
+  return runs.length ? runs.join(' ') : null
+}
+
+// Analyze a coinbase transaction, see ZcashTransaction#coinbaseInfo()
+function analyze (tx, height, network) {
+  network = networks.getNetwork(network)
+  const scriptSig = tx.vin[0].scriptSig
+  const pushed = script.coinbaseHeight(scriptSig)
+  if (height === undefined) {
+    height = pushed ? pushed.height : null
+  }
+  const tag = minerTag(pushed && pushed.height === height ? scriptSig.subarray(pushed.next) : scriptSig)
+  const shielded = (tx.shieldedOutput || []).length > 0 || (tx.orchard != null && tx.orchard.actions.length > 0)
+
+  const info = { height, minerTag: tag, subsidy: null, minerSubsidy: null, foundersReward: null, fundingStreams: [], shielded }
+  if (height === null) {
+    return info
+  }
+
+  // find an unclaimed output paying exactly `value` to the P2SH `address`, `paid` is null where the address isn't
+  // known so the recipient can't be checked
+  const claimed = new Set()
+  const output = (value, address) => {
+    if (address === null) {
+      return { index: null, paid: null }
+    }
+    const index = tx.vout.findIndex((output, i) => !claimed.has(i) && output.value === value &&
+      script.solve(output.scriptPubKey).type === 'scripthash' &&
+      script.decodeScriptPubKey(output.scriptPubKey, network).addresses[0] === address)
+    if (index === -1) {
+      return { index: null, paid: false }
+    }
+    claimed.add(index)
+    return { index, paid: true }
+  }
+
+  info.subsidy = blockSubsidy(height, network)
+  info.minerSubsidy = info.subsidy
+  const founders = foundersReward(height, network)
+  if (founders > BigInt(0)) {
+    const address = foundersRewardAddress(height, network)
+    info.foundersReward = Object.assign({ value: founders, address }, output(founders, address))
+    info.minerSubsidy -= founders
+  }
+  info.fundingStreams = fundingStreams(height, network).map((stream) => {
+    info.minerSubsidy -= stream.value
+    return Object.assign(stream, output(stream.value, stream.address))
+  })
+  return info
+}
+
+module.exports.blockSubsidy = blockSubsidy
+module.exports.foundersReward = foundersReward
+module.exports.fundingStreams = fundingStreams
+module.exports.analyze = analyze
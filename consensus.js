@@ -0,0 +1,246 @@
+/* global BigInt */
+
+// Context-free consensus checks for blocks and transactions, those that don't depend on the chain a block is
+// part of or the outputs a transaction spends, as zcashd's CheckBlock() and CheckTransaction() (without proof
+// verification) perform them. Each failure is reported as `{ reason, message }` where `reason` is zcashd's
+// reject reason.
+// https://github.com/zcash/zcash/blob/v6.0.0/src/main.cpp
+
+const { MAX_MONEY } = require('./classes/class-utils')
+const { toHex } = require('./bytes')
+const merkle = require('./merkle')
+const script = require('./script')
+
+const MIN_BLOCK_VERSION = 4
+const MAX_BLOCK_SIZE = 2000000
+const MAX_BLOCK_SIGOPS = 20000
+const MAX_TX_SIZE_AFTER_SAPLING = MAX_BLOCK_SIZE
+const TX_EXPIRY_HEIGHT_THRESHOLD = 500000000
+const SPROUT_MIN_TX_VERSION = 1
+const OVERWINTER_MIN_TX_VERSION = 3
+const VERSION_GROUP_IDS = [0x03C48270, 0x892F2085, 0x26A7270A] // Overwinter, Sapling, NU5
+
+const ZERO = BigInt(0)
+
+function moneyRange (amount) {
+  return amount >= ZERO && amount <= MAX_MONEY
+}
+
+// the size of a decoded object, or of its encoded form if it was constructed directly
+function sizeOf (obj) {
+  return obj.size != null ? obj.size : obj.encode().length
+}
+
+// push a violation if any value appears more than once
+function checkDuplicates (values, reason, message, reject) {
+  const seen = new Set()
+  for (const value of values) {
+    if (seen.has(value)) {
+      reject(reason, `${message}: ${value}`)
+      return
+    }
+    seen.add(value)
+  }
+}
+
+// https://github.com/zcash/zcash/blob/v6.0.0/src/main.cpp CheckTransactionWithoutProofVerification()
+function checkTransaction (tx) {
+  const violations = []
+  const reject = (reason, message) => violations.push({ reason, message })
+
+  const joinSplits = tx.joinSplits || []
+  const shieldedSpend = tx.shieldedSpend || []
+  const shieldedOutput = tx.shieldedOutput || []
+  const orchardActions = tx.orchard ? tx.orchard.actions : []
+  const orchardSpends = orchardActions.length > 0 && tx.orchard.enableSpends
+  const orchardOutputs = orchardActions.length > 0 && tx.orchard.enableOutputs
+
+  if (!tx.overwintered && tx.version < SPROUT_MIN_TX_VERSION) {
+    reject('bad-txns-version-too-low', 'Transaction version too low')
+  }
+  if (tx.overwintered) {
+    if (tx.version < OVERWINTER_MIN_TX_VERSION) {
+      reject('bad-tx-overwinter-version-too-low', 'Overwinter transaction version too low')
+    }
+    if (!VERSION_GROUP_IDS.includes(tx.versionGroupId)) {
+      reject('bad-tx-version-group-id', 'Unknown transaction version group ID')
+    }
+    if (tx.expiryHeight >= TX_EXPIRY_HEIGHT_THRESHOLD) {
+      reject('bad-tx-expiry-height-too-high', `Expiry height ${tx.expiryHeight} must be less than ${TX_EXPIRY_HEIGHT_THRESHOLD}`)
+    }
+  }
+
+  // transactions must have a potential source and sink of funds, transparent or shielded
+  if (tx.vin.length === 0 && joinSplits.length === 0 && shieldedSpend.length === 0 && !orchardSpends) {
+    reject('bad-txns-no-source-of-funds', 'Transaction has no inputs, JoinSplits, Sapling spends or Orchard spends')
+  }
+  if (tx.vout.length === 0 && joinSplits.length === 0 && shieldedOutput.length === 0 && !orchardOutputs) {
+    reject('bad-txns-no-sink-of-funds', 'Transaction has no outputs, JoinSplits, Sapling outputs or Orchard outputs')
+  }
+
+  const size = sizeOf(tx)
+  if (size > MAX_TX_SIZE_AFTER_SAPLING) {
+    reject('bad-txns-oversize', `Transaction size ${size} exceeds ${MAX_TX_SIZE_AFTER_SAPLING} bytes`)
+  }
+
+  // value leaving the transparent pool, through outputs, shielding and JoinSplit vpub_old
+  let valueOut = ZERO
+  const addOut = (value) => {
+    valueOut += value
+    if (!moneyRange(valueOut)) {
+      reject('bad-txns-txouttotal-toolarge', 'Total output value out of range')
+      return false
+    }
+    return true
+  }
+  for (const output of tx.vout) {
+    const value = BigInt(output.value)
+    if (value < ZERO) {
+      reject('bad-txns-vout-negative', `Output value ${value} is negative`)
+      break
+    }
+    if (value > MAX_MONEY) {
+      reject('bad-txns-vout-toolarge', `Output value ${value} is too large`)
+      break
+    }
+    if (!addOut(value)) {
+      break
+    }
+  }
+
+  const valueBalance = tx.valueBalance != null ? BigInt(tx.valueBalance) : ZERO
+  const orchardValueBalance = tx.orchard ? BigInt(tx.orchard.valueBalance) : ZERO
+  if (shieldedSpend.length === 0 && shieldedOutput.length === 0 && valueBalance !== ZERO) {
+    reject('bad-txns-valuebalance-nonzero', 'Sapling valueBalance is non-zero without Sapling spends or outputs')
+  }
+  for (const balance of [valueBalance, orchardValueBalance]) {
+    if (balance > MAX_MONEY || balance < -MAX_MONEY) {
+      reject('bad-txns-valuebalance-toolarge', `Value balance ${balance} is out of range`)
+    } else if (balance < ZERO) {
+      addOut(-balance)
+    }
+  }
+
+  for (const joinSplit of joinSplits) {
+    const vpubOld = BigInt(joinSplit.vpubOld)
+    const vpubNew = BigInt(joinSplit.vpubNew)
+    if (vpubOld < ZERO) {
+      reject('bad-txns-vpub_old-negative', 'JoinSplit vpub_old is negative')
+    }
+    if (vpubNew < ZERO) {
+      reject('bad-txns-vpub_new-negative', 'JoinSplit vpub_new is negative')
+    }
+    if (vpubOld > MAX_MONEY) {
+      reject('bad-txns-vpub_old-toolarge', 'JoinSplit vpub_old is too large')
+    }
+    if (vpubNew > MAX_MONEY) {
+      reject('bad-txns-vpub_new-toolarge', 'JoinSplit vpub_new is too large')
+    }
+    if (vpubOld !== ZERO && vpubNew !== ZERO) {
+      reject('bad-txns-vpubs-both-nonzero', 'JoinSplit vpub_old and vpub_new are both non-zero')
+    }
+    if (!addOut(vpubOld)) {
+      break
+    }
+  }
+
+  // value entering the transparent pool that is known without the spent outputs, through JoinSplit vpub_new
+  // and unshielding
+  let valueIn = ZERO
+  const valuesIn = joinSplits.map((joinSplit) => BigInt(joinSplit.vpubNew))
+    .concat([valueBalance, orchardValueBalance].filter((balance) => balance > ZERO))
+  for (const value of valuesIn) {
+    valueIn += value
+    if (!moneyRange(value) || !moneyRange(valueIn)) {
+      reject('bad-txns-txintotal-toolarge', 'Total input value out of range')
+      break
+    }
+  }
+
+  checkDuplicates(tx.vin.map(({ prevout }) => `${toHex(prevout.hash)}:${prevout.n}`),
+    'bad-txns-inputs-duplicate', 'Duplicate input', reject)
+  checkDuplicates(joinSplits.reduce((nullifiers, joinSplit) => nullifiers.concat(joinSplit.nullifiers.map(toHex)), []),
+    'bad-joinsplits-nullifiers-duplicate', 'Duplicate JoinSplit nullifier', reject)
+  checkDuplicates(shieldedSpend.map(({ nullifier }) => toHex(nullifier)),
+    'bad-spend-description-nullifiers-duplicate', 'Duplicate Sapling nullifier', reject)
+  checkDuplicates(orchardActions.map(({ nullifier }) => toHex(nullifier)),
+    'bad-orchard-nullifiers-duplicate', 'Duplicate Orchard nullifier', reject)
+
+  if (tx.isCoinbase()) {
+    if (joinSplits.length > 0) {
+      reject('bad-cb-has-joinsplits', 'Coinbase transaction has JoinSplits')
+    }
+    if (shieldedSpend.length > 0) {
+      reject('bad-cb-has-spend-description', 'Coinbase transaction has Sapling spends')
+    }
+    if (orchardSpends) {
+      reject('bad-cb-has-orchard-spend', 'Coinbase transaction has Orchard spends enabled')
+    }
+    const length = tx.vin[0].scriptSig.length
+    if (length < 2 || length > 100) {
+      reject('bad-cb-length', `Coinbase scriptSig length ${length} is outside of 2 to 100 bytes`)
+    }
+  } else if (tx.vin.some((input) => input.prevout.isNull())) {
+    reject('bad-txns-prevout-null', 'Non-coinbase transaction spends a null outpoint')
+  }
+
+  return violations
+}
+
+// GetLegacySigOpCount()
+function legacySigOpCount (tx) {
+  return tx.vin.reduce((count, input) => count + script.countSigOps(input.scriptSig), 0) +
+    tx.vout.reduce((count, output) => count + script.countSigOps(output.scriptPubKey), 0)
+}
+
+// https://github.com/zcash/zcash/blob/v6.0.0/src/main.cpp CheckBlockHeader() and CheckBlock()
+function checkBlock (block) {
+  const violations = []
+  const reject = (reason, message) => violations.push({ reason, message })
+  const transactions = block.transactions
+
+  if (block.version < MIN_BLOCK_VERSION) {
+    reject('version-too-low', `Block version ${block.version} is less than ${MIN_BLOCK_VERSION}`)
+  }
+  if (!block.verifySolution()) {
+    reject('invalid-solution', 'Equihash solution is invalid')
+  }
+  if (!block.checkProofOfWork()) {
+    reject('high-hash', 'Block hash does not meet the proof of work target')
+  }
+
+  const { root, mutated } = merkle.merkleRoot(transactions.map((tx) => tx.hash))
+  if (toHex(root) !== toHex(block.merkleroot)) {
+    reject('bad-txnmrklroot', 'Merkle root does not match the transactions')
+  }
+  if (mutated) {
+    reject('bad-txns-duplicate', 'Duplicate transaction in the Merkle tree')
+  }
+
+  const size = sizeOf(block)
+  if (transactions.length === 0 || size > MAX_BLOCK_SIZE) {
+    reject('bad-blk-length', `Block has ${transactions.length} transactions and is ${size} bytes`)
+  }
+  if (transactions.length === 0 || !transactions[0].isCoinbase()) {
+    reject('bad-cb-missing', 'First transaction is not a coinbase')
+  }
+  if (transactions.slice(1).some((tx) => tx.isCoinbase())) {
+    reject('bad-cb-multiple', 'More than one coinbase transaction')
+  }
+
+  transactions.forEach((tx, index) => {
+    for (const violation of checkTransaction(tx)) {
+      violations.push(Object.assign({ index }, violation))
+    }
+  })
+
+  const sigOps = transactions.reduce((count, tx) => count + legacySigOpCount(tx), 0)
+  if (sigOps > MAX_BLOCK_SIGOPS) {
+    reject('bad-blk-sigops', `Block has ${sigOps} signature operations, more than ${MAX_BLOCK_SIGOPS}`)
+  }
+
+  return violations
+}
+
+module.exports.checkTransaction = checkTransaction
+module.exports.checkBlock = checkBlock
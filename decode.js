@@ -1,4 +1,9 @@
+/* global BigInt */
+
 const classes = require('./classes/')
+const { resolveType, byteArrayLength, vectorType, arrayType, optionalType } = require('./coding-utils')
+const { asUint8Array, dataView } = require('./bytes')
+const { getNetwork } = require('./networks')
 
 const classesArray = Object.values(classes)
 const classRegistry = classesArray.reduce((p, c) => {
@@ -6,27 +11,56 @@ const classRegistry = classesArray.reduce((p, c) => {
   return p
 }, {})
 
+// The encoded size of types that are always the same size, or null where it varies, cached per type so skipping
+// doesn't need to work through each property of each element
+const fixedSizes = new Map()
+function fixedSize (type) {
+  if (fixedSizes.has(type)) {
+    return fixedSizes.get(type)
+  }
+  let size = null
+  const clazz = classRegistry[type]
+  if (clazz) {
+    if (typeof clazz._skip !== 'function' && !clazz._propertiesDescriptor.some((property) => property.type.startsWith('_customDecode'))) {
+      const sizes = clazz._propertiesDescriptor.map((property) => fixedSize(property.type))
+      size = sizes.includes(null) ? null : sizes.reduce((p, c) => p + c, 0)
+    }
+  } else {
+    const resolved = resolveType(type)
+    const arrayDesc = arrayType(resolved)
+    if (byteArrayLength(resolved) > -1) {
+      size = byteArrayLength(resolved)
+    } else if (arrayDesc && fixedSize(arrayDesc[0]) !== null) {
+      size = fixedSize(arrayDesc[0]) * arrayDesc[1]
+    } else {
+      size = { bool: 1, int32_t: 4, uint32_t: 4, int64_t: 8, CAmount: 8, uint256: 32 }[resolved] || null
+    }
+  }
+  fixedSizes.set(type, size)
+  return size
+}
+
 // https://github.com/zcash/zcash/blob/fa1b656482a38d3a6c97950b35521a9c45da1e9c/src/serialize.h#L288
-function readCompactSize (buf, offset) {
-  const chSize = buf.readUInt8(offset)
+function readCompactSize (view, offset) {
+  const chSize = view.getUint8(offset)
   offset++
   if (chSize < 253) {
     return [chSize, 1]
   } else if (chSize === 253) {
-    const nSizeRet = buf.readUInt16LE(offset)
+    const nSizeRet = view.getUint16(offset, true)
     if (nSizeRet < 253) {
       throw new Error('non-canonical readCompactSize()')
     }
     return [nSizeRet, 3]
   } else if (chSize === 254) {
-    const nSizeRet = buf.readUInt32LE(offset)
+    const nSizeRet = view.getUint32(offset, true)
     if (nSizeRet < 0x10000) {
       throw new Error('non-canonical readCompactSize()')
     }
     return [nSizeRet, 5]
   } else {
     // shouldn't need this, no way are we going to encounter 64-bit ints for decode sizes here
-    // const nSizeRet = buf.readBigInt64LE(offset)
+    // const nSizeRet = view.getBigInt64(offset, true)
     // throw new Error(`readCompactSize() size too large (probably ${nSizeRet})`)
     throw new Error('readCompactSize() size too large')
     /*
@@ -42,11 +76,14 @@ function readCompactSize (buf, offset) {
  *
  * Can be used directly as `require('zcash-block').decode()`.
  *
- * @param {Uint8Array|Buffer} buffer - the raw bytes of the block to be decoded.
+ * @param {Uint8Array} buffer - the raw bytes of the block to be decoded.
+ * @param {object} [options]
+ * @param {string|object} [options.network='main'] - the network the data belongs to, a name or parameters object,
+ * see {@link networks.getNetwork()}
  * @name ZcashBlock.decode()
  */
-function decodeBlock (buf) {
-  return _decodeBlock(buf, 'CBlockHeader')
+function decodeBlock (buf, options) {
+  return _decode(buf, 'CBlockHeader', false, options)
 }
 
 /**
@@ -54,16 +91,121 @@ function decodeBlock (buf) {
  *
  * Can be used directly as `require('zcash-block').decodeBlockHeaderOnly()`.
  *
- * @param {Uint8Array|Buffer} buffer - the raw bytes of the block to be decoded.
+ * @param {Uint8Array} buffer - the raw bytes of the block to be decoded.
+ * @param {object} [options]
+ * @param {string|object} [options.network='main'] - the network the data belongs to, a name or parameters object,
+ * see {@link networks.getNetwork()}
  * @name ZcashBlock.decodeBlockHeaderOnly()
  */
-function decodeBlockHeaderOnly (buf) {
-  return _decodeBlock(buf, 'CBlockHeader__Only')
+function decodeBlockHeaderOnly (buf, options) {
+  return _decode(buf, 'CBlockHeader__Only', false, options)
+}
+
+/**
+ * Lazily decode a {@link ZcashBlock} from the raw bytes of the block. The header is decoded as normal but the
+ * transactions are only scanned, once, to build an index of where each one starts and ends along with its
+ * hash (txid). Each element of `transactions` is then decoded the first time it is accessed. Decoded byte
+ * fields are views into `buffer`, rather than copies, so it shouldn't be modified while the block is in use.
+ *
+ * This is much cheaper than {@link ZcashBlock.decode()} where only the header and txids are needed. Methods
+ * that only need txids, such as `toJSON()`, {@link ZcashBlock#computeMerkleRoot} and
+ * {@link ZcashBlock#merkleProof}, use the index and don't decode any transactions. v5 (NU5) transactions are
+ * decoded while indexing because their txids are calculated from their decoded fields (ZIP 244).
+ *
+ * The returned block has an additional `transactionIndex` property, an array of `{ offset, size, hash }` for
+ * each transaction, where `offset` is the position of the transaction within `buffer`.
+ *
+ * Can be used directly as `require('zcash-block').decodeLazy()`.
+ *
+ * @param {Uint8Array} buffer - the raw bytes of the block to be decoded.
+ * @param {object} [options]
+ * @param {string|object} [options.network='main'] - the network the data belongs to, a name or parameters object,
+ * see {@link networks.getNetwork()}
+ * @name ZcashBlock.decodeLazy()
+ */
+function decodeBlockLazy (buf, options) {
+  return _decode(buf, 'CBlockHeader__Lazy', false, options)
+}
+
+/**
+ * Decode a {@link ZcashMerkleBlock} from its raw bytes, such as the hex form returned by the Zcash API's
+ * `gettxoutproof`.
+ *
+ * Can be used directly as `require('zcash-block').decodeMerkleBlock()`.
+ *
+ * @param {Uint8Array} buffer - the raw bytes of the merkle block to be decoded.
+ * @param {object} [options]
+ * @param {string|object} [options.network='main'] - the network the data belongs to, a name or parameters object,
+ * see {@link networks.getNetwork()}
+ * @name ZcashBlock.decodeMerkleBlock()
+ */
+function decodeMerkleBlock (buf, options) {
+  return _decode(buf, 'CMerkleBlock', false, options)
+}
+
+/**
+ * Decode a {@link ZcashTransaction} from the raw bytes of a standalone transaction, such as the hex form returned
+ * by the Zcash API's `getrawtransaction`. An `Error` is thrown if there are bytes left over after the transaction.
+ *
+ * Can be used directly as `require('zcash-block').decodeTransaction()` and is also available as
+ * `ZcashTransaction.decode()`.
+ *
+ * @param {Uint8Array} buffer - the raw bytes of the transaction to be decoded.
+ * @param {object} [options]
+ * @param {string|object} [options.network='main'] - the network the data belongs to, a name or parameters object,
+ * see {@link networks.getNetwork()}
+ * @name ZcashBlock.decodeTransaction()
+ */
+function decodeTransaction (buf, options) {
+  return _decode(buf, 'CTransaction', true, options)
+}
+
+/**
+ * Decode a {@link ZcashSaplingMerkleTree} from the raw bytes of the frontier of a Sapling note commitment tree,
+ * such as the hex form of `sapling.commitments.finalState` returned by the Zcash API's `z_gettreestate`. An
+ * `Error` is thrown if there are bytes left over after the tree.
+ *
+ * Can be used directly as `require('zcash-block').decodeSaplingTree()` and is also available as
+ * `ZcashSaplingMerkleTree.decode()`.
+ *
+ * @param {Uint8Array} buffer - the raw bytes of the tree to be decoded.
+ * @returns {ZcashSaplingMerkleTree}
+ * @name ZcashBlock.decodeSaplingTree()
+ */
+function decodeSaplingTree (buf) {
+  return _decode(buf, 'SaplingMerkleTree', true)
+}
+
+/**
+ * Decode a {@link ZcashSproutMerkleTree} from the raw bytes of the frontier of a Sprout note commitment tree,
+ * such as the hex form of `sprout.commitments.finalState` returned by the Zcash API's `z_gettreestate`. An
+ * `Error` is thrown if there are bytes left over after the tree.
+ *
+ * Can be used directly as `require('zcash-block').decodeSproutTree()` and is also available as
+ * `ZcashSproutMerkleTree.decode()`.
+ *
+ * @param {Uint8Array} buffer - the raw bytes of the tree to be decoded.
+ * @returns {ZcashSproutMerkleTree}
+ * @name ZcashBlock.decodeSproutTree()
+ */
+function decodeSproutTree (buf) {
+  return _decode(buf, 'SproutMerkleTree', true)
+}
+
+// Decode a single value of the given native type that makes up the whole of `buf`, the inverse of
+// `encodeType()`, e.g. `decodeType('PHGRProof', proofBytes)`.
+function decodeType (type, buf) {
+  return _decode(buf, type, true)
 }
 
-function _decodeBlock (buf, type) {
+function _decode (buf, type, exact, options = {}) {
+  buf = asUint8Array(buf)
+  const view = dataView(buf)
   let pos = 0
   const state = {}
+  if (options.network !== undefined) {
+    state.network = getNetwork(options.network)
+  }
 
   const decoder = {
     currentPosition () {
@@ -71,47 +213,52 @@ function _decodeBlock (buf, type) {
     },
 
     readUInt8 () {
-      const i = buf.readUInt8(pos)
+      const i = view.getUint8(pos)
       pos++
       return i
     },
 
     readUInt32LE () {
-      const i = buf.readUInt32LE(pos)
+      const i = view.getUint32(pos, true)
       pos += 4
       return i
     },
 
     readInt32LE () {
-      const i = buf.readInt32LE(pos)
+      const i = view.getInt32(pos, true)
       pos += 4
       return i
     },
 
     readBigInt64LE () {
-      // not browser friendly, need to simulate:
-      // const i = buf.readBigInt64LE(pos)
-
-      // nicer BigInt version:
-      /*
-      const lo = BigInt(buf.readInt32LE(pos))
-      const hi = BigInt(buf.readInt32LE(pos + 4))
-      const i = (BigInt(2) ** BigInt(32)) * hi + lo
-      */
-      // risky plain, but currently (2019) browser-safe version
-      const lo = buf.readInt32LE(pos)
-      const hi = buf.readInt32LE(pos + 4)
-      const i = (2 ** 32) * hi + lo
+      // DataView#getBigInt64() isn't available in older browsers, so combine two 32-bit reads
+      const lo = BigInt(view.getUint32(pos, true))
+      const hi = BigInt(view.getInt32(pos + 4, true))
       pos += 8
-      return i
+      return (hi << BigInt(32)) + lo
     },
 
     slice (len) {
-      return buf.slice(pos, pos += len) // eslint-disable-line
+      const start = pos
+      decoder.skip(len)
+      return buf.subarray(start, pos)
     },
 
     absoluteSlice (start, len) {
-      return buf.slice(start, start + len)
+      return buf.subarray(start, start + len)
+    },
+
+    skip (len) {
+      if (pos + len > buf.length) {
+        throw new RangeError(`Unexpected end of data, need ${len} bytes at position ${pos}`)
+      }
+      pos += len
+    },
+
+    // decode a complete value from a section of the input that has already been skipped over, e.g. a single
+    // transaction of a lazily decoded block
+    decodeSection (start, len, type) {
+      return _decode(decoder.absoluteSlice(start, len), type, true, { network: state.network })
     },
 
     readHash () {
@@ -119,7 +266,7 @@ function _decodeBlock (buf, type) {
     },
 
     readCompactInt () {
-      const [i, bytesRead] = readCompactSize(buf, pos)
+      const [i, bytesRead] = readCompactSize(view, pos)
       pos += bytesRead
       return i
     },
@@ -136,82 +283,42 @@ function _decodeBlock (buf, type) {
         return decoder.readClass(classRegistry[type])
       }
 
-      // TODO: push some of this specific typedef stuff back into classes rather than
-      // hardwiring here
+      type = resolveType(type)
 
       // fixed byte arrays
-      if (type === 'libzcash::GrothProof') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/JoinSplit.hpp#L18
-        type = `std::array<unsigned char, ${48 + 96 + 48}>`
-      } else if (type === 'libzcash::SaplingEncCiphertext') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L20
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Zcash.h#L27
-        type = 'std::array<unsigned char, 580>'
-      } else if (type === 'libzcash::SaplingOutCiphertext') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L21
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Zcash.h#L28
-        type = 'std::array<unsigned char, 80>'
-      } else if (type === 'spend_auth_sig_t') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L46
-        type = 'std::array<unsigned char, 64>'
-      } else if (type === 'ZCNoteEncryption::Ciphertext') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L196
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/NoteEncryption.hpp#L142
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/zcash/Zcash.h#L22
-        // CLEN=MLEN+NOTEENCRYPTION_AUTH_BYTES
-        // MLEN=ZC_NOTEPLAINTEXT_SIZE (for ZCNoteEncryption)
-        // ZC_NOTEPLAINTEXT_SIZE=585
-        // NOTEENCRYPTION_AUTH_BYTES=16
-        // therefore CLEN=585+16
-        type = `std::array<unsigned char, ${585 + 16}>`
-      } else if (type === 'joinsplit_sig_t') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L515
-        type = 'std::array<unsigned char, 64>'
-      } else if (type === 'binding_sig_t') {
-        // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/primitives/transaction.h#L516
-        type = 'std::array<unsigned char, 64>'
-      } else if (type === 'base_blob<256>') {
-        type = `std::array<unsigned char, ${256 / 8}>`
-      } else if (type === 'base_blob<512>') {
-        type = `std::array<unsigned char, ${512 / 8}>`
-      }
-
-      if (type.startsWith('std::array<unsigned char,')) {
-        const length = parseInt(type.replace(/^std::array<unsigned char,\s*(\d+)>$/, '$1', 10))
-        return decoder.slice(length)
-      }
-
-      // some rewrites of things that share forms
-
-      if (type === 'std::vector<unsigned char>' || type === 'CScript') {
-        // different forms of byte slices
-        type = 'compactSlice'
-      }
-      if (type === 'CAmount') {
-        type = 'int64_t'
+      const byteLength = byteArrayLength(type)
+      if (byteLength > -1) {
+        return decoder.slice(byteLength)
       }
 
       // flexible vectors
-      const isVector = type.startsWith('std::vector<')
-      const vectorType = isVector && type.replace(/std::vector<([^>]+)>/, '$1')
-      if (isVector && vectorType) {
+      const elementType = vectorType(type)
+      if (elementType) {
         const size = decoder.readCompactInt()
         const list = []
         for (let i = 0; i < size; i++) {
-          list.push(decoder.readType(vectorType))
+          list.push(decoder.readType(elementType))
         }
         return list
       }
 
+      // optional values
+      const valueType = optionalType(type)
+      if (valueType) {
+        const discriminant = decoder.readUInt8()
+        if (discriminant > 1) {
+          throw new Error(`Non-canonical optional discriminant: ${discriminant}`)
+        }
+        return discriminant === 1 ? decoder.readType(valueType) : null
+      }
+
       // fixed arrays
-      const isArray = type.startsWith('std::array<')
-      const arrayDesc = isArray && type.match(/std::array<([^,]+),\s*(\d+)>/)
+      const arrayDesc = arrayType(type)
       if (arrayDesc) {
-        const arraySize = parseInt(arrayDesc[2], 10)
-        const arrayType = arrayDesc[1]
+        const [elementType, arraySize] = arrayDesc
         const array = []
         for (let i = 0; i < arraySize; i++) {
-          array.push(decoder.readType(arrayType))
+          array.push(decoder.readType(elementType))
         }
         return array
       }
@@ -226,15 +333,78 @@ function _decodeBlock (buf, type) {
           return decoder.readUInt32LE()
         case 'int64_t':
           return decoder.readBigInt64LE()
+        case 'CAmount':
+          // as any int64, zcashd only rejects amounts out of range in CheckTransaction()
+          return decoder.readBigInt64LE()
         case 'uint256':
           return decoder.readHash()
         case 'compactSlice':
           return decoder.readCompactSlice()
         default:
-          throw new TypeError(`Don't know how to decode type: ${type} / ${vectorType}`)
+          throw new TypeError(`Don't know how to decode type: ${type}`)
       }
     },
 
+    // advance past a value without decoding it, classes with custom decoders can supply a `_skip()` or are
+    // otherwise decoded and discarded, since their custom decoders may depend on decoded properties
+    skipType (type) {
+      const size = fixedSize(type)
+      if (size !== null) {
+        return decoder.skip(size)
+      }
+
+      const clazz = classRegistry[type]
+      if (clazz) {
+        if (typeof clazz._skip === 'function') {
+          clazz._skip(decoder, state)
+        } else if (clazz._propertiesDescriptor.some((property) => property.type.startsWith('_customDecode'))) {
+          decoder.readClass(clazz)
+        } else {
+          for (const property of clazz._propertiesDescriptor) {
+            decoder.skipType(property.type)
+          }
+        }
+        return
+      }
+
+      type = resolveType(type)
+
+      const elementType = vectorType(type)
+      if (elementType) {
+        const length = decoder.readCompactInt()
+        const elementSize = fixedSize(elementType)
+        if (elementSize !== null) {
+          return decoder.skip(length * elementSize)
+        }
+        for (let i = 0; i < length; i++) {
+          decoder.skipType(elementType)
+        }
+        return
+      }
+
+      const arrayDesc = arrayType(type)
+      if (arrayDesc) {
+        const [elementType, arraySize] = arrayDesc
+        for (let i = 0; i < arraySize; i++) {
+          decoder.skipType(elementType)
+        }
+        return
+      }
+
+      const valueType = optionalType(type)
+      if (valueType) {
+        if (decoder.readUInt8() !== 0) {
+          decoder.skipType(valueType)
+        }
+        return
+      }
+
+      if (type === 'compactSlice') {
+        return decoder.skip(decoder.readCompactInt())
+      }
+      throw new TypeError(`Don't know how to skip type: ${type}`)
+    },
+
     readClass (clazz) {
       const properties = []
       for (const property of clazz._propertiesDescriptor) {
@@ -248,13 +418,26 @@ function _decodeBlock (buf, type) {
       }
 
       const newInstance = new (Function.prototype.bind.apply(clazz, [null, ...properties])) // eslint-disable-line
+      // blocks and transactions carry the network they were decoded for
+      if (state.network && 'network' in newInstance) {
+        newInstance.network = state.network
+      }
       return newInstance
     }
   }
 
-  const block = decoder.readType(type)
-  return block
+  const decoded = decoder.readType(type)
+  if (exact && pos !== buf.length) {
+    throw new Error(`Unexpected ${buf.length - pos} bytes after ${type}`)
+  }
+  return decoded
 }
 
 module.exports = decodeBlock
 module.exports.decodeBlockHeaderOnly = decodeBlockHeaderOnly
+module.exports.decodeBlockLazy = decodeBlockLazy
+module.exports.decodeMerkleBlock = decodeMerkleBlock
+module.exports.decodeTransaction = decodeTransaction
+module.exports.decodeSaplingTree = decodeSaplingTree
+module.exports.decodeSproutTree = decodeSproutTree
+module.exports.decodeType = decodeType
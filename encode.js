@@ -0,0 +1,188 @@
+/* global BigInt */
+
+const { resolveType, byteArrayLength, vectorType, arrayType, optionalType } = require('./coding-utils')
+const { checkAmount } = require('./classes/class-utils')
+const { concat, dataView } = require('./bytes')
+
+// https://github.com/zcash/zcash/blob/fa1b656482a38d3a6c97950b35521a9c45da1e9c/src/serialize.h#L263
+function compactSizeBytes (size) {
+  let bytes
+  if (size < 253) {
+    bytes = Uint8Array.of(size)
+  } else if (size <= 0xffff) {
+    bytes = Uint8Array.of(253, 0, 0)
+    dataView(bytes).setUint16(1, size, true)
+  } else if (size <= 0xffffffff) {
+    bytes = Uint8Array.of(254, 0, 0, 0, 0)
+    dataView(bytes).setUint32(1, size, true)
+  } else {
+    throw new Error('writeCompactSize() size too large')
+  }
+  return bytes
+}
+
+/**
+ * Encode a {@link ZcashBlock}, {@link ZcashTransaction} or any of the child classes to its raw binary
+ * form. This is the inverse of {@link ZcashBlock.decode()}, decoding a block and encoding it again will
+ * produce the same bytes.
+ *
+ * Can be used directly as `require('zcash-block').encode()` and is also available on each of the classes as an
+ * `encode()` method.
+ *
+ * @param {object} obj - an instance of one of the Zcash classes to be encoded
+ * @returns {Uint8Array} the raw bytes of the encoded object
+ * @name ZcashBlock.encode()
+ */
+function encode (obj) {
+  return _encode((encoder) => encoder.writeClass(obj.constructor, obj))
+}
+
+// Encode a single value of the given native type, e.g. `encodeType('uint32_t', 1)` or
+// `encodeType('CScript', scriptBytes)`.
+function encodeType (type, value) {
+  return _encode((encoder) => encoder.writeType(type, value))
+}
+
+function _encode (fn) {
+  const chunks = []
+  const state = {}
+
+  function push (size, fn) {
+    const bytes = new Uint8Array(size)
+    fn(dataView(bytes))
+    chunks.push(bytes)
+  }
+
+  const encoder = {
+    writeUInt8 (i) {
+      push(1, (v) => v.setUint8(0, i))
+    },
+
+    writeUInt32LE (i) {
+      push(4, (v) => v.setUint32(0, i, true))
+    },
+
+    writeInt32LE (i) {
+      push(4, (v) => v.setInt32(0, i, true))
+    },
+
+    writeBigInt64LE (i) {
+      // inverse of readBigInt64LE() in ./decode.js, two's complement split into two 32-bit writes
+      const u = BigInt.asUintN(64, BigInt(i))
+      push(8, (v) => {
+        v.setUint32(0, Number(u & BigInt(0xffffffff)), true)
+        v.setUint32(4, Number(u >> BigInt(32)), true)
+      })
+    },
+
+    writeBytes (bytes, len) {
+      if (len !== undefined && bytes.length !== len) {
+        throw new Error(`Expected ${len} bytes to encode, got ${bytes.length}`)
+      }
+      chunks.push(Uint8Array.from(bytes))
+    },
+
+    writeHash (hash) {
+      encoder.writeBytes(hash, 32)
+    },
+
+    writeCompactInt (i) {
+      chunks.push(compactSizeBytes(i))
+    },
+
+    writeCompactSlice (bytes) {
+      encoder.writeCompactInt(bytes.length)
+      encoder.writeBytes(bytes)
+    },
+
+    writeType (type, value) {
+      // a class we know
+      if (value && value.constructor && value.constructor._nativeName === type) {
+        return encoder.writeClass(value.constructor, value)
+      }
+
+      type = resolveType(type)
+
+      // fixed byte arrays
+      const byteLength = byteArrayLength(type)
+      if (byteLength > -1) {
+        return encoder.writeBytes(value, byteLength)
+      }
+
+      // flexible vectors
+      const elementType = vectorType(type)
+      if (elementType) {
+        encoder.writeCompactInt(value.length)
+        for (const element of value) {
+          encoder.writeType(elementType, element)
+        }
+        return
+      }
+
+      // optional values
+      const valueType = optionalType(type)
+      if (valueType) {
+        encoder.writeUInt8(value == null ? 0 : 1)
+        if (value != null) {
+          encoder.writeType(valueType, value)
+        }
+        return
+      }
+
+      // fixed arrays
+      const arrayDesc = arrayType(type)
+      if (arrayDesc) {
+        const [elementType, arraySize] = arrayDesc
+        if (value.length !== arraySize) {
+          throw new Error(`Expected ${arraySize} elements of ${elementType} to encode, got ${value.length}`)
+        }
+        for (const element of value) {
+          encoder.writeType(elementType, element)
+        }
+        return
+      }
+
+      // generic stuff
+      switch (type) {
+        case 'bool':
+          return encoder.writeUInt8(value ? 1 : 0)
+        case 'int32_t':
+          return encoder.writeInt32LE(value)
+        case 'uint32_t':
+          return encoder.writeUInt32LE(value)
+        case 'int64_t':
+          return encoder.writeBigInt64LE(value)
+        case 'CAmount':
+          return encoder.writeBigInt64LE(checkAmount(value))
+        case 'uint256':
+          return encoder.writeHash(value)
+        case 'compactSlice':
+          return encoder.writeCompactSlice(value)
+        default:
+          throw new TypeError(`Don't know how to encode type: ${type}`)
+      }
+    },
+
+    writeClass (clazz, obj) {
+      if (!Array.isArray(clazz._encodePropertiesDescriptor)) {
+        throw new TypeError(`Don't know how to encode class: ${clazz.name}`)
+      }
+      for (const property of clazz._encodePropertiesDescriptor) {
+        const type = property.type
+        // custom encoder, the inverse of a custom decoder
+        if (type.startsWith('_customEncode') && typeof clazz[type] === 'function') {
+          clazz[type](encoder, obj, state)
+        } else {
+          encoder.writeType(type, obj[property.name])
+        }
+      }
+    }
+  }
+
+  fn(encoder)
+  return concat(chunks)
+}
+
+module.exports = encode
+module.exports.encodeType = encodeType
+module.exports.encodeCompactSize = compactSizeBytes
@@ -0,0 +1,113 @@
+// Equihash proof of work solution verification
+// https://zips.z.cash/protocol/protocol.pdf#equihash
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/crypto/equihash.cpp
+
+const { blake2b } = require('blakejs')
+const { concat, fromAscii, uint32LE } = require('./bytes')
+
+function collisionBitLength (n, k) {
+  return n / (k + 1)
+}
+
+// the size in bytes of a minimal (compressed) solution for the given parameters, each of the 2^k indices
+// takes collisionBitLength + 1 bits
+function solutionWidth (n, k) {
+  return (1 << k) * (collisionBitLength(n, k) + 1) / 8
+}
+
+function validateParameters (n, k) {
+  if (!Number.isInteger(n) || !Number.isInteger(k) || k < 1 || n % 8 !== 0 || n % (k + 1) !== 0 ||
+      k >= collisionBitLength(n, k) || collisionBitLength(n, k) + 1 > 32 || n > 512) {
+    throw new RangeError(`Unsupported Equihash parameters (${n},${k})`)
+  }
+}
+
+// read `count` big-endian integers of `bitLength` bits each, packed together in `bytes`
+function unpackBits (bytes, bitLength, count) {
+  const values = []
+  let acc = 0
+  let accBits = 0
+  let pos = 0
+  for (let i = 0; i < count; i++) {
+    while (accBits < bitLength) {
+      acc = acc * 256 + bytes[pos++] // at most 24 bits are carried over, so this stays below 2^32
+      accBits += 8
+    }
+    accBits -= bitLength
+    values.push(Math.floor(acc / (2 ** accBits)) & ((2 ** bitLength) - 1))
+    acc = acc % (2 ** accBits)
+  }
+  return values
+}
+
+function personalization (n, k) {
+  return concat([fromAscii('ZcashPoW'), uint32LE(n), uint32LE(k)])
+}
+
+// the hash of index `i` as k+1 collisionBitLength-bit chunks
+function generateHash (n, k, input, personal, cache, i) {
+  const indicesPerHashOutput = Math.floor(512 / n)
+  const hashOutput = indicesPerHashOutput * n / 8
+  const block = Math.floor(i / indicesPerHashOutput)
+  if (!cache.has(block)) {
+    cache.set(block, blake2b(concat([input, uint32LE(block)]), null, hashOutput, null, personal))
+  }
+  const start = (i % indicesPerHashOutput) * n / 8
+  return unpackBits(cache.get(block).subarray(start, start + n / 8), collisionBitLength(n, k), k + 1)
+}
+
+function indicesBefore (a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i]
+    }
+  }
+  return false
+}
+
+function distinctIndices (a, b) {
+  const set = new Set(a)
+  return !b.some((i) => set.has(i))
+}
+
+// Verify an Equihash solution for the (n, k) parameters over `input`, which is the serialized block header
+// up to and including the nonce.
+function verify (n, k, input, solution) {
+  validateParameters(n, k)
+  if (solution.length !== solutionWidth(n, k)) {
+    return false
+  }
+
+  const personal = personalization(n, k)
+  const cache = new Map()
+  let rows = unpackBits(solution, collisionBitLength(n, k) + 1, 1 << k).map((index) => {
+    return { hash: generateHash(n, k, input, personal, cache, index), indices: [index] }
+  })
+
+  while (rows.length > 1) {
+    const next = []
+    for (let i = 0; i < rows.length; i += 2) {
+      const left = rows[i]
+      const right = rows[i + 1]
+      if (left.hash[0] !== right.hash[0]) { // collision on the leading chunk
+        return false
+      }
+      if (indicesBefore(right.indices, left.indices)) { // canonical ordering of the index tree
+        return false
+      }
+      if (!distinctIndices(left.indices, right.indices)) {
+        return false
+      }
+      next.push({
+        hash: left.hash.slice(1).map((chunk, j) => chunk ^ right.hash[j + 1]),
+        indices: left.indices.concat(right.indices)
+      })
+    }
+    rows = next
+  }
+
+  return rows[0].hash.every((chunk) => chunk === 0)
+}
+
+module.exports.verify = verify
+module.exports.solutionWidth = solutionWidth
@@ -0,0 +1,151 @@
+/* global BigInt */
+
+// Transaction fees, the value of a transaction's inputs (transparent and shielded) less its outputs, which needs
+// the transparent outputs being spent to be looked up from earlier transactions, and the changes a block makes to
+// the value held in each of the chain's value pools
+// https://github.com/zcash/zcash/blob/v6.0.0/src/main.cpp ConnectBlock()
+// https://github.com/zcash/zcash/blob/v6.0.0/src/rpc/blockchain.cpp ValuePoolDesc()
+
+const { toHex } = require('./bytes')
+const { toHashHex, amountToCoins } = require('./classes/class-utils')
+
+const ZERO = BigInt(0)
+const POOLS = ['transparent', 'sprout', 'sapling', 'orchard', 'lockbox']
+
+function outPointKey (hash, n) {
+  return `${toHex(hash)}:${n}`
+}
+
+function sum (values) {
+  return values.reduce((total, value) => total + BigInt(value), ZERO)
+}
+
+// the value a transaction takes from the transparent pool (outputs, JoinSplit vpub_old) and moves into the
+// shielded pools (negative value balances), as CTransaction::GetValueOut()
+function valueOut (tx) {
+  const balances = [tx.valueBalance, tx.orchard ? tx.orchard.valueBalance : null].filter((b) => b != null).map(BigInt)
+  return sum(tx.vout.map(({ value }) => value)) +
+    sum((tx.joinSplits || []).map(({ vpubOld }) => vpubOld)) +
+    sum(balances.filter((b) => b < ZERO).map((b) => -b))
+}
+
+// the value a transaction brings from the shielded pools (JoinSplit vpub_new, positive value balances), as
+// CTransaction::GetShieldedValueIn()
+function shieldedValueIn (tx) {
+  const balances = [tx.valueBalance, tx.orchard ? tx.orchard.valueBalance : null].filter((b) => b != null).map(BigInt)
+  return sum((tx.joinSplits || []).map(({ vpubNew }) => vpubNew)) + sum(balances.filter((b) => b > ZERO))
+}
+
+// the value of the transparent outputs spent by a transaction, `created` maps outpoints created earlier in the
+// same block to their outputs, which the lookup may not know of yet
+async function transparentValueIn (tx, prevoutLookup, created) {
+  let valueIn = ZERO
+  for (const { prevout } of tx.vin) {
+    const output = created.get(outPointKey(prevout.hash, prevout.n)) || await prevoutLookup(prevout)
+    if (!output) {
+      throw new Error(`Previous output not found: ${toHashHex(prevout.hash)}:${prevout.n}`)
+    }
+    valueIn += BigInt(output.value)
+  }
+  return valueIn
+}
+
+// record the outputs of a transaction for the transactions after it in the block
+function addCreated (created, tx) {
+  tx.vout.forEach((output, n) => created.set(outPointKey(tx.hash, n), output))
+}
+
+async function transactionFee (tx, prevoutLookup, created = new Map()) {
+  if (tx.isCoinbase()) {
+    throw new TypeError('A coinbase transaction has no fee')
+  }
+  return shieldedValueIn(tx) + await transparentValueIn(tx, prevoutLookup, created) - valueOut(tx)
+}
+
+async function blockFees (block, prevoutLookup) {
+  const created = new Map()
+  let fees = ZERO
+  for (const tx of block.transactions) {
+    if (!tx.isCoinbase()) {
+      fees += await transactionFee(tx, prevoutLookup, created)
+    }
+    addCreated(created, tx)
+  }
+
+  // the coinbase may claim the subsidy and the fees, less any of the subsidy that is deferred to the lockbox
+  const coinbase = block.transactions[0]
+  const { height, subsidy, fundingStreams } = block.coinbaseInfo()
+  if (height !== null) {
+    const limit = subsidy + fees - sum(fundingStreams.filter(({ deferred }) => deferred).map(({ value }) => value))
+    const paid = valueOut(coinbase)
+    if (paid > limit) {
+      throw new Error(`bad-cb-amount: coinbase pays too much (actual=${paid} vs limit=${limit})`)
+    }
+  }
+  return fees
+}
+
+// The change to each value pool made by a block, a negative Sapling or Orchard value balance moves value into that
+// pool and JoinSplits move vpub_old in and vpub_new out of the Sprout pool. The transparent pool gains every
+// transparent output and loses the outputs spent, so it is only known where a `prevoutLookup` is provided.
+async function valuePoolDeltas (block, prevoutLookup) {
+  const deltas = { transparent: prevoutLookup ? ZERO : null, sprout: ZERO, sapling: ZERO, orchard: ZERO, lockbox: ZERO }
+  const created = new Map()
+  for (const tx of block.transactions) {
+    for (const { vpubOld, vpubNew } of tx.joinSplits || []) {
+      deltas.sprout += BigInt(vpubOld) - BigInt(vpubNew)
+    }
+    deltas.sapling -= BigInt(tx.valueBalance || 0)
+    deltas.orchard -= BigInt(tx.orchard ? tx.orchard.valueBalance : 0)
+    if (prevoutLookup) {
+      if (!tx.isCoinbase()) {
+        deltas.transparent -= await transparentValueIn(tx, prevoutLookup, created)
+      }
+      deltas.transparent += sum(tx.vout.map(({ value }) => value))
+      addCreated(created, tx)
+    }
+  }
+
+  // the deferred part of the subsidy is paid into the lockbox rather than by the coinbase
+  const { height, fundingStreams } = block.coinbaseInfo()
+  if (height !== null) {
+    deltas.lockbox = sum(fundingStreams.filter(({ deferred }) => deferred).map(({ value }) => value))
+  }
+  return deltas
+}
+
+// ValuePoolDesc(), a pool is only monitored while its chain value is known
+function valuePoolDesc (id, chainValue, valueDelta) {
+  const desc = { id, monitored: chainValue !== null }
+  if (chainValue !== null) {
+    desc.chainValue = amountToCoins(chainValue)
+    desc.chainValueZat = Number(chainValue)
+  }
+  if (valueDelta !== null) {
+    desc.valueDelta = amountToCoins(valueDelta)
+    desc.valueDeltaZat = Number(valueDelta)
+  }
+  return desc
+}
+
+// Fold a block's value pool deltas into the chain values of the previous block's `valuePools`, the pools of a
+// chain with no blocks are all monitored and empty
+async function valuePools (block, previous, prevoutLookup) {
+  if (previous === undefined) {
+    previous = POOLS.map((id) => ({ id, monitored: true, chainValueZat: 0 }))
+  }
+  const deltas = await valuePoolDeltas(block, prevoutLookup)
+  return previous.map(({ id, monitored, chainValueZat }) => {
+    if (!POOLS.includes(id)) {
+      throw new TypeError(`Unknown value pool: ${id}`)
+    }
+    const delta = deltas[id]
+    const chainValue = monitored && delta !== null ? BigInt(chainValueZat) + delta : null
+    return valuePoolDesc(id, chainValue, delta)
+  })
+}
+
+module.exports.transactionFee = transactionFee
+module.exports.blockFees = blockFees
+module.exports.valuePoolDeltas = valuePoolDeltas
+module.exports.valuePools = valuePools
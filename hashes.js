@@ -0,0 +1,213 @@
+// SHA-256 and RIPEMD-160 in plain JavaScript operating on Uint8Arrays, so hashing works the same in Node.js and
+// browsers without a Buffer polyfill or a crypto backend. BLAKE2b is provided by blakejs.
+// https://nvlpubs.nist.gov/nistpubs/FIPS/NIST.FIPS.180-4.pdf
+// https://homes.esat.kuleuven.be/~bosselae/ripemd160.html
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+// Merkle–Damgård padding shared by both hashes: a 0x80 byte, zeros, then the bit length as a 64-bit integer
+function pad (bytes, bigEndian) {
+  const length = bytes.length
+  const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64)
+  padded.set(bytes)
+  padded[length] = 0x80
+  const view = new DataView(padded.buffer)
+  const bitsLo = (length * 8) >>> 0
+  const bitsHi = Math.floor(length / 0x20000000)
+  if (bigEndian) {
+    view.setUint32(padded.length - 8, bitsHi)
+    view.setUint32(padded.length - 4, bitsLo)
+  } else {
+    view.setUint32(padded.length - 8, bitsLo, true)
+    view.setUint32(padded.length - 4, bitsHi, true)
+  }
+  return view
+}
+
+// the SHA-256 compression function applied to each 64-byte block of `view`, returning the digest of the state
+function sha256Blocks (view) {
+  const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19])
+  const w = new Uint32Array(64)
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4)
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = w[i - 15]
+      const w2 = w[i - 2]
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3)
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10)
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1
+    }
+    let a = h[0]
+    let b = h[1]
+    let c = h[2]
+    let d = h[3]
+    let e = h[4]
+    let f = h[5]
+    let g = h[6]
+    let hh = h[7]
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))
+      const ch = (e & f) ^ (~e & g)
+      const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) | 0
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))
+      const maj = (a & b) ^ (a & c) ^ (b & c)
+      const t2 = (S0 + maj) | 0
+      hh = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) | 0
+    }
+    h[0] += a
+    h[1] += b
+    h[2] += c
+    h[3] += d
+    h[4] += e
+    h[5] += f
+    h[6] += g
+    h[7] += hh
+  }
+  const digest = new Uint8Array(32)
+  const out = new DataView(digest.buffer)
+  for (let i = 0; i < 8; i++) {
+    out.setUint32(i * 4, h[i])
+  }
+  return digest
+}
+
+function sha256 (bytes) {
+  return sha256Blocks(pad(bytes, true))
+}
+
+// SHA256Compress, the compression function alone on a single 64-byte block with no padding, as used to combine
+// nodes of the Sprout note commitment tree
+// https://zips.z.cash/protocol/protocol.pdf#concretesha256compress
+function sha256Compress (bytes) {
+  if (bytes.length !== 64) {
+    throw new RangeError(`SHA256Compress takes a 64-byte block, got ${bytes.length} bytes`)
+  }
+  return sha256Blocks(new DataView(bytes.buffer, bytes.byteOffset, 64))
+}
+
+// double SHA-256, as used for block and transaction hashes, Merkle trees and Base58Check checksums
+function sha256d (bytes) {
+  return sha256(sha256(bytes))
+}
+
+// RIPEMD-160 message word selection, rotation amounts and constants for the left and right lines
+const RMD_R = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+  3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12,
+  1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+  4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13
+]
+const RMD_RP = [
+  5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12,
+  6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+  15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13,
+  8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+  12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11
+]
+const RMD_S = [
+  11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8,
+  7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+  11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5,
+  11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+  9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6
+]
+const RMD_SP = [
+  8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6,
+  9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+  9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5,
+  15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+  8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11
+]
+const RMD_K = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e]
+const RMD_KP = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000]
+
+function rmdF (j, x, y, z) {
+  switch (j >> 4) {
+    case 0: return x ^ y ^ z
+    case 1: return (x & y) | (~x & z)
+    case 2: return (x | ~y) ^ z
+    case 3: return (x & z) | (y & ~z)
+    default: return x ^ (y | ~z)
+  }
+}
+
+function rotl (x, n) {
+  return (x << n) | (x >>> (32 - n))
+}
+
+function ripemd160 (bytes) {
+  const view = pad(bytes, false)
+  const h = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0])
+  const x = new Uint32Array(16)
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      x[i] = view.getUint32(offset + i * 4, true)
+    }
+    let al = h[0]
+    let bl = h[1]
+    let cl = h[2]
+    let dl = h[3]
+    let el = h[4]
+    let ar = al
+    let br = bl
+    let cr = cl
+    let dr = dl
+    let er = el
+    for (let j = 0; j < 80; j++) {
+      let t = (rotl((al + rmdF(j, bl, cl, dl) + x[RMD_R[j]] + RMD_K[j >> 4]) | 0, RMD_S[j]) + el) | 0
+      al = el
+      el = dl
+      dl = rotl(cl, 10)
+      cl = bl
+      bl = t
+      t = (rotl((ar + rmdF(79 - j, br, cr, dr) + x[RMD_RP[j]] + RMD_KP[j >> 4]) | 0, RMD_SP[j]) + er) | 0
+      ar = er
+      er = dr
+      dr = rotl(cr, 10)
+      cr = br
+      br = t
+    }
+    const t = (h[1] + cl + dr) | 0
+    h[1] = (h[2] + dl + er) | 0
+    h[2] = (h[3] + el + ar) | 0
+    h[3] = (h[4] + al + br) | 0
+    h[4] = (h[0] + bl + cr) | 0
+    h[0] = t
+  }
+  const digest = new Uint8Array(20)
+  const out = new DataView(digest.buffer)
+  for (let i = 0; i < 5; i++) {
+    out.setUint32(i * 4, h[i], true)
+  }
+  return digest
+}
+
+// RIPEMD-160 of SHA-256, as used for transparent public key and script hashes
+function hash160 (bytes) {
+  return ripemd160(sha256(bytes))
+}
+
+module.exports.sha256 = sha256
+module.exports.sha256d = sha256d
+module.exports.sha256Compress = sha256Compress
+module.exports.ripemd160 = ripemd160
+module.exports.hash160 = hash160
@@ -0,0 +1,315 @@
+/* global BigInt */
+
+// IPLD codecs for Zcash blocks and transactions, in the style of @ipld/bitcoin, so a chain can be stored in and
+// traversed through a content addressed blockstore
+// https://github.com/multiformats/multicodec/blob/master/table.csv (zcash-block, zcash-tx, dbl-sha2-256)
+
+const { CID } = require('multiformats/cid')
+const Digest = require('multiformats/hashes/digest')
+const ZcashBlock = require('./classes/Block')
+const ZcashTransaction = require('./classes/Transaction')
+const ZcashTransactionIn = require('./classes/TransactionIn')
+const ZcashTransactionOut = require('./classes/TransactionOut')
+const ZcashOutPoint = require('./classes/OutPoint')
+const ZcashJoinSplitDescription = require('./classes/JoinSplitDescription')
+const ZcashSpendDescription = require('./classes/SpendDescription')
+const ZcashOutputDescription = require('./classes/OutputDescription')
+const ZcashOrchardBundle = require('./classes/OrchardBundle')
+const ZcashOrchardAction = require('./classes/OrchardAction')
+const { decodeBlockHeaderOnly, decodeTransaction, decodeType } = require('./decode')
+const { toHashHex, fromHashHex } = require('./classes/class-utils')
+const { fromHex, alloc, concat } = require('./bytes')
+const { sha256d } = require('./hashes')
+
+const BLOCK_CODEC = 0xc0
+const TX_CODEC = 0xc1
+const DBL_SHA2_256 = 0x56
+const NU5_TX_VERSION = 5
+
+// a block without transactions encodes as just its header
+function encodeHeader ({ version, previousblockhash, merkleroot, finalsaplingroot, time, bits, nonce, solution }) {
+  return new ZcashBlock(version, previousblockhash, merkleroot, finalsaplingroot, time, bits, nonce, solution).encode()
+}
+
+function hashToCID (code, hash) {
+  return CID.create(1, code, Digest.create(DBL_SHA2_256, fromHashHex(hash)))
+}
+
+/**
+ * Create the CID of a Zcash block, using the `zcash-block` codec and the block hash as a `dbl-sha2-256` multihash.
+ *
+ * Available as `require('zcash-block/ipld').blockHashToCID()`.
+ *
+ * @param {Uint8Array|string} hash - the block hash, either in its internal byte form or as a hex string in the
+ * standard (reversed) display form
+ * @returns {CID}
+ * @name ipld.blockHashToCID()
+ */
+function blockHashToCID (hash) {
+  return hashToCID(BLOCK_CODEC, hash)
+}
+
+/**
+ * Create the CID of a Zcash transaction or transaction Merkle tree node, using the `zcash-tx` codec and the
+ * hash as a `dbl-sha2-256` multihash.
+ *
+ * v5 (NU5) transactions are identified by a ZIP 244 digest rather than a hash of their bytes, so the CID made
+ * from a v5 txid can't be verified against the bytes of the transaction.
+ *
+ * Available as `require('zcash-block/ipld').txHashToCID()`.
+ *
+ * @param {Uint8Array|string} hash - the transaction or Merkle node hash, either in its internal byte form or as
+ * a hex string in the standard (reversed) display form
+ * @returns {CID}
+ * @name ipld.txHashToCID()
+ */
+function txHashToCID (hash) {
+  return hashToCID(TX_CODEC, hash)
+}
+
+/**
+ * Extract the block hash or txid from a `zcash-block` or `zcash-tx` CID, the inverse of
+ * {@link ipld.blockHashToCID()} and {@link ipld.txHashToCID()}.
+ *
+ * Available as `require('zcash-block/ipld').cidToHash()`.
+ *
+ * @param {CID} cid
+ * @returns {string} the hash as a hex string in the standard (reversed) display form
+ * @name ipld.cidToHash()
+ */
+function cidToHash (cid) {
+  cid = CID.asCID(cid)
+  if (!cid || (cid.code !== BLOCK_CODEC && cid.code !== TX_CODEC) || cid.multihash.code !== DBL_SHA2_256) {
+    throw new TypeError('Expected a zcash-block or zcash-tx CID with a dbl-sha2-256 multihash')
+  }
+  return toHashHex(cid.multihash.digest)
+}
+
+/**
+ * The `zcash-block` IPLD codec, an object of the form `{ name, code, encode, decode }` compatible with
+ * [multiformats](https://github.com/multiformats/js-multiformats).
+ *
+ * A `zcash-block` node is a block header, the CID of which is the block hash. Decoding the header bytes gives
+ * the form of {@link ZcashBlock#toJSON} without `tx` and `size`, and with two links added:
+ *
+ * * `parent` - the `zcash-block` CID of the previous block, or `null` for the genesis block
+ * * `tx` - the `zcash-tx` CID of the root of the transaction Merkle tree
+ *
+ * Encoding such a node gives the header bytes again, `hash`, `difficulty` and the links are ignored.
+ *
+ * Available as `require('zcash-block/ipld').block`.
+ *
+ * @name ipld.block
+ */
+const block = {
+  name: 'zcash-block',
+  code: BLOCK_CODEC,
+
+  encode (node) {
+    return encodeHeader({
+      version: node.version,
+      previousblockhash: node.previousblockhash ? fromHashHex(node.previousblockhash) : alloc(32),
+      merkleroot: fromHashHex(node.merkleroot),
+      finalsaplingroot: fromHashHex(node.finalsaplingroot),
+      time: node.time,
+      bits: parseInt(node.bits, 16),
+      nonce: fromHashHex(node.nonce),
+      solution: fromHex(node.solution)
+    })
+  },
+
+  decode (bytes) {
+    const header = decodeBlockHeaderOnly(bytes)
+    if (header.encode().length !== bytes.length) {
+      throw new Error('zcash-block data should only contain the block header')
+    }
+    const node = header.toJSON()
+    node.parent = node.previousblockhash ? blockHashToCID(node.previousblockhash) : null
+    node.tx = txHashToCID(header.merkleroot)
+    return node
+  }
+}
+
+/**
+ * The `zcash-tx` IPLD codec, an object of the form `{ name, code, encode, decode }` compatible with
+ * [multiformats](https://github.com/multiformats/js-multiformats).
+ *
+ * A `zcash-tx` node is either a node of a block's transaction Merkle tree or a transaction at its leaves, the
+ * CID of each being its hash. Merkle tree nodes are 64 bytes, the concatenated hashes of its two children, and
+ * decode to an array of their two `zcash-tx` CIDs. A transaction decodes to the form of
+ * {@link ZcashTransaction#toVerboseJSON}, where each non-coinbase input has a `tx` link to the `zcash-tx` CID of
+ * the transaction it spends; v5 (NU5) transactions also have a `consensusbranchid` as a hex string. Encoding
+ * either form gives its bytes again.
+ *
+ * As with Bitcoin, data of exactly 64 bytes is always treated as a Merkle tree node.
+ *
+ * Available as `require('zcash-block/ipld').tx`.
+ *
+ * @name ipld.tx
+ */
+const tx = {
+  name: 'zcash-tx',
+  code: TX_CODEC,
+
+  encode (node) {
+    if (Array.isArray(node)) {
+      return concat(node.map((link) => CID.asCID(link).multihash.digest))
+    }
+    return transactionFromNode(node).encode()
+  },
+
+  decode (bytes) {
+    if (bytes.length === 64) {
+      return [txHashToCID(bytes.subarray(0, 32)), txHashToCID(bytes.subarray(32))]
+    }
+    return transactionToNode(decodeTransaction(bytes))
+  }
+}
+
+function transactionToNode (transaction) {
+  const node = transaction.toVerboseJSON()
+  if (transaction.overwintered && transaction.version >= NU5_TX_VERSION) {
+    node.consensusbranchid = transaction.consensusBranchId.toString(16).padStart(8, '0')
+  }
+  for (const input of node.vin) {
+    if (input.txid) {
+      input.tx = txHashToCID(input.txid)
+    }
+  }
+  return node
+}
+
+// the inverse of transactionToNode(), only the fields that make up the binary form are used
+function transactionFromNode (node) {
+  const v5 = node.overwintered && node.version >= NU5_TX_VERSION
+  const sapling = node.overwintered && node.version >= 4
+  const vin = node.vin.map((input) => {
+    if (input.coinbase !== undefined) {
+      return new ZcashTransactionIn(new ZcashOutPoint(alloc(32), 0xffffffff), fromHex(input.coinbase), input.sequence)
+    }
+    return new ZcashTransactionIn(new ZcashOutPoint(fromHashHex(input.txid), input.vout), fromHex(input.scriptSig.hex), input.sequence)
+  })
+  const vout = node.vout.map((output) => new ZcashTransactionOut(BigInt(output.valueZat), fromHex(output.scriptPubKey.hex)))
+  const joinSplits = node.vjoinsplit.map((joinSplit) => new ZcashJoinSplitDescription(
+    BigInt(joinSplit.vpub_oldZat),
+    BigInt(joinSplit.vpub_newZat),
+    fromHashHex(joinSplit.anchor),
+    joinSplit.nullifiers.map(fromHashHex),
+    joinSplit.commitments.map(fromHashHex),
+    fromHashHex(joinSplit.onetimePubKey),
+    fromHashHex(joinSplit.randomSeed),
+    joinSplit.macs.map(fromHashHex),
+    // see ZcashJoinSplitDescription, Groth proofs replaced PHGR proofs with Sapling
+    sapling ? fromHex(joinSplit.proof) : decodeType('PHGRProof', fromHex(joinSplit.proof)),
+    joinSplit.ciphertexts.map(fromHex)))
+  const shieldedSpend = sapling
+    ? node.vShieldedSpend.map((spend) => new ZcashSpendDescription(
+      fromHashHex(spend.cv),
+      fromHashHex(spend.anchor),
+      fromHashHex(spend.nullifier),
+      fromHashHex(spend.rk),
+      fromHex(spend.proof),
+      fromHex(spend.spendAuthSig)))
+    : null
+  const shieldedOutput = sapling
+    ? node.vShieldedOutput.map((output) => new ZcashOutputDescription(
+      fromHashHex(output.cv),
+      fromHashHex(output.cmu),
+      fromHashHex(output.ephemeralKey),
+      fromHex(output.encCiphertext),
+      fromHex(output.outCiphertext),
+      fromHex(output.proof)))
+    : null
+  return new ZcashTransaction(
+    node.overwintered,
+    node.version,
+    node.overwintered ? parseInt(node.versiongroupid, 16) : 0,
+    v5 ? parseInt(node.consensusbranchid, 16) : null,
+    vin,
+    vout,
+    node.locktime,
+    node.overwintered ? node.expiryheight : null,
+    sapling ? BigInt(node.valueBalanceZat) : null,
+    shieldedSpend,
+    shieldedOutput,
+    joinSplits,
+    node.joinSplitPubKey ? fromHashHex(node.joinSplitPubKey) : null,
+    node.joinSplitSig ? fromHex(node.joinSplitSig) : null,
+    node.bindingSig ? fromHex(node.bindingSig) : null,
+    v5 ? orchardFromNode(node.orchard) : null)
+}
+
+function orchardFromNode (orchard) {
+  const actions = orchard.actions.map((action) => new ZcashOrchardAction(
+    fromHashHex(action.cv),
+    fromHashHex(action.nullifier),
+    fromHashHex(action.rk),
+    fromHashHex(action.cmx),
+    fromHashHex(action.ephemeralKey),
+    fromHex(action.encCiphertext),
+    fromHex(action.outCiphertext),
+    fromHex(action.spendAuthSig)))
+  if (!actions.length) {
+    return new ZcashOrchardBundle(actions, 0, BigInt(0), null, null, null)
+  }
+  const flags = (orchard.flags.enableSpends ? 0x01 : 0) | (orchard.flags.enableOutputs ? 0x02 : 0)
+  return new ZcashOrchardBundle(actions, flags, BigInt(orchard.valueBalanceZat), fromHashHex(orchard.anchor),
+    fromHex(orchard.proof), fromHex(orchard.bindingSig))
+}
+
+/**
+ * Encode a {@link ZcashBlock} as the complete set of IPLD blocks that represent it: the `zcash-block` header,
+ * the `zcash-tx` nodes of the transaction Merkle tree and the `zcash-tx` transactions at its leaves. Each is
+ * yielded as `{ cid, bytes }`, ready to be put into a blockstore, starting with the header and then working
+ * down the Merkle tree to the transactions in block order.
+ *
+ * Where a layer of the Merkle tree has an odd number of hashes, the last is paired with itself, so its parent
+ * node links to the same child twice. A block with a single transaction has no Merkle tree nodes, the
+ * header's `tx` links directly to that transaction.
+ *
+ * v5 (NU5) transactions are omitted because their ZIP 244 txid is not a hash of their bytes, so the Merkle tree
+ * leaf links to them can't be resolved.
+ *
+ * Available as `require('zcash-block/ipld').encodeAll()`.
+ *
+ * @param {ZcashBlock} zcashBlock - a fully decoded block, such as from {@link ZcashBlock.decode()}
+ * @returns {Iterable.<{cid: CID, bytes: Uint8Array}>}
+ * @name ipld.encodeAll()
+ */
+function * encodeAll (zcashBlock) {
+  yield { cid: blockHashToCID(zcashBlock.hash), bytes: encodeHeader(zcashBlock) }
+
+  let layer = zcashBlock.transactions.map((transaction) => transaction.hash)
+  const nodes = []
+  while (layer.length > 1) {
+    const next = []
+    const layerNodes = []
+    for (let i = 0; i < layer.length; i += 2) {
+      const bytes = concat([layer[i], layer[i + 1 < layer.length ? i + 1 : i]])
+      const cid = txHashToCID(sha256d(bytes))
+      layerNodes.push({ cid, bytes })
+      next.push(cid.multihash.digest)
+    }
+    // yielded top-down, from the root
+    nodes.unshift(layerNodes)
+    layer = next
+  }
+  for (const layerNodes of nodes) {
+    yield * layerNodes
+  }
+
+  for (const transaction of zcashBlock.transactions) {
+    if (!(transaction.overwintered && transaction.version >= NU5_TX_VERSION)) {
+      yield { cid: txHashToCID(transaction.hash), bytes: transaction.encode() }
+    }
+  }
+}
+
+module.exports.block = block
+module.exports.tx = tx
+module.exports.blockHashToCID = blockHashToCID
+module.exports.txHashToCID = txHashToCID
+module.exports.cidToHash = cidToHash
+module.exports.encodeAll = encodeAll
+module.exports.BLOCK_CODEC = BLOCK_CODEC
+module.exports.TX_CODEC = TX_CODEC
@@ -0,0 +1,204 @@
+/* global BigInt */
+
+// Jubjub, the twisted Edwards curve -u^2 + v^2 = 1 + d.u^2.v^2 over the scalar field of BLS12-381 used by
+// Sapling, with BigInt arithmetic in extended coordinates
+// https://zips.z.cash/protocol/protocol.pdf#jubjub
+// https://github.com/zkcrypto/jubjub/blob/main/src/lib.rs
+
+const { toHex, fromHex, reverse, fromAscii, concat } = require('./bytes')
+const { blake2s256 } = require('./classes/class-utils')
+
+const ZERO = BigInt(0)
+const ONE = BigInt(1)
+const TWO = BigInt(2)
+
+// the base field modulus, r of BLS12-381
+const Q = BigInt('0x73eda753299d7d483339d80809a1d80553bda402fffe5bfeffffffff00000001')
+// the order of the prime order subgroup, the curve's order is 8 times this
+const R = BigInt('0x0e7db4ea6533afa906673b0101343b00a6682093ccc81082d0970e5ed6f72cb7')
+const D = mod(-BigInt(10240) * inv(BigInt(10241)))
+const D2 = mod(D * TWO)
+
+// the first block of input to group hashes, a "uniform random string" of hex digits
+// https://zips.z.cash/protocol/protocol.pdf#concretegrouphashjubjub
+const URS = fromAscii('096b36a5804bfacef1691e173c366a47ff5ba84a44f26ddd7e8d9f79d5b42df0')
+
+function mod (a, m = Q) {
+  const r = a % m
+  return r < ZERO ? r + m : r
+}
+
+function pow (base, exponent, m = Q) {
+  let result = ONE
+  base = mod(base, m)
+  while (exponent > ZERO) {
+    if (exponent & ONE) {
+      result = result * base % m
+    }
+    base = base * base % m
+    exponent >>= ONE
+  }
+  return result
+}
+
+function inv (a, m = Q) {
+  return pow(a, m - TWO, m)
+}
+
+// Tonelli-Shanks, Q - 1 = 2^32 * T, returning null where `a` isn't a square
+const S = 32
+const T = (Q - ONE) >> BigInt(S)
+const NON_RESIDUE_ROOT = pow(BigInt(7), T) // 7 generates the multiplicative group
+function sqrt (a) {
+  a = mod(a)
+  if (a === ZERO) {
+    return ZERO
+  }
+  if (pow(a, (Q - ONE) / TWO) !== ONE) {
+    return null
+  }
+  let m = S
+  let c = NON_RESIDUE_ROOT
+  let t = pow(a, T)
+  let r = pow(a, (T + ONE) / TWO)
+  while (t !== ONE) {
+    let i = 0
+    for (let t2 = t; t2 !== ONE; t2 = t2 * t2 % Q) {
+      i++
+    }
+    const b = pow(c, ONE << BigInt(m - i - 1))
+    m = i
+    c = b * b % Q
+    t = t * c % Q
+    r = r * b % Q
+  }
+  return r
+}
+
+// little-endian bytes to and from integers
+function toInt (bytes) {
+  return BigInt(`0x${toHex(reverse(bytes)) || '0'}`)
+}
+
+function fromInt (i, length = 32) {
+  return reverse(fromHex(i.toString(16).padStart(length * 2, '0')))
+}
+
+// points are { u, v, z, t } in extended coordinates where the affine point is (u/z, v/z) and t = uv/z
+const IDENTITY = { u: ZERO, v: ONE, z: ONE, t: ZERO }
+
+function point (u, v) {
+  return { u, v, z: ONE, t: mod(u * v) }
+}
+
+// the unified addition of "Twisted Edwards Curves Revisited" for a = -1, which also serves for doubling
+// https://hyperelliptic.org/EFD/g1p/auto-twisted-extended-1.html#addition-add-2008-hwcd-3
+function add (p, q) {
+  const a = mod((p.v - p.u) * (q.v - q.u))
+  const b = mod((p.v + p.u) * (q.v + q.u))
+  const c = mod(p.t * D2 % Q * q.t)
+  const d = mod(p.z * TWO * q.z)
+  const e = b - a
+  const f = d - c
+  const g = d + c
+  const h = b + a
+  return { u: mod(e * f), v: mod(g * h), z: mod(f * g), t: mod(e * h) }
+}
+
+function negate (p) {
+  return { u: mod(-p.u), v: p.v, z: p.z, t: mod(-p.t) }
+}
+
+function multiply (p, scalar) {
+  let result = IDENTITY
+  for (let bit = scalar.toString(2), i = 0; i < bit.length; i++) {
+    result = add(result, result)
+    if (bit[i] === '1') {
+      result = add(result, p)
+    }
+  }
+  return result
+}
+
+function affine (p) {
+  const zInv = inv(p.z)
+  return { u: mod(p.u * zInv), v: mod(p.v * zInv) }
+}
+
+function isIdentity (p) {
+  return p.u === ZERO && p.v === p.z
+}
+
+function equals (p, q) {
+  return mod(p.u * q.z - q.u * p.z) === ZERO && mod(p.v * q.z - q.v * p.z) === ZERO
+}
+
+// the encoding of a point, v in little-endian with the sign (low bit) of u in the top bit
+function encode (p) {
+  const { u, v } = affine(p)
+  const bytes = fromInt(v)
+  bytes[31] |= Number(u & ONE) << 7
+  return bytes
+}
+
+// the inverse of encode(), null where the bytes don't encode a point on the curve
+function decode (bytes) {
+  const sign = bytes[31] >> 7
+  const v = toInt(concat([bytes.subarray(0, 31), Uint8Array.of(bytes[31] & 0x7f)]))
+  if (v >= Q) {
+    return null
+  }
+  const v2 = v * v % Q
+  const denominator = mod(D * v2 + ONE)
+  if (denominator === ZERO) {
+    return null
+  }
+  let u = sqrt((v2 - ONE) * inv(denominator))
+  if (u === null) {
+    return null
+  }
+  if (Number(u & ONE) !== sign) {
+    u = mod(-u)
+  }
+  return point(u, v)
+}
+
+// GroupHash^J, a point of the prime order subgroup from a personalization and tag, or null
+// https://zips.z.cash/protocol/protocol.pdf#concretegrouphashjubjub
+function groupHash (personalization, tag) {
+  const p = decode(blake2s256(personalization, concat([URS, tag])))
+  if (p === null) {
+    return null
+  }
+  const q = multiply(p, BigInt(8))
+  return isIdentity(q) ? null : q
+}
+
+// FindGroupHash^J, the first successful group hash of the message with a counter byte appended
+function findGroupHash (personalization, message) {
+  for (let i = 0; i < 256; i++) {
+    const p = groupHash(personalization, concat([message, Uint8Array.of(i)]))
+    if (p !== null) {
+      return p
+    }
+  }
+  throw new Error('No group hash found')
+}
+
+module.exports.Q = Q
+module.exports.R = R
+module.exports.IDENTITY = IDENTITY
+module.exports.mod = mod
+module.exports.inv = inv
+module.exports.toInt = toInt
+module.exports.fromInt = fromInt
+module.exports.add = add
+module.exports.negate = negate
+module.exports.multiply = multiply
+module.exports.affine = affine
+module.exports.isIdentity = isIdentity
+module.exports.equals = equals
+module.exports.encode = encode
+module.exports.decode = decode
+module.exports.groupHash = groupHash
+module.exports.findGroupHash = findGroupHash
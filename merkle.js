@@ -0,0 +1,204 @@
+// Transaction Merkle tree calculation, inclusion proofs and partial Merkle trees (as found in a CMerkleBlock)
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/consensus/merkle.cpp
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/merkleblock.cpp
+
+const { fromHashHex } = require('./classes/class-utils')
+const { alloc, concat, equals } = require('./bytes')
+const { sha256d } = require('./hashes')
+
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/consensus/consensus.h#L25
+const MAX_BLOCK_SIZE = 2000000
+// a lower bound on the size of a transaction, used to sanity check the transaction count of a partial tree
+const MIN_TRANSACTION_SIZE = 60
+
+function hashPair (left, right) {
+  return sha256d(concat([left, right]))
+}
+
+// Calculate the Merkle root of a list of hashes. Where a layer has an odd number of hashes, the last one is
+// paired with itself. Because of this, different lists of hashes can produce the same root (CVE-2012-2459),
+// so `mutated` is set where a layer contains a pair of identical hashes.
+function merkleRoot (hashes) {
+  if (!hashes.length) {
+    return { root: alloc(32), mutated: false }
+  }
+  let mutated = false
+  let layer = hashes
+  while (layer.length > 1) {
+    const next = []
+    for (let i = 0; i < layer.length; i += 2) {
+      if (i + 1 < layer.length && equals(layer[i], layer[i + 1])) {
+        mutated = true
+      }
+      next.push(hashPair(layer[i], layer[i + 1 < layer.length ? i + 1 : i]))
+    }
+    layer = next
+  }
+  return { root: Uint8Array.from(layer[0]), mutated }
+}
+
+// Collect the sibling hashes from the leaf at `index` up to the root, suitable for verifyMerkleProof()
+function merkleProof (hashes, index) {
+  const siblings = []
+  let layer = hashes
+  while (layer.length > 1) {
+    const sibling = index ^ 1
+    siblings.push(Uint8Array.from(layer[sibling < layer.length ? sibling : index]))
+    const next = []
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(hashPair(layer[i], layer[i + 1 < layer.length ? i + 1 : i]))
+    }
+    layer = next
+    index >>= 1
+  }
+  return siblings
+}
+
+/**
+ * Verify a Merkle inclusion proof, as generated by {@link ZcashBlock#merkleProof}, for a transaction
+ * against a block's Merkle root.
+ *
+ * Can be used directly as `require('zcash-block').verifyMerkleProof()`.
+ *
+ * @param {Uint8Array|string} txid - the hash of the transaction, either in its internal byte form or as a
+ * hex string in the standard (reversed) display form
+ * @param {object} proof - the proof, an object of the form `{ index, hashes }` where `index` is the position of
+ * the transaction in the block and `hashes` are the sibling hashes from the transaction up to the root
+ * @param {Uint8Array|string} root - the Merkle root of the block, the `merkleroot` property of a
+ * `ZcashBlock`, or as a hex string in display form
+ * @returns {boolean}
+ * @name ZcashBlock.verifyMerkleProof()
+ */
+function verifyMerkleProof (txid, proof, root) {
+  let index = proof.index
+  if (!Number.isInteger(index) || index < 0 || index >= 2 ** proof.hashes.length) {
+    return false
+  }
+  let hash = fromHashHex(txid)
+  for (const sibling of proof.hashes) {
+    hash = index & 1 ? hashPair(sibling, hash) : hashPair(hash, sibling)
+    index = Math.floor(index / 2)
+  }
+  return equals(hash, fromHashHex(root))
+}
+
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/merkleblock.h#L49
+function treeWidth (transactionCount, height) {
+  return (transactionCount + (1 << height) - 1) >> height
+}
+
+function treeHeight (transactionCount) {
+  let height = 0
+  while (treeWidth(transactionCount, height) > 1) {
+    height++
+  }
+  return height
+}
+
+function bitsToBytes (bits) {
+  const bytes = alloc((bits.length + 7) >> 3)
+  bits.forEach((bit, i) => {
+    bytes[i >> 3] |= (bit ? 1 : 0) << (i & 7)
+  })
+  return bytes
+}
+
+// Build the hashes and flag bytes of a partial Merkle tree that proves the inclusion of the matched hashes.
+// `matches` is an array of booleans, one per hash.
+function buildPartialTree (hashes, matches) {
+  const transactionCount = hashes.length
+  const treeHashes = []
+  const bits = []
+
+  function calcHash (height, pos) {
+    if (height === 0) {
+      return hashes[pos]
+    }
+    const left = calcHash(height - 1, pos * 2)
+    const right = pos * 2 + 1 < treeWidth(transactionCount, height - 1) ? calcHash(height - 1, pos * 2 + 1) : left
+    return hashPair(left, right)
+  }
+
+  function traverseAndBuild (height, pos) {
+    let parentOfMatch = false
+    for (let p = pos << height; p < (pos + 1) << height && p < transactionCount; p++) {
+      parentOfMatch = parentOfMatch || matches[p]
+    }
+    bits.push(parentOfMatch)
+    if (height === 0 || !parentOfMatch) {
+      treeHashes.push(Uint8Array.from(calcHash(height, pos)))
+    } else {
+      traverseAndBuild(height - 1, pos * 2)
+      if (pos * 2 + 1 < treeWidth(transactionCount, height - 1)) {
+        traverseAndBuild(height - 1, pos * 2 + 1)
+      }
+    }
+  }
+
+  traverseAndBuild(treeHeight(transactionCount), 0)
+  return { hashes: treeHashes, flags: bitsToBytes(bits) }
+}
+
+// Walk a partial Merkle tree, calculating its root and collecting the matched hashes and their positions.
+// Throws if the tree is malformed.
+function extractPartialTree (transactionCount, hashes, flags) {
+  if (transactionCount === 0) {
+    throw new Error('Partial Merkle tree has no transactions')
+  }
+  if (transactionCount > MAX_BLOCK_SIZE / MIN_TRANSACTION_SIZE) {
+    throw new Error('Partial Merkle tree has too many transactions')
+  }
+  if (hashes.length > transactionCount) {
+    throw new Error('Partial Merkle tree has more hashes than transactions')
+  }
+  if (flags.length * 8 < hashes.length) {
+    throw new Error('Partial Merkle tree has fewer flag bits than hashes')
+  }
+
+  const matches = []
+  let bitsUsed = 0
+  let hashesUsed = 0
+
+  function traverseAndExtract (height, pos) {
+    if (bitsUsed >= flags.length * 8) {
+      throw new Error('Partial Merkle tree overflowed its flag bits')
+    }
+    const parentOfMatch = (flags[bitsUsed >> 3] >> (bitsUsed & 7)) & 1
+    bitsUsed++
+    if (height === 0 || !parentOfMatch) {
+      if (hashesUsed >= hashes.length) {
+        throw new Error('Partial Merkle tree overflowed its hashes')
+      }
+      const hash = hashes[hashesUsed++]
+      if (height === 0 && parentOfMatch) {
+        matches.push({ hash: Uint8Array.from(hash), index: pos })
+      }
+      return hash
+    }
+    const left = traverseAndExtract(height - 1, pos * 2)
+    let right = left
+    if (pos * 2 + 1 < treeWidth(transactionCount, height - 1)) {
+      right = traverseAndExtract(height - 1, pos * 2 + 1)
+      if (equals(left, right)) {
+        // CVE-2012-2459, identical hashes in a left and right branch are never valid
+        throw new Error('Partial Merkle tree contains identical sibling hashes')
+      }
+    }
+    return hashPair(left, right)
+  }
+
+  const root = traverseAndExtract(treeHeight(transactionCount), 0)
+  if (((bitsUsed + 7) >> 3) !== flags.length) {
+    throw new Error('Partial Merkle tree did not consume all of its flag bits')
+  }
+  if (hashesUsed !== hashes.length) {
+    throw new Error('Partial Merkle tree did not consume all of its hashes')
+  }
+  return { root: Uint8Array.from(root), matches }
+}
+
+module.exports.merkleRoot = merkleRoot
+module.exports.merkleProof = merkleProof
+module.exports.verifyMerkleProof = verifyMerkleProof
+module.exports.buildPartialTree = buildPartialTree
+module.exports.extractPartialTree = extractPartialTree
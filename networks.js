@@ -0,0 +1,331 @@
+/* global BigInt */
+
+// Consensus and encoding parameters for each Zcash network
+// https://github.com/zcash/zcash/blob/v6.0.0/src/chainparams.cpp
+// https://github.com/zcash/zcash/blob/v6.0.0/src/consensus/upgrades.cpp
+
+// network upgrades in activation order, with their consensus branch IDs
+// https://zips.z.cash/zip-0200
+const UPGRADES = [
+  ['Sprout', 0x00000000],
+  ['Overwinter', 0x5ba81b19],
+  ['Sapling', 0x76b809bb],
+  ['Blossom', 0x2bb40e60],
+  ['Heartwood', 0xf5b9230b],
+  ['Canopy', 0xe9ff75a6],
+  ['NU5', 0xc2d6d0b4],
+  ['NU6', 0xc8e71055]
+]
+
+// DigiShield v3 difficulty adjustment, https://zips.z.cash/protocol/protocol.pdf#diffadjustment
+function difficulty (minDifficultyAfterHeight, maxAdjustDown = 32, maxAdjustUp = 16, noRetargeting = false) {
+  return {
+    averagingWindow: 17,
+    maxAdjustDown,
+    maxAdjustUp,
+    preBlossomTargetSpacing: 150,
+    postBlossomTargetSpacing: 75,
+    minDifficultyAfterHeight,
+    noRetargeting
+  }
+}
+
+// ZIP 208 block subsidy schedule, https://zips.z.cash/zip-0208
+function subsidy (slowStartInterval, preBlossomHalvingInterval) {
+  return { slowStartInterval, preBlossomHalvingInterval, postBlossomHalvingInterval: preBlossomHalvingInterval * 2 }
+}
+
+// ZIP 214 funding streams from Canopy and ZIP 1015 funding streams from NU6, each active up to an end height and
+// paid to the address for each ZIP 207 address period of the stream, `null` where the addresses aren't included
+function fundingStreams ([canopy, zip214End], [nu6, zip1015End], addresses) {
+  const stream = (recipient, specification, numerator, startHeight, endHeight, addresses, deferred = false) =>
+    ({ recipient, specification, numerator, denominator: 100, startHeight, endHeight, addresses, deferred })
+  return [
+    stream('Electric Coin Company', 'https://zips.z.cash/zip-0214', 7, canopy, zip214End, addresses.ecc),
+    stream('Zcash Foundation', 'https://zips.z.cash/zip-0214', 5, canopy, zip214End, addresses.zf),
+    stream('Major Grants', 'https://zips.z.cash/zip-0214', 8, canopy, zip214End, addresses.mg),
+    stream('Zcash Community Grants NU6', 'https://zips.z.cash/zip-1015', 8, nu6, zip1015End, addresses.zcg),
+    stream('Lockbox NU6', 'https://zips.z.cash/zip-1015', 12, nu6, zip1015End, null, true)
+  ]
+}
+
+// a single address for each of `periods` address periods
+function repeat (address, periods) {
+  return new Array(periods).fill(address)
+}
+
+// the founders' reward addresses of the main network, in the order they are paid
+const MAIN_FOUNDERS_REWARD_ADDRESSES = [
+  't3Vz22vK5z2LcKEdg16Yv4FFneEL1zg9ojd', 't3cL9AucCajm3HXDhb5jBnJK2vapVoXsop3', 't3fqvkzrrNaMcamkQMwAyHRjfDdM2xQvDTR',
+  't3TgZ9ZT2CTSK44AnUPi6qeNaHa2eC7pUyF', 't3SpkcPQPfuRYHsP5vz3Pv86PgKo5m9KVmx', 't3Xt4oQMRPagwbpQqkgAViQgtST4VoSWR6S',
+  't3ayBkZ4w6kKXynwoHZFUSSgXRKtogTXNgb', 't3adJBQuaa21u7NxbR8YMzp3km3TbSZ4MGB', 't3K4aLYagSSBySdrfAGGeUd5H9z5Qvz88t2',
+  't3RYnsc5nhEvKiva3ZPhfRSk7eyh1CrA6Rk', 't3Ut4KUq2ZSMTPNE67pBU5LqYCi2q36KpXQ', 't3ZnCNAvgu6CSyHm1vWtrx3aiN98dSAGpnD',
+  't3fB9cB3eSYim64BS9xfwAHQUKLgQQroBDG', 't3cwZfKNNj2vXMAHBQeewm6pXhKFdhk18kD', 't3YcoujXfspWy7rbNUsGKxFEWZqNstGpeG4',
+  't3bLvCLigc6rbNrUTS5NwkgyVrZcZumTRa4', 't3VvHWa7r3oy67YtU4LZKGCWa2J6eGHvShi', 't3eF9X6X2dSo7MCvTjfZEzwWrVzquxRLNeY',
+  't3esCNwwmcyc8i9qQfyTbYhTqmYXZ9AwK3X', 't3M4jN7hYE2e27yLsuQPPjuVek81WV3VbBj', 't3gGWxdC67CYNoBbPjNvrrWLAWxPqZLxrVY',
+  't3LTWeoxeWPbmdkUD3NWBquk4WkazhFBmvU', 't3P5KKX97gXYFSaSjJPiruQEX84yF5z3Tjq', 't3f3T3nCWsEpzmD35VK62JgQfFig74dV8C9',
+  't3Rqonuzz7afkF7156ZA4vi4iimRSEn41hj', 't3fJZ5jYsyxDtvNrWBeoMbvJaQCj4JJgbgX', 't3Pnbg7XjP7FGPBUuz75H65aczphHgkpoJW',
+  't3WeKQDxCijL5X7rwFem1MTL9ZwVJkUFhpF', 't3Y9FNi26J7UtAUC4moaETLbMo8KS1Be6ME', 't3aNRLLsL2y8xcjPheZZwFy3Pcv7CsTwBec',
+  't3gQDEavk5VzAAHK8TrQu2BWDLxEiF1unBm', 't3Rbykhx1TUFrgXrmBYrAJe2STxRKFL7G9r', 't3aaW4aTdP7a8d1VTE1Bod2yhbeggHgMajR',
+  't3YEiAa6uEjXwFL2v5ztU1fn3yKgzMQqNyo', 't3g1yUUwt2PbmDvMDevTCPWUcbDatL2iQGP', 't3dPWnep6YqGPuY1CecgbeZrY9iUwH8Yd4z',
+  't3QRZXHDPh2hwU46iQs2776kRuuWfwFp4dV', 't3enhACRxi1ZD7e8ePomVGKn7wp7N9fFJ3r', 't3PkLgT71TnF112nSwBToXsD77yNbx2gJJY',
+  't3LQtHUDoe7ZhhvddRv4vnaoNAhCr2f4oFN', 't3fNcdBUbycvbCtsD2n9q3LuxG7jVPvFB8L', 't3dKojUU2EMjs28nHV84TvkVEUDu1M1FaEx',
+  't3aKH6NiWN1ofGd8c19rZiqgYpkJ3n679ME', 't3MEXDF9Wsi63KwpPuQdD6by32Mw2bNTbEa', 't3WDhPfik343yNmPTqtkZAoQZeqA83K7Y3f',
+  't3PSn5TbMMAEw7Eu36DYctFezRzpX1hzf3M', 't3R3Y5vnBLrEn8L6wFjPjBLnxSUQsKnmFpv', 't3Pcm737EsVkGTbhsu2NekKtJeG92mvYyoN'
+]
+
+// the founders' reward addresses of the test network, in the order they are paid
+const TEST_FOUNDERS_REWARD_ADDRESSES = [
+  't2UNzUUx8mWBCRYPRezvA363EYXyEpHokyi', 't2N9PH9Wk9xjqYg9iin1Ua3aekJqfAtE543', 't2NGQjYMQhFndDHguvUw4wZdNdsssA6K7x2',
+  't2ENg7hHVqqs9JwU5cgjvSbxnT2a9USNfhy', 't2BkYdVCHzvTJJUTx4yZB8qeegD8QsPx8bo', 't2J8q1xH1EuigJ52MfExyyjYtN3VgvshKDf',
+  't2Crq9mydTm37kZokC68HzT6yez3t2FBnFj', 't2EaMPUiQ1kthqcP5UEkF42CAFKJqXCkXC9', 't2F9dtQc63JDDyrhnfpzvVYTJcr57MkqA12',
+  't2LPirmnfYSZc481GgZBa6xUGcoovfytBnC', 't26xfxoSw2UV9Pe5o3C8V4YybQD4SESfxtp', 't2D3k4fNdErd66YxtvXEdft9xuLoKD7CcVo',
+  't2DWYBkxKNivdmsMiivNJzutaQGqmoRjRnL', 't2C3kFF9iQRxfc4B9zgbWo4dQLLqzqjpuGQ', 't2MnT5tzu9HSKcppRyUNwoTp8MUueuSGNaB',
+  't2AREsWdoW1F8EQYsScsjkgqobmgrkKeUkK', 't2Vf4wKcJ3ZFtLj4jezUUKkwYR92BLHn5UT', 't2K3fdViH6R5tRuXLphKyoYXyZhyWGghDNY',
+  't2VEn3KiKyHSGyzd3nDw6ESWtaCQHwuv9WC', 't2F8XouqdNMq6zzEvxQXHV1TjwZRHwRg8gC', 't2BS7Mrbaef3fA4xrmkvDisFVXVrRBnZ6Qj',
+  't2FuSwoLCdBVPwdZuYoHrEzxAb9qy4qjbnL', 't2SX3U8NtrT6gz5Db1AtQCSGjrpptr8JC6h', 't2V51gZNSoJ5kRL74bf9YTtbZuv8Fcqx2FH',
+  't2FyTsLjjdm4jeVwir4xzj7FAkUidbr1b4R', 't2EYbGLekmpqHyn8UBF6kqpahrYm7D6N1Le', 't2NQTrStZHtJECNFT3dUBLYA9AErxPCmkka',
+  't2GSWZZJzoesYxfPTWXkFn5UaxjiYxGBU2a', 't2RpffkzyLRevGM3w9aWdqMX6bd8uuAK3vn', 't2JzjoQqnuXtTGSN7k7yk5keURBGvYofh1d',
+  't2AEefc72ieTnsXKmgK2bZNckiwvZe3oPNL', 't2NNs3ZGZFsNj2wvmVd8BSwSfvETgiLrD8J', 't2ECCQPVcxUCSSQopdNquguEPE14HsVfcUn',
+  't2JabDUkG8TaqVKYfqDJ3rqkVdHKp6hwXvG', 't2FGzW5Zdc8Cy98ZKmRygsVGi6oKcmYir9n', 't2DUD8a21FtEFn42oVLp5NGbogY13uyjy9t',
+  't2UjVSd3zheHPgAkuX8WQW2CiC9xHQ8EvWp', 't2TBUAhELyHUn8i6SXYsXz5Lmy7kDzA1uT5', 't2Tz3uCyhP6eizUWDc3bGH7XUC9GQsEyQNc',
+  't2NysJSZtLwMLWEJ6MH3BsxRh6h27mNcsSy', 't2KXJVVyyrjVxxSeazbY9ksGyft4qsXUNm9', 't2J9YYtH31cveiLZzjaE4AcuwVho6qjTNzp',
+  't2QgvW4sP9zaGpPMH1GRzy7cpydmuRfB4AZ', 't2NDTJP9MosKpyFPHJmfjc5pGCvAU58XGa4', 't29pHDBWq7qN4EjwSEHg8wEqYe9pkmVrtRP',
+  't2Ez9KM8VJLuArcxuEkNRAkhNvidKkzXcjJ', 't2D5y7J5fpXajLbGrMBQkFg2mFN8fo3n8cX', 't2UV2wr1PTaUiybpkV3FdSdGxUJeZdZztyt'
+]
+
+// activation heights in the order of UPGRADES, null where an upgrade isn't active on the network
+function upgrades (heights) {
+  return UPGRADES.map(([name, branchId], i) => ({ name, branchId, activationHeight: heights[i] }))
+}
+
+/**
+ * The parameters of the Zcash main network. Each network is an object with the following properties:
+ *
+ * * `name` - `'main'`, `'test'` or `'regtest'`, as used by the Zcash API
+ * * `genesisHash` - the hash of the genesis block, as a hex string in the standard (reversed) display form
+ * * `powLimit` - the maximum (easiest) proof of work target allowed, a `BigInt`
+ * * `equihash` - the Equihash parameters of block solutions, `{ n, k }`
+ * * `difficulty` - the parameters of difficulty adjustment (see {@link ZcashBlock.getNextWorkRequired()}),
+ * `{ averagingWindow, maxAdjustDown, maxAdjustUp, preBlossomTargetSpacing, postBlossomTargetSpacing,
+ * minDifficultyAfterHeight, noRetargeting }` where the adjustment bounds are percentages, target spacings are in
+ * seconds, `minDifficultyAfterHeight` is the height after which a block may be mined at the minimum difficulty if
+ * its predecessor is more than 6 target spacings older (`null` where this isn't allowed), and `noRetargeting`
+ * means each block has the same `bits` as its predecessor
+ * * `subsidy` - the parameters of the block subsidy (see {@link coinbase.blockSubsidy()}),
+ * `{ slowStartInterval, preBlossomHalvingInterval, postBlossomHalvingInterval }`, in blocks
+ * * `fundingStreams` - the [ZIP 207](https://zips.z.cash/zip-0207) funding streams that receive a share of the
+ * block subsidy after Canopy, an array of `{ recipient, specification, numerator, denominator, startHeight,
+ * endHeight, addresses, deferred }` where the stream is active from `startHeight` up to but not including
+ * `endHeight`, `addresses` lists the P2SH address the stream must be paid to in each of its address periods, or is
+ * `null` where they aren't included, as for the Electric Coin Company stream, and `deferred` streams are paid into
+ * the lockbox rather than to an output
+ * * `foundersRewardAddresses` - the P2SH addresses that the founders' reward is paid to in turn over the
+ * founders' reward period, or `null` where they aren't included
+ * * `addressPrefixes` - the Base58Check version bytes of transparent addresses, `{ pubkeyhash, scripthash }`
+ * * `upgrades` - the network upgrades in activation order, an array of `{ name, branchId, activationHeight }`
+ * where `activationHeight` is `null` for an upgrade that isn't active on the network
+ *
+ * Available as `require('zcash-block/networks').main`.
+ *
+ * @name networks.main
+ */
+const main = {
+  name: 'main',
+  genesisHash: '00040fe8ec8471911baa1db1266ea15dd06b4a8a5c453883c000b031973dce08',
+  powLimit: BigInt('0x0007ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff'),
+  equihash: { n: 200, k: 9 },
+  difficulty: difficulty(null),
+  subsidy: subsidy(20000, 840000),
+  fundingStreams: fundingStreams([1046400, 2726400], [2726400, 3146400], {
+    ecc: null,
+    zf: repeat('t3dvVE3SQEi7kqNzwrfNePxZ1d4hUyztBA1', 48),
+    mg: repeat('t3XyYW8yBFRuMnfvm5KLGFbEVz25kckZXym', 48),
+    zcg: repeat('t3cFfPt1Bcvgez9ZbMBFWeZsskxTkPzGCow', 12)
+  }),
+  foundersRewardAddresses: MAIN_FOUNDERS_REWARD_ADDRESSES,
+  addressPrefixes: { pubkeyhash: [0x1c, 0xb8], scripthash: [0x1c, 0xbd] }, // t1, t3
+  upgrades: upgrades([0, 347500, 419200, 653600, 903000, 1046400, 1687104, 2726400])
+}
+
+/**
+ * The parameters of the Zcash test network, see {@link networks.main} for the form.
+ *
+ * Available as `require('zcash-block/networks').test`.
+ *
+ * @name networks.test
+ */
+const test = {
+  name: 'test',
+  genesisHash: '05a60a92d99d85997cce3b87616c089f6124d7342af37106edc76126334a2c38',
+  powLimit: BigInt('0x07ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff'),
+  equihash: { n: 200, k: 9 },
+  difficulty: difficulty(299187),
+  subsidy: subsidy(20000, 840000),
+  fundingStreams: fundingStreams([1028500, 2796000], [2976000, 3396000], {
+    ecc: null,
+    zf: repeat('t27eWDgjFYJGVXmzrXeVjnb5J3uXDM9xH9v', 51),
+    mg: repeat('t2Gvxv2uNM7hbbACjNox4H6DjByoKZ2Fa3P', 51),
+    zcg: repeat('t2HifwjUj9uyxr9bknR8LFuQbc98c3vkXtu', 13)
+  }),
+  foundersRewardAddresses: TEST_FOUNDERS_REWARD_ADDRESSES,
+  addressPrefixes: { pubkeyhash: [0x1d, 0x25], scripthash: [0x1c, 0xba] }, // tm, t2
+  upgrades: upgrades([0, 207500, 280000, 584000, 903800, 1028500, 1842420, 2976000])
+}
+
+/**
+ * The parameters of a Zcash regression test network, see {@link networks.main} for the form. No network upgrades
+ * are active by default, as with `zcashd -regtest`; use {@link networks.withActivationHeights()} to match the
+ * `-nuparams` of a particular regtest chain.
+ *
+ * Available as `require('zcash-block/networks').regtest`.
+ *
+ * @name networks.regtest
+ */
+const regtest = {
+  name: 'regtest',
+  genesisHash: '029f11d80ef9765602235e1bc9727e3eb6ba20839319f761fee920d63401e327',
+  powLimit: BigInt('0x0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f'),
+  equihash: { n: 48, k: 5 },
+  difficulty: difficulty(0, 0, 0, true),
+  subsidy: subsidy(0, 144),
+  fundingStreams: [],
+  foundersRewardAddresses: ['t2FwcEhFdNXuFMv1tcYwaBJtYVtMj8b1uTg'],
+  addressPrefixes: { pubkeyhash: [0x1d, 0x25], scripthash: [0x1c, 0xba] }, // tm, t2
+  upgrades: upgrades([0, null, null, null, null, null, null, null])
+}
+
+const NETWORKS = { main, test, regtest, mainnet: main, testnet: test }
+
+/**
+ * Resolve a network by name, `'main'` (or `'mainnet'`), `'test'` (or `'testnet'`) or `'regtest'`. A network
+ * parameters object, such as one returned by {@link networks.withActivationHeights()}, is returned as is. A
+ * `TypeError` is thrown for an unknown network.
+ *
+ * Available as `require('zcash-block/networks').getNetwork()`.
+ *
+ * @param {string|object} [network='main']
+ * @returns {object} the network parameters, see {@link networks.main}
+ * @name networks.getNetwork()
+ */
+function getNetwork (network = 'main') {
+  if (typeof network === 'object' && network !== null && Array.isArray(network.upgrades)) {
+    return network
+  }
+  if (typeof network === 'string' && Object.prototype.hasOwnProperty.call(NETWORKS, network)) {
+    return NETWORKS[network]
+  }
+  throw new TypeError(`Unknown network: ${network}`)
+}
+
+/**
+ * Create a copy of a network's parameters with different network upgrade activation heights, such as for a
+ * regtest chain started with `-nuparams=<branch id>:<height>` options. Upgrades not included in `heights`
+ * keep their existing activation height.
+ *
+ * Available as `require('zcash-block/networks').withActivationHeights()`.
+ *
+ * @param {string|object} network - the network to copy, see {@link networks.getNetwork()}
+ * @param {object} heights - activation heights keyed by upgrade name, e.g. `{ Overwinter: 1, Sapling: 1 }`, or
+ * `null` to deactivate an upgrade
+ * @returns {object} the network parameters, see {@link networks.main}
+ * @name networks.withActivationHeights()
+ */
+function withActivationHeights (network, heights) {
+  network = getNetwork(network)
+  for (const name of Object.keys(heights)) {
+    if (!network.upgrades.some((upgrade) => upgrade.name === name)) {
+      throw new TypeError(`Unknown network upgrade: ${name}`)
+    }
+  }
+  const upgrades = network.upgrades.map((upgrade) => {
+    const activationHeight = Object.prototype.hasOwnProperty.call(heights, upgrade.name) ? heights[upgrade.name] : upgrade.activationHeight
+    return Object.assign({}, upgrade, { activationHeight })
+  })
+  return Object.assign({}, network, { upgrades })
+}
+
+/**
+ * Find the network upgrade active at a block height, the most recent upgrade whose activation height has been
+ * reached, as an object of the form `{ name, branchId, activationHeight }`. Sprout, the original consensus rules,
+ * is active from the genesis block.
+ *
+ * Available as `require('zcash-block/networks').networkUpgradeAt()`.
+ *
+ * @param {number} height - a block height
+ * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+ * @returns {object}
+ * @name networks.networkUpgradeAt()
+ */
+function networkUpgradeAt (height, network = 'main') {
+  if (!Number.isInteger(height) || height < 0) {
+    throw new RangeError(`Invalid block height: ${height}`)
+  }
+  let active = null
+  for (const upgrade of getNetwork(network).upgrades) {
+    if (upgrade.activationHeight !== null && height >= upgrade.activationHeight) {
+      active = upgrade
+    }
+  }
+  return active
+}
+
+/**
+ * Find the consensus branch ID in effect at a block height, that of the network upgrade active at that height
+ * (see {@link networks.networkUpgradeAt()}). This is the branch ID required by
+ * {@link ZcashTransaction#sighash} for transactions in a block at that height.
+ *
+ * Available as `require('zcash-block/networks').consensusBranchIdAt()`.
+ *
+ * @param {number} height - a block height
+ * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+ * @returns {number}
+ * @name networks.consensusBranchIdAt()
+ */
+function consensusBranchIdAt (height, network = 'main') {
+  return networkUpgradeAt(height, network).branchId
+}
+
+/**
+ * Determine whether a network upgrade is active at a block height. Upgrades are always active from their
+ * activation height onwards.
+ *
+ * Available as `require('zcash-block/networks').isUpgradeActive()`.
+ *
+ * @param {string} name - the name of the network upgrade, e.g. `'Sapling'`
+ * @param {number} height - a block height
+ * @param {string|object} [network='main'] - see {@link networks.getNetwork()}
+ * @returns {boolean}
+ * @name networks.isUpgradeActive()
+ */
+function isUpgradeActive (name, height, network = 'main') {
+  const upgrade = getNetwork(network).upgrades.find((upgrade) => upgrade.name === name)
+  if (!upgrade) {
+    throw new TypeError(`Unknown network upgrade: ${name}`)
+  }
+  return upgrade.activationHeight !== null && height >= upgrade.activationHeight
+}
+
+// The network of decoded blocks and transactions, kept out of their enumerable properties so it doesn't appear
+// in their serialized forms. Objects that weren't decoded with a network, or were constructed directly, are
+// treated as mainnet.
+const objectNetworks = new WeakMap()
+
+function networkOf (obj) {
+  return objectNetworks.get(obj) || main
+}
+
+function setNetwork (obj, network) {
+  objectNetworks.set(obj, getNetwork(network))
+}
+
+module.exports.main = main
+module.exports.test = test
+module.exports.regtest = regtest
+module.exports.getNetwork = getNetwork
+module.exports.withActivationHeights = withActivationHeights
+module.exports.networkUpgradeAt = networkUpgradeAt
+module.exports.consensusBranchIdAt = consensusBranchIdAt
+module.exports.isUpgradeActive = isUpgradeActive
+module.exports.networkOf = networkOf
+module.exports.setNetwork = setNetwork
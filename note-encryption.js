@@ -0,0 +1,164 @@
+/* global BigInt */
+
+// Sapling in-band note encryption, the trial decryption of an output's encrypted note plaintext with an
+// incoming viewing key, or its recovery by the sender with an outgoing viewing key, accepting the note only where
+// it matches the output's note commitment
+// https://zips.z.cash/protocol/protocol.pdf#saplingdecryptivk
+// https://zips.z.cash/protocol/protocol.pdf#saplingdecryptovk
+// https://zips.z.cash/zip-0212
+// https://github.com/zcash/zcash/blob/v6.0.0/src/zcash/Note.cpp SaplingNotePlaintext::decrypt() and
+// SaplingOutgoingPlaintext::decrypt()
+
+const jubjub = require('./jubjub')
+const sapling = require('./sapling')
+const chacha20poly1305 = require('./chacha20poly1305')
+const networks = require('./networks')
+const { blake2b256, blake2b512 } = require('./classes/class-utils')
+const { alloc, concat, equals, dataView } = require('./bytes')
+
+const NOTE_PLAINTEXT_SIZE = 564
+const OUT_PLAINTEXT_SIZE = 64
+const MEMO_SIZE = 512
+// the blocks after Canopy activation in which notes may still use the pre-ZIP 212 lead byte
+const ZIP212_GRACE_PERIOD = 32256
+// each key is only used once so the nonce is always zero
+const NONCE = alloc(12)
+
+// KA^Sapling.Agree, the encoding of [8 * sk]P
+function agree (sk, p) {
+  return jubjub.encode(jubjub.multiply(p, sk * BigInt(8)))
+}
+
+// KDF^Sapling, the symmetric key for the note plaintext
+function kdf (sharedSecret, ephemeralKey) {
+  return blake2b256('Zcash_SaplingKDF', concat([sharedSecret, ephemeralKey]))
+}
+
+// ToScalar^Sapling(PRF^expand_rseed([t])), rcm where t = 4 and esk where t = 5
+function expandSeed (rseed, t) {
+  return jubjub.toInt(blake2b512('Zcash_ExpandSeed', concat([rseed, Uint8Array.of(t)]))) % jubjub.R
+}
+
+// DiversifyHash^Sapling, the base g_d of the addresses with diversifier `d`, or null where there is none
+function diversifyHash (d) {
+  return jubjub.groupHash('Zcash_gd', d)
+}
+
+// ZIP 212 lead bytes, 0x01 until Canopy, 0x02 after a grace period in which either is accepted. Without a height
+// either is accepted.
+function isLeadByteAllowed (leadByte, height, network) {
+  if (height === undefined || height === null) {
+    return leadByte === 0x01 || leadByte === 0x02
+  }
+  if (!networks.isUpgradeActive('Canopy', height, network)) {
+    return leadByte === 0x01
+  }
+  const canopy = networks.getNetwork(network).upgrades.find((upgrade) => upgrade.name === 'Canopy')
+  if (height < canopy.activationHeight + ZIP212_GRACE_PERIOD) {
+    return leadByte === 0x01 || leadByte === 0x02
+  }
+  return leadByte === 0x02
+}
+
+// the fields of a note plaintext, or null where the lead byte isn't allowed or a pre-ZIP 212 rcm isn't a
+// canonical scalar
+function readPlaintext (plaintext, height, network) {
+  const leadByte = plaintext[0]
+  if (!isLeadByteAllowed(leadByte, height, network)) {
+    return null
+  }
+  const diversifier = plaintext.slice(1, 12)
+  const view = dataView(plaintext)
+  const value = BigInt(view.getUint32(12, true)) + (BigInt(view.getUint32(16, true)) << BigInt(32))
+  const seed = plaintext.slice(20, 52)
+  const memo = plaintext.slice(52, 52 + MEMO_SIZE)
+  if (leadByte === 0x01) {
+    if (jubjub.toInt(seed) >= jubjub.R) {
+      return null
+    }
+    return { leadByte, diversifier, value, rseed: null, rcm: seed, memo }
+  }
+  return { leadByte, diversifier, value, rseed: seed, rcm: jubjub.fromInt(expandSeed(seed, 4)), memo }
+}
+
+// PRF^ock, the symmetric key for the outgoing plaintext
+function outgoingCipherKey (ovk, output) {
+  return blake2b256('Zcash_Derive_ock', concat([ovk, output.cv, output.cm, output.ephemeralKey]))
+}
+
+// decrypt `output.encCiphertext` with `key` and check the note against the output, where `pkDOf(gd)` gives the
+// encoding of the recipient's pk_d and `esk` is the sender's ephemeral secret where it is known, the note or null
+function openNote (output, key, height, network, pkDOf, esk = null) {
+  const plaintext = chacha20poly1305.decrypt(key, NONCE, output.encCiphertext)
+  if (plaintext === null || plaintext.length !== NOTE_PLAINTEXT_SIZE) {
+    return null
+  }
+  const note = readPlaintext(plaintext, height, network)
+  if (note === null) {
+    return null
+  }
+  const gd = diversifyHash(note.diversifier)
+  if (gd === null) {
+    return null
+  }
+  // after ZIP 212 the ephemeral key is derived from rseed too, so the sender can't have chosen it freely
+  if (note.rseed) {
+    const derived = expandSeed(note.rseed, 5)
+    if (esk !== null && esk !== derived) {
+      return null
+    }
+    esk = derived
+  }
+  if (esk !== null && !equals(jubjub.encode(jubjub.multiply(gd, esk)), output.ephemeralKey)) {
+    return null
+  }
+  const pkD = pkDOf(gd)
+  if (!equals(sapling.noteCommitment(jubjub.encode(gd), pkD, note.value, jubjub.toInt(note.rcm)), output.cm)) {
+    return null
+  }
+  return Object.assign(note, { pkD })
+}
+
+// decrypt `output.encCiphertext` with the incoming viewing key `ivk` (a 32-byte little-endian scalar), the note
+// or null where it isn't for this key
+function tryDecrypt (output, ivk, height, network = 'main') {
+  if (!(ivk instanceof Uint8Array) || ivk.length !== 32) {
+    throw new TypeError('An incoming viewing key must be 32 bytes')
+  }
+  const epk = jubjub.decode(output.ephemeralKey)
+  if (epk === null) {
+    return null
+  }
+  const key = kdf(agree(jubjub.toInt(ivk), epk), output.ephemeralKey)
+  return openNote(output, key, height, network, (gd) => jubjub.encode(jubjub.multiply(gd, jubjub.toInt(ivk))))
+}
+
+// decrypt `output.outCiphertext` with the outgoing viewing key `ovk` to recover the recipient's pk_d and the
+// sender's esk, then `output.encCiphertext` with the key they agree, the note or null where it wasn't sent with
+// this key
+function tryRecoverWithOvk (output, ovk, height, network = 'main') {
+  if (!(ovk instanceof Uint8Array) || ovk.length !== 32) {
+    throw new TypeError('An outgoing viewing key must be 32 bytes')
+  }
+  const outPlaintext = chacha20poly1305.decrypt(outgoingCipherKey(ovk, output), NONCE, output.outCiphertext)
+  if (outPlaintext === null || outPlaintext.length !== OUT_PLAINTEXT_SIZE) {
+    return null
+  }
+  const pkDEncoded = outPlaintext.slice(0, 32)
+  const esk = jubjub.toInt(outPlaintext.subarray(32, 64))
+  const pkD = jubjub.decode(pkDEncoded)
+  if (esk >= jubjub.R || pkD === null || !jubjub.isIdentity(jubjub.multiply(pkD, jubjub.R))) {
+    return null
+  }
+  const key = kdf(agree(esk, pkD), output.ephemeralKey)
+  return openNote(output, key, height, network, () => pkDEncoded, esk)
+}
+
+module.exports.NONCE = NONCE
+module.exports.agree = agree
+module.exports.kdf = kdf
+module.exports.expandSeed = expandSeed
+module.exports.diversifyHash = diversifyHash
+module.exports.outgoingCipherKey = outgoingCipherKey
+module.exports.tryDecrypt = tryDecrypt
+module.exports.tryRecoverWithOvk = tryRecoverWithOvk
@@ -0,0 +1,177 @@
+/* global BigInt */
+
+// Exact proof of work target arithmetic using BigInt, mirroring arith_uint256 in zcashd
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/arith_uint256.cpp#L195
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/pow.cpp
+
+const { toHex, reverse } = require('./bytes')
+const networks = require('./networks')
+
+const UINT256_MASK = (BigInt(1) << BigInt(256)) - BigInt(1)
+
+/**
+ * Decode a compact `bits` representation of a proof of work target, as found in a block header, to the full
+ * 256-bit target.
+ *
+ * Can be used directly as `require('zcash-block').targetFromBits()`.
+ *
+ * @param {number} bits - the compact form of the target
+ * @returns {object} an object of the form `{ target, negative, overflow }` where `target` is a `BigInt` and
+ * `negative` and `overflow` are booleans indicating whether the compact form encodes a negative number or a
+ * number too large to fit in 256 bits, neither of which are valid targets
+ * @name ZcashBlock.targetFromBits()
+ */
+function targetFromBits (bits) {
+  const size = bits >>> 24
+  let word = bits & 0x007fffff
+  let target
+  if (size <= 3) {
+    word >>>= 8 * (3 - size)
+    target = BigInt(word)
+  } else {
+    target = (BigInt(word) << BigInt(8 * (size - 3))) & UINT256_MASK
+  }
+  const negative = word !== 0 && (bits & 0x00800000) !== 0
+  const overflow = word !== 0 && (size > 34 || (word > 0xff && size > 33) || (word > 0xffff && size > 32))
+  return { target, negative, overflow }
+}
+
+/**
+ * Encode a 256-bit proof of work target to the compact `bits` form used in block headers. This is the inverse of
+ * {@link ZcashBlock.targetFromBits()}, although precision is lost for targets with more than 23 significant bits.
+ *
+ * Can be used directly as `require('zcash-block').bitsFromTarget()`.
+ *
+ * @param {BigInt} target - a non-negative target
+ * @returns {number} the compact form of the target
+ * @name ZcashBlock.bitsFromTarget()
+ */
+function bitsFromTarget (target) {
+  if (typeof target !== 'bigint' || target < BigInt(0) || target > UINT256_MASK) {
+    throw new RangeError('Target must be a BigInt between 0 and 2^256-1')
+  }
+  let size = (target.toString(2).length + 7) >> 3
+  if (target === BigInt(0)) {
+    size = 0
+  }
+  let compact
+  if (size <= 3) {
+    compact = Number(target) * (2 ** (8 * (3 - size)))
+  } else {
+    compact = Number(target >> BigInt(8 * (size - 3)))
+  }
+  // the 0x00800000 bit denotes the sign, so if it's already set, divide the mantissa by 256 and increase the size
+  if (compact & 0x00800000) {
+    compact >>>= 8
+    size++
+  }
+  return ((size << 24) | compact) >>> 0
+}
+
+// The amount of work represented by a target: the expected number of hashes required to find a hash at or
+// below the target, 2^256 / (target + 1). Invalid targets represent no work.
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/chain.cpp#L113
+function workFromBits (bits) {
+  const { target, negative, overflow } = targetFromBits(bits)
+  if (negative || overflow || target === BigInt(0)) {
+    return BigInt(0)
+  }
+  return ((~target & UINT256_MASK) / (target + BigInt(1))) + BigInt(1)
+}
+
+// the median of the timestamps of a header and up to 10 of its predecessors, as CBlockIndex::GetMedianTimePast()
+const MEDIAN_TIME_SPAN = 11
+
+function medianTimePast (headers, index) {
+  const times = headers.slice(Math.max(0, index - MEDIAN_TIME_SPAN + 1), index + 1).map((header) => header.time)
+  times.sort((a, b) => a - b)
+  return times[Math.floor(times.length / 2)]
+}
+
+/**
+ * Calculate the `bits` required of the next block in a chain, following Zcash's DigiShield v3 difficulty
+ * adjustment: the mean target of the last 17 blocks is scaled by the time they took to mine, measured between
+ * median times past, damped by a factor of 4 and bounded to a 16% increase or 32% decrease in difficulty per
+ * block. The target block spacing halved from 150 to 75 seconds at Blossom. On testnet, a block more than 6
+ * target spacings after its predecessor may be mined at the minimum difficulty. Regtest never adjusts.
+ *
+ * `prevHeaders` are consecutive block headers, oldest first, ending with the parent of the next block; as decoded
+ * by {@link ZcashBlock.decodeHeaderOnly()}, or any objects with `bits` and `time`. At least 28 are required, the
+ * averaging window and the 11 blocks of the earliest median time past, unless they start at the genesis block
+ * (and none are needed for the genesis block itself).
+ *
+ * Can be used directly as `require('zcash-block').getNextWorkRequired()`.
+ *
+ * @param {Array.<ZcashBlock>} prevHeaders - the headers preceding the next block, oldest first
+ * @param {object} params
+ * @param {number} params.height - the height of the last header in `prevHeaders`
+ * @param {number} [params.time] - the timestamp of the next block, needed for the testnet minimum difficulty rule
+ * @param {string|object} [params.network] - see {@link networks.getNetwork()}, defaults to the `network` of the
+ * last header or mainnet
+ * @returns {number} the compact form of the target required of the next block
+ * @name ZcashBlock.getNextWorkRequired()
+ */
+function getNextWorkRequired (prevHeaders, params = {}) {
+  const last = prevHeaders[prevHeaders.length - 1]
+  const network = networks.getNetwork(params.network || (last && last.network) || 'main')
+  const { averagingWindow, maxAdjustDown, maxAdjustUp, minDifficultyAfterHeight, noRetargeting } = network.difficulty
+  const powLimitBits = bitsFromTarget(network.powLimit)
+
+  if (!last) { // genesis block
+    return powLimitBits
+  }
+  const { height, time } = params
+  if (!Number.isInteger(height) || height < prevHeaders.length - 1) {
+    throw new RangeError(`Invalid block height: ${height}`)
+  }
+  if (noRetargeting) {
+    return last.bits
+  }
+
+  const spacing = networks.isUpgradeActive('Blossom', height + 1, network)
+    ? network.difficulty.postBlossomTargetSpacing
+    : network.difficulty.preBlossomTargetSpacing
+  if (minDifficultyAfterHeight !== null && height >= minDifficultyAfterHeight && time > last.time + spacing * 6) {
+    return powLimitBits
+  }
+
+  // not enough blocks for a full averaging window
+  if (height < averagingWindow) {
+    return powLimitBits
+  }
+  const first = prevHeaders.length - 1 - averagingWindow
+  if (first < Math.min(MEDIAN_TIME_SPAN - 1, height - averagingWindow)) {
+    throw new RangeError(`At least ${averagingWindow + MEDIAN_TIME_SPAN} previous headers are required`)
+  }
+
+  let total = BigInt(0)
+  for (let i = first + 1; i < prevHeaders.length; i++) {
+    total += targetFromBits(prevHeaders[i].bits).target
+  }
+  const mean = total / BigInt(averagingWindow)
+
+  // https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/pow.cpp CalculateNextWorkRequired()
+  const windowTimespan = averagingWindow * spacing
+  const minTimespan = Math.floor(windowTimespan * (100 - maxAdjustUp) / 100)
+  const maxTimespan = Math.floor(windowTimespan * (100 + maxAdjustDown) / 100)
+  let timespan = medianTimePast(prevHeaders, prevHeaders.length - 1) - medianTimePast(prevHeaders, first)
+  timespan = windowTimespan + Math.trunc((timespan - windowTimespan) / 4)
+  timespan = Math.min(Math.max(timespan, minTimespan), maxTimespan)
+
+  let target = mean / BigInt(windowTimespan) * BigInt(timespan)
+  if (target > network.powLimit) {
+    target = network.powLimit
+  }
+  return bitsFromTarget(target)
+}
+
+// Interpret a 256-bit hash, in internal byte order, as a little-endian integer for comparison with a target
+function hashToBigInt (hash) {
+  return BigInt(`0x${toHex(reverse(hash))}`)
+}
+
+module.exports.targetFromBits = targetFromBits
+module.exports.bitsFromTarget = bitsFromTarget
+module.exports.workFromBits = workFromBits
+module.exports.hashToBigInt = hashToBigInt
+module.exports.getNextWorkRequired = getNextWorkRequired
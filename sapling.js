@@ -0,0 +1,77 @@
+/* global BigInt */
+
+// Sapling's Pedersen hash over Jubjub, and the Merkle hash of the Sapling note commitment tree and the note
+// commitment built from it
+// https://zips.z.cash/protocol/protocol.pdf#concretepedersenhash
+// https://zips.z.cash/protocol/protocol.pdf#merklecrh
+// https://zips.z.cash/protocol/protocol.pdf#concretewindowedcommit
+// https://github.com/zcash/sapling-crypto/blob/master/src/pedersen_hash.rs
+
+const jubjub = require('./jubjub')
+const { uint32LE, fromAscii } = require('./bytes')
+
+const CHUNKS_PER_GENERATOR = 63
+// an empty leaf of the note commitment tree, Uncommitted^Sapling = 1
+const UNCOMMITTED = jubjub.fromInt(BigInt(1))
+
+// the generators are found by group hash, which is slow enough to only do as they are first needed
+const generators = []
+function generator (i) {
+  if (!generators[i]) {
+    generators[i] = jubjub.findGroupHash('Zcash_PH', uint32LE(i))
+  }
+  return generators[i]
+}
+
+// the little-endian bits of `bytes`, up to `length` of them
+function bitsOf (bytes, length) {
+  const bits = []
+  for (let i = 0; i < length; i++) {
+    bits.push(((bytes[i >> 3] >> (i & 7)) & 1) === 1)
+  }
+  return bits
+}
+
+// PedersenHashToPoint, the input is split into segments of 63 3-bit chunks, each encoding a signed digit, and
+// each segment is a scalar for the next generator
+function pedersenHash (bits) {
+  let result = jubjub.IDENTITY
+  for (let i = 0, g = 0; i < bits.length; g++) {
+    let acc = BigInt(0)
+    let cur = BigInt(1)
+    for (let chunk = 0; chunk < CHUNKS_PER_GENERATOR && i < bits.length; chunk++, i += 3) {
+      let digit = bits[i] ? cur * BigInt(2) : cur
+      if (bits[i + 1]) {
+        digit += cur * BigInt(2)
+      }
+      acc += bits[i + 2] ? -digit : digit
+      cur <<= BigInt(4)
+    }
+    result = jubjub.add(result, jubjub.multiply(generator(g), jubjub.mod(acc, jubjub.R)))
+  }
+  return result
+}
+
+// MerkleCRH^Sapling, the u-coordinate of the Pedersen hash of a 6-bit layer and the two 255-bit child nodes,
+// `layer` counting up from 0 at the leaves
+function merkleHash (layer, left, right) {
+  const bits = bitsOf(Uint8Array.of(layer), 6).concat(bitsOf(left, 255), bitsOf(right, 255))
+  return jubjub.fromInt(jubjub.affine(pedersenHash(bits)).u)
+}
+
+// NoteCommit^Sapling, the u-coordinate of the windowed Pedersen commitment to six 1 bits, the 64-bit value and
+// the encodings of g_d and pk_d, with the trapdoor `rcm` (a BigInt) as the scalar of a further generator
+let trapdoorBase
+function noteCommitment (gd, pkd, value, rcm) {
+  if (!trapdoorBase) {
+    trapdoorBase = jubjub.findGroupHash('Zcash_PH', fromAscii('r'))
+  }
+  const bits = new Array(6).fill(true).concat(bitsOf(jubjub.fromInt(value, 8), 64), bitsOf(gd, 256), bitsOf(pkd, 256))
+  const cm = jubjub.add(pedersenHash(bits), jubjub.multiply(trapdoorBase, rcm))
+  return jubjub.fromInt(jubjub.affine(cm).u)
+}
+
+module.exports.UNCOMMITTED = UNCOMMITTED
+module.exports.pedersenHash = pedersenHash
+module.exports.merkleHash = merkleHash
+module.exports.noteCommitment = noteCommitment
@@ -0,0 +1,372 @@
+// Transparent script parsing, disassembly, standard output classification and t-address encoding
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/script.cpp
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/standard.cpp
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/core_write.cpp
+
+const { toHex, concat } = require('./bytes')
+const { sha256d, hash160 } = require('./hashes')
+const { getNetwork } = require('./networks')
+
+const OP_0 = 0x00
+const OP_PUSHDATA1 = 0x4c
+const OP_PUSHDATA2 = 0x4d
+const OP_PUSHDATA4 = 0x4e
+const OP_1NEGATE = 0x4f
+const OP_1 = 0x51
+const OP_16 = 0x60
+const OP_RETURN = 0x6a
+const OP_DUP = 0x76
+const OP_EQUAL = 0x87
+const OP_EQUALVERIFY = 0x88
+const OP_HASH160 = 0xa9
+const OP_CHECKSIG = 0xac
+const OP_CHECKSIGVERIFY = 0xad
+const OP_CHECKMULTISIG = 0xae
+const OP_CHECKMULTISIGVERIFY = 0xaf
+
+const MAX_PUBKEYS_PER_MULTISIG = 20
+
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/script.cpp#L12
+const OP_NAMES = {
+  [OP_0]: '0',
+  [OP_PUSHDATA1]: 'OP_PUSHDATA1',
+  [OP_PUSHDATA2]: 'OP_PUSHDATA2',
+  [OP_PUSHDATA4]: 'OP_PUSHDATA4',
+  [OP_1NEGATE]: '-1',
+  0x50: 'OP_RESERVED'
+}
+for (let op = OP_1; op <= OP_16; op++) {
+  OP_NAMES[op] = String(op - OP_1 + 1)
+}
+;[
+  'NOP', 'VER', 'IF', 'NOTIF', 'VERIF', 'VERNOTIF', 'ELSE', 'ENDIF', 'VERIFY', 'RETURN', // 0x61
+  'TOALTSTACK', 'FROMALTSTACK', '2DROP', '2DUP', '3DUP', '2OVER', '2ROT', '2SWAP', 'IFDUP', 'DEPTH', 'DROP', 'DUP', // 0x6b
+  'NIP', 'OVER', 'PICK', 'ROLL', 'ROT', 'SWAP', 'TUCK', // 0x77
+  'CAT', 'SUBSTR', 'LEFT', 'RIGHT', 'SIZE', // 0x7e
+  'INVERT', 'AND', 'OR', 'XOR', 'EQUAL', 'EQUALVERIFY', 'RESERVED1', 'RESERVED2', // 0x83
+  '1ADD', '1SUB', '2MUL', '2DIV', 'NEGATE', 'ABS', 'NOT', '0NOTEQUAL', 'ADD', 'SUB', 'MUL', 'DIV', 'MOD', 'LSHIFT', // 0x8b
+  'RSHIFT', 'BOOLAND', 'BOOLOR', 'NUMEQUAL', 'NUMEQUALVERIFY', 'NUMNOTEQUAL', 'LESSTHAN', 'GREATERTHAN', // 0x99
+  'LESSTHANOREQUAL', 'GREATERTHANOREQUAL', 'MIN', 'MAX', 'WITHIN', // 0xa1
+  'RIPEMD160', 'SHA1', 'SHA256', 'HASH160', 'HASH256', 'CODESEPARATOR', 'CHECKSIG', 'CHECKSIGVERIFY', // 0xa6
+  'CHECKMULTISIG', 'CHECKMULTISIGVERIFY', // 0xae
+  'NOP1', 'CHECKLOCKTIMEVERIFY', 'NOP3', 'NOP4', 'NOP5', 'NOP6', 'NOP7', 'NOP8', 'NOP9', 'NOP10' // 0xb0
+].forEach((name, i) => { OP_NAMES[0x61 + i] = `OP_${name}` })
+OP_NAMES[0xff] = 'OP_INVALIDOPCODE'
+
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/core_write.cpp#L61
+const SIGHASH_NAMES = {
+  0x01: 'ALL',
+  0x81: 'ALL|ANYONECANPAY',
+  0x02: 'NONE',
+  0x82: 'NONE|ANYONECANPAY',
+  0x03: 'SINGLE',
+  0x83: 'SINGLE|ANYONECANPAY'
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+// Read the operation at `pos`, returning `{ opcode, data, next }` where `data` is the pushed bytes for push
+// operations (otherwise `null`) and `next` is the position of the following operation. Returns `null` if a push
+// runs past the end of the script, as per CScript::GetOp()
+function readOp (script, pos) {
+  const opcode = script[pos++]
+  if (opcode > OP_PUSHDATA4) {
+    return { opcode, data: null, next: pos }
+  }
+  let size = opcode
+  const sizeBytes = opcode === OP_PUSHDATA1 ? 1 : opcode === OP_PUSHDATA2 ? 2 : opcode === OP_PUSHDATA4 ? 4 : 0
+  if (sizeBytes) {
+    if (pos + sizeBytes > script.length) {
+      return null
+    }
+    size = 0
+    for (let i = sizeBytes - 1; i >= 0; i--) {
+      size = size * 256 + script[pos + i]
+    }
+    pos += sizeBytes
+  }
+  if (pos + size > script.length) {
+    return null
+  }
+  return { opcode, data: script.slice(pos, pos + size), next: pos + size }
+}
+
+// Parse a script into its operations, `{ opcode, data }`, or `null` if the script is malformed
+function parse (script) {
+  const ops = []
+  let pos = 0
+  while (pos < script.length) {
+    const op = readOp(script, pos)
+    if (!op) {
+      return null
+    }
+    ops.push({ opcode: op.opcode, data: op.data })
+    pos = op.next
+  }
+  return ops
+}
+
+// CScriptNum interpretation of a small push, little-endian sign-magnitude
+function scriptNum (bytes) {
+  if (!bytes.length) {
+    return 0
+  }
+  let value = 0
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = value * 256 + (i === bytes.length - 1 ? bytes[i] & 0x7f : bytes[i])
+  }
+  return bytes[bytes.length - 1] & 0x80 ? -value : value
+}
+
+// BIP66 strict DER signature encoding with a trailing sighash type byte
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/interpreter.cpp#L80
+function isValidSignatureEncoding (sig) {
+  if (sig.length < 9 || sig.length > 73) return false
+  if (sig[0] !== 0x30) return false
+  if (sig[1] !== sig.length - 3) return false
+  const lenR = sig[3]
+  if (5 + lenR >= sig.length) return false
+  const lenS = sig[5 + lenR]
+  if (lenR + lenS + 7 !== sig.length) return false
+  if (sig[2] !== 0x02) return false
+  if (lenR === 0) return false
+  if (sig[4] & 0x80) return false
+  if (lenR > 1 && sig[4] === 0x00 && !(sig[5] & 0x80)) return false
+  if (sig[lenR + 4] !== 0x02) return false
+  if (lenS === 0) return false
+  if (sig[lenR + 6] & 0x80) return false
+  if (lenS > 1 && sig[lenR + 6] === 0x00 && !(sig[lenR + 7] & 0x80)) return false
+  return true
+}
+
+function isUnspendable (script) {
+  return script.length > 0 && script[0] === OP_RETURN
+}
+
+/**
+ * Disassemble a script into the human-readable `asm` form used by the Zcash API. Pushes of up to 4 bytes are
+ * shown as numbers, larger pushes as hex and other operations by name. A script that can't be parsed ends with
+ * `[error]`.
+ *
+ * Available as `require('zcash-block/script').toAsm()`.
+ *
+ * @param {Uint8Array} script - the raw bytes of the script
+ * @param {boolean} [attemptSighashDecode=false] - decode the sighash type of pushes that look like signatures,
+ * e.g. `[ALL]`, as the Zcash API does for a `scriptSig`
+ * @returns {string}
+ * @name script.toAsm()
+ */
+function toAsm (script, attemptSighashDecode = false) {
+  const parts = []
+  let pos = 0
+  while (pos < script.length) {
+    const op = readOp(script, pos)
+    if (!op) {
+      parts.push('[error]')
+      break
+    }
+    const { opcode, data } = op
+    pos = op.next
+    if (data === null) {
+      parts.push(OP_NAMES[opcode] || 'OP_UNKNOWN')
+    } else if (data.length <= 4) {
+      parts.push(String(scriptNum(data)))
+    } else if (attemptSighashDecode && !isUnspendable(script) && isValidSignatureEncoding(data) &&
+        SIGHASH_NAMES[data[data.length - 1]]) {
+      parts.push(`${toHex(data.subarray(0, -1))}[${SIGHASH_NAMES[data[data.length - 1]]}]`)
+    } else {
+      parts.push(toHex(data))
+    }
+  }
+  return parts.join(' ')
+}
+
+function isSmallInteger (opcode) {
+  return opcode === OP_0 || (opcode >= OP_1 && opcode <= OP_16)
+}
+
+function smallInteger (opcode) {
+  return opcode === OP_0 ? 0 : opcode - OP_1 + 1
+}
+
+function isPubKeySize (data) {
+  return data !== null && data.length >= 33 && data.length <= 65
+}
+
+// a public key with a valid length for its header byte, as per CPubKey::IsValid()
+function isValidPubKey (data) {
+  const header = data[0]
+  const length = header === 2 || header === 3 ? 33 : header === 4 || header === 6 || header === 7 ? 65 : 0
+  return length > 0 && data.length === length
+}
+
+// Match a script against the standard templates, returning `{ type, solutions }`
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/standard.cpp#L39
+function solve (script) {
+  const nonstandard = { type: 'nonstandard', solutions: [] }
+
+  if (script.length === 23 && script[0] === OP_HASH160 && script[1] === 0x14 && script[22] === OP_EQUAL) {
+    return { type: 'scripthash', solutions: [script.slice(2, 22)] }
+  }
+
+  const ops = parse(script)
+  if (!ops) {
+    return nonstandard
+  }
+
+  if (ops.length && ops[0].opcode === OP_RETURN && ops.slice(1).every(({ opcode }) => opcode <= OP_16)) {
+    return { type: 'nulldata', solutions: [] }
+  }
+
+  if (ops.length === 2 && isPubKeySize(ops[0].data) && ops[1].opcode === OP_CHECKSIG) {
+    return { type: 'pubkey', solutions: [ops[0].data] }
+  }
+
+  if (ops.length === 5 && ops[0].opcode === OP_DUP && ops[1].opcode === OP_HASH160 && ops[2].data !== null &&
+      ops[2].data.length === 20 && ops[3].opcode === OP_EQUALVERIFY && ops[4].opcode === OP_CHECKSIG) {
+    return { type: 'pubkeyhash', solutions: [ops[2].data] }
+  }
+
+  if (ops.length >= 4 && isSmallInteger(ops[0].opcode) && isSmallInteger(ops[ops.length - 2].opcode) &&
+      ops[ops.length - 1].opcode === OP_CHECKMULTISIG) {
+    const pubKeys = ops.slice(1, -2)
+    const m = smallInteger(ops[0].opcode)
+    const n = smallInteger(ops[ops.length - 2].opcode)
+    if (pubKeys.every(({ data }) => isPubKeySize(data)) && m >= 1 && n >= 1 && m <= n && pubKeys.length === n) {
+      return { type: 'multisig', solutions: [m, ...pubKeys.map(({ data }) => data), n] }
+    }
+  }
+
+  return nonstandard
+}
+
+// Read the block height pushed at the start of a coinbase scriptSig, as `CScript() << height` encodes it (BIP 34),
+// returning `{ height, next }` where `next` is the position following the push, or `null` if it doesn't start
+// with a non-negative number
+function coinbaseHeight (scriptSig) {
+  const op = scriptSig.length ? readOp(scriptSig, 0) : null
+  if (!op) {
+    return null
+  }
+  let height = null
+  if (isSmallInteger(op.opcode)) {
+    height = smallInteger(op.opcode)
+  } else if (op.data && op.data.length >= 1 && op.data.length <= 5) {
+    height = scriptNum(op.data)
+  }
+  return height === null || height < 0 ? null : { height, next: op.next }
+}
+
+// Count the signature operations in a script the "legacy" (inaccurate) way, as CScript::GetSigOpCount(false)
+// does for the block sigop limit; every CHECKMULTISIG counts as the maximum of 20 public keys. Counting stops at
+// a malformed push.
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/script.cpp#L155
+function countSigOps (script) {
+  let count = 0
+  let pos = 0
+  while (pos < script.length) {
+    const op = readOp(script, pos)
+    if (!op) {
+      break
+    }
+    if (op.opcode === OP_CHECKSIG || op.opcode === OP_CHECKSIGVERIFY) {
+      count++
+    } else if (op.opcode === OP_CHECKMULTISIG || op.opcode === OP_CHECKMULTISIGVERIFY) {
+      count += MAX_PUBKEYS_PER_MULTISIG
+    }
+    pos = op.next
+  }
+  return count
+}
+
+function base58 (bytes) {
+  const digits = []
+  for (const byte of bytes) {
+    let carry = byte
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] * 256
+      digits[i] = carry % 58
+      carry = Math.floor(carry / 58)
+    }
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = Math.floor(carry / 58)
+    }
+  }
+  let leadingZeros = ''
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    leadingZeros += BASE58_ALPHABET[0]
+  }
+  const encoded = digits.reverse().map((d) => BASE58_ALPHABET[d]).join('')
+  return leadingZeros + encoded
+}
+
+/**
+ * Encode a 160-bit public key hash or script hash as a transparent address (t-address) using Base58Check.
+ *
+ * Available as `require('zcash-block/script').encodeAddress()`.
+ *
+ * @param {Uint8Array} hash - the 160-bit hash
+ * @param {string} type - `'pubkeyhash'` (t1 or tm addresses) or `'scripthash'` (t3 or t2 addresses)
+ * @param {string|object} [network='main'] - the network determining the address prefixes, see
+ * {@link networks.getNetwork()}
+ * @returns {string}
+ * @name script.encodeAddress()
+ */
+function encodeAddress (hash, type, network = 'main') {
+  const prefixes = getNetwork(network).addressPrefixes
+  if (!Object.prototype.hasOwnProperty.call(prefixes, type)) {
+    throw new TypeError(`Unknown address type: ${type}`)
+  }
+  if (hash.length !== 20) {
+    throw new RangeError('Address hash must be 20 bytes')
+  }
+  const payload = concat([prefixes[type], hash])
+  const checksum = sha256d(payload).subarray(0, 4)
+  return base58(concat([payload, checksum]))
+}
+
+/**
+ * Classify a `scriptPubKey` and extract its transparent addresses, producing the same form as the `scriptPubKey`
+ * of a `vout` in the Zcash API's verbose transaction output.
+ *
+ * The `type` is one of `'pubkeyhash'`, `'scripthash'`, `'multisig'`, `'pubkey'`, `'nulldata'` or
+ * `'nonstandard'`. `reqSigs` and `addresses` are only included for scripts with addresses, i.e. not for
+ * `'nulldata'` or `'nonstandard'` scripts.
+ *
+ * Available as `require('zcash-block/script').decodeScriptPubKey()`.
+ *
+ * @param {Uint8Array} script - the raw bytes of the `scriptPubKey`
+ * @param {string|object} [network='main'] - the network determining the address prefixes, see
+ * {@link networks.getNetwork()}
+ * @returns {object} an object of the form `{ asm, hex, reqSigs, type, addresses }`
+ * @name script.decodeScriptPubKey()
+ */
+function decodeScriptPubKey (script, network = 'main') {
+  const { type, solutions } = solve(script)
+  const result = { asm: toAsm(script), hex: toHex(script) }
+
+  let reqSigs = 1
+  let addresses = []
+  if (type === 'pubkeyhash' || type === 'scripthash') {
+    addresses = [encodeAddress(solutions[0], type, network)]
+  } else if (type === 'pubkey' || type === 'multisig') {
+    const pubKeys = type === 'pubkey' ? solutions : solutions.slice(1, -1)
+    addresses = pubKeys.filter(isValidPubKey).map((pubKey) => encodeAddress(hash160(pubKey), 'pubkeyhash', network))
+    reqSigs = type === 'multisig' ? solutions[0] : 1
+  }
+  // properties are ordered as per zcashd's ScriptPubKeyToJSON()
+  if (!addresses.length) {
+    return Object.assign(result, { type })
+  }
+  return Object.assign(result, { reqSigs, type, addresses })
+}
+
+module.exports.parse = parse
+module.exports.toAsm = toAsm
+module.exports.solve = solve
+module.exports.countSigOps = countSigOps
+module.exports.coinbaseHeight = coinbaseHeight
+module.exports.hash160 = hash160
+module.exports.encodeAddress = encodeAddress
+module.exports.decodeScriptPubKey = decodeScriptPubKey
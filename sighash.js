@@ -0,0 +1,223 @@
+// Signature hash (sighash) calculation for transparent inputs of pre-v5 transactions. Sprout-era
+// transactions use the original Bitcoin-derived algorithm, Overwinter transactions use ZIP 143 and Sapling
+// transactions use ZIP 243.
+// https://zips.z.cash/zip-0143
+// https://zips.z.cash/zip-0243
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/interpreter.cpp#L1036
+
+const { blake2b256 } = require('./classes/class-utils')
+const { encodeType, encodeCompactSize } = require('./encode')
+const { alloc, concat, dataView, fromAscii } = require('./bytes')
+const { sha256d } = require('./hashes')
+
+const SIGHASH_ALL = 1
+const SIGHASH_NONE = 2
+const SIGHASH_SINGLE = 3
+const SIGHASH_ANYONECANPAY = 0x80
+
+// an `inputIndex` that doesn't refer to a transparent input, used when signing the transaction as a whole
+// such as for the `joinSplitSig` and `bindingSig`
+const NOT_AN_INPUT = null
+
+const OP_CODESEPARATOR = 0xab
+const OP_PUSHDATA1 = 0x4c
+const OP_PUSHDATA2 = 0x4d
+const OP_PUSHDATA4 = 0x4e
+
+const ZERO_HASH = alloc(32)
+
+function u32 (i) {
+  return encodeType('uint32_t', i >>> 0)
+}
+
+function txHeader (tx) {
+  return u32((tx.overwintered ? 0x80000000 : 0) | tx.version)
+}
+
+// https://github.com/zcash/zcash/blob/6da42887f10f9228da4c8c1182174d70b2633284/src/script/interpreter.cpp#L1056
+function removeCodeSeparators (script) {
+  const chunks = []
+  let start = 0
+  let pos = 0
+  while (pos < script.length) {
+    const opcode = script[pos]
+    let next = pos + 1
+    if (opcode < OP_PUSHDATA1) {
+      next += opcode
+    } else if (opcode === OP_PUSHDATA1) {
+      next += 1 + (script[pos + 1] || 0)
+    } else if (opcode === OP_PUSHDATA2) {
+      next += 2 + (script[pos + 1] | (script[pos + 2] << 8))
+    } else if (opcode === OP_PUSHDATA4) {
+      next += 4 + dataView(script.subarray(pos + 1, pos + 5)).getUint32(0, true)
+    } else if (opcode === OP_CODESEPARATOR) {
+      chunks.push(script.slice(start, pos))
+      start = next
+    }
+    pos = next
+  }
+  chunks.push(script.slice(start))
+  return concat(chunks)
+}
+
+function legacySighash (tx, inputIndex, scriptCode, hashType) {
+  const baseType = hashType & 0x1f
+  const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0
+
+  // zcashd rejects the SIGHASH_SINGLE bug rather than signing the hash of 1, NOT_AN_INPUT being beyond every output
+  if (baseType === SIGHASH_SINGLE && (inputIndex === NOT_AN_INPUT || inputIndex >= tx.vout.length)) {
+    throw new RangeError('No matching output for SIGHASH_SINGLE')
+  }
+
+  const chunks = [txHeader(tx)]
+
+  const inputs = anyoneCanPay ? [inputIndex] : tx.vin.map((_, i) => i)
+  chunks.push(encodeCompactSize(inputs.length))
+  for (const i of inputs) {
+    const txin = tx.vin[i]
+    chunks.push(txin.prevout.encode())
+    // blank out other inputs' signatures, and sign with the scriptCode for our own
+    chunks.push(encodeType('CScript', i === inputIndex ? removeCodeSeparators(scriptCode) : alloc(0)))
+    if (i !== inputIndex && (baseType === SIGHASH_SINGLE || baseType === SIGHASH_NONE)) {
+      // let the others update at will
+      chunks.push(u32(0))
+    } else {
+      chunks.push(u32(txin.sequence))
+    }
+  }
+
+  const outputCount = baseType === SIGHASH_NONE ? 0 : baseType === SIGHASH_SINGLE ? inputIndex + 1 : tx.vout.length
+  chunks.push(encodeCompactSize(outputCount))
+  for (let i = 0; i < outputCount; i++) {
+    if (baseType === SIGHASH_SINGLE && i !== inputIndex) {
+      // a null CTxOut, value of -1 and an empty script
+      chunks.push(alloc(8, 0xff))
+      chunks.push(encodeType('CScript', alloc(0)))
+    } else {
+      chunks.push(tx.vout[i].encode())
+    }
+  }
+
+  chunks.push(u32(tx.lockTime))
+
+  if (tx.version >= 2) {
+    chunks.push(encodeCompactSize(tx.joinSplits.length))
+    for (const joinSplit of tx.joinSplits) {
+      chunks.push(joinSplit.encode())
+    }
+    if (tx.joinSplits.length > 0) {
+      chunks.push(tx.joinSplitPubKey)
+      chunks.push(alloc(64)) // the joinSplitSig is blanked
+    }
+  }
+
+  chunks.push(encodeType('int32_t', hashType))
+
+  return sha256d(concat(chunks))
+}
+
+// ZIP 143 & ZIP 243, sharing the same overall structure with additional Sapling components for ZIP 243
+function zip143Sighash (tx, inputIndex, scriptCode, amount, hashType, consensusBranchId, sapling) {
+  const baseType = hashType & 0x1f
+  const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0
+
+  let hashPrevouts = ZERO_HASH
+  let hashSequence = ZERO_HASH
+  let hashOutputs = ZERO_HASH
+  let hashJoinSplits = ZERO_HASH
+  let hashShieldedSpends = ZERO_HASH
+  let hashShieldedOutputs = ZERO_HASH
+
+  if (!anyoneCanPay) {
+    hashPrevouts = blake2b256('ZcashPrevoutHash', concat(tx.vin.map((txin) => txin.prevout.encode())))
+  }
+
+  if (!anyoneCanPay && baseType !== SIGHASH_SINGLE && baseType !== SIGHASH_NONE) {
+    hashSequence = blake2b256('ZcashSequencHash', concat(tx.vin.map((txin) => u32(txin.sequence))))
+  }
+
+  if (baseType !== SIGHASH_SINGLE && baseType !== SIGHASH_NONE) {
+    hashOutputs = blake2b256('ZcashOutputsHash', concat(tx.vout.map((txout) => txout.encode())))
+  } else if (baseType === SIGHASH_SINGLE && inputIndex !== NOT_AN_INPUT && inputIndex < tx.vout.length) {
+    hashOutputs = blake2b256('ZcashOutputsHash', tx.vout[inputIndex].encode())
+  }
+
+  if (tx.joinSplits.length > 0) {
+    const joinSplits = tx.joinSplits.map((joinSplit) => joinSplit.encode())
+    hashJoinSplits = blake2b256('ZcashJSplitsHash', concat(joinSplits.concat([tx.joinSplitPubKey])))
+  }
+
+  if (sapling && tx.shieldedSpend.length > 0) {
+    // the spendAuthSig is excluded
+    const spends = tx.shieldedSpend.map((spend) => concat([spend.cv, spend.anchor, spend.nullifier, spend.rk, spend.zkproof]))
+    hashShieldedSpends = blake2b256('ZcashSSpendsHash', concat(spends))
+  }
+
+  if (sapling && tx.shieldedOutput.length > 0) {
+    hashShieldedOutputs = blake2b256('ZcashSOutputHash', concat(tx.shieldedOutput.map((output) => output.encode())))
+  }
+
+  const chunks = [
+    txHeader(tx),
+    u32(tx.versionGroupId),
+    hashPrevouts,
+    hashSequence,
+    hashOutputs,
+    hashJoinSplits
+  ]
+  if (sapling) {
+    chunks.push(hashShieldedSpends)
+    chunks.push(hashShieldedOutputs)
+  }
+  chunks.push(u32(tx.lockTime))
+  chunks.push(u32(tx.expiryHeight))
+  if (sapling) {
+    chunks.push(encodeType('CAmount', tx.valueBalance))
+  }
+  chunks.push(u32(hashType))
+
+  if (inputIndex !== NOT_AN_INPUT) {
+    const txin = tx.vin[inputIndex]
+    chunks.push(txin.prevout.encode())
+    chunks.push(encodeType('CScript', scriptCode))
+    chunks.push(encodeType('CAmount', amount))
+    chunks.push(u32(txin.sequence))
+  }
+
+  const personalization = concat([fromAscii('ZcashSigHash'), u32(consensusBranchId)])
+  return blake2b256(personalization, concat(chunks))
+}
+
+// Calculate the signature hash of a transaction for the given input. See ZcashTransaction#sighash().
+function sighash (tx, inputIndex, scriptCode, amount, hashType, consensusBranchId) {
+  if (inputIndex === undefined) {
+    inputIndex = NOT_AN_INPUT
+  }
+  if (inputIndex !== NOT_AN_INPUT && !(inputIndex >= 0 && inputIndex < tx.vin.length)) {
+    throw new RangeError('Input index is out of range')
+  }
+  if (inputIndex === NOT_AN_INPUT && (hashType & SIGHASH_ANYONECANPAY) !== 0) {
+    throw new TypeError('SIGHASH_ANYONECANPAY requires an input to sign')
+  }
+
+  if (!tx.overwintered) {
+    return legacySighash(tx, inputIndex, scriptCode, hashType)
+  }
+  if (consensusBranchId == null) {
+    throw new TypeError('A consensusBranchId is required for Overwinter and later transactions')
+  }
+  if (tx.version === 3) {
+    return zip143Sighash(tx, inputIndex, scriptCode, amount, hashType, consensusBranchId, false)
+  }
+  if (tx.version === 4) {
+    return zip143Sighash(tx, inputIndex, scriptCode, amount, hashType, consensusBranchId, true)
+  }
+  throw new Error(`Signature hash for v${tx.version} transactions is not supported`)
+}
+
+module.exports = sighash
+module.exports.SIGHASH_ALL = SIGHASH_ALL
+module.exports.SIGHASH_NONE = SIGHASH_NONE
+module.exports.SIGHASH_SINGLE = SIGHASH_SINGLE
+module.exports.SIGHASH_ANYONECANPAY = SIGHASH_ANYONECANPAY
+module.exports.NOT_AN_INPUT = NOT_AN_INPUT
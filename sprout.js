@@ -0,0 +1,42 @@
+// Sprout JoinSplit anchors, each must be the root of the Sprout note commitment tree at the end of an earlier
+// block or, for a later JoinSplit in a transaction, the root after the commitments of an earlier JoinSplit of the
+// same transaction have been appended to its tree
+// https://zips.z.cash/protocol/protocol.pdf#joinsplit
+// https://github.com/zcash/zcash/blob/v6.0.0/src/coins.cpp CCoinsViewCache::HaveShieldedRequirements()
+
+const { toHex, equals } = require('./bytes')
+const { toHashHex } = require('./classes/class-utils')
+
+const REASON = 'bad-txns-joinsplit-requirements-not-met'
+
+// the tree at each JoinSplit's anchor, as HaveShieldedRequirements() finds it, the first JoinSplit of a
+// transaction with an unknown anchor is a violation and the transaction is checked no further
+async function checkAnchors (block, previous, anchorLookup) {
+  const previousRoot = previous.root()
+  const violations = []
+  for (const [index, tx] of block.transactions.entries()) {
+    const intermediates = new Map()
+    for (const [i, joinSplit] of (tx.joinSplits || []).entries()) {
+      let tree = intermediates.get(toHex(joinSplit.anchor))
+      if (!tree) {
+        tree = equals(joinSplit.anchor, previousRoot) ? previous : anchorLookup && await anchorLookup(joinSplit.anchor)
+      }
+      if (!tree) {
+        violations.push({
+          index,
+          reason: REASON,
+          message: `JoinSplit ${i} anchor ${toHashHex(joinSplit.anchor)} is not a known Sprout tree root`
+        })
+        break
+      }
+      tree = tree.clone()
+      for (const commitment of joinSplit.commitments) {
+        tree.append(commitment)
+      }
+      intermediates.set(toHex(tree.root()), tree)
+    }
+  }
+  return violations
+}
+
+module.exports.checkAnchors = checkAnchors
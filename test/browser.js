@@ -1,5 +1,6 @@
 var context = require.context('./fixtures', true, /\.json$/)
 const test = require('./test')
+const { fromHex } = require('../bytes')
 
 async function run () {
   const fixtures = []
@@ -10,7 +11,7 @@ async function run () {
     // console.log((await import(`!!raw-loader!./fixtures/${hash}.hex`)).substr(0, 100)
     const data = (await import(`./fixtures/${hash}.json`)).default
     const blockHex = (await import(`!!raw-loader!./fixtures/${hash}.hex`)).default
-    const block = Buffer.from(blockHex.replace(/\n/g, ''), 'hex')
+    const block = fromHex(blockHex.replace(/\s/g, ''))
     fixtures.push({
       hash,
       block,
@@ -18,10 +19,38 @@ async function run () {
     })
   }))
 
+  for (const [name, fn] of Object.entries(Object.assign({}, require('./test-nu5'), require('./test-merkle'), require('./test-equihash'), require('./test-pow'), require('./test-script'), require('./test-amounts'), require('./test-bytes')))) {
+    console.log('testing', name)
+    await fn()
+  }
+
+  const blocks = fixtures.reduce((p, { hash, block }) => Object.assign(p, { [hash]: block }), {})
+  console.log('testing sighash')
+  require('./test-sighash')(blocks)
+  console.log('testing verbose')
+  require('./test-verbose')(blocks)
+  console.log('testing ipld')
+  require('./test-ipld')(blocks)
+  console.log('testing networks')
+  require('./test-networks')(blocks)
+  console.log('testing consensus')
+  require('./test-consensus')(blocks)
+  console.log('testing coinbase')
+  require('./test-coinbase')(blocks)
+  console.log('testing fees')
+  await require('./test-fees')(blocks)
+  console.log('testing sapling tree')
+  require('./test-sapling-tree')(blocks)
+  console.log('testing sprout tree')
+  await require('./test-sprout-tree')(blocks)
+
+  console.log('testing sapling decryption')
+  await require('./test-sapling-decrypt')(blocks)
+
   console.log('testing', fixtures.length, 'fixtures')
   for (const { hash, block, data } of fixtures) {
     console.log('testing', hash)
-    test(hash, block, data)
+    await test(hash, block, data)
   }
 }
 
@@ -2,18 +2,61 @@ const fs = require('fs').promises
 const { readdirSync } = require('fs')
 const path = require('path')
 const test = require('./test')
+const { fromHex } = require('../bytes')
 
-// export an async function per block
-module.exports = readdirSync(path.join(__dirname, 'fixtures'))
+const hashes = readdirSync(path.join(__dirname, 'fixtures'))
   .map((f) => f.endsWith('.hex') && f.substring(0, f.length - 4))
   .filter(Boolean)
-  .reduce((p, hash) => {
-    p[hash] = async () => {
-      test(
-        hash,
-        Buffer.from(await fs.readFile(path.join(__dirname, 'fixtures', `${hash}.hex`), 'utf8'), 'hex'),
-        require(path.join(__dirname, 'fixtures', `${hash}.json`))
-      )
-    }
-    return p
-  }, {})
+
+async function loadBlock (hash) {
+  return fromHex((await fs.readFile(path.join(__dirname, 'fixtures', `${hash}.hex`), 'utf8')).replace(/\s/g, ''))
+}
+
+async function loadBlocks () {
+  const blocks = {}
+  for (const hash of hashes) {
+    blocks[hash] = await loadBlock(hash)
+  }
+  return blocks
+}
+
+const tests = Object.assign({}, require('./test-nu5'), require('./test-merkle'), require('./test-equihash'), require('./test-pow'), require('./test-script'), require('./test-amounts'), require('./test-bytes'), {
+  sighash: async () => {
+    require('./test-sighash')(await loadBlocks())
+  },
+  verbose: async () => {
+    require('./test-verbose')(await loadBlocks())
+  },
+  ipld: async () => {
+    require('./test-ipld')(await loadBlocks())
+  },
+  networks: async () => {
+    require('./test-networks')(await loadBlocks())
+  },
+  consensus: async () => {
+    require('./test-consensus')(await loadBlocks())
+  },
+  coinbase: async () => {
+    require('./test-coinbase')(await loadBlocks())
+  },
+  fees: async () => {
+    await require('./test-fees')(await loadBlocks())
+  },
+  saplingTree: async () => {
+    require('./test-sapling-tree')(await loadBlocks())
+  },
+  sproutTree: async () => {
+    await require('./test-sprout-tree')(await loadBlocks())
+  },
+  saplingDecrypt: async () => {
+    await require('./test-sapling-decrypt')(await loadBlocks())
+  }
+})
+
+// export an async function per block
+module.exports = hashes.reduce((p, hash) => {
+  p[hash] = async () => {
+    await test(hash, await loadBlock(hash), require(path.join(__dirname, 'fixtures', `${hash}.json`)))
+  }
+  return p
+}, tests)
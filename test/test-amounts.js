@@ -0,0 +1,71 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashTransaction = require('../classes/Transaction')
+const ZcashTransactionOut = require('../classes/TransactionOut')
+const { alloc, concat, equals, uint32LE } = require('../bytes')
+
+const { MAX_MONEY, COIN } = ZcashBlock
+
+function i64 (n) {
+  const u = BigInt.asUintN(64, BigInt(n))
+  return concat([uint32LE(Number(u & BigInt(0xffffffff))), uint32LE(Number(u >> BigInt(32)))])
+}
+
+// a v1 transaction with no inputs and a single output of `value` zatoshis
+function txWithValue (value) {
+  return concat([
+    Uint8Array.of(1, 0, 0, 0), // nVersion
+    Uint8Array.of(0), // vin
+    Uint8Array.of(1), i64(value), Uint8Array.of(1, 0x51), // vout
+    alloc(4) // nLockTime
+  ])
+}
+
+module.exports = {
+  'exact amounts': async () => {
+    for (const value of [BigInt(0), BigInt(1), BigInt(2) ** BigInt(32), MAX_MONEY, MAX_MONEY - BigInt(1)]) {
+      const bytes = txWithValue(value)
+      const tx = ZcashTransaction.decode(bytes)
+      assert.strictEqual(tx.vout[0].value, value)
+      assert.ok(equals(tx.encode(), bytes), `${value} round-trips`)
+      // the JSON forms are exact
+      const json = JSON.parse(JSON.stringify(tx.vout[0]))
+      assert.strictEqual(BigInt(json.valueZat), value)
+      assert.strictEqual(BigInt(Math.round(json.value * COIN)), value)
+    }
+    assert.strictEqual(JSON.stringify(new ZcashTransactionOut(MAX_MONEY - BigInt(1), alloc(0)).toJSON().value), '20999999.99999999')
+  },
+
+  'amounts out of range': async () => {
+    // any int64 decodes exactly, out of range amounts are rejected by validate() but can't be encoded
+    for (const value of [MAX_MONEY + BigInt(1), -MAX_MONEY - BigInt(1), BigInt(2) ** BigInt(63) - BigInt(1), -(BigInt(2) ** BigInt(63))]) {
+      const tx = ZcashTransaction.decode(txWithValue(value))
+      assert.strictEqual(tx.vout[0].value, value)
+      assert.throws(() => tx.encode(), /Amount out of range/)
+    }
+    // negative amounts within range decode, they're only invalid for certain fields
+    assert.strictEqual(ZcashTransaction.decode(txWithValue(-MAX_MONEY)).vout[0].value, -MAX_MONEY)
+
+    const tx = ZcashTransaction.decode(txWithValue(1))
+    tx.vout[0].value = MAX_MONEY + BigInt(1)
+    assert.throws(() => tx.encode(), /Amount out of range/)
+    tx.vout[0].value = 1.5
+    assert.throws(() => tx.encode(), /integer number of zatoshis/)
+    tx.vout[0].value = 10 // Numbers are accepted for encoding
+    assert.ok(equals(tx.encode(), txWithValue(10)))
+  },
+
+  'amount formatting': async () => {
+    assert.strictEqual(ZcashBlock.formatAmount(BigInt(0)), '0.00000000')
+    assert.strictEqual(ZcashBlock.formatAmount(1), '0.00000001')
+    assert.strictEqual(ZcashBlock.formatAmount(BigInt(133201044)), '1.33201044')
+    assert.strictEqual(ZcashBlock.formatAmount(BigInt(-5000)), '-0.00005000')
+    assert.strictEqual(ZcashBlock.formatAmount(-BigInt(COIN)), '-1.00000000')
+    assert.strictEqual(ZcashBlock.formatAmount(MAX_MONEY), '21000000.00000000')
+    assert.strictEqual(ZcashBlock.formatAmount(MAX_MONEY - BigInt(1)), '20999999.99999999')
+    assert.throws(() => ZcashBlock.formatAmount(MAX_MONEY + BigInt(1)), /Amount out of range/)
+    assert.throws(() => ZcashBlock.formatAmount(0.5), /integer number of zatoshis/)
+  }
+}
@@ -0,0 +1,57 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashTransaction = require('../classes/Transaction')
+const { toHex, fromHex, fromAscii, concat, equals, reverse } = require('../bytes')
+const { sha256, sha256d, ripemd160, hash160 } = require('../hashes')
+
+// a v1 coinbase-like transaction with a single input and output
+const txHex = '01000000' + // nVersion
+  '01' + '00'.repeat(32) + 'ffffffff' + '02' + '5151' + 'ffffffff' + // vin
+  '01' + 'e803000000000000' + '01' + '51' + // vout
+  '00000000' // nLockTime
+
+module.exports = {
+  'byte helpers': async () => {
+    assert.strictEqual(toHex(fromHex('00ff10Ab')), '00ff10ab')
+    assert.strictEqual(toHex(new Uint8Array(0)), '')
+    assert.throws(() => fromHex('abc'), /even-length hex string/)
+    assert.throws(() => fromHex('zz'), /even-length hex string/)
+    assert.strictEqual(toHex(concat([fromHex('0102'), new Uint8Array(0), fromHex('03')])), '010203')
+    assert.ok(equals(fromHex('0102'), Uint8Array.of(1, 2)))
+    assert.ok(!equals(fromHex('0102'), fromHex('010203')))
+    const bytes = fromHex('010203')
+    assert.strictEqual(toHex(reverse(bytes)), '030201')
+    assert.strictEqual(toHex(bytes), '010203', 'reverse() copies')
+  },
+
+  hashes: async () => {
+    // https://www.di-mgt.com.au/sha_testvectors.html and https://homes.esat.kuleuven.be/~bosselae/ripemd160.html
+    assert.strictEqual(toHex(sha256(new Uint8Array(0))), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+    assert.strictEqual(toHex(sha256(fromAscii('abc'))), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+    assert.strictEqual(toHex(sha256(fromAscii('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))),
+      '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1')
+    assert.strictEqual(toHex(sha256d(fromAscii('abc'))), '4f8b42c22dd3729b519ba6f68d2da7cc5b2d606d05daed5ad5128cc03e6c6358')
+    assert.strictEqual(toHex(ripemd160(new Uint8Array(0))), '9c1185a5c5e9fc54612808977ee8f548b2258d31')
+    assert.strictEqual(toHex(ripemd160(fromAscii('abc'))), '8eb208f7e05d987a9b044a8e98c6b087f15a0bfc')
+    assert.strictEqual(toHex(ripemd160(fromAscii('12345678901234567890123456789012345678901234567890123456789012345678901234567890'))),
+      '9b752e45573d4b39f4dbd3323cab82bf63326bfb')
+    assert.strictEqual(toHex(hash160(fromAscii('abc'))), toHex(ripemd160(sha256(fromAscii('abc')))))
+  },
+
+  'plain Uint8Array input': async () => {
+    const bytes = fromHex(txHex)
+    const tx = ZcashTransaction.decode(bytes)
+    assert.strictEqual(tx.vin[0].scriptSig.constructor, Uint8Array)
+    assert.strictEqual(tx.hash.constructor, Uint8Array)
+    const encoded = tx.encode()
+    assert.strictEqual(encoded.constructor, Uint8Array)
+    assert.ok(equals(encoded, bytes))
+
+    // a view onto a larger buffer decodes the same as a copy
+    const padded = concat([fromHex('ffff'), bytes, fromHex('ffff')])
+    const view = padded.subarray(2, 2 + bytes.length)
+    assert.deepStrictEqual(ZcashBlock.decodeTransaction(view).toJSON(), tx.toJSON())
+
+    assert.throws(() => ZcashTransaction.decode(txHex), /Expected a Uint8Array/)
+  }
+}
@@ -0,0 +1,132 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashTransactionOut = require('../classes/TransactionOut')
+const coinbase = require('../coinbase')
+const { fromHex, concat, fromAscii } = require('../bytes')
+
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+const P2PKH = fromHex('76a914e0082ee3d89f84adbadaaebddd1746bb20e6d4ee88ac')
+const P2SH = fromHex('a91495fe3a8328f7ea678710aca7496b8908a2c5860987') // t3YEiAa6uEjXwFL2v5ztU1fn3yKgzMQqNyo
+const ZF = 't3dvVE3SQEi7kqNzwrfNePxZ1d4hUyztBA1'
+const ZF_P2SH = fromHex('a914d45cb1adffb5215a42720532a076f02c7c778c9087')
+const MG = 't3XyYW8yBFRuMnfvm5KLGFbEVz25kckZXym'
+
+function zats (streams) {
+  return streams.map(({ recipient, value, deferred }) => [recipient, Number(value), deferred])
+}
+
+function testCoinbase (blocks) {
+  // ZIP 208 slow start, halvings and Blossom
+  assert.strictEqual(coinbase.blockSubsidy(0), BigInt(0))
+  assert.strictEqual(coinbase.blockSubsidy(1), BigInt(62500))
+  assert.strictEqual(coinbase.blockSubsidy(9999), BigInt(62500 * 9999))
+  assert.strictEqual(coinbase.blockSubsidy(10000), BigInt(62500 * 10001))
+  assert.strictEqual(coinbase.blockSubsidy(19999), BigInt(1250000000))
+  assert.strictEqual(coinbase.blockSubsidy(653599), BigInt(1250000000))
+  assert.strictEqual(coinbase.blockSubsidy(653600), BigInt(625000000), 'Blossom')
+  assert.strictEqual(coinbase.blockSubsidy(1046400), BigInt(312500000), 'first halving')
+  assert.strictEqual(coinbase.blockSubsidy(2726400), BigInt(156250000), 'second halving')
+  assert.strictEqual(coinbase.blockSubsidy(200000000), BigInt(0))
+  assert.strictEqual(coinbase.blockSubsidy(144, 'regtest'), BigInt(625000000))
+  assert.throws(() => coinbase.blockSubsidy(-1), /Invalid block height: -1/)
+
+  // the founders' reward ends at the first halving, at Canopy
+  assert.strictEqual(coinbase.foundersReward(0), BigInt(0))
+  assert.strictEqual(coinbase.foundersReward(1), BigInt(12500))
+  assert.strictEqual(coinbase.foundersReward(653600), BigInt(125000000))
+  assert.strictEqual(coinbase.foundersReward(1046399), BigInt(125000000))
+  assert.strictEqual(coinbase.foundersReward(1046400), BigInt(0))
+  assert.strictEqual(coinbase.foundersReward(143, 'regtest'), BigInt(250000000))
+  assert.strictEqual(coinbase.foundersReward(144, 'regtest'), BigInt(0))
+
+  // ZIP 214 and ZIP 1015 funding streams
+  assert.deepStrictEqual(coinbase.fundingStreams(1046399), [])
+  assert.deepStrictEqual(zats(coinbase.fundingStreams(1046400)), [
+    ['Electric Coin Company', 21875000, false], ['Zcash Foundation', 15625000, false], ['Major Grants', 25000000, false]])
+  assert.deepStrictEqual(zats(coinbase.fundingStreams(2726400)), [
+    ['Zcash Community Grants NU6', 12500000, false], ['Lockbox NU6', 18750000, true]])
+  assert.deepStrictEqual(coinbase.fundingStreams(3146400), [])
+  assert.strictEqual(coinbase.fundingStreams(1028499, 'test').length, 0)
+  assert.strictEqual(coinbase.fundingStreams(1028500, 'test').length, 3)
+  assert.deepStrictEqual(coinbase.fundingStreams(1046400, 'regtest'), [])
+
+  // the recipient addresses, by ZIP 207 address period
+  const addresses = (streams) => streams.map(({ address }) => address)
+  assert.deepStrictEqual(addresses(coinbase.fundingStreams(1046400)), [null, ZF, MG])
+  assert.deepStrictEqual(addresses(coinbase.fundingStreams(2726399)), [null, ZF, MG])
+  assert.deepStrictEqual(addresses(coinbase.fundingStreams(3146399)), ['t3cFfPt1Bcvgez9ZbMBFWeZsskxTkPzGCow', null])
+  assert.deepStrictEqual(addresses(coinbase.fundingStreams(1028500, 'test')),
+    [null, 't27eWDgjFYJGVXmzrXeVjnb5J3uXDM9xH9v', 't2Gvxv2uNM7hbbACjNox4H6DjByoKZ2Fa3P'])
+  assert.deepStrictEqual(addresses(coinbase.fundingStreams(2795999, 'test')),
+    [null, 't27eWDgjFYJGVXmzrXeVjnb5J3uXDM9xH9v', 't2Gvxv2uNM7hbbACjNox4H6DjByoKZ2Fa3P'])
+  assert.deepStrictEqual(addresses(coinbase.fundingStreams(3395999, 'test')), ['t2HifwjUj9uyxr9bknR8LFuQbc98c3vkXtu', null])
+
+  // a pre-Canopy coinbase, the height, tag and founders' reward come from the fixture
+  const block = ZcashBlock.decode(blocks[SAPLING])
+  const info = block.coinbaseInfo()
+  assert.strictEqual(info.height, 584766)
+  assert.strictEqual(info.minerTag, null, 'extranonce bytes are not mistaken for a tag')
+  assert.strictEqual(info.subsidy, BigInt(1250000000))
+  assert.strictEqual(info.minerSubsidy, BigInt(1000000000))
+  assert.deepStrictEqual(info.foundersReward, { value: BigInt(250000000), address: 't3YEiAa6uEjXwFL2v5ztU1fn3yKgzMQqNyo', index: 1, paid: true })
+  assert.deepStrictEqual(info.fundingStreams, [])
+  assert.strictEqual(info.shielded, false)
+  assert.throws(() => block.transactions[1].coinbaseInfo(), /Not a coinbase transaction/)
+
+  // the founders' reward addresses rotate over the founders' reward period, and a coinbase paying the reward to
+  // another address, or paying another value, doesn't pay the founders
+  const tx = block.transactions[0]
+  const founders = (height, network) => {
+    const { address, index, paid } = tx.coinbaseInfo(height, network).foundersReward
+    return [address, index, paid]
+  }
+  assert.deepStrictEqual(founders(1), ['t3Vz22vK5z2LcKEdg16Yv4FFneEL1zg9ojd', null, false])
+  assert.deepStrictEqual(founders(1046399), ['t3Pcm737EsVkGTbhsu2NekKtJeG92mvYyoN', null, false], 'last, after Blossom')
+  assert.deepStrictEqual(founders(143, 'regtest'), ['t2FwcEhFdNXuFMv1tcYwaBJtYVtMj8b1uTg', null, false])
+  assert.deepStrictEqual(founders(1, 'test'), ['t2UNzUUx8mWBCRYPRezvA363EYXyEpHokyi', null, false])
+  assert.deepStrictEqual(founders(584766, 'test'), ['t2ECCQPVcxUCSSQopdNquguEPE14HsVfcUn', null, false], 'after Blossom')
+  assert.deepStrictEqual(founders(1028499, 'test'), ['t2Ez9KM8VJLuArcxuEkNRAkhNvidKkzXcjJ', null, false],
+    'Canopy ends the reward before the last addresses')
+  const foundersOutput = tx.vout[1].scriptPubKey
+  tx.vout[1].scriptPubKey = ZF_P2SH
+  assert.deepStrictEqual(founders(584766), ['t3YEiAa6uEjXwFL2v5ztU1fn3yKgzMQqNyo', null, false])
+  tx.vout[1].scriptPubKey = foundersOutput
+  assert.deepStrictEqual(founders(584766), ['t3YEiAa6uEjXwFL2v5ztU1fn3yKgzMQqNyo', 1, true])
+
+  // rewrite it as a Canopy coinbase paying the funding streams, one of them shielded (ZIP 213), with the Major
+  // Grants share paid to the wrong address
+  tx.vin[0].scriptSig = concat([fromHex('0380f70f'), Uint8Array.of(6), fromAscii('/pool/')]) // 1046400
+  tx.vout = [
+    new ZcashTransactionOut(BigInt(250000000), P2PKH),
+    new ZcashTransactionOut(BigInt(21875000), P2SH),
+    new ZcashTransactionOut(BigInt(15625000), ZF_P2SH),
+    new ZcashTransactionOut(BigInt(25000000), P2SH)
+  ]
+  tx.shieldedOutput = block.transactions[22].shieldedOutput
+  const canopy = tx.coinbaseInfo()
+  assert.strictEqual(canopy.height, 1046400)
+  assert.strictEqual(canopy.minerTag, '/pool/')
+  assert.strictEqual(canopy.subsidy, BigInt(312500000))
+  assert.strictEqual(canopy.minerSubsidy, BigInt(250000000))
+  assert.strictEqual(canopy.foundersReward, null)
+  assert.deepStrictEqual(canopy.fundingStreams.map(({ recipient, address, index, paid }) => [recipient, address, index, paid]), [
+    ['Electric Coin Company', null, null, null],
+    ['Zcash Foundation', ZF, 2, true],
+    ['Major Grants', MG, null, false]
+  ])
+  assert.strictEqual(canopy.shielded, true)
+
+  // the height pushed can be overridden, and without one there is no subsidy to account for
+  assert.strictEqual(tx.coinbaseInfo(2726400).minerSubsidy, BigInt(125000000))
+  assert.strictEqual(tx.coinbaseInfo(2726400).minerTag, '/pool/')
+  assert.deepStrictEqual(tx.coinbaseInfo(2726400).fundingStreams.map(({ paid }) => paid), [false, null], 'lockbox is deferred')
+  tx.vin[0].scriptSig = fromAscii('/pool/')
+  assert.deepStrictEqual(tx.coinbaseInfo(), {
+    height: null, minerTag: '/pool/', subsidy: null, minerSubsidy: null, foundersReward: null, fundingStreams: [], shielded: true
+  })
+  assert.strictEqual(ZcashBlock.decode(blocks.genesis).coinbaseInfo().height, 0)
+}
+
+module.exports = testCoinbase
@@ -0,0 +1,100 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const script = require('../script')
+const { MAX_MONEY } = require('../classes/class-utils')
+const { fromHex, alloc } = require('../bytes')
+
+const SPROUT = '000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698'
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+
+function reasons (violations) {
+  return violations.map(({ reason }) => reason)
+}
+
+function testConsensus (blocks) {
+  const sprout = () => ZcashBlock.decode(blocks[SPROUT])
+  const sapling = () => ZcashBlock.decode(blocks[SAPLING])
+
+  // transparent values and inputs
+  let tx = sprout().transactions[1]
+  tx.vin.push(tx.vin[0])
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-inputs-duplicate'])
+  tx = sprout().transactions[1]
+  tx.vout[0].value = BigInt(-1)
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-vout-negative'])
+  tx.vout[0].value = MAX_MONEY + BigInt(1)
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-vout-toolarge'])
+  tx.vout[0].value = MAX_MONEY
+  assert.deepStrictEqual(tx.validate(), [{ reason: 'bad-txns-txouttotal-toolarge', message: 'Total output value out of range' }])
+  // an out of range value read from raw bytes is a structured rejection rather than a decoding error
+  const raw = fromHex('01000000' + '01' + '11'.repeat(32) + '00000000' + '0151' + 'ffffffff' + // one input
+    '01' + '0140075af0750700' + '0151' + // one output of MAX_MONEY + 1
+    '00000000')
+  assert.deepStrictEqual(ZcashBlock.decodeTransaction(raw).validate(),
+    [{ reason: 'bad-txns-vout-toolarge', message: 'Output value 2100000000000001 is too large' }])
+  tx = sprout().transactions[1]
+  tx.vin = []
+  tx.vout = []
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-no-source-of-funds', 'bad-txns-no-sink-of-funds'])
+
+  // coinbase and null outpoints
+  let block = sprout()
+  block.transactions[0].vin[0].scriptSig = alloc(1)
+  block.transactions[1].vin[1].prevout = block.transactions[0].vin[0].prevout
+  assert.deepStrictEqual(reasons(block.transactions[0].validate()), ['bad-cb-length'])
+  assert.deepStrictEqual(reasons(block.transactions[1].validate()), ['bad-txns-prevout-null'])
+
+  // JoinSplits, with no transparent inputs or outputs
+  tx = sprout().transactions[9]
+  assert.deepStrictEqual(tx.validate(), [])
+  tx.joinSplits[0].nullifiers = [tx.joinSplits[0].nullifiers[0], tx.joinSplits[0].nullifiers[0]]
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-joinsplits-nullifiers-duplicate'])
+  tx = sprout().transactions[9]
+  tx.joinSplits[0].vpubOld = BigInt(1)
+  tx.joinSplits[0].vpubNew = BigInt(1)
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-vpubs-both-nonzero'])
+  tx.joinSplits[0].vpubNew = BigInt(-1)
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-vpub_new-negative', 'bad-txns-vpubs-both-nonzero', 'bad-txns-txintotal-toolarge'])
+
+  // Sapling
+  tx = sapling().transactions[23]
+  assert.deepStrictEqual(tx.validate(), [])
+  tx.shieldedSpend[1].nullifier = tx.shieldedSpend[0].nullifier
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-spend-description-nullifiers-duplicate'])
+  tx = sapling().transactions[1]
+  tx.valueBalance = BigInt(1)
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-valuebalance-nonzero'])
+  tx = sapling().transactions[20]
+  tx.valueBalance = -MAX_MONEY - BigInt(1)
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-txns-valuebalance-toolarge'])
+  tx.expiryHeight = 500000000
+  assert.deepStrictEqual(reasons(tx.validate()), ['bad-tx-expiry-height-too-high', 'bad-txns-valuebalance-toolarge'])
+
+  // block structure, a duplicated final transaction leaves the Merkle root unchanged
+  block = sprout()
+  block.transactions.push(block.transactions[block.transactions.length - 1])
+  assert.deepStrictEqual(block.validate(), [{ reason: 'bad-txns-duplicate', message: 'Duplicate transaction in the Merkle tree' }])
+  block = sprout()
+  block.transactions.reverse()
+  assert.deepStrictEqual(reasons(block.validate()), ['bad-txnmrklroot', 'bad-cb-missing', 'bad-cb-multiple'])
+  block = sprout()
+  block.transactions[0].vin[0].scriptSig = alloc(101)
+  assert.deepStrictEqual(block.validate(), [{ index: 0, reason: 'bad-cb-length', message: 'Coinbase scriptSig length 101 is outside of 2 to 100 bytes' }])
+  block = sprout()
+  block.version = 3
+  assert.deepStrictEqual(reasons(block.validate()), ['version-too-low', 'invalid-solution'])
+
+  // legacy sigop counting, every CHECKMULTISIG counts as 20
+  assert.strictEqual(script.countSigOps(fromHex('76a914e0082ee3d89f84adbadaaebddd1746bb20e6d4ee88ac')), 1)
+  assert.strictEqual(script.countSigOps(fromHex('5121037fda7bc89c9e74ffaa63def9f267397a3322b3ffb13e19d6e2fa86c7e6ccce5d51ae')), 20)
+  assert.strictEqual(script.countSigOps(fromHex('adaf4c')), 21, 'counting stops at a malformed push')
+  block = sprout()
+  block.transactions[0].vout[0].scriptPubKey = alloc(1001, 0xae)
+  assert.deepStrictEqual(block.validate(), [{ reason: 'bad-blk-sigops', message: 'Block has 20434 signature operations, more than 20000' }])
+
+  assert.throws(() => ZcashBlock.decodeHeaderOnly(blocks[SPROUT]).validate(), /Block has no transactions/)
+}
+
+module.exports = testConsensus
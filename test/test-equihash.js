@@ -0,0 +1,63 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const { fromHex, alloc, concat } = require('../bytes')
+
+// the fixtures cover (200,9) with real mainnet blocks, this is a (48,5) header and solution as used by
+// regtest, found with an independent implementation of the Equihash solver
+
+function fill (length, byte) {
+  return alloc(length, byte)
+}
+
+function regtestBlock (solution) {
+  const nonce = fill(32, 0)
+  nonce[0] = 3
+  const block = new ZcashBlock(4, fill(32, 0x11), fill(32, 0x22), fill(32, 0x33), 1600000000, 0x200f0f0f, nonce, solution)
+  block.network = 'regtest'
+  return block
+}
+
+const solution = fromHex('0a63886f13fb3a9b8c0def08af91093e5d530ac15856d8b5efbdf70f1b4e7d76bffed1a5')
+
+// swap the halves of the index tree, maintaining collisions but breaking ordering
+function swapHalves (solution) {
+  // 32 indices of 9 bits, the first 16 are in the first 18 bytes
+  return concat([solution.slice(18), solution.slice(0, 18)])
+}
+
+module.exports = {
+  'Equihash (48,5)': async () => {
+    assert.strictEqual(regtestBlock(solution).verifySolution(), true)
+    assert.strictEqual(regtestBlock(solution).verifySolution(48, 5), true)
+
+    // a different header
+    const block = regtestBlock(solution)
+    block.time++
+    assert.strictEqual(block.verifySolution(), false)
+
+    // out of order index tree
+    assert.strictEqual(regtestBlock(swapHalves(solution)).verifySolution(), false)
+
+    // every index the same: collisions and ordering are trivially satisfied but indices must be distinct
+    assert.strictEqual(regtestBlock(fill(36, 0)).verifySolution(), false)
+
+    // a flipped bit
+    const flipped = Uint8Array.from(solution)
+    flipped[20] ^= 0x10
+    assert.strictEqual(regtestBlock(flipped).verifySolution(), false)
+
+    // wrong sizes and parameters
+    assert.strictEqual(regtestBlock(solution.slice(1)).verifySolution(), false)
+    assert.strictEqual(regtestBlock(solution).verifySolution(200, 9), false)
+    const mainnetBlock = regtestBlock(solution)
+    mainnetBlock.network = 'main'
+    assert.strictEqual(mainnetBlock.verifySolution(), false)
+
+    // decoded for regtest, with the difficulty relative to regtest's proof of work limit
+    const decoded = ZcashBlock.decodeHeaderOnly(regtestBlock(solution).encode(), { network: 'regtest' })
+    assert.strictEqual(decoded.verifySolution(), true)
+    assert.strictEqual(decoded.difficulty, 1)
+    assert.strictEqual(ZcashBlock.decodeHeaderOnly(regtestBlock(solution).encode()).verifySolution(), false)
+    assert.throws(() => regtestBlock(solution).verifySolution(48, 7), /Unsupported Equihash parameters/)
+  }
+}
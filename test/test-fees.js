@@ -0,0 +1,102 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashOutPoint = require('../classes/OutPoint')
+const ZcashTransactionOut = require('../classes/TransactionOut')
+const { toHashHex } = require('../classes/class-utils')
+const { alloc, equals, fromHex } = require('../bytes')
+
+const SPROUT = '000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698'
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+
+// a lookup where every previous output is worth the same
+function lookupOf (value, calls = []) {
+  return (outPoint) => {
+    calls.push(outPoint)
+    return new ZcashTransactionOut(BigInt(value), alloc(0))
+  }
+}
+
+async function testFees (blocks) {
+  const sprout = ZcashBlock.decode(blocks[SPROUT])
+  const sapling = ZcashBlock.decode(blocks[SAPLING])
+  const noLookup = () => assert.fail('no previous outputs to look up')
+
+  // shielded transactions pay their fees from the shielded pools, JoinSplit vpub_new and Sapling valueBalance
+  assert.strictEqual(await sprout.transactions[9].computeFee(noLookup), BigInt(10000))
+  for (const i of [20, 22, 23]) {
+    assert.strictEqual(await sapling.transactions[i].computeFee(noLookup), BigInt(10000))
+  }
+  // and a negative valueBalance shields value from transparent inputs
+  assert.strictEqual(await sapling.transactions[21].computeFee(lookupOf(2464840938)), BigInt(10000))
+
+  // transparent inputs are looked up, synchronously or asynchronously, here shielding into a JoinSplit vpub_old
+  const calls = []
+  const tx = sprout.transactions[8]
+  assert.strictEqual(await tx.computeFee(lookupOf(1001246739, calls)), BigInt(10000))
+  assert.strictEqual(calls.length, 1)
+  assert.strictEqual(calls[0], tx.vin[0].prevout)
+  assert.strictEqual(await tx.computeFee(async (outPoint) => lookupOf(1001246739)(outPoint)), BigInt(10000))
+  assert.strictEqual(await tx.computeFee(lookupOf(1001236739)), BigInt(0))
+
+  await assert.rejects(tx.computeFee(() => null),
+    new RegExp(`Previous output not found: ${toHashHex(tx.vin[0].prevout.hash)}:${tx.vin[0].prevout.n}`))
+  await assert.rejects(sprout.transactions[0].computeFee(noLookup), /A coinbase transaction has no fee/)
+
+  // block fees are the sum of the fees of each transaction
+  let expected = BigInt(0)
+  for (const tx of sprout.transactions.slice(1)) {
+    expected += await tx.computeFee(lookupOf(100000000000))
+  }
+  assert.strictEqual(await sprout.totalFees(lookupOf(100000000000)), expected)
+
+  // outputs created earlier in the block are found without a lookup
+  const spent = sprout.transactions[1]
+  sprout.transactions[2].vin[0].prevout = new ZcashOutPoint(spent.hash, 1)
+  const lookup = lookupOf(100000000000)
+  const fees = await sprout.totalFees((outPoint) => {
+    assert.ok(!equals(outPoint.hash, spent.hash), 'output in the same block is not looked up')
+    return lookup(outPoint)
+  })
+  assert.strictEqual(fees, expected - BigInt(100000000000) + spent.vout[1].value)
+
+  // the coinbase can't claim more than the subsidy and fees
+  await assert.rejects(sprout.totalFees(lookupOf(0)), /^Error: bad-cb-amount: coinbase pays too much/)
+  await assert.rejects(ZcashBlock.decodeHeaderOnly(blocks[SPROUT]).totalFees(noLookup), /Block has no transactions/)
+
+  // value pool changes, the transparent pool needs the outputs spent
+  const block = ZcashBlock.decode(blocks[SPROUT])
+  const deltas = await block.valuePoolDeltas()
+  assert.deepStrictEqual(deltas, {
+    transparent: null, sprout: BigInt(1001226739), sapling: BigInt(0), orchard: BigInt(0), lockbox: BigInt(0)
+  })
+  const withTransparent = await block.valuePoolDeltas(lookupOf(100000000000))
+  assert.deepStrictEqual(Object.assign({}, withTransparent, { transparent: null }), deltas)
+  // together, the pools gain what the coinbase claims less the fees it collects
+  const claimed = block.transactions[0].vout.reduce((total, { value }) => total + value, BigInt(0))
+  assert.strictEqual(Object.values(withTransparent).reduce((total, delta) => total + delta, BigInt(0)),
+    claimed - await block.totalFees(lookupOf(100000000000)))
+
+  // folded into the chain values of the previous block, a chain starts with every pool empty
+  assert.deepStrictEqual(await block.valuePools(), [
+    { id: 'transparent', monitored: false },
+    { id: 'sprout', monitored: true, chainValue: 10.01226739, chainValueZat: 1001226739, valueDelta: 10.01226739, valueDeltaZat: 1001226739 },
+    { id: 'sapling', monitored: true, chainValue: 0, chainValueZat: 0, valueDelta: 0, valueDeltaZat: 0 },
+    { id: 'orchard', monitored: true, chainValue: 0, chainValueZat: 0, valueDelta: 0, valueDeltaZat: 0 },
+    { id: 'lockbox', monitored: true, chainValue: 0, chainValueZat: 0, valueDelta: 0, valueDeltaZat: 0 }
+  ])
+  const pools = await block.valuePools([
+    { id: 'transparent', monitored: true, chainValueZat: 100000000000 },
+    { id: 'sprout', monitored: false }
+  ], lookupOf(100000000000))
+  assert.strictEqual(pools[0].chainValueZat, 100000000000 + Number(withTransparent.transparent))
+  assert.deepStrictEqual(pools[1], { id: 'sprout', monitored: false, valueDelta: 10.01226739, valueDeltaZat: 1001226739 })
+  await assert.rejects(block.valuePools([{ id: 'ledger', monitored: true, chainValueZat: 0 }]), /Unknown value pool: ledger/)
+
+  // the lockbox receives the deferred funding stream, rewrite the coinbase at an NU6 height
+  block.transactions[0].vin[0].scriptSig = fromHex('03009a29') // 2726400
+  assert.strictEqual((await block.valuePoolDeltas()).lockbox, BigInt(18750000))
+}
+
+module.exports = testFees
@@ -0,0 +1,101 @@
+const assert = require('assert')
+const { CID } = require('multiformats/cid')
+const ZcashBlock = require('../')
+const ipld = require('../ipld')
+const { toHashHex } = require('../classes/class-utils')
+const { toHex, equals } = require('../bytes')
+const { sha256d } = require('../hashes')
+
+const GENESIS = 'genesis'
+const SPROUT = '000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698'
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+
+// a minimal blockstore that checks that each block's bytes match the hash in its CID
+function blockstore () {
+  const blocks = new Map()
+  return {
+    put ({ cid, bytes }) {
+      assert.ok(equals(sha256d(bytes), cid.multihash.digest), `bytes match ${cid}`)
+      blocks.set(cid.toString(), bytes)
+    },
+    get (cid) {
+      const bytes = blocks.get(cid.toString())
+      assert.ok(bytes, `${cid} is in the blockstore`)
+      const codec = cid.code === ipld.block.code ? ipld.block : ipld.tx
+      const node = codec.decode(bytes)
+      assert.ok(equals(codec.encode(node), bytes), `${cid} round-trips`)
+      return node
+    }
+  }
+}
+
+// walk down the transaction Merkle tree from a header to collect the transactions at its leaves, in order
+function transactions (store, headerCid) {
+  const leaves = new Map()
+  const walk = (cid) => {
+    const node = store.get(cid)
+    if (Array.isArray(node)) {
+      node.forEach(walk)
+    } else {
+      // odd layers pair the last node with itself, so the last subtree of each layer is visited twice
+      leaves.set(node.txid, node)
+    }
+  }
+  walk(store.get(headerCid).tx)
+  return [...leaves.values()]
+}
+
+function testIpld (blocks) {
+  for (const hash of [GENESIS, SPROUT, SAPLING]) {
+    const block = ZcashBlock.decode(blocks[hash])
+    const store = blockstore()
+    for (const ipldBlock of ipld.encodeAll(block)) {
+      store.put(ipldBlock)
+    }
+    const headerCid = ipld.blockHashToCID(block.hash)
+    assert.strictEqual(ipld.cidToHash(headerCid), toHashHex(block.hash))
+
+    // the header node matches the block's JSON form, with links to its parent and transactions
+    const header = store.get(headerCid)
+    const json = block.toJSON()
+    delete json.tx
+    delete json.size
+    assert.deepStrictEqual(Object.assign({}, header, { parent: undefined, tx: undefined }), Object.assign(json, { parent: undefined, tx: undefined }))
+    if (hash === GENESIS) {
+      assert.strictEqual(header.parent, null)
+    } else {
+      assert.ok(header.parent.equals(ipld.blockHashToCID(block.previousblockhash)))
+      assert.strictEqual(header.parent.code, ipld.block.code)
+    }
+    assert.ok(header.tx.equals(ipld.txHashToCID(block.merkleroot)))
+
+    // all transactions can be found by traversing the Merkle tree
+    const txs = transactions(store, headerCid)
+    assert.deepStrictEqual(txs.map((tx) => tx.txid), block.toJSON().tx)
+    txs.forEach((tx, i) => {
+      const expected = block.transactions[i].toVerboseJSON()
+      assert.deepStrictEqual(Object.assign({}, tx, { vin: undefined }), Object.assign({}, expected, { vin: undefined }))
+      // inputs link to the transactions they spend
+      tx.vin.forEach((input, j) => {
+        if (i === 0) {
+          assert.strictEqual(input.tx, undefined)
+        } else {
+          assert.strictEqual(ipld.cidToHash(input.tx), expected.vin[j].txid)
+        }
+      })
+    })
+  }
+
+  // a single transaction block has no Merkle tree nodes, the header links directly to its transaction
+  const genesis = ZcashBlock.decode(blocks[GENESIS])
+  const genesisBlocks = [...ipld.encodeAll(genesis)]
+  assert.strictEqual(genesisBlocks.length, 2)
+  assert.ok(genesisBlocks[1].cid.equals(ipld.txHashToCID(genesis.merkleroot)))
+  assert.strictEqual(toHex(genesisBlocks[1].bytes), toHex(genesis.transactions[0].encode()))
+
+  // a zcash-block is only the header
+  assert.throws(() => ipld.block.decode(blocks[SPROUT]), /only contain the block header/)
+  assert.throws(() => ipld.cidToHash(CID.create(1, 0x55, genesisBlocks[1].cid.multihash)), /Expected a zcash-block or zcash-tx CID/)
+}
+
+module.exports = testIpld
@@ -0,0 +1,60 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashMerkleBlock = require('../classes/MerkleBlock')
+const { alloc, concat, equals } = require('../bytes')
+
+// the fixtures cover real blocks, these cover the edge cases with synthetic transaction lists
+
+function blockWith (txids, merkleroot = alloc(32)) {
+  const transactions = txids.map((b) => ({ hash: alloc(32, b) }))
+  const zero = alloc(32)
+  return new ZcashBlock(4, zero, merkleroot, zero, 0, 0x1f07ffff, zero, alloc(0), zero, transactions)
+}
+
+module.exports = {
+  'merkle root mutation (CVE-2012-2459)': async () => {
+    const root = blockWith([1, 2, 3]).computeMerkleRoot()
+    assert.ok(blockWith([1, 2, 3], root).verifyMerkleRoot())
+    // duplicating the last transaction of an odd-length layer produces the same root, but isn't valid
+    const mutated = blockWith([1, 2, 3, 3], root)
+    assert.ok(equals(mutated.computeMerkleRoot(), root))
+    assert.strictEqual(mutated.verifyMerkleRoot(), false)
+    assert.strictEqual(blockWith([1, 2, 3], alloc(32, 9)).verifyMerkleRoot(), false)
+  },
+
+  'merkle proofs': async () => {
+    const root = blockWith([1, 2, 3, 4, 5]).computeMerkleRoot()
+    const block = blockWith([1, 2, 3, 4, 5], root)
+    for (let i = 0; i < 5; i++) {
+      const txid = alloc(32, i + 1)
+      const proof = block.merkleProof(txid)
+      assert.deepStrictEqual(proof.index, i)
+      assert.strictEqual(proof.hashes.length, 3)
+      assert.ok(ZcashBlock.verifyMerkleProof(txid, proof, root))
+      assert.ok(!ZcashBlock.verifyMerkleProof(txid, { index: i + 8, hashes: proof.hashes }, root))
+      assert.ok(!ZcashBlock.verifyMerkleProof(txid, { index: i, hashes: proof.hashes.slice(1) }, root))
+    }
+    assert.throws(() => block.merkleProof(alloc(32, 6)), /not in this block/)
+    const headerOnly = blockWith([])
+    headerOnly.transactions = undefined // as if decoded with decodeHeaderOnly()
+    assert.throws(() => headerOnly.merkleProof(alloc(32, 1)), /no transactions/)
+  },
+
+  'malformed partial merkle trees': async () => {
+    const root = blockWith([1, 2, 3]).computeMerkleRoot()
+    const block = blockWith([1, 2, 3], root)
+    const merkleBlock = block.merkleBlock([alloc(32, 3)])
+    assert.deepStrictEqual(merkleBlock.extractMatches(), [{ hash: alloc(32, 3), index: 2 }])
+
+    const { header, transactionCount, hashes, flags } = merkleBlock
+    const extract = (count, hashes, flags) => new ZcashMerkleBlock(header, count, hashes, flags).extractMatches()
+    assert.throws(() => extract(0, hashes, flags), /no transactions/)
+    assert.throws(() => extract(transactionCount, hashes.concat([hashes[0]]), flags), /all of its hashes/)
+    assert.throws(() => extract(transactionCount, hashes.slice(1), flags), /overflowed its hashes/)
+    assert.throws(() => extract(transactionCount, hashes, concat([flags, alloc(1)])), /all of its flag bits/)
+    assert.throws(() => extract(transactionCount, [hashes[0], alloc(32, 7)], flags), /root does not match/)
+    // a proof from a mutated block, where the duplicated transaction appears as identical siblings
+    const mutated = blockWith([1, 2, 3, 3], root).merkleBlock([alloc(32, 3)])
+    assert.throws(() => mutated.extractMatches(), /identical sibling/)
+  }
+}
@@ -0,0 +1,110 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const networks = require('../networks')
+
+const SPROUT = '000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698'
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+
+function upgrade (network, name) {
+  return network.upgrades.find((upgrade) => upgrade.name === name)
+}
+
+function testNetworks (blocks) {
+  assert.strictEqual(networks.getNetwork(), networks.main)
+  assert.strictEqual(networks.getNetwork('mainnet'), networks.main)
+  assert.strictEqual(networks.getNetwork('testnet'), networks.test)
+  assert.strictEqual(networks.getNetwork('regtest'), networks.regtest)
+  assert.strictEqual(networks.getNetwork(networks.test), networks.test)
+  assert.throws(() => networks.getNetwork('signet'), /Unknown network: signet/)
+  assert.throws(() => networks.getNetwork({}), /Unknown network/)
+  assert.throws(() => ZcashBlock.decode(blocks.genesis, { network: 'signet' }), /Unknown network/)
+
+  assert.strictEqual(ZcashBlock.decode(blocks.genesis).toJSON().hash, networks.main.genesisHash)
+  assert.deepStrictEqual(upgrade(networks.main, 'Sapling'), { name: 'Sapling', branchId: 0x76b809bb, activationHeight: 419200 })
+  assert.deepStrictEqual(upgrade(networks.test, 'NU5'), { name: 'NU5', branchId: 0xc2d6d0b4, activationHeight: 1842420 })
+  assert.deepStrictEqual(networks.regtest.upgrades.map(({ activationHeight }) => activationHeight), [0, null, null, null, null, null, null, null])
+
+  // regtest chains are usually started with some upgrades active
+  const custom = networks.withActivationHeights('regtest', { Overwinter: 1, Sapling: 1, NU5: 10 })
+  assert.deepStrictEqual(custom.upgrades.map(({ activationHeight }) => activationHeight), [0, 1, 1, null, null, null, 10, null])
+  assert.strictEqual(custom.powLimit, networks.regtest.powLimit)
+  assert.strictEqual(upgrade(networks.regtest, 'Sapling').activationHeight, null, 'regtest is unchanged')
+  assert.strictEqual(networks.getNetwork(custom), custom)
+  assert.throws(() => networks.withActivationHeights('regtest', { NU7: 1 }), /Unknown network upgrade: NU7/)
+
+  // the network is carried by decoded blocks and transactions without appearing in their serialized forms
+  const mainnet = ZcashBlock.decode(blocks[SAPLING])
+  const testnet = ZcashBlock.decode(blocks[SAPLING], { network: 'testnet' })
+  assert.strictEqual(mainnet.network, networks.main)
+  assert.strictEqual(testnet.network, networks.test)
+  assert.ok(testnet.transactions.every((tx) => tx.network === networks.test))
+  assert.ok(!Object.keys(testnet).includes('network'))
+  assert.deepStrictEqual(testnet.transactions.map((tx) => tx.toJSON()), mainnet.transactions.map((tx) => tx.toJSON()))
+  assert.deepStrictEqual(testnet.toVerboseJSON(), Object.assign(mainnet.toVerboseJSON('test'), { difficulty: testnet.difficulty }))
+  assert.deepStrictEqual(testnet.transactions[0].toVerboseJSON().vout, mainnet.transactions[0].toVerboseJSON('test').vout)
+  assert.ok(testnet.transactions[0].toVerboseJSON().vout[0].scriptPubKey.addresses[0].startsWith('tm'))
+  assert.strictEqual(ZcashBlock.decodeLazy(blocks[SAPLING], { network: 'test' }).transactions[1].network, networks.test)
+  assert.strictEqual(ZcashBlock.decodeTransaction(mainnet.transactions[1].encode(), { network: custom }).network, custom)
+  const merkleBlock = ZcashBlock.decodeMerkleBlock(mainnet.merkleBlock([]).encode(), { network: 'test' })
+  assert.strictEqual(merkleBlock.header.network, networks.test)
+
+  // difficulty is relative to the network's proof of work limit, testnet's is 256 times easier than mainnet's
+  assert.strictEqual(testnet.difficulty, mainnet.difficulty * 256)
+  assert.strictEqual(ZcashBlock.decodeHeaderOnly(blocks.genesis, { network: 'main' }).difficulty, 1)
+  assert.ok(testnet.checkProofOfWork())
+
+  // network can be set on constructed or decoded objects, by name or parameters
+  const header = ZcashBlock.decodeHeaderOnly(blocks[SAPLING])
+  header.network = 'regtest'
+  assert.strictEqual(header.network, networks.regtest)
+  assert.throws(() => { header.network = 'signet' }, /Unknown network/)
+
+  // network upgrades by height
+  const upgradeAt = (height, network) => networks.networkUpgradeAt(height, network).name
+  assert.strictEqual(upgradeAt(0), 'Sprout')
+  assert.strictEqual(upgradeAt(347499), 'Sprout')
+  assert.strictEqual(upgradeAt(347500), 'Overwinter')
+  assert.strictEqual(upgradeAt(653600), 'Blossom')
+  assert.strictEqual(upgradeAt(1687104), 'NU5')
+  assert.strictEqual(upgradeAt(5000000), 'NU6')
+  assert.strictEqual(upgradeAt(207500, 'test'), 'Overwinter')
+  assert.strictEqual(upgradeAt(1842419, 'test'), 'Canopy')
+  assert.strictEqual(upgradeAt(5000000, 'regtest'), 'Sprout')
+  assert.strictEqual(upgradeAt(9, custom), 'Sapling')
+  assert.strictEqual(upgradeAt(10, custom), 'NU5')
+  assert.strictEqual(networks.consensusBranchIdAt(419200), 0x76b809bb)
+  assert.strictEqual(networks.consensusBranchIdAt(419199), 0x5ba81b19)
+  assert.strictEqual(networks.consensusBranchIdAt(0), 0)
+  assert.strictEqual(networks.isUpgradeActive('Heartwood', 903000), true)
+  assert.strictEqual(networks.isUpgradeActive('Heartwood', 902999), false)
+  assert.strictEqual(networks.isUpgradeActive('Heartwood', 903000, 'test'), false)
+  assert.strictEqual(networks.isUpgradeActive('NU5', 5000000, 'regtest'), false)
+  assert.throws(() => networks.isUpgradeActive('NU7', 1), /Unknown network upgrade/)
+  assert.throws(() => networks.networkUpgradeAt(-1), /Invalid block height/)
+  assert.throws(() => networks.networkUpgradeAt(1.5), /Invalid block height/)
+  assert.strictEqual(mainnet.networkUpgrade(584766).name, 'Sapling')
+  assert.strictEqual(testnet.networkUpgrade(584766).name, 'Blossom')
+
+  // transaction formats must match the upgrade active at the block's height
+  const sprout = ZcashBlock.decode(blocks[SPROUT])
+  assert.deepStrictEqual(sprout.checkNetworkUpgrade(347499), [])
+  assert.deepStrictEqual(mainnet.checkNetworkUpgrade(584766), [])
+  const reasons = (violations) => violations.map(({ index, reason }) => [index, reason])
+  assert.deepStrictEqual(reasons(sprout.checkNetworkUpgrade(347500)),
+    sprout.transactions.map((tx, i) => [i, 'tx-overwintered-flag-not-set']))
+  assert.deepStrictEqual(reasons(mainnet.checkNetworkUpgrade(347499)),
+    mainnet.transactions.map((tx, i) => [i, 'tx-overwinter-not-active']))
+  assert.deepStrictEqual(reasons(mainnet.checkNetworkUpgrade(419199)).slice(0, 2),
+    [[0, 'bad-overwinter-tx-version-group-id'], [0, 'bad-tx-overwinter-version-too-high']])
+  assert.deepStrictEqual(reasons(ZcashBlock.decode(blocks[SAPLING], { network: 'regtest' }).checkNetworkUpgrade(584766)),
+    reasons(mainnet.checkNetworkUpgrade(347499)))
+  // v4 transactions remain valid after NU5
+  assert.deepStrictEqual(mainnet.checkNetworkUpgrade(3000000), [])
+  const v4 = mainnet.transactions[0]
+  assert.deepStrictEqual(v4.checkNetworkUpgrade(419200), [])
+  assert.deepStrictEqual(v4.checkNetworkUpgrade(419200, 'regtest'), [{ reason: 'tx-overwinter-not-active', message: 'Overwinter is not active yet' }])
+  assert.deepStrictEqual(testnet.transactions[0].checkNetworkUpgrade(279999).map(({ reason }) => reason),
+    ['bad-overwinter-tx-version-group-id', 'bad-tx-overwinter-version-too-high'])
+}
+
+module.exports = testNetworks
@@ -0,0 +1,271 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashTransaction = require('../classes/Transaction')
+const ZcashOrchardBundle = require('../classes/OrchardBundle')
+const ipld = require('../ipld')
+const { toHashHex, MAX_MONEY } = require('../classes/class-utils')
+const { toHex, fromHex, alloc, concat, equals, uint32LE, int32LE } = require('../bytes')
+
+// there are no NU5 blocks in ./fixtures so we construct a v5 transaction by hand, byte-by-byte, according
+// to https://zips.z.cash/zip-0225#transaction-format and wrap it in a minimal block to decode it
+
+function u32 (n) {
+  return uint32LE(n)
+}
+
+function i64 (n) {
+  return concat([int32LE(n), int32LE(n < 0 ? -1 : 0)]) // small values only
+}
+
+function fill (length, byte) {
+  return alloc(length, byte)
+}
+
+function compact (n) {
+  return Uint8Array.of(n) // small values only
+}
+
+function blockWith (txs) {
+  return concat([
+    u32(5), // nVersion
+    fill(32, 0xa1), // hashPrevBlock
+    fill(32, 0xa2), // hashMerkleRoot
+    fill(32, 0xa3), // hashBlockCommitments
+    u32(1650000000), // nTime
+    u32(0x1c01b69b), // nBits
+    fill(32, 0xa4), // nNonce
+    compact(0), // nSolution
+    compact(txs.length),
+    ...txs
+  ])
+}
+
+const v5Tx = concat([
+  u32((0x80000000 | 5) >>> 0), // fOverwintered | nVersion
+  u32(0x26A7270A), // nVersionGroupId
+  u32(0xc2d6d0b4), // nConsensusBranchId
+  u32(0), // nLockTime
+  u32(1700000), // nExpiryHeight
+  // transparent
+  compact(1),
+  fill(32, 0x01), u32(1), compact(2), Uint8Array.of(0x51, 0x51), u32(0xffffffff),
+  compact(1),
+  i64(100000), compact(3), Uint8Array.of(0x52, 0x52, 0x52),
+  // sapling
+  compact(1), fill(32, 0x11), fill(32, 0x12), fill(32, 0x13), // cv, nullifier, rk
+  compact(1), fill(32, 0x21), fill(32, 0x22), fill(32, 0x23), fill(580, 0x24), fill(80, 0x25), // cv, cmu, epk, enc, out
+  i64(-5000), // valueBalanceSapling
+  fill(32, 0x14), // anchorSapling
+  fill(192, 0x15), // vSpendProofsSapling
+  fill(64, 0x16), // vSpendAuthSigsSapling
+  fill(192, 0x26), // vOutputProofsSapling
+  fill(64, 0x17), // bindingSigSapling
+  // orchard
+  compact(2),
+  fill(32, 0x31), fill(32, 0x32), fill(32, 0x33), fill(32, 0x34), fill(32, 0x35), fill(580, 0x36), fill(80, 0x37),
+  fill(32, 0x41), fill(32, 0x42), fill(32, 0x43), fill(32, 0x44), fill(32, 0x45), fill(580, 0x46), fill(80, 0x47),
+  Uint8Array.of(0x03), // flagsOrchard
+  i64(2500), // valueBalanceOrchard
+  fill(32, 0x38), // anchorOrchard
+  compact(10), fill(10, 0x39), // proofsOrchard
+  fill(64, 0x3a), fill(64, 0x4a), // vSpendAuthSigsOrchard
+  fill(64, 0x3b) // bindingSigOrchard
+])
+
+const v5TxEmpty = concat([
+  u32((0x80000000 | 5) >>> 0),
+  u32(0x26A7270A),
+  u32(0xc2d6d0b4),
+  u32(10),
+  u32(0),
+  compact(0),
+  compact(1), i64(1000), compact(1), Uint8Array.of(0x51),
+  compact(0), // nSpendsSapling
+  compact(0), // nOutputsSapling
+  compact(0) // nActionsOrchard
+])
+
+module.exports = {
+  'NU5 v5 transaction': async () => {
+    const block = blockWith([v5Tx, v5TxEmpty])
+    const decoded = ZcashBlock.decode(block)
+    assert.strictEqual(decoded.size, block.length)
+    assert.strictEqual(decoded.transactions.length, 2)
+
+    const tx = decoded.transactions[0]
+    assert.ok(tx instanceof ZcashTransaction)
+    assert.strictEqual(tx.overwintered, true)
+    assert.strictEqual(tx.version, 5)
+    assert.strictEqual(tx.versionGroupId, 0x26A7270A)
+    assert.strictEqual(tx.consensusBranchId, 0xc2d6d0b4)
+    assert.strictEqual(tx.lockTime, 0)
+    assert.strictEqual(tx.expiryHeight, 1700000)
+    assert.strictEqual(tx.vin.length, 1)
+    assert.strictEqual(tx.vin[0].prevout.n, 1)
+    assert.strictEqual(tx.vout.length, 1)
+    assert.strictEqual(tx.vout[0].value, BigInt(100000))
+    assert.deepStrictEqual(tx.joinSplits, [])
+
+    assert.strictEqual(tx.valueBalance, BigInt(-5000))
+    assert.strictEqual(tx.shieldedSpend.length, 1)
+    const spend = tx.shieldedSpend[0]
+    assert.ok(equals(spend.cv, fill(32, 0x11)))
+    assert.ok(equals(spend.anchor, fill(32, 0x14)))
+    assert.ok(equals(spend.nullifier, fill(32, 0x12)))
+    assert.ok(equals(spend.rk, fill(32, 0x13)))
+    assert.ok(equals(spend.zkproof, fill(192, 0x15)))
+    assert.ok(equals(spend.spendAuthSig, fill(64, 0x16)))
+    assert.strictEqual(tx.shieldedOutput.length, 1)
+    const output = tx.shieldedOutput[0]
+    assert.ok(equals(output.cm, fill(32, 0x22)))
+    assert.ok(equals(output.encCiphertext, fill(580, 0x24)))
+    assert.ok(equals(output.zkproof, fill(192, 0x26)))
+    assert.ok(equals(tx.bindingSig, fill(64, 0x17)))
+
+    // the spends of a v5 transaction share a single anchor, a transaction with differing anchors can't be encoded
+    const twoSpends = ZcashTransaction.decode(v5Tx)
+    twoSpends.shieldedSpend.push(ZcashTransaction.decode(v5Tx).shieldedSpend[0])
+    assert.strictEqual(ZcashTransaction.decode(twoSpends.encode()).shieldedSpend.length, 2)
+    twoSpends.shieldedSpend[1].anchor = fill(32, 0x99)
+    assert.throws(() => twoSpends.encode(), /The Sapling spends of a v5 transaction must share an anchor/)
+
+    assert.ok(tx.orchard instanceof ZcashOrchardBundle)
+    assert.strictEqual(tx.orchard.actions.length, 2)
+    assert.strictEqual(tx.orchard.enableSpends, true)
+    assert.strictEqual(tx.orchard.enableOutputs, true)
+    assert.strictEqual(tx.orchard.valueBalance, BigInt(2500))
+    assert.ok(equals(tx.orchard.anchor, fill(32, 0x38)))
+    assert.ok(equals(tx.orchard.proof, fill(10, 0x39)))
+    assert.ok(equals(tx.orchard.bindingSig, fill(64, 0x3b)))
+    const [action1, action2] = tx.orchard.actions
+    assert.ok(equals(action1.cmx, fill(32, 0x34)))
+    assert.ok(equals(action1.outCiphertext, fill(80, 0x37)))
+    assert.ok(equals(action1.spendAuthSig, fill(64, 0x3a)))
+    assert.ok(equals(action2.nullifier, fill(32, 0x42)))
+    assert.ok(equals(action2.spendAuthSig, fill(64, 0x4a)))
+
+    const json = JSON.parse(JSON.stringify(tx))
+    assert.strictEqual(json.consensusBranchId, 'c2d6d0b4')
+    assert.deepStrictEqual(json.orchard.flags, { enableSpends: true, enableOutputs: true })
+    assert.strictEqual(json.orchard.valueBalanceZat, 2500)
+    assert.strictEqual(json.orchard.actions[1].spendAuthSig, toHex(fill(64, 0x4a)))
+
+    const verbose = JSON.parse(JSON.stringify(tx.toVerboseJSON()))
+    assert.strictEqual(verbose.authdigest, toHashHex(tx.authDigest()))
+    assert.strictEqual(verbose.versiongroupid, '26a7270a')
+    assert.strictEqual(verbose.vShieldedOutput[0].cmu, toHashHex(fill(32, 0x22)))
+    assert.strictEqual(verbose.bindingSig, toHex(fill(64, 0x17)))
+    assert.deepStrictEqual(verbose.orchard, json.orchard)
+
+    const empty = decoded.transactions[1]
+    assert.strictEqual(empty.lockTime, 10)
+    assert.strictEqual(empty.valueBalance, BigInt(0))
+    assert.deepStrictEqual(empty.shieldedSpend, [])
+    assert.deepStrictEqual(empty.shieldedOutput, [])
+    assert.strictEqual(empty.bindingSig, undefined)
+    assert.deepStrictEqual(empty.orchard.actions, [])
+    assert.strictEqual(empty.orchard.anchor, null)
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(empty.orchard)), { actions: [], valueBalance: 0, valueBalanceZat: 0 })
+
+    // round-trip
+    assert.ok(equals(decoded.encode(), block))
+    assert.ok(equals(tx.encode(), v5Tx))
+    assert.ok(equals(empty.encode(), v5TxEmpty))
+    assert.strictEqual(tx.size, v5Tx.length)
+
+    // standalone
+    const standalone = ZcashTransaction.decode(v5Tx)
+    assert.deepStrictEqual(standalone.toJSON(), tx.toJSON())
+    assert.strictEqual(ZcashTransaction.decode(v5TxEmpty).size, v5TxEmpty.length)
+    assert.throws(() => ZcashTransaction.decode(concat([v5Tx, alloc(1)])), /Unexpected 1 bytes after CTransaction/)
+    assert.throws(() => ZcashTransaction.decode(v5Tx.slice(0, v5Tx.length - 1)), RangeError)
+  },
+
+  'ZIP 244 digests': async () => {
+    // expected values calculated independently from the raw bytes according to ZIP 244
+    const legacyTx = concat([u32(1), compact(0), compact(1), i64(1), compact(0), u32(0)])
+    const decoded = ZcashBlock.decode(blockWith([v5Tx, v5TxEmpty, legacyTx]))
+    const [tx, empty, legacy] = decoded.transactions
+
+    assert.strictEqual(toHashHex(tx.hash), 'fd77ed503afc2bbfe6eccebf427246e3eda94da66fd07833fb5d7bfd65d5df2d')
+    assert.strictEqual(toHex(tx.authDigest()), 'ba4257e9e8b88992ca1f1de3a28ebfb55ed1215cb01e981ca2a8a630af153a77')
+    assert.strictEqual(toHashHex(empty.hash), '4e5261a7d1a261aabd05921b45022efccee47f58f69354d7d2d4543e2f05385c')
+    assert.strictEqual(toHex(empty.authDigest()), '0a5a5c39c72f6cdab17c5a43f2e5b0ee82d9e0fbc0294f30868e55a1dfc0330f')
+    assert.strictEqual(toHex(legacy.authDigest()), 'ff'.repeat(32))
+
+    // lazily decoded, the index has the same ZIP 244 txids and the legacy transaction is left undecoded
+    const lazy = ZcashBlock.decodeLazy(blockWith([v5Tx, v5TxEmpty, legacyTx]))
+    assert.deepStrictEqual(lazy.transactionIndex.map(({ hash }) => toHashHex(hash)), decoded.toJSON().tx)
+    assert.deepStrictEqual(lazy.transactionIndex.map(({ size }) => size), [v5Tx.length, v5TxEmpty.length, legacyTx.length])
+    assert.ok(Object.getOwnPropertyDescriptor(lazy.transactions, 2).get)
+    assert.deepStrictEqual(lazy.transactions.map((tx) => tx.toJSON()), decoded.transactions.map((tx) => tx.toJSON()))
+    assert.throws(() => ZcashBlock.decodeLazy(blockWith([v5Tx.subarray(0, v5Tx.length - 1)])), RangeError)
+
+    assert.strictEqual(toHex(decoded.computeAuthDataRoot()), '06a88d4ccc592b4363763091901cbed8514bf5739cd556338e79dffc622eded0')
+    assert.throws(() => ZcashBlock.decodeHeaderOnly(blockWith([v5Tx])).computeAuthDataRoot(), /Block has no transactions/)
+
+    const twoTxBlock = blockWith([v5Tx, v5TxEmpty])
+    const commitments = fromHex('bb70d713cc0f79780b727d06fdeb628980cf890c06b6aa6fa529ce9575006095')
+    twoTxBlock.set(commitments, 4 + 32 + 32) // hashBlockCommitments
+    const twoTxDecoded = ZcashBlock.decode(twoTxBlock)
+    assert.strictEqual(toHex(twoTxDecoded.computeAuthDataRoot()), '9eafa948e58ad7dc02187892a9493fc90a234917056182bb68b44c03d7b287cb')
+    assert.ok(equals(twoTxDecoded.computeBlockCommitments(fill(32, 0x5a)), commitments))
+    assert.strictEqual(twoTxDecoded.verifyBlockCommitments(fill(32, 0x5a)), true)
+    assert.strictEqual(twoTxDecoded.verifyBlockCommitments(fill(32, 0x5b)), false)
+  },
+
+  'NU5 v5 transaction IPLD node': async () => {
+    for (const bytes of [v5Tx, v5TxEmpty]) {
+      const node = ipld.tx.decode(bytes)
+      assert.ok(equals(ipld.tx.encode(node), bytes))
+    }
+    const node = ipld.tx.decode(v5Tx)
+    assert.strictEqual(node.consensusbranchid, 'c2d6d0b4')
+    assert.strictEqual(ipld.cidToHash(node.vin[0].tx), toHashHex(fill(32, 0x01)))
+    assert.deepStrictEqual(node.orchard, JSON.parse(JSON.stringify(ZcashTransaction.decode(v5Tx).orchard)))
+
+    // v5 txids aren't a hash of the transaction bytes so aren't included with the other IPLD blocks
+    const decoded = ZcashBlock.decode(blockWith([v5Tx, v5TxEmpty]))
+    assert.deepStrictEqual([...ipld.encodeAll(decoded)].map(({ cid }) => cid.code), [ipld.block.code, ipld.tx.code])
+  },
+
+  'NU5 v5 transaction network upgrade': async () => {
+    const [tx, empty] = ZcashBlock.decode(blockWith([v5Tx, v5TxEmpty])).transactions
+    assert.deepStrictEqual(tx.checkNetworkUpgrade(1687104), [])
+    assert.deepStrictEqual(empty.checkNetworkUpgrade(2000000), [])
+    assert.deepStrictEqual(tx.checkNetworkUpgrade(1687103).map(({ reason }) => reason),
+      ['bad-sapling-tx-version-group-id', 'bad-tx-sapling-version-too-high'])
+    assert.deepStrictEqual(tx.checkNetworkUpgrade(2726400), [{
+      reason: 'bad-tx-consensus-branch-id-mismatch',
+      message: 'Transaction consensus branch ID c2d6d0b4 does not match NU6 (c8e71055)'
+    }])
+    // the branch ID is that of NU5 on testnet too, but NU5 activated later there
+    assert.deepStrictEqual(tx.checkNetworkUpgrade(1842420, 'test'), [])
+    assert.strictEqual(tx.checkNetworkUpgrade(1842419, 'test').length, 2)
+
+    const unknownGroup = ZcashTransaction.decode(v5Tx)
+    unknownGroup.versionGroupId = 0x12345678
+    assert.deepStrictEqual(unknownGroup.checkNetworkUpgrade(1687104).map(({ reason }) => reason), ['bad-nu5-tx-version-group-id'])
+  },
+
+  'NU5 v5 transaction consensus checks': async () => {
+    const [tx, empty] = ZcashBlock.decode(blockWith([v5Tx, v5TxEmpty])).transactions
+    assert.deepStrictEqual(tx.validate(), [])
+    assert.deepStrictEqual(empty.validate().map(({ reason }) => reason), ['bad-txns-no-source-of-funds'])
+
+    const duplicate = ZcashTransaction.decode(v5Tx)
+    duplicate.orchard.actions.push(duplicate.orchard.actions[0])
+    assert.deepStrictEqual(duplicate.validate().map(({ reason }) => reason), ['bad-orchard-nullifiers-duplicate'])
+    duplicate.orchard.valueBalance = -MAX_MONEY
+    duplicate.vout[0].value = BigInt(1)
+    assert.deepStrictEqual(duplicate.validate().map(({ reason }) => reason), ['bad-txns-txouttotal-toolarge', 'bad-orchard-nullifiers-duplicate'])
+  },
+
+  'NU5 v5 transaction with unknown Orchard flags': async () => {
+    const tx = Uint8Array.from(v5Tx)
+    tx[tx.length - 64 - 128 - 11 - 32 - 8 - 1] = 0x04
+    assert.throws(() => ZcashBlock.decode(blockWith([tx])), /Unknown Orchard flags/)
+  }
+}
@@ -0,0 +1,135 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const { alloc } = require('../bytes')
+
+// compact encoding cases from Bitcoin's arith_uint256 tests, which share the same implementation as zcashd
+
+function hex (target) {
+  return target.toString(16)
+}
+
+// a run of headers with constant `bits` and block spacing, ending at `time`
+function headers (count, bits, spacing, time = 1600000000) {
+  return Array.from({ length: count }, (_, i) => ({ bits, time: time - (count - 1 - i) * spacing }))
+}
+
+// 0xc738 is 2550 * 20, so the mean target divides exactly by both the pre-Blossom (17 * 150s) and
+// post-Blossom (17 * 75s) averaging window timespans and the results below are exact
+const BITS = 0x1d00c738
+const PRE_BLOSSOM = 500000
+const POST_BLOSSOM = 700000
+
+module.exports = {
+  'compact target encoding': async () => {
+    for (const bits of [0x00000000, 0x00123456, 0x01003456, 0x02000056, 0x03000000, 0x04000000, 0x00923456,
+      0x01803456, 0x02800056, 0x03800000, 0x04800000]) {
+      assert.deepStrictEqual(ZcashBlock.targetFromBits(bits), { target: BigInt(0), negative: false, overflow: false })
+    }
+    assert.strictEqual(ZcashBlock.bitsFromTarget(BigInt(0)), 0)
+
+    const cases = [
+      [0x01123456, '12', 0x01120000],
+      [0x02123456, '1234', 0x02123400],
+      [0x03123456, '123456', 0x03123456],
+      [0x04123456, '12345600', 0x04123456],
+      [0x05009234, '92340000', 0x05009234],
+      [0x20123456, `123456${'00'.repeat(29)}`, 0x20123456],
+      [0x1f07ffff, `7ffff${'00'.repeat(28)}`, 0x1f07ffff]
+    ]
+    for (const [bits, target, compact] of cases) {
+      const decoded = ZcashBlock.targetFromBits(bits)
+      assert.deepStrictEqual([hex(decoded.target), decoded.negative, decoded.overflow], [target, false, false])
+      assert.strictEqual(ZcashBlock.bitsFromTarget(decoded.target), compact)
+    }
+
+    assert.deepStrictEqual(ZcashBlock.targetFromBits(0x01fedcba), { target: BigInt(0x7e), negative: true, overflow: false })
+    assert.deepStrictEqual(ZcashBlock.targetFromBits(0x04923456), { target: BigInt(0x12345600), negative: true, overflow: false })
+    assert.strictEqual(ZcashBlock.targetFromBits(0xff123456).overflow, true)
+    // the largest values that fit in 256 bits for each size, and the smallest that don't
+    assert.strictEqual(ZcashBlock.targetFromBits(0x2100ffff).overflow, false)
+    assert.strictEqual(ZcashBlock.targetFromBits(0x21010000).overflow, true)
+    assert.strictEqual(ZcashBlock.targetFromBits(0x220000ff).overflow, false)
+    assert.strictEqual(ZcashBlock.targetFromBits(0x22000100).overflow, true)
+
+    assert.throws(() => ZcashBlock.bitsFromTarget(-1), RangeError)
+    assert.throws(() => ZcashBlock.bitsFromTarget(BigInt(-1)), RangeError)
+    assert.throws(() => ZcashBlock.bitsFromTarget(BigInt(1) << BigInt(256)), RangeError)
+  },
+
+  'proof of work and chainwork': async () => {
+    const zero = alloc(32)
+    const hash = alloc(32, 0xff)
+    hash[31] = 0x00
+    hash[30] = 0x07 // 0x0007ffff...ff in display form, the mainnet limit
+    const block = new ZcashBlock(4, zero, zero, zero, 0, 0x1f07ffff, zero, alloc(0), hash)
+
+    // the genesis target, just below the hash
+    assert.strictEqual(block.checkProofOfWork(), false)
+    assert.strictEqual(block.checkProofOfWork(BigInt(1) << BigInt(255)), false)
+    block.hash = Uint8Array.from(hash).fill(0, 0, 28) // 0x0007ffff00...00, exactly the target
+    assert.strictEqual(block.checkProofOfWork(), true)
+    assert.strictEqual(block.target, BigInt(`0x7ffff${'00'.repeat(28)}`))
+
+    // targets that are too easy, negative or overflowing
+    block.bits = 0x2007ffff
+    assert.strictEqual(block.checkProofOfWork(), false)
+    block.bits = 0x1f87ffff
+    assert.strictEqual(block.checkProofOfWork(), false)
+    assert.throws(() => block.target, /negative/)
+    assert.strictEqual(block.work, BigInt(0))
+    block.bits = 0xff123456
+    assert.strictEqual(block.checkProofOfWork(), false)
+    assert.throws(() => block.target, /larger than 256 bits/)
+    assert.strictEqual(block.work, BigInt(0))
+
+    // genesis work and chainwork, as reported by the Zcash API
+    block.bits = 0x1f07ffff
+    assert.strictEqual(block.work, BigInt(0x2000))
+    assert.strictEqual(block.computeChainwork(), BigInt(0x2000))
+    assert.strictEqual(block.computeChainwork('0000000000000000000000000000000000000000000000000000000000002000'), BigInt(0x4000))
+  },
+
+  'difficulty adjustment': async () => {
+    const { getNextWorkRequired } = ZcashBlock
+    assert.strictEqual(getNextWorkRequired([]), 0x1f07ffff, 'genesis block')
+    assert.strictEqual(getNextWorkRequired(headers(10, BITS, 150), { height: 9 }), 0x1f07ffff, 'not enough blocks to average')
+
+    // blocks on target keep the same difficulty, only the last 17 blocks are averaged
+    const steady = headers(28, BITS, 150)
+    steady.slice(0, 11).forEach((header) => { header.bits = 0x1f07ffff })
+    assert.strictEqual(getNextWorkRequired(steady, { height: PRE_BLOSSOM }), BITS)
+    assert.strictEqual(getNextWorkRequired(headers(28, BITS, 75), { height: POST_BLOSSOM }), BITS)
+    // from genesis, fewer headers are needed as the first median time past is of fewer blocks, here 13 blocks
+    // apart rather than 17: 2550 + (1950 - 2550) / 4 = 2400 seconds
+    assert.strictEqual(getNextWorkRequired(headers(20, BITS, 150), { height: 19 }), 0x1d00bb80) // 20 * 2400
+
+    // slower blocks are damped by a factor of 4: 2550 + (5100 - 2550) / 4 = 3187 seconds
+    assert.strictEqual(getNextWorkRequired(headers(28, BITS, 300), { height: PRE_BLOSSOM }), 0x1d00f8fc) // 20 * 3187
+    // 1275 + (2550 - 1275) / 4 = 1593 seconds after Blossom
+    assert.strictEqual(getNextWorkRequired(headers(28, BITS, 150), { height: POST_BLOSSOM }), 0x1d00f8e8) // 40 * 1593
+    // and bounded to a 32% decrease and 16% increase in difficulty, 3366 and 2142 seconds
+    assert.strictEqual(getNextWorkRequired(headers(28, BITS, 1000), { height: PRE_BLOSSOM }), 0x1d0106f8) // 20 * 3366
+    assert.strictEqual(getNextWorkRequired(headers(28, BITS, 10), { height: PRE_BLOSSOM }), 0x1d00a758) // 20 * 2142
+    // the target never exceeds the network's limit
+    assert.strictEqual(getNextWorkRequired(headers(28, 0x1f07ffff, 1000), { height: PRE_BLOSSOM }), 0x1f07ffff)
+
+    // testnet allows a minimum difficulty block more than 6 target spacings after the last
+    const last = steady[steady.length - 1]
+    assert.strictEqual(getNextWorkRequired(steady, { height: PRE_BLOSSOM, time: last.time + 901, network: 'test' }), 0x2007ffff)
+    assert.strictEqual(getNextWorkRequired(steady, { height: PRE_BLOSSOM, time: last.time + 900, network: 'test' }), BITS)
+    assert.strictEqual(getNextWorkRequired(steady, { height: PRE_BLOSSOM, time: last.time + 901 }), BITS, 'not on mainnet')
+    assert.strictEqual(getNextWorkRequired(headers(28, BITS, 75), { height: POST_BLOSSOM, time: last.time + 451, network: 'test' }), 0x2007ffff)
+
+    // regtest never adjusts, the network defaults to that of the last header
+    const zero = alloc(32)
+    const regtest = new ZcashBlock(4, zero, zero, zero, last.time, 0x200f0f0f, zero, alloc(0), zero)
+    regtest.network = 'regtest'
+    assert.strictEqual(getNextWorkRequired(headers(27, BITS, 1000).concat([regtest]), { height: PRE_BLOSSOM }), 0x200f0f0f)
+
+    assert.throws(() => getNextWorkRequired(headers(27, BITS, 150), { height: PRE_BLOSSOM }), /At least 28 previous headers are required/)
+    assert.throws(() => getNextWorkRequired(headers(28, BITS, 150), { height: 20 }), /Invalid block height: 20/)
+    assert.throws(() => getNextWorkRequired(headers(28, BITS, 150)), /Invalid block height: undefined/)
+  }
+}
@@ -0,0 +1,136 @@
+/* global BigInt */
+
+const assert = require('assert')
+const ZcashBlock = require('../')
+const jubjub = require('../jubjub')
+const sapling = require('../sapling')
+const chacha20poly1305 = require('../chacha20poly1305')
+const noteEncryption = require('../note-encryption')
+const { toHex, fromHex, alloc, concat, equals } = require('../bytes')
+
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af' // height 584766, outputs in tx 21-23
+const CANOPY = 1046400
+
+const ivk = jubjub.fromInt(BigInt('0x04a1f2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f'))
+const ovk = fromHex('5d'.repeat(32))
+const otherIvk = jubjub.fromInt(BigInt('0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'))
+
+// the first diversifier with a valid g_d
+function diversifier () {
+  for (let i = 0; ; i++) {
+    const d = alloc(11)
+    d[0] = i
+    if (noteEncryption.diversifyHash(d)) {
+      return d
+    }
+  }
+}
+
+// the sender's side of note encryption, setting the note fields of `output` for a note to the address of `ivk`
+// and `d`, with lead byte 0x02 where `rseed` is supplied or otherwise 0x01 with `rcm` and `esk`, and the outgoing
+// plaintext for the sender's `ovk`
+function encryptNote (output, { d, value, rseed, rcm, esk, memo }) {
+  const gd = noteEncryption.diversifyHash(d)
+  const pkD = jubjub.encode(jubjub.multiply(gd, jubjub.toInt(ivk)))
+  if (rseed) {
+    rcm = jubjub.fromInt(noteEncryption.expandSeed(rseed, 4))
+    esk = noteEncryption.expandSeed(rseed, 5)
+  }
+  output.ephemeralKey = jubjub.encode(jubjub.multiply(gd, esk))
+  output.cm = sapling.noteCommitment(jubjub.encode(gd), pkD, value, jubjub.toInt(rcm))
+  const plaintext = concat([Uint8Array.of(rseed ? 0x02 : 0x01), d, jubjub.fromInt(value, 8), rseed || rcm, memo])
+  const key = noteEncryption.kdf(noteEncryption.agree(esk, jubjub.decode(pkD)), output.ephemeralKey)
+  output.encCiphertext = chacha20poly1305.encrypt(key, noteEncryption.NONCE, plaintext)
+  const outKey = noteEncryption.outgoingCipherKey(ovk, output)
+  output.outCiphertext = chacha20poly1305.encrypt(outKey, noteEncryption.NONCE, concat([pkD, jubjub.fromInt(esk)]))
+  return pkD
+}
+
+function testSaplingDecrypt (blocks) {
+  // ChaCha20-Poly1305, RFC 8439 section 2.8.2
+  const key = fromHex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f')
+  const nonce = fromHex('070000004041424344454647')
+  const aad = fromHex('50515253c0c1c2c3c4c5c6c7')
+  const message = new TextEncoder().encode('Ladies and Gentlemen of the class of \'99: If I could offer you only one tip for the future, sunscreen would be it.')
+  const sealed = chacha20poly1305.encrypt(key, nonce, message, aad)
+  assert.strictEqual(toHex(sealed.subarray(0, 16)), 'd31a8d34648e60db7b86afbc53ef7ec2')
+  assert.strictEqual(toHex(sealed.subarray(sealed.length - 16)), '1ae10b594f09e26a7e902ecbd0600691')
+  assert.ok(equals(chacha20poly1305.decrypt(key, nonce, sealed, aad), message))
+  assert.strictEqual(chacha20poly1305.decrypt(key, nonce, sealed, alloc(0)), null)
+
+  const block = ZcashBlock.decode(blocks[SAPLING])
+  const d = diversifier()
+  const memo = concat([new TextEncoder().encode('for the view-only wallet'), alloc(488)])
+  const value = BigInt(123456789)
+
+  // a note from before ZIP 212 carries rcm, the real outputs of the block aren't ours
+  const output = block.transactions[22].shieldedOutput[0]
+  const rcm = jubjub.fromInt(BigInt(987654321))
+  const pkD = encryptNote(output, { d, value, rcm, esk: BigInt(5555555), memo })
+  const note = output.tryDecrypt(ivk)
+  assert.deepStrictEqual(note, { leadByte: 1, diversifier: d, value, rseed: null, rcm, memo, pkD })
+  assert.strictEqual(output.tryDecrypt(otherIvk), null)
+  const found = block.scanSapling([otherIvk, ivk])
+  assert.deepStrictEqual(found, [{ index: 22, output: 0, ivk: 1, note }])
+  assert.deepStrictEqual(block.scanSapling([otherIvk]), [])
+
+  // the sender recovers the same note with their outgoing viewing key
+  assert.deepStrictEqual(output.tryRecoverWithOvk(ovk), note)
+  assert.strictEqual(output.tryRecoverWithOvk(otherIvk), null)
+  assert.strictEqual(block.transactions[21].shieldedOutput[0].tryRecoverWithOvk(ovk), null)
+
+  // ZIP 212, rcm and esk derived from rseed and the lead byte allowed from Canopy
+  const rseed = fromHex('a1'.repeat(32))
+  encryptNote(output, { d, value, rseed, memo })
+  const zip212 = output.tryDecrypt(ivk)
+  assert.strictEqual(zip212.leadByte, 2)
+  assert.ok(equals(zip212.rseed, rseed))
+  assert.ok(equals(zip212.rcm, jubjub.fromInt(noteEncryption.expandSeed(rseed, 4))))
+  assert.deepStrictEqual(block.scanSapling([ivk]), [], 'not before Canopy')
+  assert.strictEqual(output.tryDecrypt(ivk, CANOPY - 1), null)
+  assert.deepStrictEqual(output.tryDecrypt(ivk, CANOPY), zip212)
+  assert.deepStrictEqual(output.tryDecrypt(ivk, CANOPY + 32256), zip212)
+  assert.deepStrictEqual(output.tryRecoverWithOvk(ovk, CANOPY), zip212)
+  assert.strictEqual(output.tryRecoverWithOvk(ovk, CANOPY - 1), null)
+
+  // the outgoing plaintext must carry the esk derived from rseed, and the pk_d the note is committed to
+  const encCiphertext = output.encCiphertext
+  const outKey = noteEncryption.outgoingCipherKey(ovk, output)
+  const gd = noteEncryption.diversifyHash(d)
+  const pkDOther = jubjub.encode(jubjub.multiply(gd, jubjub.toInt(otherIvk)))
+  const esk = noteEncryption.expandSeed(rseed, 5)
+  output.outCiphertext = chacha20poly1305.encrypt(outKey, noteEncryption.NONCE, concat([pkD, jubjub.fromInt(esk + BigInt(1))]))
+  assert.strictEqual(output.tryRecoverWithOvk(ovk), null)
+  output.outCiphertext = chacha20poly1305.encrypt(outKey, noteEncryption.NONCE, concat([pkDOther, jubjub.fromInt(esk)]))
+  assert.strictEqual(output.tryRecoverWithOvk(ovk), null)
+  output.outCiphertext = chacha20poly1305.encrypt(outKey, noteEncryption.NONCE, concat([pkD, jubjub.fromInt(esk + jubjub.R)]))
+  assert.strictEqual(output.tryRecoverWithOvk(ovk), null, 'esk is not a canonical scalar')
+  output.outCiphertext = chacha20poly1305.encrypt(outKey, noteEncryption.NONCE, concat([pkD, jubjub.fromInt(esk)]))
+  assert.deepStrictEqual(output.tryRecoverWithOvk(ovk), zip212)
+  assert.ok(equals(output.encCiphertext, encCiphertext))
+  encryptNote(output, { d, value, rcm, esk: BigInt(5555555), memo })
+  assert.ok(output.tryDecrypt(ivk, CANOPY + 32255), 'lead byte 0x01 in the grace period')
+  assert.strictEqual(output.tryDecrypt(ivk, CANOPY + 32256), null)
+  assert.ok(output.tryDecrypt(ivk, CANOPY + 32256, 'regtest'), 'regtest has no Canopy activation height')
+
+  // a commitment that doesn't match, a ciphertext that doesn't authenticate and an invalid ephemeral key
+  const cm = output.cm
+  output.cm = block.transactions[21].shieldedOutput[0].cm
+  assert.strictEqual(output.tryDecrypt(ivk), null)
+  output.cm = cm
+  output.encCiphertext[100] ^= 1
+  assert.strictEqual(output.tryDecrypt(ivk), null)
+  output.encCiphertext[100] ^= 1
+  assert.ok(output.tryDecrypt(ivk))
+  output.outCiphertext[10] ^= 1
+  assert.strictEqual(output.tryRecoverWithOvk(ovk), null)
+  assert.ok(output.tryDecrypt(ivk), 'the outgoing plaintext is only needed by the sender')
+  output.ephemeralKey = fromHex('ff'.repeat(32))
+  assert.strictEqual(output.tryDecrypt(ivk), null)
+  assert.throws(() => output.tryDecrypt(alloc(31)), /An incoming viewing key must be 32 bytes/)
+  assert.throws(() => output.tryRecoverWithOvk(alloc(33)), /An outgoing viewing key must be 32 bytes/)
+
+  assert.throws(() => ZcashBlock.decodeHeaderOnly(blocks[SAPLING]).scanSapling([ivk]), /Block has no transactions/)
+}
+
+module.exports = testSaplingDecrypt
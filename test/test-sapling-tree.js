@@ -0,0 +1,82 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashSaplingMerkleTree = require('../classes/SaplingMerkleTree')
+const sapling = require('../sapling')
+const { toHashHex } = require('../classes/class-utils')
+const { toHex, fromHex, equals } = require('../bytes')
+
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+const EMPTY_TREE = '0000000002dddf6282ffa59395afd262c5146b24bb5aa415058bc7bf45af4f8a' // height 398384
+
+// the root of a depth 32 tree of `leaves` calculated a level at a time
+function naiveRoot (leaves) {
+  let level = leaves
+  for (let layer = 0; layer < 32; layer++) {
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(sapling.merkleHash(layer, level[i], level[i + 1] || ZcashSaplingMerkleTree.emptyRoot(layer)))
+    }
+    level = next.length ? next : [ZcashSaplingMerkleTree.emptyRoot(layer + 1)]
+  }
+  return level[0]
+}
+
+function testSaplingTree (blocks) {
+  // the roots of empty subtrees, from librustzcash
+  assert.strictEqual(toHex(ZcashSaplingMerkleTree.emptyRoot(0)), '01' + '00'.repeat(31))
+  assert.strictEqual(toHex(ZcashSaplingMerkleTree.emptyRoot(1)), '817de36ab2d57feb077634bca77819c8e0bd298c04f6fed0e6a83cc1356ca155')
+  const emptyRoot = 'fbc2f4300c01f0b7820d00e3347c8da4ee614674376cbc45359daa54f9b5493e'
+  assert.strictEqual(toHex(ZcashSaplingMerkleTree.emptyRoot(32)), emptyRoot)
+  const empty = new ZcashSaplingMerkleTree()
+  assert.strictEqual(toHex(empty.root()), emptyRoot)
+  assert.strictEqual(empty.size(), 0)
+  assert.strictEqual(toHex(empty.encode()), '000000')
+
+  // a block from before any Sapling outputs, its unmodified finalsaplingroot, as zcashd reports it, is the root of
+  // the empty tree
+  const before = ZcashBlock.decode(blocks[EMPTY_TREE])
+  assert.strictEqual(before.toJSON().finalsaplingroot, toHashHex(fromHex(emptyRoot)))
+  assert.ok(before.verifySaplingRoot())
+  assert.ok(before.verifySaplingRoot(empty))
+
+  // the outputs of the block appended to an empty tree
+  const block = ZcashBlock.decode(blocks[SAPLING])
+  const cms = [21, 22, 23].map((i) => block.transactions[i].shieldedOutput[0].cm)
+  const tree = block.computeSaplingTree()
+  assert.strictEqual(tree.size(), 3)
+  assert.ok(equals(tree.root(), naiveRoot(cms)))
+  assert.ok(!block.verifySaplingRoot(), 'the block\'s outputs aren\'t the first in the chain')
+  assert.ok(!before.verifySaplingRoot(tree))
+  block.finalsaplingroot = tree.root()
+  assert.ok(block.verifySaplingRoot(empty))
+  assert.strictEqual(empty.size(), 0, 'the previous tree is not modified')
+
+  // appended to a tree that already has leaves, the carry through the parents
+  const previous = new ZcashSaplingMerkleTree()
+  cms.forEach((cm) => previous.append(cm))
+  previous.append(cms[0])
+  const after = block.computeSaplingTree(previous)
+  assert.strictEqual(after.size(), 7)
+  assert.deepStrictEqual(after.parents.map(Boolean), [true, true])
+  assert.ok(equals(after.root(), naiveRoot(cms.concat([cms[0]], cms))))
+
+  // the binary form is zcashd's, as found in z_gettreestate
+  assert.strictEqual(toHex(after.encode()),
+    `01${toHex(cms[2])}0002` + `01${toHex(after.parents[0])}01${toHex(after.parents[1])}`)
+  const decoded = ZcashBlock.decodeSaplingTree(after.encode())
+  assert.ok(decoded instanceof ZcashSaplingMerkleTree)
+  assert.deepStrictEqual(decoded.toJSON(), after.toJSON())
+  assert.ok(equals(ZcashSaplingMerkleTree.decode(tree.encode()).root(), tree.root()))
+  assert.deepStrictEqual(tree.toJSON(), {
+    size: 3, left: toHashHex(cms[2]), right: null, parents: [toHashHex(sapling.merkleHash(0, cms[0], cms[1]))]
+  })
+  assert.throws(() => ZcashBlock.decodeSaplingTree(fromHex('020000')), /Non-canonical optional discriminant: 2/)
+  assert.throws(() => ZcashBlock.decodeSaplingTree(fromHex('00000000')), /Unexpected 1 bytes after SaplingMerkleTree/)
+
+  // a tree with every leaf appended
+  const full = new ZcashSaplingMerkleTree(cms[0], cms[1], new Array(31).fill(cms[2]))
+  assert.strictEqual(full.size(), 2 ** 32)
+  assert.throws(() => full.append(cms[0]), /Tree is full/)
+}
+
+module.exports = testSaplingTree
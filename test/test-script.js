@@ -0,0 +1,140 @@
+const assert = require('assert')
+const script = require('../script')
+const ZcashTransactionIn = require('../classes/TransactionIn')
+const ZcashTransactionOut = require('../classes/TransactionOut')
+const { fromHex } = require('../bytes')
+
+// scripts taken from the fixture blocks, addresses checked against an independent Base58Check implementation
+
+const p2pkh = '76a914e0082ee3d89f84adbadaaebddd1746bb20e6d4ee88ac'
+const p2sh = 'a91495fe3a8328f7ea678710aca7496b8908a2c5860987'
+const p2pk = '21028f26d5cd57e3817bf66095435d3996b608fc6e448af2bbd2361a0dac7879764eac'
+const pubKeys = [
+  '037fda7bc89c9e74ffaa63def9f267397a3322b3ffb13e19d6e2fa86c7e6ccce5d',
+  '03424bcba4785aacae32bbccdde70424b53c1d2a5ae46664a7cdb4ff329d8a15ce',
+  '03571a36f3c56456fcb3d3afbbd2ca361940c6f7affac5f1655a78af1bf983a6d3'
+]
+const multisig = `52${pubKeys.map((k) => `21${k}`).join('')}53ae`
+const signature = '3044022066f71be87ec0f41b97dca4678128a90ff5fbf796b7aa363697c029457cfdc99e022018054388a3dd0a598d6f12423ba1f2b12efaf75ba77937e00e74a9b37ddb49dc'
+const signerKey = '03d2dd9e0b2184619279fdb1235fa076da27671166b64d8c9034dff54f2ff47698'
+
+function decode (hex, network) {
+  return script.decodeScriptPubKey(fromHex(hex), network)
+}
+
+module.exports = {
+  'script standard types': async () => {
+    assert.deepStrictEqual(decode(p2pkh), {
+      asm: 'OP_DUP OP_HASH160 e0082ee3d89f84adbadaaebddd1746bb20e6d4ee OP_EQUALVERIFY OP_CHECKSIG',
+      hex: p2pkh,
+      type: 'pubkeyhash',
+      reqSigs: 1,
+      addresses: ['t1eJBAt6eVpqPUYKxRB51dqAGsfLSJcU4rS']
+    })
+    assert.deepStrictEqual(decode(p2pkh, 'test').addresses, ['tmW8vVib3tVLtcnXQ5uNkVVq2UeRFpgWHVa'])
+
+    assert.deepStrictEqual(decode(p2sh), {
+      asm: 'OP_HASH160 95fe3a8328f7ea678710aca7496b8908a2c58609 OP_EQUAL',
+      hex: p2sh,
+      type: 'scripthash',
+      reqSigs: 1,
+      addresses: ['t3YEiAa6uEjXwFL2v5ztU1fn3yKgzMQqNyo']
+    })
+    assert.deepStrictEqual(decode(p2sh, 'test').addresses, ['t2LDuDFD37C9Jo2cf1jtWZHxh5ovAG6tCD7'])
+
+    assert.deepStrictEqual(decode(p2pk), {
+      asm: '028f26d5cd57e3817bf66095435d3996b608fc6e448af2bbd2361a0dac7879764e OP_CHECKSIG',
+      hex: p2pk,
+      type: 'pubkey',
+      reqSigs: 1,
+      addresses: ['t1SaATQbzURpG1qU3vz9Wfn3pwXoTqFtTq2']
+    })
+
+    assert.deepStrictEqual(decode(multisig), {
+      asm: `2 ${pubKeys.join(' ')} 3 OP_CHECKMULTISIG`,
+      hex: multisig,
+      type: 'multisig',
+      reqSigs: 2,
+      addresses: ['t1NFcpbpk24UTepCWa5euXbwghtK2e5AqfF', 't1UNqbzzzzGqE9mf9LLAHG6Vptm3UBbEqcp', 't1YvzEManwWp2abhpDiqrcBkjGa4RSwPuug']
+    })
+    // the redeem script hashes to a P2SH address
+    assert.strictEqual(script.encodeAddress(script.hash160(fromHex(multisig)), 'scripthash'),
+      't3h5aJFm1UFhB6CSZFDmKVUKynstSUxc5Fh')
+
+    assert.deepStrictEqual(decode('6a04deadbeef'), { asm: 'OP_RETURN -1874767326', hex: '6a04deadbeef', type: 'nulldata' })
+    assert.deepStrictEqual(decode('6a'), { asm: 'OP_RETURN', hex: '6a', type: 'nulldata' })
+  },
+
+  'script nonstandard types': async () => {
+    const nonstandard = (hex) => {
+      const decoded = decode(hex)
+      assert.strictEqual(decoded.type, 'nonstandard', hex)
+      assert.strictEqual(decoded.reqSigs, undefined)
+      assert.strictEqual(decoded.addresses, undefined)
+      return decoded.asm
+    }
+    assert.strictEqual(nonstandard(''), '')
+    assert.strictEqual(nonstandard('51'), '1')
+    assert.strictEqual(nonstandard('6a76'), 'OP_RETURN OP_DUP') // OP_RETURN followed by a non-push
+    assert.strictEqual(nonstandard('a91395fe3a8328f7ea678710aca7496b8908a2c58687'), 'OP_HASH160 95fe3a8328f7ea678710aca7496b8908a2c586 OP_EQUAL')
+    // 3-of-2 and 2-of-2 with 3 keys aren't valid multisig
+    nonstandard(`53${pubKeys.slice(0, 2).map((k) => `21${k}`).join('')}52ae`)
+    nonstandard(`52${pubKeys.map((k) => `21${k}`).join('')}52ae`)
+    // truncated pushes
+    assert.strictEqual(nonstandard('76a914e0082ee3'), 'OP_DUP OP_HASH160 [error]')
+    assert.strictEqual(nonstandard('4c'), '[error]')
+    assert.strictEqual(nonstandard('4d0100'), '[error]')
+  },
+
+  'script with invalid public keys': async () => {
+    // a pubkey-sized push that isn't a valid public key is still the 'pubkey' type but has no address
+    const invalid = `21${'05' + pubKeys[0].slice(2)}`
+    assert.deepStrictEqual(decode(`${invalid}ac`), {
+      asm: `05${pubKeys[0].slice(2)} OP_CHECKSIG`,
+      hex: `${invalid}ac`,
+      type: 'pubkey'
+    })
+    // multisig only lists addresses for the valid keys
+    const decoded = decode(`52${invalid}${pubKeys.slice(1).map((k) => `21${k}`).join('')}53ae`)
+    assert.strictEqual(decoded.type, 'multisig')
+    assert.strictEqual(decoded.reqSigs, 2)
+    assert.deepStrictEqual(decoded.addresses, ['t1UNqbzzzzGqE9mf9LLAHG6Vptm3UBbEqcp', 't1YvzEManwWp2abhpDiqrcBkjGa4RSwPuug'])
+  },
+
+  'script asm': async () => {
+    const asm = (hex, sighash) => script.toAsm(fromHex(hex), sighash)
+    assert.strictEqual(asm('004f0101018102ff0003ffff7f'), '0 -1 1 -1 255 8388607')
+    assert.strictEqual(asm('b0b1b2b9bafe'), 'OP_NOP1 OP_CHECKLOCKTIMEVERIFY OP_NOP3 OP_NOP10 OP_UNKNOWN OP_UNKNOWN')
+    assert.strictEqual(asm('ff50'), 'OP_INVALIDOPCODE OP_RESERVED')
+    assert.strictEqual(asm('4c0500000000ff4d0100aa'), '00000000ff -42') // PUSHDATA1 & PUSHDATA2
+
+    const scriptSig = `47${signature}0121${signerKey}`
+    assert.strictEqual(asm(scriptSig), `${signature}01 ${signerKey}`)
+    assert.strictEqual(asm(scriptSig, true), `${signature}[ALL] ${signerKey}`)
+    assert.strictEqual(asm(`47${signature}8321${signerKey}`, true), `${signature}[SINGLE|ANYONECANPAY] ${signerKey}`)
+    // undefined sighash types and unspendable scripts aren't decoded
+    assert.strictEqual(asm(`47${signature}0421${signerKey}`, true), `${signature}04 ${signerKey}`)
+    assert.strictEqual(asm(`6a47${signature}01`, true), `OP_RETURN ${signature}01`)
+    // nor are invalid DER encodings
+    const badDer = `31${signature.slice(2)}01`
+    assert.strictEqual(asm(`47${badDer}`, true), badDer)
+  },
+
+  'script address encoding': async () => {
+    const hash = fromHex('e0082ee3d89f84adbadaaebddd1746bb20e6d4ee')
+    assert.strictEqual(script.encodeAddress(hash, 'pubkeyhash'), 't1eJBAt6eVpqPUYKxRB51dqAGsfLSJcU4rS')
+    assert.strictEqual(script.encodeAddress(hash, 'pubkeyhash', 'regtest'), script.encodeAddress(hash, 'pubkeyhash', 'test'))
+    assert.throws(() => script.encodeAddress(hash, 'pubkeyhash', 'signet'), /Unknown network/)
+    assert.throws(() => script.encodeAddress(hash, 'multisig'), /Unknown address type/)
+    assert.throws(() => script.encodeAddress(hash.slice(1), 'pubkeyhash'), /20 bytes/)
+  },
+
+  'script transaction methods': async () => {
+    const out = new ZcashTransactionOut(100000000, fromHex(p2pkh))
+    assert.deepStrictEqual(out.decodeScriptPubKey(), decode(p2pkh))
+    assert.deepStrictEqual(out.decodeScriptPubKey('test'), decode(p2pkh, 'test'))
+    const scriptSig = `47${signature}0121${signerKey}`
+    const input = new ZcashTransactionIn(null, fromHex(scriptSig), 0xffffffff)
+    assert.deepStrictEqual(input.decodeScriptSig(), { asm: `${signature}[ALL] ${signerKey}`, hex: scriptSig })
+  }
+}
@@ -0,0 +1,95 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashTransaction = require('../classes/Transaction')
+const { toHex, fromHex, alloc, concat, reverse } = require('../bytes')
+
+// expected sighash values for fixture transactions below were each confirmed against the signatures found on
+// chain: ECDSA signatures in transparent input scriptSigs and Ed25519 `joinSplitSig`s
+
+// Overwinter (ZIP 143) vectors from zcashd's src/test/data/sighash.json, of the form
+// [raw_transaction, script, input_index, hashType, branchId, signature_hash (result)] with an amount of 0 and the
+// hash in display (reversed) order
+const ZCASHD_SIGHASH_VECTORS = [
+  ['030000807082c403037ea166f815b7d87c8b91cb01c0299e5835ce30abaae76ae5f972d4818a5a7624000000000151e96efb2c4788af18eee19eb10181e6383fa84280ae8ec3b25d09f8a9e3195320c71016d90100000005656352ac537213520d2f63d056c96b9ab57c269cc8564f3c2e4342e40169c429a30dc0c979e7d9b63002000000046a6a5100ffffffff0453aeec030000000005ac000065accf0d5203000000000352636345eecf0400000000036351518cecd802000000000700005252635153000000001ec11f5500', 'ac6a5200525352', 2, 33836424, 0x74736554, '967f00c292b9af74c7e770bd393f80b6a6d1c50ae639356dd66d29020d5904ed'],
+  ['030000807082c40303bd161a9180878f13c24e6581a2fc38eb4f6f9508f602f44a1ec393d3e6e0a5900100000005536351636aedc34093ac074098e8fb351d31ab1cb2f86d84af574f2047ff191c621fda0fe564b7f0ed030000000800656a65ac6a6500ffffffff7b3043b94e25688a8ea39be5349e77192875bd77ffa01f78c3492a0a757e60eb03000000096aac53535253650051ffffffff022f798f0200000000035151ac3598b700000000000552ac650053080805520000000000', 'ac52ac0063', 0, 623524693, 0x76b809bb, '44db5f1c43284937e6bb2b25790c06fb2f22b5a25062e8455b964dbbcd9f64de'],
+  ['030000807082c4030473657247394fabc62d82c9ca0538ccca51d91b19035b96ed11caa41a8c20f4470100000000ffffffffe8da3f24922eb0bec8c3071c0a54ad3c6e1ee2424b2f05545cad38232a6e12ff0200000008526563ac005263000ad1d430faa60ae53bc91498569373f589830a1f19f57c0daf63d0c734c5032ca08c3d3e01000000020052ffffffffe1a664f0032ac41f3fd64b2f2c2a9bd41b3afaecb75d55bfba455a2aa52ff8b401000000096565656363ac006552ffffffff034dffa304000000000153b5453b05000000000251accfd7e305000000000153c574f357797a024b00', '53', 3, 1844639429, 0x76b809bb, 'ed51c8db5ba2accabb1d8a718ecc0e61a55ebdf4a2a2aaa3999593e6c207f9c1'],
+  ['030000807082c403016d7490155e741ae833c1deb7667534402a4a76baf532dffe4d0e82b397a2eeb100000000085353656aac000000ffffffff03feb2a605000000000800ac6a53515153650426330300000000065165ac6565515d00c0050000000007516a65516a5353fdc3795b00000000010e5065030000000000000000000000005d0296c3638292f614ec0613a3e622468e0b1516ff32bdc087cb00c23d0e33e89125b8cb97a461a510b66497844740cb3902bdd6bf546432154db92a7a1007b73596c4be48fa1997be2614304f833e3b887814ddfc4390eb15e1509232cf84ec000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000005766c6f25910222401e9de2dc21ee6f4fc974a57200c7288e6748ec2dcc565f1965d2bd6b5e1c0cff108cf4b1132a44fc986657aa9e472650fcd6ec1fc19a36f599f1bf1aebb67649744585191b9366de23f7d456b79a7a150da1365b1af774e5a8572809b4ec5d12ba9b2071a7dc5dd44225e0fb119a9ac7417bd8ba0b7ebeb0323238a3f62779a7daeca8139cac2f2345cd1bd77da7c7a9331916bd44e044c55032be00e9d3509fc245103cd231b30afbd5c1fc0d82d721fb3585447647050ce5d0b03165d3d1d83b035d7bc1468dd47a7331a4c838740bdf45147521c32a9f8045526a3656da675556cef3ea1c1c93540281b02a6feef6cbdc203d3381a34d48d6a033006cae9a542e194fc359e2a33221b3e5eba8c1bfaaa1392083ef7955e7548e90208d490993c43fe952098a5519fffa22d964f7cd7f6023658419814ca51b7cdae032b49e6e79fc80a79f2438a0958bf57db3e2b23918740a32fbc7943d56f7d403f0317cd548fc8e8cba75eee301d55e13638cebf7a1462a7fdab69478a7f9cac452e031f5a793fb7a2043007c3d65116a57b233876c1c0442ca9178f315ecad9f8b3a345117876ba086b26c2116ba0a9493a96540928a82878b333728e1c3aeec06f665ec21e45dace6407f20695db1d3d773c7de3fddb1582293eb63345ed37739ec3f74ebddf0aeb37545428e17eb3002461b5dbcb36483eb497d64757170c367f74b5e3fe908a765a3852c867644e332561abfadee3d47bf9febec369bf473264f9e99948ecebe324d58915790a659948188bd78d6b14e4595af6f14519fa7386459f90c36110822fcfc1b6da5d3f33fd65d640171c8589a0ec25157eb8810360d6d63d140e3ffa9e48e91be84769571f2c7a7668536aff8a7d4144dced21d3a643e6ecb8020f521143f0e820bed70143f7e71cfe80aba10d1594a9f611196c51f405cc61197e69f7ae61319b192c7feefa706eefc77e553200c69b2f0b0139ae23d0156496bd6035e768d7ac6d49c767fc76f33fa38cb37ee7950d16d546627c8f49819a325456c76240149441e631aefb85300abe303e57d2bd827c92a71103de5e34207a7fde38bbfa8f633e7b8e52362fd89ec8d06f1d4c937016d46d9bd5b33209c6a69e7508bf320cb44d247279bcb4039b2dec8609002c9e3f8cb5c70a4b02e657104fe43d2bf33c3ab6e354646461906d2d03f126d2f7655e7bf1acce80545a00bd7fa7f6555a434e4bed205b40fd930b11ef406919f7c35ded6279df9ea74f59b90c1b9398e303b79ac9406c7f76a9900454a515a6ee7077ac7aa123c74560a99cc4fea1968c39e7ba11c0ebf906d892d720697c74163c4ee05ab15f1bc2769fadca93fe96b7b6a78d3b09d1ab17d579d63a61b7af5426b7c8724b8fc045e22be6ad646e26651171c0bce002f1bdf72a4b7a51a8a85f3f6bc054e9d6c70b6a345ffb76f9f0941f3699cb91f3535fd805961a44e0e51b5872e2dd762ba6369073fae3b18272bfe91260a05cefac6505dc62dc81aca309cbbc6f5e41b9d7a6302c61fb98585bdae0e0e81764a9a1db1b872fc4a3f6047259b77fb248af13e1895c0f04c3134a7a776c4e7eea7de840fd4ca47a27285a76d9c4ea38db3b389b25ef34aed932e1abf1c3acaef91929de544f55463b17ca5f032e2f0f559687c39f6eab248d11ead0cb6a50ff3b6c615b7d9306bd13baec6398b2611cdac8fe9a284bad7ae0965e5478f3f971612812a963be078a3ff608b9066aa701770cde4998181e1603a00cfe1bfb5d703faef9a6faf0bc1c256e77974acec1949028948cf6e35ce925b12f1d1ab57bf49a4e93fea2eb2ff2cb7b4386d5700c68314f6f17b3038a0ae9d49d729d462fa4602e60940fd344b7af1f88fff8ee0a5fc99f65a46f15a7c1aabf38208b1576d34a105f3c35b5a126c02860a0a961bd12adfd3f54a759fbe880f0689193b4e252baf06bceb5b5731d0ae2042b813738878f03453a76f2961c5f4a69f2969a9323d882e3481e79f9ad3168b78f6471327d9018cf5d17047dd4ac606a186eaa20af38efdc9e1cc728a3426e902a0e8601e37424b84b261ea10ba390bd8561222c2abedf6c19655362f0ff101a6abcfbe63b1ee4788ca15213065bb74df37457e6941a382f98ae2609e1094e0cddf80d8797f6489cf4569bdb517e93d3631da944e8c1dc304b0f3c6faf9fbe1bcea0177df30486874d3fdbfdfb0fca73d679eb7e447107c24c031e4f88a7a6daefc9fdaac36afe76463345a19e10683f8f0cdae59448a709a10c9a63ebd211bb176045d7f7503169912c8c0c73c1f4ef1c402da93475bad50effbf21140daa104c49d388e21ead350e50cfd77f43bc593d45f9317fd4f6b3d584ddbc1278b674d9f5806a5f9f0cf5c217e2c6b275fd8877f85c3af7f2fca69403', '636a', 0, 1222904061, 0x74736554, '334d6bd1842cd7564868943f6fcbb49de66389cde4652c07939b9d1faaf01615']
+]
+
+const OVERWINTER_BRANCH_ID = 0x5ba81b19
+const SAPLING_BRANCH_ID = 0x76b809bb
+
+function p2pkh (pubKeyHash) {
+  return fromHex(`76a914${pubKeyHash}88ac`)
+}
+
+function testSighash (blocks) {
+  const tx = (hash, index) => ZcashBlock.decode(blocks[hash]).transactions[index]
+
+  // legacy, v1 transparent input
+  const v1 = tx('000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698', 2)
+  assert.strictEqual(v1.version, 1)
+  assert.strictEqual(
+    toHex(v1.sighash(1, p2pkh('dbf05fa250c4baff253f083e24b2de362a1f124e'), 0, ZcashTransaction.SIGHASH_ALL)),
+    '18936389e3e051b13fafbdca438dec0d71dc9dc97ad5ec07f98dad157bc12eac')
+  // OP_CODESEPARATORs are removed from the scriptCode
+  assert.strictEqual(
+    toHex(v1.sighash(1, concat([Uint8Array.of(0xab), p2pkh('dbf05fa250c4baff253f083e24b2de362a1f124e')]), 0, ZcashTransaction.SIGHASH_ALL)),
+    '18936389e3e051b13fafbdca438dec0d71dc9dc97ad5ec07f98dad157bc12eac')
+  // the SIGHASH_SINGLE bug, there is no output matching the input, nor for the JoinSplit signature
+  assert.throws(() => v1.sighash(3, p2pkh('49f9b7bf7f3d16d8dbe8b97165f111cd71110086'), 0, ZcashTransaction.SIGHASH_SINGLE),
+    /^RangeError: No matching output for SIGHASH_SINGLE$/)
+  assert.throws(() => v1.sighash(null, alloc(0), 0, ZcashTransaction.SIGHASH_SINGLE), /No matching output for SIGHASH_SINGLE/)
+
+  // legacy, v2 with a JoinSplit, for the transparent input and for the joinSplitSig
+  const v2 = tx('000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698', 8)
+  assert.strictEqual(v2.version, 2)
+  assert.strictEqual(v2.joinSplits.length, 1)
+  assert.strictEqual(
+    toHex(v2.sighash(0, p2pkh('588219b4d6bba2e535c2f92af7f85f5687ce82ce'), 0, ZcashTransaction.SIGHASH_ALL)),
+    'd40a72e0467ed64581398f69474666241610774a35d170fd233e46f692581c6d')
+  assert.strictEqual(
+    toHex(v2.sighash(null, alloc(0), 0, ZcashTransaction.SIGHASH_ALL)),
+    '953dafbecdcda4463edc3fad8b881f43c3b78dcc240b92aa1d307b6a057f66a0')
+
+  // ZIP 143, v3 joinSplitSig
+  const v3 = tx('0000000001269b1df15503cf126578eaa31ba2e5f4706420f1146bcf5d8bb556', 1)
+  assert.strictEqual(v3.version, 3)
+  assert.strictEqual(
+    toHex(v3.sighash(null, alloc(0), 0, ZcashTransaction.SIGHASH_ALL, OVERWINTER_BRANCH_ID)),
+    '32cc9797d292b73a3d006bfd47a03ce21bd66f6aad646717565073b80544f134')
+
+  // ZIP 243, v4 joinSplitSig
+  const v4js = tx('0000000000e810f8c8bf4bbf1cdb28910841ef5a744417c299cd99c9d0f17422', 2)
+  assert.strictEqual(v4js.version, 4)
+  assert.strictEqual(
+    toHex(v4js.sighash(null, alloc(0), 0, ZcashTransaction.SIGHASH_ALL, SAPLING_BRANCH_ID)),
+    '0f5fd773f3684c8712e80099efaf6ae6181e819549f4ac75999f3f115352b424')
+
+  // ZIP 243, v4 transparent inputs
+  const v4 = tx('000000000026182e18d6b6a38e61b78829f1d0136bc55ebaff4a42cf8944197c', 4)
+  assert.strictEqual(
+    toHex(v4.sighash(0, p2pkh('62e92a2bb72dadef2d9f4175081fa6e3ad69e744'), 119512077, ZcashTransaction.SIGHASH_ALL, SAPLING_BRANCH_ID)),
+    '71b0ebeb4315fee113430c2ab89063a121f2acc8bb783bce46f2fd98806936d3')
+  const v4single = tx('00000000013290351b297135720669f0247ed4e0a19c0a90c21466ff1005166f', 11)
+  assert.strictEqual(
+    toHex(v4single.sighash(0, p2pkh('39c9b870f685863fee7f15cb55fa227b7fb06ae7'), 677681825, ZcashTransaction.SIGHASH_SINGLE, SAPLING_BRANCH_ID)),
+    '52d6cf2223f36dd90d3e0784cb81d4d53e79517acd10d08b68c4a70acc6c8815')
+  const v4shielded = tx('0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af', 21)
+  assert.strictEqual(v4shielded.shieldedOutput.length, 1)
+  assert.strictEqual(
+    toHex(v4shielded.sighash(0, p2pkh('b92e51a1848176237f2a1bd38ad47603a15b5e7c'), 2464840938, ZcashTransaction.SIGHASH_ALL, SAPLING_BRANCH_ID)),
+    'b4db40ada9961b3091a10e7bfefbf10858ccb31d2bf0913c8ca3cd09ce80b26a')
+
+  for (const [rawTx, script, inputIndex, hashType, branchId, expected] of ZCASHD_SIGHASH_VECTORS) {
+    const vectorTx = ZcashTransaction.decode(fromHex(rawTx))
+    assert.strictEqual(toHex(reverse(vectorTx.sighash(inputIndex, fromHex(script), 0, hashType, branchId))), expected)
+  }
+
+  // errors
+  assert.throws(() => v4.sighash(1, alloc(0), 0, ZcashTransaction.SIGHASH_ALL, SAPLING_BRANCH_ID), /out of range/)
+  assert.throws(() => v4.sighash(0, alloc(0), 0, ZcashTransaction.SIGHASH_ALL), /consensusBranchId is required/)
+  assert.throws(() => v4.sighash(null, alloc(0), 0, ZcashTransaction.SIGHASH_ALL | ZcashTransaction.SIGHASH_ANYONECANPAY, SAPLING_BRANCH_ID), /requires an input/)
+}
+
+module.exports = testSighash
@@ -0,0 +1,99 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+const ZcashSproutMerkleTree = require('../classes/SproutMerkleTree')
+const { toHashHex } = require('../classes/class-utils')
+const { sha256Compress } = require('../hashes')
+const { toHex, fromHex, concat, equals } = require('../bytes')
+
+const SPROUT = '000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698'
+const JOINSPLITS = '0000000001a1fb86965aaeb9fed60bd5f7629cafaebf7720420e91243c86e59f' // tx 12 has 4 JoinSplits
+
+// the root of a depth 29 tree of `leaves` calculated a level at a time
+function naiveRoot (leaves) {
+  let level = leaves
+  for (let layer = 0; layer < 29; layer++) {
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(sha256Compress(concat([level[i], level[i + 1] || ZcashSproutMerkleTree.emptyRoot(layer)])))
+    }
+    level = next.length ? next : [ZcashSproutMerkleTree.emptyRoot(layer + 1)]
+  }
+  return level[0]
+}
+
+async function testSproutTree (blocks) {
+  // SHA256Compress of an empty block, and the empty root as zcashd shows it
+  assert.strictEqual(toHex(ZcashSproutMerkleTree.emptyRoot(1)), 'da5698be17b9b46962335799779fbeca8ce5d491c0d26243bafef9ea1837a9d8')
+  const empty = new ZcashSproutMerkleTree()
+  assert.strictEqual(toHashHex(empty.root()), '59d2cde5e65c1414c32ba54f0fe4bdb3d67618125286e6a191317917c812c6d7')
+  assert.throws(() => sha256Compress(new Uint8Array(32)), /SHA256Compress takes a 64-byte block, got 32 bytes/)
+
+  // the commitments of the block's JoinSplits appended to a tree
+  const block = ZcashBlock.decode(blocks[SPROUT])
+  const commitments = []
+  block.transactions.forEach((tx) => tx.joinSplits.forEach((joinSplit) => commitments.push(...joinSplit.commitments)))
+  const previous = new ZcashSproutMerkleTree()
+  previous.append(commitments[0])
+  const tree = block.computeSproutTree(previous)
+  assert.strictEqual(tree.size(), commitments.length + 1)
+  assert.ok(equals(tree.root(), naiveRoot([commitments[0]].concat(commitments))))
+  assert.strictEqual(previous.size(), 1, 'the previous tree is not modified')
+
+  // zcashd's SproutMerkleTree serialization
+  const decoded = ZcashBlock.decodeSproutTree(tree.encode())
+  assert.ok(decoded instanceof ZcashSproutMerkleTree)
+  assert.deepStrictEqual(decoded.toJSON(), tree.toJSON())
+  assert.ok(equals(ZcashSproutMerkleTree.decode(previous.encode()).root(), previous.root()))
+  assert.strictEqual(toHex(previous.encode()), `01${toHex(commitments[0])}0000`)
+  assert.throws(() => ZcashBlock.decodeSproutTree(fromHex('00000000')), /Unexpected 1 bytes after SproutMerkleTree/)
+
+  // the anchors refer to trees we don't have
+  let violations = await block.checkSproutAnchors(previous)
+  assert.deepStrictEqual(violations.map(({ index }) => index), [8, 9])
+  assert.deepStrictEqual(violations[0], {
+    index: 8,
+    reason: 'bad-txns-joinsplit-requirements-not-met',
+    message: `JoinSplit 0 anchor ${toHashHex(block.transactions[8].joinSplits[0].anchor)} is not a known Sprout tree root`
+  })
+
+  // anchored to the tree after the previous block, or an older tree found with a lookup
+  block.transactions[8].joinSplits[0].anchor = previous.root()
+  block.transactions[9].joinSplits[0].anchor = empty.root()
+  violations = await block.checkSproutAnchors(previous, async (anchor) => equals(anchor, empty.root()) ? empty : null)
+  assert.deepStrictEqual(violations, [])
+  violations = await block.checkSproutAnchors(previous)
+  assert.deepStrictEqual(violations.map(({ index }) => index), [9])
+
+  // later JoinSplits of a transaction may be anchored to the root after an earlier one, but not after a later
+  // one or one of another transaction
+  const multiple = ZcashBlock.decode(blocks[JOINSPLITS])
+  const tx = multiple.transactions[12]
+  const roots = []
+  const intermediate = previous.clone()
+  for (const joinSplit of tx.joinSplits) {
+    joinSplit.anchor = roots.length ? roots[roots.length - 1] : previous.root()
+    joinSplit.commitments.forEach((commitment) => intermediate.append(commitment))
+    roots.push(intermediate.root())
+  }
+  multiple.transactions = [multiple.transactions[0], tx]
+  assert.deepStrictEqual(await multiple.checkSproutAnchors(previous), [])
+  tx.joinSplits[1].anchor = tx.joinSplits[0].anchor
+  tx.joinSplits[2].anchor = roots[0]
+  tx.joinSplits[3].anchor = roots[0]
+  assert.deepStrictEqual(await multiple.checkSproutAnchors(previous), [], 'intermediate roots from any earlier JoinSplit')
+  tx.joinSplits[1].anchor = roots[2]
+  violations = await multiple.checkSproutAnchors(previous)
+  assert.deepStrictEqual(violations.map(({ index, message }) => [index, message]), [
+    [1, `JoinSplit 1 anchor ${toHashHex(roots[2])} is not a known Sprout tree root`]
+  ])
+  tx.joinSplits[1].anchor = roots[0]
+  const other = ZcashBlock.decode(blocks[JOINSPLITS]).transactions[12]
+  other.joinSplits[0].anchor = roots[0]
+  multiple.transactions.push(other)
+  violations = await multiple.checkSproutAnchors(previous)
+  assert.deepStrictEqual(violations.map(({ index }) => index), [2], 'intermediate roots are not shared between transactions')
+
+  await assert.rejects(ZcashBlock.decodeHeaderOnly(blocks[SPROUT]).checkSproutAnchors(previous), /Block has no transactions/)
+}
+
+module.exports = testSproutTree
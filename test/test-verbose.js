@@ -0,0 +1,120 @@
+const assert = require('assert')
+const ZcashBlock = require('../')
+
+// expected values follow zcashd's TxToJSON() (src/rpc/rawtransaction.cpp) for `getblock` with verbosity=2, with
+// hashes and addresses checked against the raw transaction bytes and an independent Base58Check implementation
+
+const GENESIS = 'genesis'
+const SPROUT = '000000000177e669f0e4e093db02557a5daab72b0ef7718550a64ee1f3dc9698'
+const SAPLING = '0000000001913d32a52688499d8b82c466d76e15d128af234797fdce27fa04af'
+
+function testVerbose (blocks) {
+  const block = (hash) => ZcashBlock.decode(blocks[hash])
+  const verbose = (hash, index) => block(hash).transactions[index].toVerboseJSON()
+
+  // coinbase with a pay-to-pubkey output
+  const genesis = block(GENESIS).toVerboseJSON()
+  assert.deepStrictEqual(genesis.tx, [{
+    txid: 'c4eaa58879081de3c24a7b117ed2b28300e7ec4c4c1dff1d3f1268b7857a4ddb',
+    authdigest: 'ff'.repeat(32),
+    size: 204,
+    overwintered: false,
+    version: 1,
+    locktime: 0,
+    vin: [{
+      coinbase: '04ffff071f0104455a6361736830623963346565663862376363343137656535303031653335303039383462366665613335363833613763616331343161303433633432303634383335643334',
+      sequence: 4294967295
+    }],
+    vout: [{
+      value: 0,
+      valueZat: 0,
+      n: 0,
+      scriptPubKey: {
+        asm: '04678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5f OP_CHECKSIG',
+        hex: '4104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac',
+        reqSigs: 1,
+        type: 'pubkey',
+        addresses: ['t1StbPM4X3j4FGM57HpGnb9BMbS7C1nFW1r']
+      }
+    }],
+    vjoinsplit: []
+  }])
+  // the block properties are those of the non-verbose form
+  assert.deepStrictEqual(Object.assign({}, genesis, { tx: undefined }), Object.assign(block(GENESIS).toJSON(), { tx: undefined }))
+
+  // v1 transparent transfer, key order matters for anyone comparing stringified output
+  const v1 = verbose(SPROUT, 2)
+  assert.deepStrictEqual(Object.keys(v1), ['txid', 'authdigest', 'size', 'overwintered', 'version', 'locktime', 'vin', 'vout', 'vjoinsplit'])
+  assert.deepStrictEqual(v1.vin[0], {
+    txid: '881fe455e92c24a575c6c35b53a8d7fbe8172cbd11230a2274c2f30761ddb929',
+    vout: 12,
+    scriptSig: {
+      asm: '3045022100a5020c0a67281772bf3fc378f907b35af03d54cb409a1a8e3e6ff52f7a1460f002206668277f06d62c8628c58dbbcd8d30e8d44de5197c960521685f341159e64105[ALL] 02e3fd9e507864aacf2e2379be17749d0838801c4c1b5645a5c65f7551bbdc246e',
+      hex: '483045022100a5020c0a67281772bf3fc378f907b35af03d54cb409a1a8e3e6ff52f7a1460f002206668277f06d62c8628c58dbbcd8d30e8d44de5197c960521685f341159e64105012102e3fd9e507864aacf2e2379be17749d0838801c4c1b5645a5c65f7551bbdc246e'
+    },
+    sequence: 4294967294
+  })
+  assert.deepStrictEqual(Object.keys(v1.vout[0]), ['value', 'valueZat', 'n', 'scriptPubKey'])
+  assert.deepStrictEqual(Object.keys(v1.vout[0].scriptPubKey), ['asm', 'hex', 'reqSigs', 'type', 'addresses'])
+  assert.strictEqual(v1.vout[0].value, 1.33201044)
+  assert.strictEqual(v1.vout[0].valueZat, 133201044)
+  assert.strictEqual(v1.vout[0].scriptPubKey.asm, 'OP_DUP OP_HASH160 135d59311635d50af3bb68e8937ac47355eb9d2c OP_EQUALVERIFY OP_CHECKSIG')
+
+  // v2 with a Sprout JoinSplit and a PHGR proof
+  const v2 = verbose(SPROUT, 8)
+  assert.deepStrictEqual(v2.vout, [])
+  assert.strictEqual(v2.vjoinsplit.length, 1)
+  const { proof, ciphertexts, ...joinSplit } = v2.vjoinsplit[0]
+  assert.deepStrictEqual(joinSplit, {
+    vpub_old: 10.01236739,
+    vpub_oldZat: 1001236739,
+    vpub_new: 0,
+    vpub_newZat: 0,
+    anchor: '13bfe84d93419a82ad0eda232a998113dbf5e30f83aa6127a0f36fad299ef849',
+    nullifiers: [
+      'd487f1e9e3cd1ac59c2ba7dfc613988d4e4e41b739d6b911ffb5786166a9d9a5',
+      'b943ceefe8edf9a17501a3ed9c7e6582b34fc48c87040446569f46bfa30500ac'
+    ],
+    commitments: [
+      '5895edee521e6aed770589d4e7e4079541c72128f0910f39a70f89e634136f24',
+      'ef0e5ab408a63c2ccf70b3143d5852e728f3aaf456c23b0dd1ad5ff53c052fea'
+    ],
+    onetimePubKey: '3ad0793ecfce59b775afc62150badb946a4ebd5efcc1ec9f23b66b980b84a1ef',
+    randomSeed: '0fb62a76cd79dbfe23f5ab3ae15691a839fff49120c1cc92b5a9e8947c5e90f6',
+    macs: [
+      '8ceba0c64ebf8c38d1cb7daac4533a31aec29a4bd83a3958d1175ba8d7a55389',
+      'c29e76259f78a6266b5e94b41e8c92773fd31aae200856dd450b48223935d5cd'
+    ]
+  })
+  assert.strictEqual(proof.length, 296 * 2) // PHGR proofs are serialized as 8 compressed points
+  assert.deepStrictEqual(ciphertexts.map((c) => c.length), [601 * 2, 601 * 2])
+  assert.strictEqual(v2.joinSplitPubKey, '4cd78ea48d092dc417ca5cb882a791064719a2dd52eefda3c9a4157c1fd8a3ab')
+  assert.strictEqual(v2.joinSplitSig, '5138bf9aa73de72c9aaddd83434b312a09a10f2541375ad3635682d58b5e33fdcf70c77724c249098d1ce3356e61d231e596ba0c0c9bad991b2161aadc391c04')
+
+  // v4 with a Sapling output
+  const v4 = verbose(SAPLING, 21)
+  assert.deepStrictEqual(Object.keys(v4), ['txid', 'authdigest', 'size', 'overwintered', 'version', 'versiongroupid',
+    'locktime', 'expiryheight', 'vin', 'vout', 'vjoinsplit', 'valueBalance', 'valueBalanceZat', 'vShieldedSpend',
+    'vShieldedOutput', 'bindingSig'])
+  assert.strictEqual(v4.versiongroupid, '892f2085')
+  assert.strictEqual(v4.expiryheight, 584786)
+  assert.strictEqual(v4.valueBalance, -24.64830938)
+  assert.strictEqual(v4.valueBalanceZat, -2464830938)
+  assert.deepStrictEqual(v4.vShieldedSpend, [])
+  const { encCiphertext, outCiphertext, proof: outputProof, ...output } = v4.vShieldedOutput[0]
+  assert.deepStrictEqual(output, {
+    cv: 'a4d8f6fea1e137c092d58cf0ec7cc7fa4b49c9979e3283c118f8d9e93f997fcc',
+    cmu: '18d20ba67c265a805a54e9977abc5a2641ae3df71db7c52a013dc054ec21514e',
+    ephemeralKey: '2298e678fac6a1dcfc0f4ee34b1b1e77e9d7cd62c76ba51611acf503c7d2210b'
+  })
+  assert.deepStrictEqual([encCiphertext.length, outCiphertext.length, outputProof.length], [580 * 2, 80 * 2, 192 * 2])
+  assert.strictEqual(v4.bindingSig, '10795ddc9cbb50bcce0d8e47e544992463e02d341ceceeb7bbb24102ec95ed05d0a7e88e34e50926e24b3d0745f5c72dadc2fc751392f6b8f01eb5922ee1860c')
+
+  // testnet addresses
+  assert.deepStrictEqual(block(GENESIS).transactions[0].toVerboseJSON('test').vout[0].scriptPubKey.addresses,
+    ['tmJjLiBYvSPZkQbGYxYaXSor7CRC1RjQEff'])
+
+  assert.throws(() => ZcashBlock.decodeHeaderOnly(blocks[GENESIS]).toVerboseJSON(), /no transactions/)
+}
+
+module.exports = testVerbose
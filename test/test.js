@@ -1,10 +1,14 @@
 const assert = require('assert')
 const ZcashBlock = require('../')
+const ZcashTransaction = require('../classes/Transaction')
+const { toHashHex } = require('../classes/class-utils')
+const { encodeCompactSize } = require('../encode')
+const { toHex, equals } = require('../bytes')
 
 // the blocks in ./fixtures are a random(ish) sample of blocks from the beginning (including the
 // genesis block) to the date of authoring (August 2019), so they cover a good range of formats
 //
-module.exports = function test (hash, block, data) {
+module.exports = async function test (hash, block, data) {
   const decoded = ZcashBlock.decode(block)
   const serializable = decoded.toSerializable()
   // console.log('decoded', JSON.stringify(serializable, null, 2))
@@ -15,8 +19,111 @@ module.exports = function test (hash, block, data) {
   data.difficulty = Math.round(data.difficulty)
 
   // can't test these things as they come from having a full blockchain state to work with
-  // while we are only working with isolated blocks
+  // while we are only working with isolated blocks, except for the genesis block's chainwork
+  const { height, chainwork, valuePools } = data
   'anchor height chainwork confirmations valuePools nextblockhash'.split(' ').forEach((p) => { delete data[p] })
 
   assert.deepStrictEqual(serializable, data)
+
+  // encoding the decoded block should give us back the original bytes
+  assert.ok(equals(decoded.encode(), block), 'encoded block matches original bytes')
+  const header = ZcashBlock.decodeHeaderOnly(block).encode()
+  assert.ok(equals(header, block.slice(0, header.length)), 'encoded header matches original bytes')
+  // each transaction encodes to exactly the bytes at its offset in the block, as the lazy decoder indexes them
+  const { transactionIndex } = ZcashBlock.decodeLazy(block)
+  assert.strictEqual(transactionIndex.length, decoded.transactions.length)
+  for (const [i, tx] of decoded.transactions.entries()) {
+    const txBytes = tx.encode()
+    const { offset, size } = transactionIndex[i]
+    assert.ok(equals(txBytes, block.subarray(offset, offset + size)), `encoded transaction ${i} matches its bytes in the block`)
+    assert.strictEqual(tx.size, txBytes.length)
+
+    // standalone transactions decode the same as those in the block
+    const standalone = ZcashTransaction.decode(txBytes)
+    assert.deepStrictEqual(standalone.toJSON(), tx.toJSON())
+  }
+  assert.strictEqual(decoded.transactions.reduce((size, tx) => size + tx.size, header.length), decoded.size - encodeCompactSize(decoded.transactions.length).length)
+
+  // the verbose form expands each transaction, only the first of which is a coinbase
+  const verbose = JSON.parse(JSON.stringify(decoded.toVerboseJSON()))
+  assert.deepStrictEqual(verbose.tx.map((tx) => tx.txid), data.tx)
+  verbose.tx.forEach((vtx, i) => {
+    const tx = decoded.transactions[i]
+    assert.strictEqual(tx.isCoinbase(), i === 0)
+    assert.strictEqual(vtx.size, tx.size)
+    assert.strictEqual(vtx.vin.length, tx.vin.length)
+    vtx.vin.forEach((vin) => assert.strictEqual(vin.coinbase !== undefined, i === 0))
+    vtx.vout.forEach((vout, n) => {
+      assert.strictEqual(vout.n, n)
+      assert.strictEqual(vout.scriptPubKey.hex, toHex(tx.vout[n].scriptPubKey))
+    })
+    assert.strictEqual(vtx.vjoinsplit.length, tx.joinSplits.length)
+    assert.strictEqual(vtx.joinSplitPubKey !== undefined, tx.joinSplits.length > 0)
+  })
+
+  // the proof of work solution should be valid for the header, and invalid for a modified header
+  assert.ok(decoded.verifySolution(), 'equihash solution verifies')
+  const modified = ZcashBlock.decodeHeaderOnly(block)
+  modified.nonce = Uint8Array.from(modified.nonce).reverse()
+  assert.ok(!modified.verifySolution(), 'equihash solution does not verify for a modified header')
+
+  // exact proof of work target, the hash must meet it and its compact form must round-trip
+  assert.ok(decoded.checkProofOfWork(), 'block hash meets the target')
+  assert.strictEqual(ZcashBlock.bitsFromTarget(decoded.target), decoded.bits)
+  assert.ok(decoded.work > 0)
+  if (height === 0) {
+    assert.strictEqual(decoded.computeChainwork().toString(16).padStart(64, '0'), chainwork)
+  }
+
+  // each transaction's format is allowed by the network upgrade active at the block's height
+  assert.deepStrictEqual(decoded.checkNetworkUpgrade(height), [])
+
+  // and the block passes the context-free consensus checks
+  assert.deepStrictEqual(decoded.validate(), [])
+
+  // the coinbase pushes the block's height and, after the genesis block, pays the founders' reward
+  const coinbaseInfo = decoded.coinbaseInfo()
+  assert.strictEqual(coinbaseInfo.height, height)
+  assert.strictEqual(coinbaseInfo.foundersReward === null, height === 0)
+  assert.ok(height === 0 || coinbaseInfo.foundersReward.paid === true, 'founders\' reward paid to the founders\' address')
+
+  // the Sprout and Sapling value pools change by the block's shielded values, folding into the chain values
+  const previous = valuePools.map(({ id, monitored, chainValueZat, valueDeltaZat }) => ({ id, monitored, chainValueZat: chainValueZat - valueDeltaZat }))
+  assert.deepStrictEqual(await decoded.valuePools(previous), valuePools)
+
+  // the merkle root in the header should match the transactions, and each transaction should be provable
+  assert.ok(equals(decoded.computeMerkleRoot(), decoded.merkleroot), 'computed merkle root matches header')
+  assert.ok(decoded.verifyMerkleRoot(), 'merkle root verifies')
+  const txids = serializable.tx
+  const provable = [0, Math.floor(txids.length / 2), txids.length - 1]
+  for (const i of provable) {
+    const proof = decoded.merkleProof(txids[i])
+    assert.strictEqual(proof.index, i)
+    assert.ok(ZcashBlock.verifyMerkleProof(txids[i], proof, data.merkleroot), `merkle proof verifies for tx ${i}`)
+    assert.ok(!ZcashBlock.verifyMerkleProof('ff'.repeat(32), proof, data.merkleroot),
+      `merkle proof for the wrong txid fails for tx ${i}`)
+  }
+  const merkleBlockBytes = decoded.merkleBlock(provable.map((i) => txids[i])).encode()
+  const merkleBlock = ZcashBlock.decodeMerkleBlock(merkleBlockBytes)
+  assert.ok(equals(merkleBlock.encode(), merkleBlockBytes), 'encoded merkle block matches original bytes')
+  assert.deepStrictEqual(merkleBlock.header.toJSON(), ZcashBlock.decodeHeaderOnly(block).toJSON())
+  assert.deepStrictEqual(
+    merkleBlock.extractMatches().map(({ hash, index }) => [toHashHex(hash), index]),
+    [...new Set(provable)].map((i) => [txids[i], i]))
+
+  // lazy decoding indexes the transactions without decoding them, then decodes each one when accessed
+  const lazy = ZcashBlock.decodeLazy(block)
+  assert.deepStrictEqual(lazy.toJSON(), decoded.toJSON())
+  assert.ok(lazy.verifyMerkleRoot(), 'merkle root verifies for a lazily decoded block')
+  assert.strictEqual(lazy.transactionIndex.length, decoded.transactions.length)
+  lazy.transactionIndex.forEach(({ offset, size, hash }, i) => {
+    assert.strictEqual(size, decoded.transactions[i].size)
+    assert.ok(equals(block.subarray(offset, offset + size), decoded.transactions[i].encode()))
+    assert.ok(equals(hash, decoded.transactions[i].hash))
+  })
+  const lastTx = lazy.transactions[lazy.transactions.length - 1]
+  assert.strictEqual(lastTx, lazy.transactions[lazy.transactions.length - 1], 'decoded once')
+  assert.deepStrictEqual(lastTx.toJSON(), decoded.transactions[decoded.transactions.length - 1].toJSON())
+  assert.strictEqual(lazy.transactions[0].vout[0].scriptPubKey.buffer, block.buffer, 'decoded bytes are views into the block')
+  assert.ok(equals(lazy.encode(), block), 'encoded lazy block matches original bytes')
 }
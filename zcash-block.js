@@ -1,7 +1,31 @@
 const ZcashBlock = require('./classes/Block')
+const ZcashTransaction = require('./classes/Transaction')
+const ZcashSaplingMerkleTree = require('./classes/SaplingMerkleTree')
+const ZcashSproutMerkleTree = require('./classes/SproutMerkleTree')
 const decodeBlock = require('./decode')
+const encode = require('./encode')
+const { verifyMerkleProof } = require('./merkle')
+const { targetFromBits, bitsFromTarget, getNextWorkRequired } = require('./pow')
+const { formatAmount, COIN, MAX_MONEY } = require('./classes/class-utils')
 
 ZcashBlock.decode = decodeBlock
 ZcashBlock.decodeHeaderOnly = decodeBlock.decodeBlockHeaderOnly
+ZcashBlock.decodeLazy = decodeBlock.decodeBlockLazy
+ZcashBlock.decodeMerkleBlock = decodeBlock.decodeMerkleBlock
+ZcashBlock.decodeTransaction = decodeBlock.decodeTransaction
+ZcashBlock.decodeSaplingTree = decodeBlock.decodeSaplingTree
+ZcashBlock.decodeSproutTree = decodeBlock.decodeSproutTree
+ZcashBlock.encode = encode
+ZcashBlock.verifyMerkleProof = verifyMerkleProof
+ZcashBlock.targetFromBits = targetFromBits
+ZcashBlock.bitsFromTarget = bitsFromTarget
+ZcashBlock.getNextWorkRequired = getNextWorkRequired
+ZcashBlock.formatAmount = formatAmount
+ZcashBlock.COIN = COIN
+ZcashBlock.MAX_MONEY = MAX_MONEY
+
+ZcashTransaction.decode = decodeBlock.decodeTransaction
+ZcashSaplingMerkleTree.decode = decodeBlock.decodeSaplingTree
+ZcashSproutMerkleTree.decode = decodeBlock.decodeSproutTree
 
 module.exports = ZcashBlock
@@ -0,0 +1,165 @@
+// ZIP 244 transaction identifier and authorizing data commitments for v5 (NU5) transactions, and the
+// block-level commitments that are built from them.
+// https://zips.z.cash/zip-0244
+
+const { blake2b256 } = require('./classes/class-utils')
+const { encodeType } = require('./encode')
+const { alloc, concat, fromAscii } = require('./bytes')
+
+// authorizing data commitment for transactions prior to v5, which have no separate authorizing data
+const LEGACY_AUTH_DIGEST = alloc(32, 0xff)
+
+function digest (personalization, chunks) {
+  return blake2b256(personalization, concat(chunks))
+}
+
+function branchPersonalization (prefix, consensusBranchId) {
+  return concat([fromAscii(prefix), encodeType('uint32_t', consensusBranchId)])
+}
+
+// T.1: header_digest
+function headerDigest (tx) {
+  return digest('ZTxIdHeadersHash', [
+    encodeType('uint32_t', ((tx.overwintered ? 0x80000000 : 0) | tx.version) >>> 0),
+    encodeType('uint32_t', tx.versionGroupId),
+    encodeType('uint32_t', tx.consensusBranchId),
+    encodeType('uint32_t', tx.lockTime),
+    encodeType('uint32_t', tx.expiryHeight)
+  ])
+}
+
+// T.2: transparent_digest
+function transparentDigest (tx) {
+  const chunks = []
+  if (tx.vin.length || tx.vout.length) {
+    chunks.push(digest('ZTxIdPrevoutHash', tx.vin.map((txin) => txin.prevout.encode())))
+    chunks.push(digest('ZTxIdSequencHash', tx.vin.map((txin) => encodeType('uint32_t', txin.sequence))))
+    chunks.push(digest('ZTxIdOutputsHash', tx.vout.map((txout) => txout.encode())))
+  }
+  return digest('ZTxIdTranspaHash', chunks)
+}
+
+// T.3: sapling_digest
+function saplingDigest (tx) {
+  const spends = tx.shieldedSpend
+  const outputs = tx.shieldedOutput
+  const chunks = []
+  if (spends.length || outputs.length) {
+    const spendChunks = []
+    if (spends.length) {
+      spendChunks.push(digest('ZTxIdSSpendCHash', spends.map((spend) => spend.nullifier)))
+      spendChunks.push(digest('ZTxIdSSpendNHash', spends.map((spend) => concat([spend.cv, spend.anchor, spend.rk]))))
+    }
+    chunks.push(digest('ZTxIdSSpendsHash', spendChunks))
+
+    const outputChunks = []
+    if (outputs.length) {
+      outputChunks.push(digest('ZTxIdSOutC__Hash', outputs.map((output) => {
+        return concat([output.cm, output.ephemeralKey, output.encCiphertext.slice(0, 52)])
+      })))
+      outputChunks.push(digest('ZTxIdSOutM__Hash', outputs.map((output) => output.encCiphertext.slice(52, 564))))
+      outputChunks.push(digest('ZTxIdSOutN__Hash', outputs.map((output) => {
+        return concat([output.cv, output.encCiphertext.slice(564), output.outCiphertext])
+      })))
+    }
+    chunks.push(digest('ZTxIdSOutputHash', outputChunks))
+
+    chunks.push(encodeType('CAmount', tx.valueBalance))
+  }
+  return digest('ZTxIdSaplingHash', chunks)
+}
+
+// T.4: orchard_digest
+function orchardDigest (tx) {
+  const orchard = tx.orchard
+  const chunks = []
+  if (orchard && orchard.actions.length) {
+    const actions = orchard.actions
+    chunks.push(digest('ZTxIdOrcActCHash', actions.map((action) => {
+      return concat([action.nullifier, action.cmx, action.ephemeralKey, action.encCiphertext.slice(0, 52)])
+    })))
+    chunks.push(digest('ZTxIdOrcActMHash', actions.map((action) => action.encCiphertext.slice(52, 564))))
+    chunks.push(digest('ZTxIdOrcActNHash', actions.map((action) => {
+      return concat([action.cv, action.rk, action.encCiphertext.slice(564), action.outCiphertext])
+    })))
+    chunks.push(Uint8Array.of(orchard.flags))
+    chunks.push(encodeType('CAmount', orchard.valueBalance))
+    chunks.push(orchard.anchor)
+  }
+  return digest('ZTxIdOrchardHash', chunks)
+}
+
+// Calculate the ZIP 244 transaction identifier of a v5 transaction, this is the `hash` (txid) of the transaction.
+function txidDigest (tx) {
+  return digest(branchPersonalization('ZcashTxHash_', tx.consensusBranchId), [
+    headerDigest(tx),
+    transparentDigest(tx),
+    saplingDigest(tx),
+    orchardDigest(tx)
+  ])
+}
+
+// Calculate the ZIP 244 authorizing data commitment of a transaction. Transactions prior to v5 have a
+// commitment of all `0xff` bytes.
+function authDigest (tx) {
+  if (tx.consensusBranchId == null) {
+    return Uint8Array.from(LEGACY_AUTH_DIGEST)
+  }
+
+  const transparentScripts = digest('ZTxAuthTransHash', tx.vin.map((txin) => encodeType('CScript', txin.scriptSig)))
+
+  const saplingChunks = []
+  if (tx.shieldedSpend.length || tx.shieldedOutput.length) {
+    saplingChunks.push(...tx.shieldedSpend.map((spend) => spend.zkproof))
+    saplingChunks.push(...tx.shieldedSpend.map((spend) => spend.spendAuthSig))
+    saplingChunks.push(...tx.shieldedOutput.map((output) => output.zkproof))
+    saplingChunks.push(tx.bindingSig)
+  }
+  const saplingAuth = digest('ZTxAuthSapliHash', saplingChunks)
+
+  const orchardChunks = []
+  if (tx.orchard && tx.orchard.actions.length) {
+    orchardChunks.push(tx.orchard.proof)
+    orchardChunks.push(...tx.orchard.actions.map((action) => action.spendAuthSig))
+    orchardChunks.push(tx.orchard.bindingSig)
+  }
+  const orchardAuth = digest('ZTxAuthOrchaHash', orchardChunks)
+
+  return digest(branchPersonalization('ZTxAuthHash_', tx.consensusBranchId), [transparentScripts, saplingAuth, orchardAuth])
+}
+
+// Calculate the root of the Merkle tree of authorizing data commitments of a list of transactions, as
+// committed to by `hashBlockCommitments` in NU5 block headers. The tree is padded with zero leaves up to
+// the next power of two.
+function authDataRoot (transactions) {
+  if (!transactions.length) {
+    return alloc(32)
+  }
+  let layer = transactions.map(authDigest)
+  let width = 1
+  while (width < layer.length) {
+    width *= 2
+  }
+  while (layer.length < width) {
+    layer.push(alloc(32))
+  }
+  while (layer.length > 1) {
+    const next = []
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(digest('ZcashAuthDatHash', [layer[i], layer[i + 1]]))
+    }
+    layer = next
+  }
+  return layer[0]
+}
+
+// Calculate the `hashBlockCommitments` of an NU5 block header from the chain history root (which
+// requires knowledge of the chain prior to the block) and the block's authorizing data root.
+function blockCommitments (chainHistoryRoot, authDataRoot) {
+  return digest('ZcashBlockCommit', [chainHistoryRoot, authDataRoot, alloc(32)])
+}
+
+module.exports.txidDigest = txidDigest
+module.exports.authDigest = authDigest
+module.exports.authDataRoot = authDataRoot
+module.exports.blockCommitments = blockCommitments